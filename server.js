@@ -3,6 +3,11 @@
  */
 
 require("dotenv").config();
+
+// Mocked payment providers must be pointed at the mock server before any service reads its settings
+const { applyMockProviderEnv, DEFAULT_MOCK_PORT } = require('./src/config/mockProviders');
+const mockedProviders = applyMockProviderEnv();
+
 const express = require("express");
 const cors = require("cors");
 const path = require('path');
@@ -91,11 +96,16 @@ const redisLogger = logger.child({ component: 'redis' });
 // Import configurations
 const corsOptions = require('./src/config/cors');
 const pool = require('./src/config/database');
+const providerRegistry = require('./src/services/payments/providers/providerRegistry');
+const providerHealth = require('./src/services/payments/health/providerHealth');
 
 // Import routes
 const orderRoutes = require('./src/routes/public/orders');
 const paymentRoutes = require('./src/routes/public/payments');
+const returnRoutes = require('./src/routes/public/returns');
 const adminRoutes = require('./src/routes/admin/dashboard');
+const stripeWebhookRoutes = require('./src/routes/webhooks/stripe');
+const btcpayWebhookRoutes = require('./src/routes/webhooks/btcpay');
 
 // Debug: Log environment variables
 systemLogger.info('Environment variables loaded', {
@@ -144,6 +154,16 @@ try {
     });
 }
 
+// Schedules the checks that bring pending refunds up to date
+try {
+    require('./src/services/payments/refunds/refundStatusQueue');
+} catch (error) {
+    redisLogger.error('Failed to initialize refund status queue', {
+        error: error.message,
+        stack: error.stack
+    });
+}
+
 const app = express();
 
 // Trust proxy setting for rate limiting (important for Railway)
@@ -155,6 +175,11 @@ app.set('views', path.join(__dirname, 'views'));
 
 // Middleware
 app.use(cors(corsOptions));
+
+// Webhooks verify signatures over the raw body, so they are mounted before express.json()
+app.use('/webhooks', stripeWebhookRoutes);
+app.use('/webhooks', btcpayWebhookRoutes);
+
 app.use(express.json());
 
 systemLogger.info('Middleware initialized');
@@ -199,6 +224,7 @@ const adminLimiter = rateLimit({
 // Routes
 app.use("/", orderRoutes);          // Base URL for order routes
 app.use("/api", paymentRoutes);     // Payment status endpoint
+app.use("/return", returnRoutes);   // Customers coming back from a payment provider
 app.use('/admin', adminLimiter, adminRoutes); // Admin dashboard routes
 
 // Enhanced health check endpoint with database status
@@ -208,6 +234,7 @@ app.get('/health', async (req, res) => {
         timestamp: new Date().toISOString(),
         database: 'unknown',
         redis: 'unknown',
+        providers: {},
         environment: process.env.NODE_ENV || 'development'
     };
     
@@ -236,6 +263,19 @@ app.get('/health', async (req, res) => {
         health.status = 'error';
     }
     
+    // Circuit breaker of each provider (closed/open/half_open, last error) - an open
+    // breaker degrades one payment method, so it doesn't fail the health check
+    health.providers = providerHealth.report(providerRegistry.codes());
+
+    // A provider module that failed to load won't recover by itself, so it does
+    const loadFailures = providerRegistry.failures();
+    Object.entries(loadFailures).forEach(([file, reason]) => {
+        health.providers[file] = { state: 'unavailable', last_error: reason };
+    });
+    if (Object.keys(loadFailures).length > 0) {
+        health.status = 'error';
+    }
+    
     const statusCode = health.status === 'ok' ? 200 : 500;
     res.status(statusCode).json(health);
 });
@@ -264,6 +304,13 @@ module.exports = {
   redisLogger
 };
 
+// MOCK_PROVIDERS without MOCK_PROVIDER_URL runs the mock provider server in this process
+let mockProviderServer = null;
+if (mockedProviders.length > 0 && !process.env.MOCK_PROVIDER_URL) {
+    mockProviderServer = require('./src/mock/mockProviderServer')
+        .startMockProviderServer(process.env.MOCK_PROVIDER_PORT || DEFAULT_MOCK_PORT);
+}
+
 // CRITICAL: Create server this way to handle shutdown
 const server = app.listen(PORT, () => {
     systemLogger.info(`Server started on port ${PORT}`);
@@ -292,6 +339,48 @@ function gracefulShutdown() {
             logger.error('Error closing payment status queue', { error: err.message });
         }
         
+        // The reconciliation queue is loaded by the admin routes
+        try {
+            await require('./src/services/payments/reconciliation/reconciliationQueue').reconciliationQueue.close();
+            paymentLogger.info('Reconciliation queue closed');
+        } catch (err) {
+            logger.error('Error closing reconciliation queue', { error: err.message });
+        }
+        
+        // The expiry queue is loaded by the payment services
+        try {
+            await require('./src/services/payments/expiry/expiryQueue').close();
+            paymentLogger.info('Payment expiry queue closed');
+        } catch (err) {
+            logger.error('Error closing payment expiry queue', { error: err.message });
+        }
+        
+        try {
+            await require('./src/services/payments/refunds/refundStatusQueue').refundStatusQueue.close();
+            paymentLogger.info('Refund status queue closed');
+        } catch (err) {
+            logger.error('Error closing refund status queue', { error: err.message });
+        }
+        
+        // The payment link queue is loaded by the order service
+        try {
+            await require('./src/services/payments/links/paymentLinkQueue').paymentLinkQueue.close();
+            paymentLogger.info('Payment link queue closed');
+        } catch (err) {
+            logger.error('Error closing payment link queue', { error: err.message });
+        }
+        
+        // The Blink token cache only connects once a Blink token is needed
+        try {
+            await require('./src/services/payments/clients/blinkAuth').close();
+        } catch (err) {
+            logger.error('Error closing Blink token cache', { error: err.message });
+        }
+        
+        if (mockProviderServer) {
+            mockProviderServer.close();
+        }
+        
         process.exit(0);
     });
     
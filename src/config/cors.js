@@ -7,13 +7,15 @@
  * IMPORTANT CONFIGURATION:
  * - origin: Change this URL when deploying to different environments
  * - methods: HTTP methods allowed
- * - allowedHeaders: Headers clients can send
+ * - allowedHeaders: Headers clients can send (Idempotency-Key for order retries)
+ * - exposedHeaders: Response headers the browser may read
  */
 
 const corsOptions = {
     origin: process.env.CORS_ORIGIN,
     methods: "GET,POST,OPTIONS",
-    allowedHeaders: "Content-Type",
+    allowedHeaders: "Content-Type,Idempotency-Key",
+    exposedHeaders: "Idempotent-Replayed",
     credentials: true
 };
 
@@ -0,0 +1,122 @@
+/**
+ * Mock Provider Configuration
+ * --------------------------
+ * Purpose: Points the payment providers at the local mock provider server
+ * Role: Called by server.js straight after dotenv, before any payment service reads
+ *       its environment, when MOCK_PROVIDERS is set
+ *
+ * Mocked providers have their API URLs replaced with the mock server's; credentials,
+ * redirect URLs and webhook secrets they are missing get placeholder values, so no
+ * sandbox account is needed. Providers that aren't mocked keep their settings.
+ *
+ * Environment Variables:
+ * - MOCK_PROVIDERS: 'true' for every provider, or a list of provider codes (e.g. STRIPE,BLINK);
+ *   unset or 'false' in production
+ * - MOCK_PROVIDER_URL: URL of a mock server started separately (npm run mock:providers);
+ *   without it the mock server runs inside this process
+ * - MOCK_PROVIDER_PORT: Port of the in-process mock server (default 4010)
+ */
+
+const MOCKABLE_PROVIDERS = ['STRIPE', 'ALIPAY', 'BLINK', 'BTCPAY', 'POLi'];
+
+// ⚠️ CONFIGURE: Port of the in-process mock server
+const DEFAULT_MOCK_PORT = 4010;
+
+/**
+ * Provider codes MOCK_PROVIDERS asks for
+ * @returns {Array} Provider codes (empty when mock mode is off)
+ */
+function mockedProviders() {
+    const setting = (process.env.MOCK_PROVIDERS || '').trim();
+    if (!setting || setting.toLowerCase() === 'false') {
+        return [];
+    }
+    if (setting.toLowerCase() === 'true') {
+        return MOCKABLE_PROVIDERS;
+    }
+
+    const codes = setting.split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+    const unknown = codes.filter(code => !MOCKABLE_PROVIDERS.some(known => known.toUpperCase() === code));
+    if (unknown.length > 0) {
+        throw new Error(`MOCK_PROVIDERS lists unknown providers: ${unknown.join(', ')}`);
+    }
+    return MOCKABLE_PROVIDERS.filter(known => codes.includes(known.toUpperCase()));
+}
+
+/**
+ * Base URL of the mock provider server
+ * @returns {string} URL without a trailing slash
+ */
+function mockProviderUrl() {
+    const url = process.env.MOCK_PROVIDER_URL
+        || `http://localhost:${process.env.MOCK_PROVIDER_PORT || DEFAULT_MOCK_PORT}`;
+    return url.replace(/\/$/, '');
+}
+
+/**
+ * Sets a variable only when the environment has no value for it
+ * @private
+ */
+function setDefault(name, value) {
+    if (!process.env[name]) {
+        process.env[name] = value;
+    }
+}
+
+/**
+ * Rewrites the environment of every mocked provider
+ * @returns {Array} Provider codes now served by the mock server
+ * @throws {Error} When MOCK_PROVIDERS is set in production
+ */
+function applyMockProviderEnv() {
+    const providers = mockedProviders();
+    if (providers.length === 0) {
+        return providers;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('MOCK_PROVIDERS cannot be used when NODE_ENV is production');
+    }
+
+    const url = mockProviderUrl();
+    const doneUrl = `${url}/checkout/done`;
+
+    if (providers.includes('STRIPE') || providers.includes('ALIPAY')) {
+        process.env.STRIPE_BASE_URL = `${url}/stripe`;
+        setDefault('STRIPE_SECRET_KEY', 'sk_test_mock');
+        setDefault('STRIPE_SUCCESS_URL', doneUrl);
+        setDefault('STRIPE_CANCEL_URL', doneUrl);
+        setDefault('STRIPE_WEBHOOK_SECRET', 'whsec_mock');
+    }
+    if (providers.includes('BLINK')) {
+        process.env.BLINK_API_BASE_URL = `${url}/blink/payments/v1`;
+        process.env.BLINK_AUTH_URL = `${url}/blink/oauth2/token`;
+        setDefault('BLINK_CLIENT_ID', 'mock-client');
+        setDefault('BLINK_CLIENT_SECRET', 'mock-secret');
+        setDefault('BLINK_REDIRECT_URL', doneUrl);
+        setDefault('BLINK_PAYMENT_EXPIRY_MINUTES', '30');
+    }
+    if (providers.includes('BTCPAY')) {
+        process.env.BTCPAY_API_URL = `${url}/btcpay`;
+        setDefault('BTCPAY_API_KEY', 'mock-api-key');
+        setDefault('BTCPAY_STORE_ID', 'mock-store');
+        setDefault('BTCPAY_REDIRECT_URL', doneUrl);
+        setDefault('BTCPAY_WEBHOOK_SECRET', 'mock-btcpay-secret');
+    }
+    if (providers.includes('POLi')) {
+        process.env.POLI_API_URL = `${url}/poli/api/POLiLink/Create`;
+        process.env.POLI_API_STATUS_URL = `${url}/poli/api/POLiLink/Status`;
+        process.env.POLI_API_TRANSACTIONS_URL = `${url}/poli/api/Transaction/GetDailyTransactions`;
+        setDefault('POLI_AUTH_CODE', Buffer.from('mock:mock').toString('base64'));
+    }
+
+    console.warn(`MOCK_PROVIDERS: ${providers.join(', ')} use the mock provider server at ${url}`);
+    return providers;
+}
+
+module.exports = {
+    DEFAULT_MOCK_PORT,
+    mockedProviders,
+    mockProviderUrl,
+    applyMockProviderEnv
+};
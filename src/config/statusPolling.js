@@ -0,0 +1,107 @@
+/**
+ * Status Polling Configuration
+ * ---------------------------
+ * Purpose: Defines how often each provider's payments are polled for their status
+ * Role: The payment status queue checks a payment, then schedules the next check
+ *       from this policy until the payment reaches a terminal status or the policy runs out
+ *
+ * Policy fields:
+ * - intervals: Minutes to wait before each check; the first is counted from link
+ *   creation, and the last one repeats once the list is used up
+ * - maxAgeMinutes: No checks are scheduled later than this after link creation
+ * - maxAttempts: No more than this many scheduled checks per payment
+ *
+ * Environment Variables:
+ * - STATUS_POLL_POLICY: Optional JSON overriding the defaults; DEFAULT applies to every
+ *   provider and a provider code to that provider only,
+ *   e.g. {"DEFAULT":{"maxAttempts":20},"BTCPAY":{"maxAgeMinutes":2880}}
+ */
+
+// ⚠️ CONFIGURE: Backoff schedules per provider (minutes)
+const DEFAULT_POLICIES = {
+    // Anything without its own policy
+    DEFAULT: { intervals: [1, 2, 5, 10, 15, 30, 60], maxAgeMinutes: 24 * 60, maxAttempts: 40 },
+    // Checkout sessions expire after 30 minutes; webhooks cover slower payment methods
+    STRIPE: { intervals: [1, 2, 5, 10, 15, 30], maxAgeMinutes: 120, maxAttempts: 15 },
+    ALIPAY: { intervals: [1, 2, 5, 10, 15, 30], maxAgeMinutes: 120, maxAttempts: 15 },
+    // Quick payments expire after BLINK_PAYMENT_EXPIRY_MINUTES
+    BLINK: { intervals: [1, 2, 5, 10, 15, 30], maxAgeMinutes: 120, maxAttempts: 15 },
+    // Transactions finish within the POLi session
+    POLi: { intervals: [1, 2, 5, 10, 15, 30], maxAgeMinutes: 120, maxAttempts: 15 },
+    // Invoices stay processing until the transaction confirms on chain
+    BTCPAY: { intervals: [1, 2, 5, 10, 15, 30, 60], maxAgeMinutes: 24 * 60, maxAttempts: 40 }
+};
+
+/**
+ * Reads STATUS_POLL_POLICY; invalid JSON or fields are logged and ignored
+ * @returns {Object} Overrides keyed by provider code
+ */
+function loadOverrides() {
+    if (!process.env.STATUS_POLL_POLICY) {
+        return {};
+    }
+
+    try {
+        const overrides = JSON.parse(process.env.STATUS_POLL_POLICY);
+        Object.entries(overrides).forEach(([code, policy]) => {
+            const intervals = policy.intervals;
+            if (intervals !== undefined &&
+                (!Array.isArray(intervals) || intervals.length === 0 || !intervals.every(minutes => minutes > 0))) {
+                console.error(`STATUS_POLL_POLICY: ignoring invalid intervals for ${code}`);
+                delete policy.intervals;
+            }
+        });
+        return overrides;
+    } catch (error) {
+        console.error('STATUS_POLL_POLICY is not valid JSON, using the default polling policy:', error.message);
+        return {};
+    }
+}
+
+const overrides = loadOverrides();
+
+/**
+ * Polling policy for a provider
+ * @param {string} provider - Provider code
+ * @returns {Object} { intervals, maxAgeMinutes, maxAttempts }
+ */
+function getPollingPolicy(provider) {
+    return {
+        ...DEFAULT_POLICIES.DEFAULT,
+        ...DEFAULT_POLICIES[provider],
+        ...overrides.DEFAULT,
+        ...overrides[provider]
+    };
+}
+
+/**
+ * Works out when check number `attempt` is due
+ * Check n runs at the sum of the first n intervals after startedAt (the last interval
+ * repeats), so a late or retried job doesn't push back the rest of the schedule
+ * @param {Object} policy - { intervals, maxAgeMinutes, maxAttempts }
+ * @param {number} attempt - Check number, starting at 1
+ * @param {number} startedAt - When polling started (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {number|null} Delay in ms, or null when the policy allows no such check
+ */
+function nextCheckDelay(policy, attempt, startedAt, now = Date.now()) {
+    if (attempt > policy.maxAttempts) {
+        return null;
+    }
+
+    let offsetMinutes = 0;
+    for (let i = 0; i < attempt; i++) {
+        offsetMinutes += policy.intervals[Math.min(i, policy.intervals.length - 1)];
+    }
+    if (offsetMinutes > policy.maxAgeMinutes) {
+        return null;
+    }
+
+    return Math.max(startedAt + offsetMinutes * 60 * 1000 - now, 0);
+}
+
+module.exports = {
+    DEFAULT_POLICIES,
+    getPollingPolicy,
+    nextCheckDelay
+};
@@ -0,0 +1,220 @@
+/**
+ * Mock Provider Server
+ * -------------------
+ * Purpose: Local stand-in for Stripe, Blink, BTCPay and POLi
+ * Role: Serves the provider endpoints our services call, a checkout page per
+ *       payment where the outcome is chosen by hand, and a control API to script
+ *       outcomes and outages, so the order -> payment -> status flow runs offline
+ *
+ * Started by server.js when MOCK_PROVIDERS is set (see src/config/mockProviders.js),
+ * or on its own with: npm run mock:providers
+ *
+ * Checkout (where payment links lead):
+ * GET /checkout/:mock/:id - Checkout page with a button per outcome
+ * POST /checkout/:mock/:id - Applies the chosen outcome and returns the customer
+ * GET /checkout/done - Landing page when a provider has no return URL
+ *
+ * Control API:
+ * GET /mock/payments - Payments created (?provider=)
+ * GET /mock/payments/:id - One payment
+ * POST /mock/payments/:id/outcome - Applies an outcome now ({ outcome, settleSeconds? })
+ * POST /mock/payments/:id/settle - Settles a delayed payment now
+ * GET /mock/scenarios - Scripted outcomes
+ * POST /mock/scenarios - Scripts the outcome of new payments
+ *   ({ outcome, provider?, reference?, delaySeconds?, settleSeconds? })
+ * DELETE /mock/scenarios - Removes every scenario
+ * POST /mock/outages - Makes a provider's API fail ({ provider, status?, count? })
+ * DELETE /mock/outages/:provider - Ends an outage
+ * POST /mock/reset - Forgets everything
+ *
+ * Environment Variables:
+ * - MOCK_PROVIDER_PORT: Port when started on its own (default 4010)
+ * - MOCK_OUTCOME, MOCK_OUTCOME_DELAY_SECONDS, MOCK_SETTLE_SECONDS: see mockStore
+ * - MOCK_WEBHOOK_BASE_URL: see webhookSender
+ */
+
+const express = require('express');
+const path = require('path');
+const mockStore = require('./mockStore');
+const { DEFAULT_MOCK_PORT } = require('../config/mockProviders');
+
+const MOCKS = {
+    stripe: require('./providers/stripeMock'),
+    blink: require('./providers/blinkMock'),
+    btcpay: require('./providers/btcpayMock'),
+    poli: require('./providers/poliMock')
+};
+
+/**
+ * Builds the mock provider app
+ * @returns {express.Application} App
+ */
+function createMockProviderApp() {
+    const app = express();
+
+    app.set('view engine', 'ejs');
+    app.set('views', path.join(__dirname, '../../views'));
+
+    // Links and redirects point back at whatever host the caller used
+    app.use((req, res, next) => {
+        req.mockBaseUrl = `${req.protocol}://${req.get('host')}`;
+        next();
+    });
+
+    for (const [mock, handler] of Object.entries(MOCKS)) {
+        mockStore.register(mock, handler);
+        app.use(`/${mock}`, handler.router());
+    }
+
+    app.get('/checkout/done', (req, res) => {
+        res.render('mock/done', { query: req.query });
+    });
+
+    app.get('/checkout/:mock/:id', (req, res) => {
+        const payment = findPayment(req.params.mock, req.params.id);
+        if (!payment) {
+            return res.status(404).render('mock/done', { query: { error: `Unknown payment ${req.params.id}` } });
+        }
+        res.render('mock/checkout', { payment });
+    });
+
+    app.post('/checkout/:mock/:id', express.urlencoded({ extended: false }), (req, res) => {
+        const payment = findPayment(req.params.mock, req.params.id);
+        if (!payment) {
+            return res.status(404).render('mock/done', { query: { error: `Unknown payment ${req.params.id}` } });
+        }
+
+        try {
+            mockStore.applyOutcome(payment, req.body.outcome);
+        } catch (error) {
+            return res.status(error.statusCode || 500).render('mock/done', { query: { error: error.message } });
+        }
+
+        const returnUrl = mockStore.returnUrl(payment, payment.outcome)
+            || `/checkout/done?provider=${encodeURIComponent(payment.provider)}&id=${encodeURIComponent(payment.id)}&outcome=${payment.outcome}`;
+        res.redirect(303, returnUrl);
+    });
+
+    app.use('/mock', express.json(), controlRoutes());
+
+    app.use((err, req, res, next) => {
+        console.error('Mock provider error:', err.message);
+        res.status(err.statusCode || 500).json({ error: err.message });
+    });
+
+    return app;
+}
+
+/**
+ * Control API routes
+ * @private
+ */
+function controlRoutes() {
+    const router = express.Router();
+
+    router.get('/payments', (req, res) => {
+        res.json(mockStore.list(req.query.provider || '').map(payment => mockStore.toJSON(payment)));
+    });
+
+    router.get('/payments/:id', (req, res) => {
+        const payment = mockStore.get(req.params.id);
+        if (!payment) {
+            return res.status(404).json({ error: `Unknown payment ${req.params.id}` });
+        }
+        res.json(mockStore.toJSON(payment));
+    });
+
+    router.post('/payments/:id/outcome', (req, res) => {
+        const payment = mockStore.get(req.params.id);
+        if (!payment) {
+            return res.status(404).json({ error: `Unknown payment ${req.params.id}` });
+        }
+
+        const timing = req.body.settleSeconds !== undefined ? { settleSeconds: Number(req.body.settleSeconds) } : {};
+        if (!mockStore.applyOutcome(payment, req.body.outcome, timing)) {
+            return res.status(409).json({ error: `Payment is already ${payment.outcome}` });
+        }
+        res.json(mockStore.toJSON(payment));
+    });
+
+    router.post('/payments/:id/settle', (req, res) => {
+        const payment = mockStore.get(req.params.id);
+        if (!payment) {
+            return res.status(404).json({ error: `Unknown payment ${req.params.id}` });
+        }
+        if (payment.outcome !== 'delayed') {
+            return res.status(409).json({ error: 'Only delayed payments settle' });
+        }
+        mockStore.settle(payment);
+        res.json(mockStore.toJSON(payment));
+    });
+
+    router.get('/scenarios', (req, res) => {
+        res.json(mockStore.scenarios);
+    });
+
+    router.post('/scenarios', (req, res) => {
+        res.status(201).json(mockStore.addScenario(req.body));
+    });
+
+    router.delete('/scenarios', (req, res) => {
+        mockStore.scenarios = [];
+        res.status(204).end();
+    });
+
+    router.post('/outages', (req, res) => {
+        if (!req.body.provider) {
+            return res.status(400).json({ error: 'provider is required' });
+        }
+        mockStore.setOutage(req.body.provider, req.body);
+        res.status(201).json({ provider: req.body.provider, ...mockStore.outages.get(req.body.provider) });
+    });
+
+    router.delete('/outages/:provider', (req, res) => {
+        mockStore.outages.delete(req.params.provider);
+        res.status(204).end();
+    });
+
+    router.post('/reset', (req, res) => {
+        mockStore.reset();
+        MOCKS.blink.tokens.clear();
+        MOCKS.btcpay.webhooks = [];
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+/**
+ * Payment of one mock, so /checkout/stripe/<blink id> doesn't match
+ * @private
+ */
+function findPayment(mock, id) {
+    const payment = mockStore.get(id);
+    return payment && payment.mock === mock ? payment : null;
+}
+
+/**
+ * Starts the mock provider server
+ * @param {number} port - Port to listen on
+ * @returns {http.Server} Server
+ */
+function startMockProviderServer(port = DEFAULT_MOCK_PORT) {
+    const server = createMockProviderApp().listen(port, () => {
+        console.log(`Mock provider server listening on port ${port}`);
+    });
+    server.on('error', error => {
+        console.error(`Mock provider server failed to start on port ${port}:`, error.message);
+    });
+    return server;
+}
+
+module.exports = {
+    createMockProviderApp,
+    startMockProviderServer
+};
+
+if (require.main === module) {
+    require('dotenv').config();
+    startMockProviderServer(process.env.MOCK_PROVIDER_PORT || DEFAULT_MOCK_PORT);
+}
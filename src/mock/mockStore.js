@@ -0,0 +1,272 @@
+/**
+ * Mock Provider Store
+ * ------------------
+ * Purpose: In-memory state of the mock provider server
+ * Role: Holds every payment the mock providers created and decides what happens to it:
+ *       scripted outcomes (scenarios, the checkout page or the control API), delayed
+ *       settlement and simulated provider outages
+ *
+ * Outcomes:
+ * - paid: The customer pays and the payment settles
+ * - delayed: The payment is authorised/processing and settles as paid settleSeconds later
+ * - failed: The payment is rejected
+ * - expired: The link times out unpaid
+ *
+ * Each mock provider registers a handler that turns an outcome into its own raw
+ * statuses and sends the webhooks the real provider would.
+ *
+ * Environment Variables:
+ * - MOCK_OUTCOME: Outcome every new payment gets unless a scenario says otherwise
+ *   (default: none - payments wait for the checkout page or the control API)
+ * - MOCK_OUTCOME_DELAY_SECONDS: Wait before a scripted outcome is applied (default 5)
+ * - MOCK_SETTLE_SECONDS: How long a delayed payment takes to settle (default 30)
+ */
+
+const crypto = require('crypto');
+
+const OUTCOMES = ['paid', 'delayed', 'failed', 'expired'];
+
+// ⚠️ CONFIGURE: Default outcome timing
+const DEFAULT_DELAY_SECONDS = parseInt(process.env.MOCK_OUTCOME_DELAY_SECONDS, 10) >= 0
+    ? parseInt(process.env.MOCK_OUTCOME_DELAY_SECONDS, 10)
+    : 5;
+const DEFAULT_SETTLE_SECONDS = parseInt(process.env.MOCK_SETTLE_SECONDS, 10) || 30;
+
+class MockStore {
+    constructor() {
+        // Handlers by mock name ('stripe', 'blink', 'btcpay', 'poli')
+        this.handlers = new Map();
+        this.reset();
+    }
+
+    /**
+     * Registers the handler of a mock provider
+     * @param {string} mock - Mock name used in checkout URLs
+     * @param {Object} handler - { applyOutcome(payment, outcome), settle(payment), returnUrl(payment, outcome) }
+     */
+    register(mock, handler) {
+        this.handlers.set(mock, handler);
+    }
+
+    /**
+     * Forgets every payment, scenario, outage and idempotent response
+     */
+    reset() {
+        if (this.payments) {
+            this.payments.forEach(payment => payment.timers.forEach(timer => clearTimeout(timer)));
+        }
+        this.payments = new Map();
+        this.scenarios = [];
+        this.outages = new Map();
+        this.idempotent = new Map();
+    }
+
+    /**
+     * Random ID with a prefix, e.g. cs_test_mock_1f3a...
+     * @param {string} prefix - ID prefix
+     * @param {number} bytes - Random bytes
+     * @returns {string} ID
+     */
+    newId(prefix = '', bytes = 12) {
+        return `${prefix}${crypto.randomBytes(bytes).toString('hex')}`;
+    }
+
+    /**
+     * Stores a new payment and applies the outcome a scenario (or MOCK_OUTCOME) scripts for it
+     * @param {Object} payment - { id, mock, provider, reference, amount, currency, data }
+     *   data is the provider-shaped object the mock API returns
+     * @returns {Object} The stored payment
+     */
+    create(payment) {
+        const stored = {
+            ...payment,
+            outcome: null,
+            settled: false,
+            created_at: new Date(),
+            timers: []
+        };
+        this.payments.set(stored.id, stored);
+
+        const scenario = this.scenarioFor(stored);
+        if (scenario) {
+            console.log(`Mock ${stored.provider} payment ${stored.id} (${stored.reference}): ${scenario.outcome} in ${scenario.delaySeconds}s`);
+            this.scheduleOutcome(stored, scenario.outcome, scenario);
+        }
+        return stored;
+    }
+
+    /**
+     * @param {string} id - Payment ID
+     * @returns {Object|null} Payment
+     */
+    get(id) {
+        return this.payments.get(id) || null;
+    }
+
+    /**
+     * Payments of one provider (or all), newest first
+     * @param {string} provider - Provider code, or '' for all
+     * @returns {Array} Payments
+     */
+    list(provider = '') {
+        return [...this.payments.values()]
+            .filter(payment => !provider || payment.provider === provider)
+            .sort((a, b) => b.created_at - a.created_at);
+    }
+
+    /**
+     * Applies an outcome after a delay
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - One of OUTCOMES
+     * @param {Object} timing - { delaySeconds, settleSeconds }
+     */
+    scheduleOutcome(payment, outcome, { delaySeconds = DEFAULT_DELAY_SECONDS, settleSeconds = DEFAULT_SETTLE_SECONDS } = {}) {
+        this.assertOutcome(outcome);
+        const timer = setTimeout(() => {
+            this.applyOutcome(payment, outcome, { settleSeconds });
+        }, delaySeconds * 1000);
+        timer.unref();
+        payment.timers.push(timer);
+    }
+
+    /**
+     * Applies an outcome now; a delayed payment settles settleSeconds later
+     * Payments that already have an outcome are left alone, so a scripted outcome
+     * doesn't overwrite one chosen on the checkout page
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - One of OUTCOMES
+     * @param {Object} timing - { settleSeconds }
+     * @returns {boolean} Whether the outcome was applied
+     */
+    applyOutcome(payment, outcome, { settleSeconds = DEFAULT_SETTLE_SECONDS } = {}) {
+        this.assertOutcome(outcome);
+        if (payment.outcome) {
+            console.log(`Mock ${payment.provider} payment ${payment.id} already ${payment.outcome}, ignoring ${outcome}`);
+            return false;
+        }
+
+        payment.outcome = outcome;
+        this.handlers.get(payment.mock).applyOutcome(payment, outcome);
+        console.log(`Mock ${payment.provider} payment ${payment.id} (${payment.reference}): ${outcome}`);
+
+        if (outcome === 'delayed') {
+            const timer = setTimeout(() => this.settle(payment), settleSeconds * 1000);
+            timer.unref();
+            payment.timers.push(timer);
+        }
+        return true;
+    }
+
+    /**
+     * Settles a delayed payment as paid
+     * @param {Object} payment - Stored payment
+     */
+    settle(payment) {
+        if (payment.outcome !== 'delayed' || payment.settled) {
+            return;
+        }
+        payment.settled = true;
+        this.handlers.get(payment.mock).settle(payment);
+        console.log(`Mock ${payment.provider} payment ${payment.id} (${payment.reference}): settled`);
+    }
+
+    /**
+     * Where the checkout page sends the customer after choosing an outcome
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - Outcome chosen
+     * @returns {string|null} Return URL
+     */
+    returnUrl(payment, outcome) {
+        return this.handlers.get(payment.mock).returnUrl(payment, outcome);
+    }
+
+    /**
+     * Scripts the outcome of payments created from now on
+     * @param {Object} scenario - { provider?, reference?, outcome, delaySeconds?, settleSeconds? }
+     *   provider and reference (trade order) narrow which payments it applies to
+     * @returns {Object} Stored scenario
+     */
+    addScenario({ provider = null, reference = null, outcome, delaySeconds = DEFAULT_DELAY_SECONDS, settleSeconds = DEFAULT_SETTLE_SECONDS }) {
+        this.assertOutcome(outcome);
+        const scenario = {
+            id: this.newId('sc_', 4),
+            provider,
+            reference,
+            outcome,
+            delaySeconds: Number(delaySeconds),
+            settleSeconds: Number(settleSeconds)
+        };
+        this.scenarios.push(scenario);
+        return scenario;
+    }
+
+    /**
+     * First scenario matching a payment, falling back to MOCK_OUTCOME
+     * @private
+     */
+    scenarioFor(payment) {
+        const scenario = this.scenarios.find(candidate =>
+            (!candidate.provider || candidate.provider === payment.provider)
+            && (!candidate.reference || candidate.reference === payment.reference));
+        if (scenario) {
+            return scenario;
+        }
+
+        const outcome = process.env.MOCK_OUTCOME;
+        return OUTCOMES.includes(outcome)
+            ? { outcome, delaySeconds: DEFAULT_DELAY_SECONDS, settleSeconds: DEFAULT_SETTLE_SECONDS }
+            : null;
+    }
+
+    /**
+     * Makes a provider's API answer with an error status
+     * @param {string} provider - Provider code
+     * @param {Object} outage - { status, count } - count: requests to fail (default: until cleared)
+     */
+    setOutage(provider, { status = 503, count = null } = {}) {
+        this.outages.set(provider, { status: Number(status), remaining: count === null ? null : Number(count) });
+    }
+
+    /**
+     * Error status the next request to a provider should get, if it is having an outage
+     * @param {string} provider - Provider code
+     * @returns {number|null} HTTP status
+     */
+    takeOutage(provider) {
+        const outage = this.outages.get(provider);
+        if (!outage) {
+            return null;
+        }
+        if (outage.remaining !== null) {
+            outage.remaining -= 1;
+            if (outage.remaining <= 0) {
+                this.outages.delete(provider);
+            }
+        }
+        return outage.status;
+    }
+
+    /**
+     * Plain view of a payment for the control API
+     * @param {Object} payment - Stored payment
+     * @returns {Object} Payment without timers
+     */
+    toJSON(payment) {
+        const { timers, ...view } = payment;
+        return view;
+    }
+
+    /**
+     * @private
+     */
+    assertOutcome(outcome) {
+        if (!OUTCOMES.includes(outcome)) {
+            const error = new Error(`Unknown outcome ${outcome}; use one of ${OUTCOMES.join(', ')}`);
+            error.statusCode = 400;
+            throw error;
+        }
+    }
+}
+
+module.exports = new MockStore();
+module.exports.OUTCOMES = OUTCOMES;
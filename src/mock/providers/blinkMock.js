@@ -0,0 +1,259 @@
+/**
+ * Blink Mock
+ * ---------
+ * Purpose: Stand-in for the Blink Debit API
+ * Role: OAuth2 client-credentials tokens and quick payments - creation, status,
+ *       revocation and refunds. Blink sends no webhooks; the middleware polls.
+ *
+ * Endpoints (mounted at /blink):
+ * POST /oauth2/token - Issues an access token
+ * POST /payments/v1/quick-payments - Creates a quick payment (idempotency-key replays the first response)
+ * GET /payments/v1/quick-payments/:id - Quick payment with its consent and payment statuses
+ * DELETE /payments/v1/quick-payments/:id - Revokes a quick payment
+ * POST /payments/v1/refunds - Refunds a settled quick payment (idempotency-key replays the first response)
+ * GET /payments/v1/refunds/:id - Refund status (refunds complete at once)
+ */
+
+const express = require('express');
+const mockStore = require('../mockStore');
+
+// Consent statuses a quick payment can still be revoked from
+const REVOCABLE_STATUSES = ['AwaitingAuthorisation', 'Authorised'];
+
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+class BlinkMock {
+    constructor() {
+        // access token -> expiry (ms)
+        this.tokens = new Map();
+    }
+
+    /**
+     * @returns {express.Router} Blink API routes
+     */
+    router() {
+        const router = express.Router();
+        router.use(express.json());
+
+        router.use((req, res, next) => {
+            const outage = mockStore.takeOutage('BLINK');
+            if (outage) {
+                return res.status(outage).json({ message: `Mock outage (HTTP ${outage})` });
+            }
+            next();
+        });
+
+        router.post('/oauth2/token', (req, res) => {
+            if (!req.body.client_id || !req.body.client_secret || req.body.grant_type !== 'client_credentials') {
+                return res.status(401).json({ error: 'access_denied', error_description: 'Unauthorized' });
+            }
+
+            const token = mockStore.newId('mock_blink_', 24);
+            this.tokens.set(token, Date.now() + TOKEN_LIFETIME_SECONDS * 1000);
+            res.json({
+                access_token: token,
+                token_type: 'Bearer',
+                expires_in: TOKEN_LIFETIME_SECONDS,
+                scope: 'create:single_consent view:single_consent revoke:single_consent create:refund'
+            });
+        });
+
+        router.use('/payments/v1', (req, res, next) => {
+            const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+            if (!this.tokens.has(token) || this.tokens.get(token) < Date.now()) {
+                return res.status(401).json({ message: 'Unauthorized' });
+            }
+            next();
+        });
+
+        router.post('/payments/v1/quick-payments', (req, res) => {
+            const detail = req.body.flow?.detail;
+            if (!detail?.redirect_uri || !req.body.amount?.total) {
+                return res.status(422).json({ message: 'flow.detail.redirect_uri and amount.total are required' });
+            }
+
+            const key = req.get('idempotency-key');
+            if (key && mockStore.idempotent.has(`blink:${key}`)) {
+                return res.status(201).json(mockStore.idempotent.get(`blink:${key}`));
+            }
+
+            const id = mockStore.newId('', 16).replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+            const created = new Date();
+            const quickPayment = {
+                quick_payment_id: id,
+                consent: {
+                    status: 'AwaitingAuthorisation',
+                    creation_timestamp: created.toISOString(),
+                    status_updated_timestamp: created.toISOString(),
+                    expiry_timestamp: new Date(created.getTime() + 60 * 60 * 1000).toISOString(),
+                    detail: {
+                        type: 'single',
+                        flow: req.body.flow,
+                        pcr: req.body.pcr,
+                        amount: req.body.amount
+                    },
+                    payments: []
+                }
+            };
+
+            mockStore.create({
+                id,
+                mock: 'blink',
+                provider: 'BLINK',
+                reference: req.body.pcr?.particulars || null,
+                amount: req.body.amount.total,
+                currency: req.body.amount.currency || 'NZD',
+                data: quickPayment
+            });
+            const response = { quick_payment_id: id, redirect_uri: `${req.mockBaseUrl}/checkout/blink/${id}` };
+            if (key) {
+                mockStore.idempotent.set(`blink:${key}`, response);
+            }
+            res.status(201).json(response);
+        });
+
+        router.get('/payments/v1/quick-payments/:id', (req, res) => {
+            const payment = this.find(req.params.id);
+            if (!payment) {
+                return res.status(404).json({ message: `Quick payment ${req.params.id} not found` });
+            }
+            res.json(payment.data);
+        });
+
+        router.delete('/payments/v1/quick-payments/:id', (req, res) => {
+            const payment = this.find(req.params.id);
+            if (!payment) {
+                return res.status(404).json({ message: `Quick payment ${req.params.id} not found` });
+            }
+            if (!REVOCABLE_STATUSES.includes(payment.data.consent.status)) {
+                return res.status(410).json({ message: `Quick payment is ${payment.data.consent.status}` });
+            }
+
+            payment.outcome = 'revoked';
+            this.setConsent(payment, 'Revoked');
+            res.status(204).end();
+        });
+
+        router.post('/payments/v1/refunds', (req, res) => {
+            const key = req.get('idempotency-key');
+            if (key && mockStore.idempotent.has(`blink:${key}`)) {
+                return res.status(201).json(mockStore.idempotent.get(`blink:${key}`));
+            }
+
+            const payment = this.find(req.body.consent_id);
+            const settled = payment?.data.consent.payments[0]?.status === 'AcceptedSettlementCompleted';
+            if (!settled) {
+                return res.status(422).json({ message: `Quick payment ${req.body.consent_id} has no settled payment to refund` });
+            }
+
+            const refund = {
+                refund_id: mockStore.newId('', 16),
+                status: 'Completed',
+                creation_timestamp: new Date().toISOString(),
+                status_updated_timestamp: new Date().toISOString(),
+                detail: req.body
+            };
+            payment.refunds = [...(payment.refunds || []), refund];
+            const response = { refund_id: refund.refund_id };
+            if (key) {
+                mockStore.idempotent.set(`blink:${key}`, response);
+            }
+            res.status(201).json(response);
+        });
+
+        router.get('/payments/v1/refunds/:id', (req, res) => {
+            const refund = mockStore.list('BLINK')
+                .flatMap(payment => payment.refunds || [])
+                .find(candidate => candidate.refund_id === req.params.id);
+            if (!refund) {
+                return res.status(404).json({ message: `Refund ${req.params.id} not found` });
+            }
+            res.json(refund);
+        });
+
+        return router;
+    }
+
+    /**
+     * Moves a quick payment to the consent and payment statuses Blink reports for an outcome
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - paid, delayed, failed or expired
+     */
+    applyOutcome(payment, outcome) {
+        switch (outcome) {
+            case 'paid':
+                this.setConsent(payment, 'Consumed', 'AcceptedSettlementCompleted');
+                break;
+            case 'delayed':
+                this.setConsent(payment, 'Consumed', 'AcceptedSettlementInProcess');
+                break;
+            case 'failed':
+                this.setConsent(payment, 'Rejected');
+                break;
+            case 'expired':
+                this.setConsent(payment, 'GatewayTimeout');
+                break;
+        }
+    }
+
+    /**
+     * Settles a delayed quick payment
+     * @param {Object} payment - Stored payment
+     */
+    settle(payment) {
+        this.setConsent(payment, 'Consumed', 'AcceptedSettlementCompleted');
+    }
+
+    /**
+     * The redirect_uri with the quick payment ID (cid), and error for a customer who didn't pay
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - Outcome chosen
+     * @returns {string|null} Return URL
+     */
+    returnUrl(payment, outcome) {
+        const redirect = payment.data.consent.detail.flow?.detail?.redirect_uri;
+        if (!redirect) {
+            return null;
+        }
+        const separator = redirect.includes('?') ? '&' : '?';
+        const error = ['paid', 'delayed'].includes(outcome) ? '' : `&error=${outcome}`;
+        return `${redirect}${separator}cid=${payment.id}${error}`;
+    }
+
+    /**
+     * @private
+     */
+    setConsent(payment, consentStatus, paymentStatus = null) {
+        const consent = payment.data.consent;
+        const now = new Date().toISOString();
+        consent.status = consentStatus;
+        consent.status_updated_timestamp = now;
+
+        if (paymentStatus) {
+            const existing = consent.payments[0];
+            if (existing) {
+                existing.status = paymentStatus;
+                existing.status_updated_timestamp = now;
+            } else {
+                consent.payments.push({
+                    payment_id: mockStore.newId('', 16),
+                    type: 'single',
+                    status: paymentStatus,
+                    creation_timestamp: now,
+                    status_updated_timestamp: now,
+                    amount: consent.detail.amount
+                });
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    find(id) {
+        const payment = mockStore.get(id);
+        return payment && payment.mock === 'blink' ? payment : null;
+    }
+}
+
+module.exports = new BlinkMock();
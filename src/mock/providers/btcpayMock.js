@@ -0,0 +1,284 @@
+/**
+ * BTCPay Mock
+ * ----------
+ * Purpose: Stand-in for the BTCPay Server Greenfield API
+ * Role: Store invoices - creation, retrieval, listing, manual status changes and
+ *       refunds - store webhook registration, and the Invoice* webhooks
+ *
+ * Endpoints (mounted at /btcpay):
+ * POST /api/v1/stores/:storeId/invoices - Creates an invoice
+ * GET /api/v1/stores/:storeId/invoices - Lists invoices (startDate, endDate, skip, take)
+ * GET /api/v1/stores/:storeId/invoices/:id - Retrieves an invoice
+ * POST /api/v1/stores/:storeId/invoices/:id/status - Marks an invoice Invalid or Settled
+ * POST /api/v1/stores/:storeId/invoices/:id/refund - Creates a refund pull payment
+ * GET /api/v1/pull-payments/:id - Retrieves a refund pull payment
+ * GET /api/v1/pull-payments/:id/payouts - Payouts of a pull payment (none are ever claimed)
+ * GET /api/v1/stores/:storeId/webhooks - Lists store webhooks
+ * POST /api/v1/stores/:storeId/webhooks - Registers a store webhook
+ */
+
+const express = require('express');
+const mockStore = require('../mockStore');
+const webhookSender = require('../webhookSender');
+
+// Invoices expire 15 minutes after creation, BTCPay's default
+const INVOICE_EXPIRY_SECONDS = 15 * 60;
+
+class BTCPayMock {
+    constructor() {
+        // Store webhooks registered through the API
+        this.webhooks = [];
+    }
+
+    /**
+     * @returns {express.Router} BTCPay API routes
+     */
+    router() {
+        const router = express.Router();
+        router.use(express.json());
+
+        router.use((req, res, next) => {
+            if (!/^token \S+/.test(req.get('Authorization') || '')) {
+                return res.status(401).json({ code: 'unauthenticated', message: 'Authentication is required for accessing this endpoint' });
+            }
+            const outage = mockStore.takeOutage('BTCPAY');
+            if (outage) {
+                return res.status(outage).json({ code: 'mock-outage', message: `Mock outage (HTTP ${outage})` });
+            }
+            next();
+        });
+
+        router.post('/api/v1/stores/:storeId/invoices', (req, res) => {
+            if (req.body.amount === undefined || isNaN(parseFloat(req.body.amount))) {
+                return res.status(422).json([{ path: 'amount', message: 'Amount is required' }]);
+            }
+
+            const id = mockStore.newId('', 11);
+            const now = Math.floor(Date.now() / 1000);
+            const invoice = {
+                id,
+                storeId: req.params.storeId,
+                amount: parseFloat(req.body.amount).toFixed(2),
+                currency: req.body.currency || 'NZD',
+                type: 'Standard',
+                checkoutLink: `${req.mockBaseUrl}/checkout/btcpay/${id}`,
+                status: 'New',
+                additionalStatus: 'None',
+                createdTime: now,
+                expirationTime: now + INVOICE_EXPIRY_SECONDS,
+                monitoringExpiration: now + INVOICE_EXPIRY_SECONDS + 60 * 60,
+                archived: false,
+                metadata: req.body.metadata || {},
+                checkout: req.body.checkout || {}
+            };
+
+            mockStore.create({
+                id,
+                mock: 'btcpay',
+                provider: 'BTCPAY',
+                reference: invoice.metadata.orderId || null,
+                amount: invoice.amount,
+                currency: invoice.currency,
+                data: invoice
+            });
+            this.notify('InvoiceCreated', invoice);
+            res.json(invoice);
+        });
+
+        router.get('/api/v1/stores/:storeId/invoices', (req, res) => {
+            const startDate = req.query.startDate ? Number(req.query.startDate) : null;
+            const endDate = req.query.endDate ? Number(req.query.endDate) : null;
+            const skip = parseInt(req.query.skip, 10) || 0;
+            const take = parseInt(req.query.take, 10) || 50;
+
+            // startDate and endDate are both inclusive
+            const invoices = mockStore.list('BTCPAY')
+                .map(payment => payment.data)
+                .filter(invoice => invoice.storeId === req.params.storeId
+                    && (startDate === null || invoice.createdTime >= startDate)
+                    && (endDate === null || invoice.createdTime <= endDate));
+            res.json(invoices.slice(skip, skip + take));
+        });
+
+        router.get('/api/v1/stores/:storeId/invoices/:id', (req, res) => {
+            const payment = this.find(req.params.id);
+            if (!payment) {
+                return this.missing(res);
+            }
+            res.json(payment.data);
+        });
+
+        router.post('/api/v1/stores/:storeId/invoices/:id/status', (req, res) => {
+            const payment = this.find(req.params.id);
+            if (!payment) {
+                return this.missing(res);
+            }
+            if (!['Invalid', 'Settled'].includes(req.body.status)) {
+                return res.status(422).json([{ path: 'status', message: 'Status can only be Invalid or Settled' }]);
+            }
+            if (['Settled', 'Invalid'].includes(payment.data.status)) {
+                return res.status(400).json({ code: 'invoice-state-change-error', message: `Invoice is already ${payment.data.status}` });
+            }
+
+            payment.outcome = req.body.status === 'Settled' ? 'paid' : 'failed';
+            payment.data.status = req.body.status;
+            payment.data.additionalStatus = 'Marked';
+            this.notify(`Invoice${req.body.status}`, payment.data, { manuallyMarked: true });
+            res.json(payment.data);
+        });
+
+        router.post('/api/v1/stores/:storeId/invoices/:id/refund', (req, res) => {
+            const payment = this.find(req.params.id);
+            if (!payment) {
+                return this.missing(res);
+            }
+            if (payment.data.status !== 'Settled') {
+                return res.status(422).json({ code: 'non-refundable', message: 'Cannot refund this invoice' });
+            }
+
+            const id = mockStore.newId('', 11);
+            const pullPayment = {
+                id,
+                name: `Refund ${payment.id}`,
+                description: req.body.description || '',
+                amount: req.body.customAmount ? String(req.body.customAmount) : payment.data.amount,
+                currency: req.body.customCurrency || payment.data.currency,
+                archived: false,
+                viewLink: `${req.mockBaseUrl}/btcpay/pull-payments/${id}`
+            };
+            payment.refunds = [...(payment.refunds || []), pullPayment];
+            res.json(pullPayment);
+        });
+
+        router.get('/api/v1/pull-payments/:id', (req, res) => {
+            const pullPayment = this.findPullPayment(req.params.id);
+            if (!pullPayment) {
+                return res.status(404).json({ code: 'pullpayment-not-found', message: 'The pull payment was not found' });
+            }
+            res.json(pullPayment);
+        });
+
+        router.get('/api/v1/pull-payments/:id/payouts', (req, res) => {
+            if (!this.findPullPayment(req.params.id)) {
+                return res.status(404).json({ code: 'pullpayment-not-found', message: 'The pull payment was not found' });
+            }
+            res.json([]);
+        });
+
+        router.get('/api/v1/stores/:storeId/webhooks', (req, res) => {
+            res.json(this.webhooks
+                .filter(webhook => webhook.storeId === req.params.storeId)
+                .map(({ secret, ...webhook }) => webhook));
+        });
+
+        router.post('/api/v1/stores/:storeId/webhooks', (req, res) => {
+            if (!req.body.url) {
+                return res.status(422).json([{ path: 'url', message: 'url is required' }]);
+            }
+
+            const webhook = {
+                id: mockStore.newId('', 11),
+                storeId: req.params.storeId,
+                url: req.body.url,
+                enabled: req.body.enabled !== false,
+                automaticRedelivery: Boolean(req.body.automaticRedelivery),
+                authorizedEvents: req.body.authorizedEvents || { everything: true },
+                secret: req.body.secret || mockStore.newId('', 16)
+            };
+            this.webhooks.push(webhook);
+            res.json(webhook);
+        });
+
+        return router;
+    }
+
+    /**
+     * Moves an invoice to the statuses BTCPay reports for an outcome
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - paid, delayed, failed or expired
+     */
+    applyOutcome(payment, outcome) {
+        const invoice = payment.data;
+        switch (outcome) {
+            case 'paid':
+                this.notify('InvoiceReceivedPayment', invoice, { afterExpiration: false });
+                invoice.status = 'Settled';
+                this.notify('InvoiceSettled', invoice, { manuallyMarked: false, overPaid: false });
+                break;
+            case 'delayed':
+                // Paid on chain, waiting for confirmations
+                this.notify('InvoiceReceivedPayment', invoice, { afterExpiration: false });
+                invoice.status = 'Processing';
+                this.notify('InvoiceProcessing', invoice, { overPaid: false });
+                break;
+            case 'failed':
+                invoice.status = 'Invalid';
+                this.notify('InvoiceInvalid', invoice, { manuallyMarked: false });
+                break;
+            case 'expired':
+                invoice.status = 'Expired';
+                this.notify('InvoiceExpired', invoice, { partiallyPaid: false });
+                break;
+        }
+    }
+
+    /**
+     * Confirms a delayed invoice
+     * @param {Object} payment - Stored payment
+     */
+    settle(payment) {
+        payment.data.status = 'Settled';
+        this.notify('InvoiceSettled', payment.data, { manuallyMarked: false, overPaid: false });
+    }
+
+    /**
+     * The checkout redirectURL with the invoice ID filled in
+     * @param {Object} payment - Stored payment
+     * @returns {string|null} Return URL
+     */
+    returnUrl(payment) {
+        const redirect = payment.data.checkout.redirectURL;
+        return redirect ? redirect.replace('{InvoiceId}', payment.id) : null;
+    }
+
+    /**
+     * Sends an event to the store's webhooks (or the default webhook URL)
+     * @private
+     */
+    notify(type, invoice, details = {}) {
+        const webhooks = this.webhooks.filter(webhook => webhook.storeId === invoice.storeId
+            && webhook.enabled
+            && (webhook.authorizedEvents.everything || (webhook.authorizedEvents.specificEvents || []).includes(type)));
+        // Unregistered stores only hear about the events the middleware handles
+        if (webhooks.length === 0 && type === 'InvoiceCreated') {
+            return;
+        }
+        webhookSender.sendBtcpay(type, { ...invoice }, webhooks, details);
+    }
+
+    /**
+     * @private
+     */
+    find(id) {
+        const payment = mockStore.get(id);
+        return payment && payment.mock === 'btcpay' ? payment : null;
+    }
+
+    /**
+     * @private
+     */
+    findPullPayment(id) {
+        return mockStore.list('BTCPAY')
+            .flatMap(payment => payment.refunds || [])
+            .find(pullPayment => pullPayment.id === id) || null;
+    }
+
+    /**
+     * @private
+     */
+    missing(res) {
+        return res.status(404).json({ code: 'invoice-not-found', message: 'The invoice was not found' });
+    }
+}
+
+module.exports = new BTCPayMock();
@@ -0,0 +1,153 @@
+/**
+ * POLi Mock
+ * --------
+ * Purpose: Stand-in for the POLi Link and Transaction APIs
+ * Role: POLi Links - creation, navigation and status - and the daily transaction
+ *       list used by reconciliation. POLi sends no webhooks; the middleware polls.
+ *
+ * Endpoints (mounted at /poli):
+ * POST /api/POLiLink/Create - Creates a link; returns its URL as a quoted string
+ * GET /api/POLiLink/Navigate/:token - Where the link URL leads (the mock checkout page)
+ * GET /api/POLiLink/Status/:token - Link status as a quoted string
+ * GET /api/Transaction/GetDailyTransactions - Transactions established on an NZ date (date=YYYY-MM-DD)
+ */
+
+const express = require('express');
+const mockStore = require('../mockStore');
+
+// Transaction status POLi records for each link status
+const TRANSACTION_STATUS = {
+    Completed: 'Completed',
+    ReceiptUnverified: 'ReceiptUnverified',
+    Failed: 'Failed',
+    Expired: 'TimedOut'
+};
+
+class PoliMock {
+    /**
+     * @returns {express.Router} POLi API routes
+     */
+    router() {
+        const router = express.Router();
+        router.use(express.json());
+
+        // Navigate is opened by the customer's browser, which has no credentials
+        router.get('/api/POLiLink/Navigate/:token', (req, res) => {
+            res.redirect(`${req.mockBaseUrl}/checkout/poli/${encodeURIComponent(req.params.token)}`);
+        });
+
+        router.use((req, res, next) => {
+            if (!/^Basic \S+/.test(req.get('Authorization') || '')) {
+                return res.status(401).json({ ErrorCode: 1001, Message: 'Authorization has been denied for this request.' });
+            }
+            const outage = mockStore.takeOutage('POLi');
+            if (outage) {
+                return res.status(outage).json({ ErrorCode: 9999, Message: `Mock outage (HTTP ${outage})` });
+            }
+            next();
+        });
+
+        router.post('/api/POLiLink/Create', (req, res) => {
+            if (!req.body.Amount || !req.body.MerchantReference) {
+                return res.status(400).json({ ErrorCode: 14050, Message: 'Amount and MerchantReference are required' });
+            }
+
+            const token = mockStore.newId('', 4);
+            mockStore.create({
+                id: token,
+                mock: 'poli',
+                provider: 'POLi',
+                reference: req.body.MerchantReference,
+                amount: parseFloat(req.body.Amount).toFixed(2),
+                currency: 'NZD',
+                data: {
+                    status: 'Activated',
+                    link: req.body,
+                    transaction: null
+                }
+            });
+            res.json(`${req.mockBaseUrl}/poli/api/POLiLink/Navigate/${token}`);
+        });
+
+        router.get('/api/POLiLink/Status/:token', (req, res) => {
+            const payment = this.find(req.params.token);
+            if (!payment) {
+                return res.status(404).json({ ErrorCode: 14053, Message: 'POLi Link not found' });
+            }
+            res.json(payment.data.status);
+        });
+
+        router.get('/api/Transaction/GetDailyTransactions', (req, res) => {
+            const nzDate = date => date.toLocaleDateString('en-CA', { timeZone: 'Pacific/Auckland' });
+            const statusCodes = req.query.statuscodes ? String(req.query.statuscodes).split(',') : null;
+
+            const transactions = mockStore.list('POLi')
+                .map(payment => payment.data.transaction)
+                .filter(transaction => transaction
+                    && (!req.query.date || nzDate(new Date(transaction.EstablishedDateTime)) === req.query.date)
+                    && (!statusCodes || statusCodes.includes(transaction.TransactionStatusCode)));
+            res.json(transactions);
+        });
+
+        return router;
+    }
+
+    /**
+     * Moves a link to the status POLi reports for an outcome
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - paid, delayed, failed or expired
+     */
+    applyOutcome(payment, outcome) {
+        const status = {
+            paid: 'Completed',
+            delayed: 'ReceiptUnverified',
+            failed: 'Failed',
+            expired: 'Expired'
+        }[outcome];
+        this.setStatus(payment, status);
+    }
+
+    /**
+     * Verifies the receipt of a delayed payment
+     * @param {Object} payment - Stored payment
+     */
+    settle(payment) {
+        this.setStatus(payment, 'Completed');
+    }
+
+    /**
+     * POLi Links return the customer to the merchant's homepage, which the mock doesn't know
+     * @returns {null}
+     */
+    returnUrl() {
+        return null;
+    }
+
+    /**
+     * Sets the link status and the transaction the customer started
+     * @private
+     */
+    setStatus(payment, status) {
+        payment.data.status = status;
+        if (!payment.data.transaction) {
+            payment.data.transaction = {
+                TransactionRefNo: mockStore.newId('', 6).toUpperCase(),
+                MerchantReference: payment.reference,
+                PaymentAmount: Number(payment.amount),
+                CurrencyCode: payment.currency,
+                EstablishedDateTime: new Date().toISOString()
+            };
+        }
+        payment.data.transaction.TransactionStatusCode = TRANSACTION_STATUS[status];
+    }
+
+    /**
+     * @private
+     */
+    find(token) {
+        const payment = mockStore.get(token);
+        return payment && payment.mock === 'poli' ? payment : null;
+    }
+}
+
+module.exports = new PoliMock();
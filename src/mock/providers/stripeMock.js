@@ -0,0 +1,276 @@
+/**
+ * Stripe Mock
+ * ----------
+ * Purpose: Stand-in for the Stripe API calls made through stripeClient
+ * Role: Card (STRIPE) and ALIPAY Checkout Sessions - creation, retrieval, listing,
+ *       expiry and refunds - plus the checkout.session.* webhooks
+ *
+ * Endpoints (mounted at /stripe):
+ * POST /v1/checkout/sessions - Creates a session (Idempotency-Key replays the first response)
+ * GET /v1/checkout/sessions - Lists sessions (created[gte], created[lt], limit, starting_after)
+ * GET /v1/checkout/sessions/:id - Retrieves a session
+ * POST /v1/checkout/sessions/:id/expire - Expires an open session
+ * POST /v1/refunds - Refunds a paid session's PaymentIntent (Idempotency-Key replays the first response)
+ * GET /v1/refunds/:id - Retrieves a refund
+ */
+
+const express = require('express');
+const mockStore = require('../mockStore');
+const webhookSender = require('../webhookSender');
+
+class StripeMock {
+    /**
+     * @returns {express.Router} Stripe API routes
+     */
+    router() {
+        const router = express.Router();
+        router.use(express.urlencoded({ extended: true }));
+
+        router.use((req, res, next) => {
+            if (!/^Bearer sk_/.test(req.get('Authorization') || '')) {
+                return this.error(res, 401, 'invalid_request_error', 'Invalid API Key provided');
+            }
+            const outage = mockStore.takeOutage('STRIPE');
+            if (outage) {
+                return this.error(res, outage, 'api_error', `Mock outage (HTTP ${outage})`);
+            }
+            next();
+        });
+
+        router.post('/v1/checkout/sessions', (req, res) => {
+            const key = req.get('Idempotency-Key');
+            if (key && mockStore.idempotent.has(`stripe:${key}`)) {
+                return res.json(mockStore.idempotent.get(`stripe:${key}`));
+            }
+
+            const session = this.createSession(req.body, req.mockBaseUrl);
+            if (key) {
+                mockStore.idempotent.set(`stripe:${key}`, session);
+            }
+            res.json(session);
+        });
+
+        router.get('/v1/checkout/sessions', (req, res) => {
+            const created = req.query.created || {};
+            const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+            let sessions = mockStore.list()
+                .filter(payment => payment.mock === 'stripe')
+                .map(payment => payment.data)
+                .filter(session => (!created.gte || session.created >= Number(created.gte))
+                    && (!created.lt || session.created < Number(created.lt)));
+
+            if (req.query.starting_after) {
+                const index = sessions.findIndex(session => session.id === req.query.starting_after);
+                sessions = index >= 0 ? sessions.slice(index + 1) : [];
+            }
+
+            res.json({
+                object: 'list',
+                url: '/v1/checkout/sessions',
+                data: sessions.slice(0, limit),
+                has_more: sessions.length > limit
+            });
+        });
+
+        router.get('/v1/checkout/sessions/:id', (req, res) => {
+            const payment = this.find(req.params.id);
+            if (!payment) {
+                return this.missing(res, req.params.id);
+            }
+            res.json(payment.data);
+        });
+
+        router.post('/v1/checkout/sessions/:id/expire', (req, res) => {
+            const payment = this.find(req.params.id);
+            if (!payment) {
+                return this.missing(res, req.params.id);
+            }
+            if (payment.data.status !== 'open') {
+                return this.error(res, 400, 'invalid_request_error',
+                    `Only Checkout Sessions with a status in ["open"] can be expired. This Checkout Session has a status of "${payment.data.status}".`);
+            }
+
+            payment.outcome = 'expired';
+            this.applyOutcome(payment, 'expired');
+            res.json(payment.data);
+        });
+
+        router.post('/v1/refunds', (req, res) => {
+            const key = req.get('Idempotency-Key');
+            if (key && mockStore.idempotent.has(`stripe:${key}`)) {
+                return res.json(mockStore.idempotent.get(`stripe:${key}`));
+            }
+
+            const payment = mockStore.list()
+                .find(candidate => candidate.mock === 'stripe' && candidate.data.payment_intent === req.body.payment_intent);
+            if (!payment || payment.data.payment_status !== 'paid') {
+                return this.error(res, 400, 'invalid_request_error',
+                    `No paid charge for PaymentIntent ${req.body.payment_intent}`, 'charge_not_refundable');
+            }
+
+            const amount = req.body.amount ? parseInt(req.body.amount, 10) : payment.data.amount_total;
+            const refunded = payment.refunded || 0;
+            if (refunded + amount > payment.data.amount_total) {
+                return this.error(res, 400, 'invalid_request_error',
+                    'Refund amount is greater than the unrefunded amount', 'amount_too_large');
+            }
+            payment.refunded = refunded + amount;
+
+            const refund = {
+                id: mockStore.newId('re_mock_'),
+                object: 'refund',
+                amount,
+                currency: payment.data.currency,
+                payment_intent: payment.data.payment_intent,
+                metadata: req.body.metadata || {},
+                status: 'succeeded',
+                created: Math.floor(Date.now() / 1000)
+            };
+            payment.refunds = [...(payment.refunds || []), refund];
+            if (key) {
+                mockStore.idempotent.set(`stripe:${key}`, refund);
+            }
+            res.json(refund);
+        });
+
+        router.get('/v1/refunds/:id', (req, res) => {
+            const refund = mockStore.list()
+                .flatMap(payment => payment.mock === 'stripe' ? payment.refunds || [] : [])
+                .find(candidate => candidate.id === req.params.id);
+            if (!refund) {
+                return this.error(res, 404, 'invalid_request_error', `No such refund: '${req.params.id}'`, 'resource_missing');
+            }
+            res.json(refund);
+        });
+
+        return router;
+    }
+
+    /**
+     * Stores a new Checkout Session built from the request params
+     * @private
+     */
+    createSession(params, baseUrl) {
+        const lineItems = Object.values(params.line_items || {});
+        const amountTotal = lineItems.reduce((sum, item) =>
+            sum + (parseInt(item.price_data?.unit_amount, 10) || 0) * (parseInt(item.quantity, 10) || 1), 0);
+        const methods = Object.values(params.payment_method_types || { 0: 'card' });
+        const id = mockStore.newId('cs_test_mock_');
+        const now = Math.floor(Date.now() / 1000);
+
+        const session = {
+            id,
+            object: 'checkout.session',
+            mode: params.mode || 'payment',
+            url: `${baseUrl}/checkout/stripe/${id}`,
+            status: 'open',
+            payment_status: 'unpaid',
+            payment_intent: null,
+            amount_total: amountTotal,
+            currency: params.currency || 'nzd',
+            payment_method_types: methods,
+            client_reference_id: params.client_reference_id || null,
+            customer_email: params.customer_email || null,
+            metadata: params.metadata || {},
+            success_url: params.success_url,
+            cancel_url: params.cancel_url,
+            created: now,
+            expires_at: parseInt(params.expires_at, 10) || now + 24 * 60 * 60,
+            livemode: false
+        };
+
+        mockStore.create({
+            id,
+            mock: 'stripe',
+            provider: methods.includes('alipay') ? 'ALIPAY' : 'STRIPE',
+            reference: session.client_reference_id,
+            amount: (amountTotal / 100).toFixed(2),
+            currency: session.currency.toUpperCase(),
+            data: session
+        });
+        return session;
+    }
+
+    /**
+     * Moves a session to the statuses Stripe reports for an outcome
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - paid, delayed, failed or expired
+     */
+    applyOutcome(payment, outcome) {
+        const session = payment.data;
+        switch (outcome) {
+            case 'paid':
+                Object.assign(session, { status: 'complete', payment_status: 'paid', payment_intent: mockStore.newId('pi_mock_') });
+                this.notify('checkout.session.completed', session);
+                break;
+            case 'delayed':
+                // Completed with a payment method that settles later
+                Object.assign(session, { status: 'complete', payment_status: 'unpaid', payment_intent: mockStore.newId('pi_mock_') });
+                this.notify('checkout.session.completed', session);
+                break;
+            case 'failed':
+                Object.assign(session, { status: 'complete', payment_status: 'unpaid', payment_intent: mockStore.newId('pi_mock_') });
+                this.notify('checkout.session.async_payment_failed', session);
+                break;
+            case 'expired':
+                Object.assign(session, { status: 'expired', payment_status: 'unpaid' });
+                this.notify('checkout.session.expired', session);
+                break;
+        }
+    }
+
+    /**
+     * Settles a delayed session
+     * @param {Object} payment - Stored payment
+     */
+    settle(payment) {
+        payment.data.payment_status = 'paid';
+        this.notify('checkout.session.async_payment_succeeded', payment.data);
+    }
+
+    /**
+     * success_url with the session ID filled in, or cancel_url for a customer who didn't pay
+     * @param {Object} payment - Stored payment
+     * @param {string} outcome - Outcome chosen
+     * @returns {string|null} Return URL
+     */
+    returnUrl(payment, outcome) {
+        const session = payment.data;
+        return ['paid', 'delayed'].includes(outcome)
+            ? (session.success_url || '').replace('{CHECKOUT_SESSION_ID}', session.id) || null
+            : session.cancel_url || null;
+    }
+
+    /**
+     * @private
+     */
+    notify(type, session) {
+        webhookSender.sendStripe(type, { ...session });
+    }
+
+    /**
+     * @private
+     */
+    find(id) {
+        const payment = mockStore.get(id);
+        return payment && payment.mock === 'stripe' ? payment : null;
+    }
+
+    /**
+     * @private
+     */
+    missing(res, id) {
+        return this.error(res, 404, 'invalid_request_error', `No such checkout.session: '${id}'`, 'resource_missing');
+    }
+
+    /**
+     * Stripe-shaped error body
+     * @private
+     */
+    error(res, status, type, message, code = null) {
+        res.set('Request-Id', mockStore.newId('req_mock_', 8));
+        return res.status(status).json({ error: { type, code, message } });
+    }
+}
+
+module.exports = new StripeMock();
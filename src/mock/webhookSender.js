@@ -0,0 +1,112 @@
+/**
+ * Mock Webhook Sender
+ * ------------------
+ * Purpose: Delivers the webhooks the mock providers emit to the middleware
+ * Role: Signs Stripe events (Stripe-Signature) and BTCPay events (BTCPay-Sig) the way the
+ *       real providers do, so they pass the middleware's webhook verification
+ *
+ * Environment Variables:
+ * - MOCK_WEBHOOK_BASE_URL: Base URL of the middleware receiving webhooks
+ *   (default http://localhost:PORT; 'false' turns webhooks off)
+ * - STRIPE_WEBHOOK_SECRET: Signs Stripe events
+ * - BTCPAY_WEBHOOK_SECRET: Signs BTCPay events sent to the default URL
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+class WebhookSender {
+    /**
+     * Base URL webhooks go to, or null when they are turned off
+     * @returns {string|null}
+     */
+    baseUrl() {
+        const setting = process.env.MOCK_WEBHOOK_BASE_URL;
+        if (setting === 'false') {
+            return null;
+        }
+        return (setting || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+    }
+
+    /**
+     * Sends a Stripe event to POST /webhooks/stripe
+     * @param {string} type - Event type, e.g. checkout.session.completed
+     * @param {Object} session - Checkout Session as the mock API returns it
+     */
+    async sendStripe(type, session) {
+        const base = this.baseUrl();
+        const secret = process.env.STRIPE_WEBHOOK_SECRET;
+        if (!base || !secret) {
+            return;
+        }
+
+        const body = JSON.stringify({
+            id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+            object: 'event',
+            type,
+            created: Math.floor(Date.now() / 1000),
+            livemode: false,
+            data: { object: session }
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+        await this.post(`${base}/webhooks/stripe`, body, { 'Stripe-Signature': `t=${timestamp},v1=${signature}` }, type);
+    }
+
+    /**
+     * Sends a BTCPay event to every registered store webhook, or POST /webhooks/btcpay when none is
+     * @param {string} type - Event type, e.g. InvoiceSettled
+     * @param {Object} invoice - Invoice as the mock API returns it
+     * @param {Array} webhooks - Webhooks registered through the mock Greenfield API ({ url, secret })
+     * @param {Object} details - Extra event fields (manuallyMarked, ...)
+     */
+    async sendBtcpay(type, invoice, webhooks, details = {}) {
+        const base = this.baseUrl();
+        if (!base) {
+            return;
+        }
+        const targets = webhooks.length > 0
+            ? webhooks
+            : [{ id: 'mock', url: `${base}/webhooks/btcpay`, secret: process.env.BTCPAY_WEBHOOK_SECRET }];
+
+        for (const target of targets) {
+            if (!target.secret) {
+                continue;
+            }
+            const deliveryId = crypto.randomBytes(11).toString('hex');
+            const body = JSON.stringify({
+                deliveryId,
+                webhookId: target.id,
+                originalDeliveryId: deliveryId,
+                isRedelivery: false,
+                type,
+                timestamp: Math.floor(Date.now() / 1000),
+                storeId: invoice.storeId,
+                invoiceId: invoice.id,
+                ...details
+            });
+            const signature = crypto.createHmac('sha256', target.secret).update(body).digest('hex');
+
+            await this.post(target.url, body, { 'BTCPay-Sig': `sha256=${signature}` }, type);
+        }
+    }
+
+    /**
+     * Posts a signed body; failures are logged only, like a provider that gives up
+     * @private
+     */
+    async post(url, body, headers, type) {
+        try {
+            await axios.post(url, body, {
+                headers: { 'Content-Type': 'application/json', ...headers },
+                timeout: 10000
+            });
+            console.log(`Mock webhook ${type} delivered to ${url}`);
+        } catch (error) {
+            console.error(`Mock webhook ${type} to ${url} failed:`, error.response?.status || error.message);
+        }
+    }
+}
+
+module.exports = new WebhookSender();
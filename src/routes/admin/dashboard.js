@@ -6,6 +6,18 @@ const basicAuth = require('express-basic-auth');
 const fs = require('fs');
 const path = require('path');
 const { Parser } = require('json2csv');
+const orderStatusService = require('../../services/orders/orderStatusService');
+const orderCancellationService = require('../../services/orders/orderCancellationService');
+const orderRefundService = require('../../services/orders/orderRefundService');
+const orderService = require('../../services/orders/orderService');
+const providerRegistry = require('../../services/payments/providers/providerRegistry');
+const feeRuleService = require('../../services/payments/fees/feeRuleService');
+const { FEE_METHODS } = require('../../services/payments/fees/feeCalculator');
+const reconciliationService = require('../../services/payments/reconciliation/reconciliationService');
+const { queueReconciliation } = require('../../services/payments/reconciliation/reconciliationQueue');
+const paymentLinkJobService = require('../../services/payments/links/paymentLinkJobService');
+const { retryPaymentLinkJob } = require('../../services/payments/links/paymentLinkQueue');
+const { CANONICAL_STATUSES, isCanonicalStatus } = require('../../services/payments/paystatus/canonicalStatus');
 
 // Authentication middleware
 const adminAuth = basicAuth({
@@ -28,11 +40,12 @@ router.get('/payments', adminAuth, async (req, res) => {
     const search = req.query.search || '';
     const searchTO = req.query.searchTO || '';
     const provider = req.query.provider || '';
+    const orderStatus = req.query.orderStatus || '';
     
-    // Get status filters from query params - both types of status
-    const statusPayFilter = Array.isArray(req.query.statusPayFilter) 
-      ? req.query.statusPayFilter 
-      : req.query.statusPayFilter ? [req.query.statusPayFilter] : [];
+    // Get status filters from query params - canonical payment status and URL status
+    const statusFilter = (Array.isArray(req.query.statusFilter) 
+      ? req.query.statusFilter 
+      : req.query.statusFilter ? [req.query.statusFilter] : []).filter(isCanonicalStatus);
       
     const statusUrlFilter = Array.isArray(req.query.statusUrlFilter) 
       ? req.query.statusUrlFilter 
@@ -45,7 +58,7 @@ router.get('/payments', adminAuth, async (req, res) => {
     
     // Build query with filters
     let query = `
-      SELECT p.*, o.trade_order, o.first_name_order, o.last_name_order, o.email_order, o.phone_order
+      SELECT p.*, o.trade_order, o.first_name_order, o.last_name_order, o.email_order, o.phone_order, o.status AS order_status
       FROM payments p
       LEFT JOIN orders o ON p.order_record_id = o.record_id
       WHERE 1=1
@@ -65,11 +78,12 @@ router.get('/payments', adminAuth, async (req, res) => {
       query += ` AND o.trade_order ILIKE $${params.length}`;
     }
     
-    // Apply status_pay filters if provided
-    if (statusPayFilter.length > 0) {
-      const statusPlaceholders = statusPayFilter.map((_, index) => `$${params.length + index + 1}`).join(',');
-      query += ` AND p.status_pay IN (${statusPlaceholders})`;
-      params.push(...statusPayFilter);
+    // Apply canonical payment status filters if provided (links never checked count as pending)
+    if (statusFilter.length > 0) {
+      const statusPlaceholders = statusFilter.map((_, index) => `$${params.length + index + 1}`).join(',');
+      const uncheckedClause = statusFilter.includes('pending') ? ' OR p.status_canonical IS NULL' : '';
+      query += ` AND (p.status_canonical IN (${statusPlaceholders})${uncheckedClause})`;
+      params.push(...statusFilter);
     }
     
     // Apply status_url filters if provided
@@ -84,6 +98,11 @@ router.get('/payments', adminAuth, async (req, res) => {
       query += ` AND p.provider = $${params.length}`;
     }
     
+    if (orderStatus) {
+      params.push(orderStatus);
+      query += ` AND o.status = $${params.length}`;
+    }
+    
     // Add expiry filter
     if (showExpired) {
       query += ` AND (p.expires_at < NOW() OR p.status_expiry = 'expired')`;
@@ -91,7 +110,7 @@ router.get('/payments', adminAuth, async (req, res) => {
     
     // Add unused filter (no status or pending status with no expiry)
     if (showUnused) {
-      query += ` AND (p.status_pay IS NULL OR (p.status_pay = 'pending' AND p.status_expiry IS NULL))`;
+      query += ` AND (p.status_canonical IS NULL OR (p.status_canonical = 'pending' AND p.status_expiry IS NULL))`;
     }
     
     // Add reviewed filter
@@ -106,7 +125,7 @@ router.get('/payments', adminAuth, async (req, res) => {
     params.push(limit, offset);
     
     // Count total for pagination
-    const countQuery = query.replace('SELECT p.*, o.trade_order, o.first_name_order, o.last_name_order, o.email_order, o.phone_order', 'SELECT COUNT(*)').split('ORDER BY')[0];
+    const countQuery = query.replace('SELECT p.*, o.trade_order, o.first_name_order, o.last_name_order, o.email_order, o.phone_order, o.status AS order_status', 'SELECT COUNT(*)').split('ORDER BY')[0];
     
     // Execute queries
     console.log('Executing queries...');
@@ -130,9 +149,13 @@ router.get('/payments', adminAuth, async (req, res) => {
       totalPayments,
       search,
       searchTO,
-      statusPayFilter,
+      statusFilter,
       statusUrlFilter,
+      canonicalStatuses: CANONICAL_STATUSES,
       provider,
+      orderStatus,
+      orderStatuses: orderStatusService.statuses,
+      providers: providerRegistry.all().map(({ code, name }) => ({ code, name })),
       showExpired,
       showUnused,
       reviewedFilter
@@ -164,6 +187,7 @@ router.get('/export-csv', adminAuth, async (req, res) => {
         p.created_at AS payment_date,
         p.provider,
         p.amount,
+        p.status_canonical,
         p.status_pay,
         p.status_url,
         p.reviewed,
@@ -173,11 +197,17 @@ router.get('/export-csv', adminAuth, async (req, res) => {
         p.payid,
         o.record_id AS order_id,
         o.trade_order,
+        o.status AS order_status,
         o.first_name_order,
         o.last_name_order,
         o.email_order,
         o.phone_order,
         o.product_name_full,
+        (
+          SELECT string_agg(oi.quantity || ' x ' || oi.product_name || ' @ $' || oi.unit_price, '; ' ORDER BY oi.line_number)
+          FROM order_items oi
+          WHERE oi.order_record_id = o.record_id
+        ) AS order_items,
         o.total_price,
         o.quantity,
         o.price_nzd,
@@ -210,17 +240,20 @@ router.get('/export-csv', adminAuth, async (req, res) => {
       { label: 'Payment Date', value: row => new Date(row.payment_date).toLocaleString() },
       { label: 'Provider', value: 'provider' },
       { label: 'Amount', value: 'amount' },
-      { label: 'Payment Status', value: 'status_pay' },
+      { label: 'Payment Status', value: row => row.status_canonical || 'pending' },
+      { label: 'Provider Status', value: 'status_pay' },
       { label: 'URL Status', value: 'status_url' },
       { label: 'Reviewed', value: 'reviewed' },
       { label: 'Expiry Status', value: 'status_expiry' },
       { label: 'Order ID', value: 'order_id' },
       { label: 'Order Number', value: 'trade_order' },
+      { label: 'Order Status', value: 'order_status' },
       { label: 'First Name', value: 'first_name_order' },
       { label: 'Last Name', value: 'last_name_order' },
       { label: 'Email', value: 'email_order' },
       { label: 'Phone', value: 'phone_order' },
       { label: 'Product', value: 'product_name_full' },
+      { label: 'Items', value: 'order_items' },
       { label: 'Quantity', value: 'quantity' },
       { label: 'Order Total', value: 'total_price' },
       { label: 'Address', value: 'address' },
@@ -277,15 +310,47 @@ router.get('/order/:orderId', adminAuth, async (req, res) => {
       return res.status(404).render('admin/error', { error: 'Order not found' });
     }
     
-    // Get payments for this order
-    const paymentResult = await pool.query(
-      `SELECT * FROM payments WHERE order_record_id = $1 ORDER BY created_at DESC`,
-      [orderResult.rows[0].record_id]
-    );
+    // Get payments, line items, status history, refunds, payment status checks and link jobs for this order
+    const [paymentResult, itemsResult, statusHistory, refunds, refundable, checksResult, linkJobs] = await Promise.all([
+      pool.query(
+        `SELECT * FROM payments WHERE order_record_id = $1 ORDER BY created_at DESC`,
+        [orderResult.rows[0].record_id]
+      ),
+      pool.query(
+        `SELECT * FROM order_items WHERE order_record_id = $1 ORDER BY line_number`,
+        [orderResult.rows[0].record_id]
+      ),
+      orderStatusService.getHistory(orderResult.rows[0].record_id),
+      orderRefundService.getRefunds(orderResult.rows[0].record_id),
+      orderRefundService.refundableAmount(orderResult.rows[0]),
+      pool.query(
+        `SELECT ps.payments_record_id, ps.date_time, ps.status, ps.canonical_status, ps.message, ps.attempt, ps.source
+         FROM pay_status ps
+         JOIN payments p ON p.record_id = ps.payments_record_id
+         WHERE p.order_record_id = $1
+         ORDER BY ps.date_time DESC, ps.record_id DESC`,
+        [orderResult.rows[0].record_id]
+      ),
+      paymentLinkJobService.getJobsForOrder(orderResult.rows[0].record_id)
+    ]);
+    
+    // Status checks (polls, webhooks, return pages) per payment
+    const statusChecks = {};
+    checksResult.rows.forEach(check => {
+      (statusChecks[check.payments_record_id] = statusChecks[check.payments_record_id] || []).push(check);
+    });
     
+    const order = orderResult.rows[0];
     res.render('admin/order-details', {
-      order: orderResult.rows[0],
-      payments: paymentResult.rows
+      order,
+      payments: paymentResult.rows,
+      items: itemsResult.rows,
+      statusHistory,
+      refunds,
+      refundable,
+      statusChecks,
+      linkJobs,
+      allowedTransitions: orderStatusService.transitions[order.status || 'awaiting_payment'] || []
     });
   } catch (error) {
     console.error('Error fetching order details:', error);
@@ -293,6 +358,386 @@ router.get('/order/:orderId', adminAuth, async (req, res) => {
   }
 });
 
+// API endpoint to change an order's lifecycle status (e.g. mark as fulfilled)
+router.post('/api/orders/:orderId/status', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.orderId, 10);
+    const { status, reason } = req.body || {};
+    
+    if (isNaN(orderId) || !status) {
+      return res.status(400).json({ success: false, error: 'Order ID and status are required' });
+    }
+    
+    console.log(`Admin changing order ${orderId} status to ${status}`);
+    
+    // Cancelling must also revoke the order's payment links
+    if (status === 'cancelled') {
+      const result = await orderCancellationService.cancelOrder(orderId, {
+        reason: reason || 'Cancelled by admin',
+        source: 'admin'
+      });
+      return res.json({ success: true, ...result, message: 'Order cancelled' });
+    }
+    
+    // Refund statuses follow real refunds, which go through the refund endpoint
+    if (orderStatusService.refundStatuses.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Use the refund action to refund an order' });
+    }
+    
+    // Moving an expired order back to awaiting payment needs fresh links
+    if (status === 'awaiting_payment') {
+      const result = await orderService.reissuePaymentLinks(orderId, {
+        reason: reason || 'Payment links re-issued by admin',
+        source: 'admin'
+      });
+      return res.json({ success: true, ...result, message: 'Payment links re-issued' });
+    }
+    
+    const changed = await orderStatusService.transition(orderId, status, {
+      reason: reason || 'Changed by admin',
+      source: 'admin'
+    });
+    
+    res.json({
+      success: true,
+      changed,
+      message: changed ? `Order marked as ${status}` : `Order already ${status}`
+    });
+  } catch (error) {
+    console.error('Error changing order status:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to cancel an order and revoke every outstanding payment link
+router.post('/api/orders/:orderId/cancel', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.orderId, 10);
+    const { reason } = req.body || {};
+    
+    if (isNaN(orderId)) {
+      return res.status(400).json({ success: false, error: 'Invalid order ID' });
+    }
+    
+    console.log(`Admin cancelling order ${orderId}`);
+    
+    const result = await orderCancellationService.cancelOrder(orderId, {
+      reason: reason || 'Cancelled by admin',
+      source: 'admin'
+    });
+    
+    res.json({
+      success: true,
+      ...result,
+      message: result.changed ? 'Order cancelled' : 'Order already cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to refund all or part of an order through its payment provider
+router.post('/api/orders/:orderId/refund', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.orderId, 10);
+    const { amount, reason } = req.body || {};
+    
+    if (isNaN(orderId)) {
+      return res.status(400).json({ success: false, error: 'Invalid order ID' });
+    }
+    
+    console.log(`Admin refunding ${amount || 'the remaining amount'} of order ${orderId}`);
+    
+    const result = await orderRefundService.refundOrder(orderId, {
+      amount,
+      reason: reason || 'Refunded by admin',
+      source: 'admin'
+    });
+    
+    res.json({
+      success: true,
+      ...result,
+      message: `Refund of $${result.refund.amount} ${result.refund.status}`
+    });
+  } catch (error) {
+    console.error('Error refunding order:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to re-issue payment links for the same trade order (old rows are kept as superseded)
+router.post('/api/orders/:orderId/reissue', adminAuth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.orderId, 10);
+    const { providers, reason } = req.body || {};
+    
+    if (isNaN(orderId)) {
+      return res.status(400).json({ success: false, error: 'Invalid order ID' });
+    }
+    if (providers !== undefined && !Array.isArray(providers)) {
+      return res.status(400).json({ success: false, error: 'providers must be a list' });
+    }
+    
+    console.log(`Admin re-issuing payment links for order ${orderId}`);
+    
+    const result = await orderService.reissuePaymentLinks(orderId, {
+      providers,
+      reason: reason || 'Payment links re-issued by admin',
+      source: 'admin'
+    });
+    
+    res.json({
+      success: true,
+      ...result,
+      message: `Re-issued ${Object.keys(result.payments).length} payment link(s)` + (
+        Object.values(result.links).includes('generating') ? ' - others are still being generated' : ''
+      )
+    });
+  } catch (error) {
+    console.error('Error re-issuing payment links:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.name === 'ValidationError'
+        ? error.fields.map(field => field.message).join(', ')
+        : error.message
+    });
+  }
+});
+
+// Processing fee rules page
+router.get('/fees', adminAuth, async (req, res) => {
+  try {
+    const rules = await feeRuleService.listRules();
+    
+    // Rule in force per provider, so the page can show which rows currently apply
+    const providers = providerRegistry.codes();
+    const activeRules = await Promise.all(providers.map(code => feeRuleService.getActiveRule(code)));
+    const activeRuleIds = activeRules.filter(Boolean).map(rule => rule.record_id);
+    
+    res.render('admin/fees', {
+      rules,
+      providers,
+      activeRuleIds,
+      feeMethods: FEE_METHODS
+    });
+  } catch (error) {
+    console.error('Error fetching fee rules:', error);
+    res.status(500).render('admin/error', { error: 'Failed to load fee rules: ' + error.message });
+  }
+});
+
+// API endpoint to add a fee rule
+router.post('/api/fee-rules', adminAuth, async (req, res) => {
+  try {
+    const data = req.body || {};
+    if (!providerRegistry.find(data.provider)) {
+      return res.status(400).json({ success: false, error: `Unknown provider: ${data.provider}` });
+    }
+    
+    const rule = await feeRuleService.createRule(data);
+    
+    res.json({
+      success: true,
+      rule,
+      message: `Fee rule ${rule.record_id} added for ${rule.provider}`
+    });
+  } catch (error) {
+    console.error('Error creating fee rule:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// API endpoint to edit or deactivate a fee rule (send { active: false } to deactivate)
+router.post('/api/fee-rules/:ruleId', adminAuth, async (req, res) => {
+  try {
+    const ruleId = parseInt(req.params.ruleId, 10);
+    const data = req.body || {};
+    
+    if (isNaN(ruleId)) {
+      return res.status(400).json({ success: false, error: 'Invalid fee rule ID' });
+    }
+    if (data.provider !== undefined && !providerRegistry.find(data.provider)) {
+      return res.status(400).json({ success: false, error: `Unknown provider: ${data.provider}` });
+    }
+    
+    const rule = await feeRuleService.updateRule(ruleId, data);
+    
+    res.json({
+      success: true,
+      rule,
+      message: `Fee rule ${rule.record_id} updated`
+    });
+  } catch (error) {
+    console.error('Error updating fee rule:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Reconciliation runs and the discrepancies of one run (the latest by default)
+router.get('/reconciliation', adminAuth, async (req, res) => {
+  try {
+    const type = req.query.type || '';
+    const provider = req.query.provider || '';
+    const runs = await reconciliationService.listRuns();
+    
+    const runId = parseInt(req.query.run, 10);
+    const selectedRun = isNaN(runId)
+      ? runs[0] || null
+      : await reconciliationService.getRun(runId);
+    const discrepancies = selectedRun
+      ? await reconciliationService.getDiscrepancies(selectedRun.record_id, { type, provider })
+      : [];
+    
+    res.render('admin/reconciliation', {
+      runs,
+      selectedRun,
+      discrepancies,
+      type,
+      provider,
+      discrepancyTypes: reconciliationService.discrepancyTypes,
+      providers: providerRegistry.codes()
+    });
+  } catch (error) {
+    console.error('Error fetching reconciliation runs:', error);
+    res.status(500).render('admin/error', { error: 'Failed to load reconciliation: ' + error.message });
+  }
+});
+
+// Discrepancy report of a run as CSV (same type/provider filters as the page)
+router.get('/reconciliation/:runId/csv', adminAuth, async (req, res) => {
+  try {
+    const runId = parseInt(req.params.runId, 10);
+    const run = isNaN(runId) ? null : await reconciliationService.getRun(runId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Reconciliation run not found' });
+    }
+    
+    const discrepancies = await reconciliationService.getDiscrepancies(runId, {
+      type: req.query.type || '',
+      provider: req.query.provider || ''
+    });
+    
+    const fields = [
+      { label: 'Run ID', value: 'run_record_id' },
+      { label: 'Provider', value: 'provider' },
+      { label: 'Type', value: 'type' },
+      { label: 'Order Number', value: 'trade_order' },
+      { label: 'Payment ID', value: 'payments_record_id' },
+      { label: 'Payid', value: 'payid' },
+      { label: 'Provider Reference', value: 'provider_reference' },
+      { label: 'Local Amount', value: 'local_amount' },
+      { label: 'Local Fee', value: 'local_fee' },
+      { label: 'Provider Amount', value: 'provider_amount' },
+      { label: 'Local Status', value: 'local_status' },
+      { label: 'Provider Status', value: 'provider_status' },
+      { label: 'Message', value: 'message' }
+    ];
+    
+    const json2csv = new Parser({ fields });
+    const csv = json2csv.parse(discrepancies);
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=reconciliation_run_${runId}.csv`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting reconciliation CSV:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to export data: ' + error.message 
+    });
+  }
+});
+
+// API endpoint to queue a reconciliation run for a date range (whole days, end date included)
+router.post('/api/reconciliation/run', adminAuth, async (req, res) => {
+  try {
+    const { startDate, endDate } = req.body || {};
+    const from = new Date(startDate);
+    const to = new Date(endDate);
+    
+    if (!startDate || !endDate || isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ success: false, error: 'Start date and end date are required' });
+    }
+    to.setDate(to.getDate() + 1);
+    if (to <= from) {
+      return res.status(400).json({ success: false, error: 'End date must not be before start date' });
+    }
+    
+    console.log(`Admin queued reconciliation for ${startDate} to ${endDate}`);
+    const job = await queueReconciliation(from, to, 'admin');
+    
+    res.json({
+      success: true,
+      job_id: job.id,
+      message: 'Reconciliation queued - refresh the page in a minute to see the run'
+    });
+  } catch (error) {
+    console.error('Error queueing reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Payment link jobs (failed ones by default - links that ran out of attempts)
+router.get('/payment-link-jobs', adminAuth, async (req, res) => {
+  try {
+    const status = req.query.status !== undefined ? req.query.status : 'failed';
+    const jobs = await paymentLinkJobService.listJobs({ status });
+    
+    res.render('admin/payment-link-jobs', {
+      jobs,
+      status,
+      statuses: paymentLinkJobService.statuses
+    });
+  } catch (error) {
+    console.error('Error fetching payment link jobs:', error);
+    res.status(500).render('admin/error', { error: 'Failed to load payment link jobs: ' + error.message });
+  }
+});
+
+// API endpoint to queue a failed payment link job again
+router.post('/api/payment-link-jobs/:jobId/retry', adminAuth, async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId, 10);
+    if (isNaN(jobId)) {
+      return res.status(400).json({ success: false, error: 'Invalid job ID' });
+    }
+    
+    console.log(`Admin retrying payment link job ${jobId}`);
+    const job = await retryPaymentLinkJob(jobId);
+    
+    res.json({
+      success: true,
+      job,
+      message: `${job.provider} payment link queued again`
+    });
+  } catch (error) {
+    console.error('Error retrying payment link job:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // API endpoint to mark payment as reviewed
 router.post('/api/mark-reviewed/:paymentId', adminAuth, async (req, res) => {
   try {
@@ -328,7 +773,7 @@ router.get('/payments/data', adminAuth, async (req, res) => {
     // If we're requesting a single payment by ID
     if (singlePaymentId) {
       const result = await pool.query(
-        `SELECT p.*, o.trade_order, o.first_name_order, o.last_name_order, o.email_order, o.phone_order
+        `SELECT p.*, o.trade_order, o.first_name_order, o.last_name_order, o.email_order, o.phone_order, o.status AS order_status
          FROM payments p
          LEFT JOIN orders o ON p.order_record_id = o.record_id
          WHERE p.record_id = $1`,
@@ -346,11 +791,12 @@ router.get('/payments/data', adminAuth, async (req, res) => {
     const search = req.query.search || '';
     const searchTO = req.query.searchTO || '';
     const provider = req.query.provider || '';
+    const orderStatus = req.query.orderStatus || '';
     
-    // Get status filters from query params - both types of status
-    const statusPayFilter = Array.isArray(req.query.statusPayFilter) 
-      ? req.query.statusPayFilter 
-      : req.query.statusPayFilter ? [req.query.statusPayFilter] : [];
+    // Get status filters from query params - canonical payment status and URL status
+    const statusFilter = (Array.isArray(req.query.statusFilter) 
+      ? req.query.statusFilter 
+      : req.query.statusFilter ? [req.query.statusFilter] : []).filter(isCanonicalStatus);
       
     const statusUrlFilter = Array.isArray(req.query.statusUrlFilter) 
       ? req.query.statusUrlFilter 
@@ -363,7 +809,7 @@ router.get('/payments/data', adminAuth, async (req, res) => {
     
     // Query for the latest payments matching filters
     let query = `
-      SELECT p.*, o.trade_order, o.first_name_order, o.last_name_order, o.email_order, o.phone_order
+      SELECT p.*, o.trade_order, o.first_name_order, o.last_name_order, o.email_order, o.phone_order, o.status AS order_status
       FROM payments p
       LEFT JOIN orders o ON p.order_record_id = o.record_id
       WHERE 1=1
@@ -383,11 +829,12 @@ router.get('/payments/data', adminAuth, async (req, res) => {
       query += ` AND o.trade_order ILIKE $${params.length}`;
     }
     
-    // Apply status_pay filters if provided
-    if (statusPayFilter.length > 0) {
-      const statusPlaceholders = statusPayFilter.map((_, index) => `$${params.length + index + 1}`).join(',');
-      query += ` AND p.status_pay IN (${statusPlaceholders})`;
-      params.push(...statusPayFilter);
+    // Apply canonical payment status filters if provided (links never checked count as pending)
+    if (statusFilter.length > 0) {
+      const statusPlaceholders = statusFilter.map((_, index) => `$${params.length + index + 1}`).join(',');
+      const uncheckedClause = statusFilter.includes('pending') ? ' OR p.status_canonical IS NULL' : '';
+      query += ` AND (p.status_canonical IN (${statusPlaceholders})${uncheckedClause})`;
+      params.push(...statusFilter);
     }
     
     // Apply status_url filters if provided
@@ -402,6 +849,11 @@ router.get('/payments/data', adminAuth, async (req, res) => {
       query += ` AND p.provider = $${params.length}`;
     }
     
+    if (orderStatus) {
+      params.push(orderStatus);
+      query += ` AND o.status = $${params.length}`;
+    }
+    
     // Add expiry filter
     if (showExpired) {
       query += ` AND (p.expires_at < NOW() OR p.status_expiry = 'expired')`;
@@ -409,7 +861,7 @@ router.get('/payments/data', adminAuth, async (req, res) => {
     
     // Add unused filter
     if (showUnused) {
-      query += ` AND (p.status_pay IS NULL OR (p.status_pay = 'pending' AND p.status_expiry IS NULL))`;
+      query += ` AND (p.status_canonical IS NULL OR (p.status_canonical = 'pending' AND p.status_expiry IS NULL))`;
     }
     
     // Add reviewed filter
@@ -6,29 +6,143 @@
  * 
  * Current Endpoints:
  * POST /create - Creates a new order
+ *   Accepts an optional Idempotency-Key header; replays return the original
+ *   { token, trade_order, order_creation_time } instead of a new order
+ *   Accepts an optional providers array (e.g. ["STRIPE"]) to limit which payment links are generated
+ *   Links are generated in the background; GET /api/payment-status/:token reports their progress
+ *   Requires a signed quote from POST /quotes unless QUOTES_REQUIRED=false
+ * POST /quotes - Issues a signed, short-lived price quote for [{ sku, quantity }]
+ * POST /orders/:token/payment-links - Creates a link for one more provider ({ provider }) on an existing order
+ * POST /orders/:token/reissue - Generates fresh payment links for the same trade order once the old
+ *   ones have expired (409 while one can still be paid; { providers } optional, defaults to the providers used before);
+ *   waits briefly for the new links and reports each provider's state in links
  * 
  * Dependencies:
  * - OrderService for business logic
+ * - QuoteService for server-side pricing
+ * - IdempotencyService for duplicate submission protection
  * - Express Router for routing
  * 
  * Error Handling:
- * - 400 for validation errors
+ * - 404 when the order token is unknown
+ * - 400 for validation errors, with a fields array of { field, code, message }
+ * - 409 while a request with the same Idempotency-Key is still running,
+ *   when the order can no longer take payment links (paid, cancelled or fulfilled),
+ *   or on a re-issue while an earlier link can still be paid
+ * - 422 when an Idempotency-Key is reused with a different payload
  * - 500 for server errors
  */
 
 const express = require('express');
 const router = express.Router();
+const rateLimit = require('express-rate-limit');
 const OrderService = require('../../services/orders/orderService');
+const IdempotencyService = require('../../services/orders/idempotencyService');
+const QuoteService = require('../../services/orders/quoteService');
+
+// Rate limiting for quotes: 30 per minute
+const quoteLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 30,
+    message: { error: 'Too many requests, please try again later' }
+});
+
+// Rate limiting for follow-up link requests: 20 per minute
+const paymentLinkLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 20,
+    message: { error: 'Too many requests, please try again later' }
+});
 
 router.post("/create", async (req, res) => {
     try {
-        const result = await OrderService.createOrder(req.body);
-        res.json(result);
+        const keyInfo = IdempotencyService.resolveKey(req.get('Idempotency-Key'), req.body);
+        const { response, replayed } = await IdempotencyService.execute(
+            keyInfo,
+            () => OrderService.createOrder(req.body)
+        );
+
+        if (replayed) {
+            console.log(`Replaying stored response for order ${response.trade_order}`);
+            res.set('Idempotent-Replayed', 'true');
+        }
+        res.json(response);
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            console.warn("Order validation failed:", JSON.stringify(error.fields));
+            return res.status(400).json({ error: error.message, fields: error.fields });
+        }
+
         console.error("Order creation error:", error);
-        res.status(error.message.includes("required") ? 400 : 500)
+        const statusCode = error.statusCode || (error.message.includes("required") ? 400 : 500);
+        res.status(statusCode)
            .json({ error: error.message || "Failed to create order" });
     }
 });
 
+router.post("/quotes", quoteLimiter, async (req, res) => {
+    try {
+        const quote = await QuoteService.createQuote(req.body);
+        res.json(quote);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message, fields: error.fields });
+        }
+
+        console.error("Quote creation error:", error);
+        res.status(500).json({ error: "Failed to create quote" });
+    }
+});
+
+router.post("/orders/:token/payment-links", paymentLinkLimiter, async (req, res) => {
+    try {
+        const provider = req.body?.provider;
+        if (!provider) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                fields: [{ field: 'provider', code: 'required', message: 'provider is required' }]
+            });
+        }
+
+        const result = await OrderService.addPaymentLink(req.params.token, provider);
+        res.json(result);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message, fields: error.fields });
+        }
+
+        console.error("Payment link creation error:", error);
+        res.status(error.statusCode || 500)
+           .json({ error: error.statusCode ? error.message : "Failed to create payment link" });
+    }
+});
+
+router.post("/orders/:token/reissue", paymentLinkLimiter, async (req, res) => {
+    try {
+        const providers = req.body?.providers;
+        if (providers !== undefined && !Array.isArray(providers)) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                fields: [{ field: 'providers', code: 'type', message: 'providers must be a list' }]
+            });
+        }
+
+        const order = await OrderService.getOrderByToken(req.params.token);
+        const result = await OrderService.reissuePaymentLinks(order.record_id, {
+            providers,
+            source: 'customer',
+            requireDeadLinks: true
+        });
+        res.json(result);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message, fields: error.fields });
+        }
+
+        console.error("Payment link re-issue error:", error);
+        res.status(error.statusCode || 500)
+           .json({ error: error.statusCode ? error.message : "Failed to re-issue payment links" });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
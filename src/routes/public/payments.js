@@ -5,8 +5,13 @@
  * Role: Provides API for checking payment URL status
  * 
  * Endpoints:
- * GET /api/payment-status/:token - Check payment URL status
+ * GET /api/payment-status/:token - Check payment URL status (with each link's canonical payment_status, amount, fee_amount and total)
+ *   and each provider's link state in links (ready, generating, failed or cancelled); links of a provider
+ *   that is temporarily unavailable have available: false (link state 'unavailable' while generating)
+ * GET /api/orders/:token - Order summary for the confirmation page (items, totals
+ *   per provider including fees, link expiry, payment outcome; no customer details)
  * GET /api/check-payment-status/:paymentId - Manually check specific payment status
+ *   (503 while the provider is temporarily unavailable)
  * 
  * Dependencies:
  * - PaymentService for business logic
@@ -15,6 +20,7 @@
  * 
  * Error Handling:
  * - 400 for validation errors
+ * - 404 when the order token is unknown
  * - 500 for server errors
  */
 
@@ -44,6 +50,18 @@ router.get("/payment-status/:token", statusLimiter, async (req, res) => {
     }
 });
 
+router.get("/orders/:token", statusLimiter, async (req, res) => {
+    try {
+        const summary = await PaymentService.getOrderSummaryByToken(req.params.token);
+        res.json(summary);
+    } catch (error) {
+        console.error("Order summary error:", error);
+        res.status(error.statusCode || 500).json({
+            error: error.statusCode ? error.message : "Failed to load order summary"
+        });
+    }
+});
+
 // New route for manually checking payment status
 router.get("/check-payment-status/:paymentId", statusLimiter, async (req, res) => {
     try {
@@ -52,7 +70,7 @@ router.get("/check-payment-status/:paymentId", statusLimiter, async (req, res) =
         res.json(result);
     } catch (error) {
         console.error("Manual payment status check error:", error);
-        res.status(400).json({ 
+        res.status(error.statusCode === 503 ? 503 : 400).json({ 
             error: error.message || "Failed to check payment status" 
         });
     }
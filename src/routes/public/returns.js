@@ -0,0 +1,74 @@
+/**
+ * Payment Return Routes
+ * --------------------
+ * Purpose: Landing points for customers coming back from a payment provider
+ * Role: Confirms the payment straight away through ReturnService, then redirects
+ *       to the success, pending or failure page on our site with the trade order attached
+ *
+ * Endpoints:
+ * GET /return/stripe?session_id=... | ?trade_order=...&cancelled=1
+ * GET /return/alipay?session_id=... | ?trade_order=...&cancelled=1
+ * GET /return/blink?cid=...          (Blink also sends quick_payment_id / error on some flows)
+ * GET /return/btcpay?invoice_id=...
+ *
+ * Dependencies:
+ * - ReturnService for the status check and result page
+ * - Express Router for routing
+ *
+ * Error Handling:
+ * - Customers are always redirected; failed checks land on the pending page
+ * - 500 only when no result pages are configured
+ */
+
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const ReturnService = require('../../services/payments/returnService');
+
+// Rate limiting: 30 returns per minute
+const returnLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 30,
+    message: { error: 'Too many requests, please try again later' }
+});
+
+/**
+ * Runs the return check and redirects the customer
+ * @param {Object} res - Express response
+ * @param {string} provider - Provider code
+ * @param {Object} lookup - { payid, tradeOrder, cancelled }
+ */
+async function redirectAfterCheck(res, provider, lookup) {
+    try {
+        const { redirectUrl } = await ReturnService.handleReturn(provider, lookup);
+        res.redirect(303, redirectUrl);
+    } catch (error) {
+        console.error(`${provider} return redirect error:`, error);
+        res.status(500).json({ error: 'Return pages are not configured' });
+    }
+}
+
+router.get("/stripe", returnLimiter, (req, res) => redirectAfterCheck(res, 'STRIPE', {
+    payid: req.query.session_id,
+    tradeOrder: req.query.trade_order,
+    cancelled: req.query.cancelled === '1'
+}));
+
+router.get("/alipay", returnLimiter, (req, res) => redirectAfterCheck(res, 'ALIPAY', {
+    payid: req.query.session_id,
+    tradeOrder: req.query.trade_order,
+    cancelled: req.query.cancelled === '1'
+}));
+
+router.get("/blink", returnLimiter, (req, res) => redirectAfterCheck(res, 'BLINK', {
+    payid: req.query.cid || req.query.quick_payment_id,
+    tradeOrder: req.query.trade_order,
+    cancelled: Boolean(req.query.error)
+}));
+
+router.get("/btcpay", returnLimiter, (req, res) => redirectAfterCheck(res, 'BTCPAY', {
+    payid: req.query.invoice_id,
+    tradeOrder: req.query.trade_order
+}));
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * BTCPay Webhook Routes
+ * --------------------
+ * Purpose: Receives BTCPay Server invoice events
+ * Role: Hands the raw body and BTCPay-Sig header to BTCPayWebhookService
+ *
+ * Endpoints:
+ * POST /webhooks/btcpay - BTCPay store webhook endpoint
+ *
+ * Must be mounted before express.json() - the HMAC covers the raw body.
+ * Register the webhook with: npm run register:btcpay-webhook
+ *
+ * Error Handling:
+ * - 400 when the BTCPay-Sig header is missing or invalid
+ * - 409 while an earlier delivery of the event is still being processed (BTCPay redelivers)
+ * - 500 when processing fails (BTCPay redelivers automatically)
+ * - 200 for processed, duplicate and ignored events
+ */
+
+const express = require('express');
+const router = express.Router();
+const BTCPayWebhookService = require('../../services/payments/webhooks/btcpayWebhookService');
+
+router.post("/btcpay", express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+    let event;
+    try {
+        event = BTCPayWebhookService.constructEvent(req.body, req.get('BTCPay-Sig'));
+    } catch (error) {
+        console.warn(`Rejected BTCPay webhook: ${error.message}`);
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+
+    try {
+        const { duplicate } = await BTCPayWebhookService.handleEvent(event);
+        res.json({ received: true, duplicate });
+    } catch (error) {
+        console.error(`BTCPay webhook ${event.deliveryId} processing error:`, error);
+        res.status(error.statusCode || 500)
+           .json({ error: error.statusCode ? error.message : 'Failed to process webhook' });
+    }
+});
+
+module.exports = router;
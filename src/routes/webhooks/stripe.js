@@ -0,0 +1,42 @@
+/**
+ * Stripe Webhook Routes
+ * --------------------
+ * Purpose: Receives Stripe Checkout events (Stripe and Alipay payments)
+ * Role: Hands the raw body and Stripe-Signature header to StripeWebhookService
+ *
+ * Endpoints:
+ * POST /webhooks/stripe - Stripe webhook endpoint
+ *
+ * Must be mounted before express.json() - the signature covers the raw body.
+ *
+ * Error Handling:
+ * - 400 when the signature is missing, stale or invalid (Stripe does not retry)
+ * - 409 while an earlier delivery of the event is still being processed (Stripe retries)
+ * - 500 when processing fails (Stripe retries the delivery)
+ * - 200 for processed, duplicate and ignored events
+ */
+
+const express = require('express');
+const router = express.Router();
+const StripeWebhookService = require('../../services/payments/webhooks/stripeWebhookService');
+
+router.post("/stripe", express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+    let event;
+    try {
+        event = StripeWebhookService.constructEvent(req.body, req.get('Stripe-Signature'));
+    } catch (error) {
+        console.warn(`Rejected Stripe webhook: ${error.message}`);
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+
+    try {
+        const { duplicate } = await StripeWebhookService.handleEvent(event);
+        res.json({ received: true, duplicate });
+    } catch (error) {
+        console.error(`Stripe webhook ${event.id} processing error:`, error);
+        res.status(error.statusCode || 500)
+           .json({ error: error.statusCode ? error.message : 'Failed to process webhook' });
+    }
+});
+
+module.exports = router;
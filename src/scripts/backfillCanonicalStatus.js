@@ -0,0 +1,47 @@
+/**
+ * Backfill Canonical Payment Status
+ * --------------------------------
+ * Purpose: Fills payments.status_canonical for payments checked before canonical
+ *          statuses were stored, so admin filters and exports include them
+ * Usage: npm run backfill:canonical-status
+ *
+ * The raw status_pay (payment status) and status_url (consent/link status) are
+ * mapped through paystatus/canonicalStatus.js. Rows that were never checked stay NULL.
+ */
+
+require("dotenv").config();
+const pool = require('../config/database');
+const { toCanonicalStatus } = require('../services/payments/paystatus/canonicalStatus');
+
+async function backfill() {
+    const result = await pool.query(
+        `SELECT record_id, provider, status_pay, status_url
+         FROM payments
+         WHERE status_canonical IS NULL
+         AND status_pay IS NOT NULL
+         AND status_pay <> 'error'`
+    );
+
+    for (const row of result.rows) {
+        const canonicalStatus = toCanonicalStatus(row.provider, {
+            payment_status: row.status_pay,
+            status: row.status_url
+        });
+        await pool.query(
+            `UPDATE payments SET status_canonical = $1 WHERE record_id = $2`,
+            [canonicalStatus, row.record_id]
+        );
+    }
+
+    return result.rows.length;
+}
+
+backfill()
+    .then(count => {
+        console.log(`Backfilled canonical status for ${count} payments`);
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('Failed to backfill canonical payment status:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,32 @@
+/**
+ * Register BTCPay Webhook
+ * ----------------------
+ * Purpose: Creates the store webhook that sends invoice events to POST /webhooks/btcpay
+ * Usage: npm run register:btcpay-webhook
+ *
+ * Environment Variables:
+ * - BTCPAY_API_URL, BTCPAY_API_KEY, BTCPAY_STORE_ID: Greenfield API access
+ *   (the API key needs the btcpay.store.webhooks.canmodifywebhooks permission)
+ * - BTCPAY_WEBHOOK_URL: Public URL of the endpoint, e.g. https://example.com/webhooks/btcpay
+ * - BTCPAY_WEBHOOK_SECRET: Optional - when unset BTCPay generates one; copy it into the environment
+ */
+
+require("dotenv").config();
+const BTCPayWebhookService = require('../services/payments/webhooks/btcpayWebhookService');
+
+BTCPayWebhookService.registerWebhook()
+    .then(({ id, url, secret, created }) => {
+        if (!created) {
+            console.log(`BTCPay webhook already registered for ${url} (id: ${id})`);
+        } else {
+            console.log(`Registered BTCPay webhook ${id} for ${url}`);
+            if (secret && !process.env.BTCPAY_WEBHOOK_SECRET) {
+                console.log(`Set BTCPAY_WEBHOOK_SECRET=${secret} in the environment`);
+            }
+        }
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('Failed to register BTCPay webhook:', error.response?.data || error.message);
+        process.exit(1);
+    });
@@ -73,4 +73,269 @@ AFTER INSERT OR UPDATE ON public.expiry
 FOR EACH ROW
 EXECUTE FUNCTION update_expiry_status();
 
-ALTER TABLE payments ADD COLUMN reviewed TEXT DEFAULT 'no';
\ No newline at end of file
+ALTER TABLE payments ADD COLUMN reviewed TEXT DEFAULT 'no';
+
+-- Trade order numbers are allocated from a sequence so concurrent orders never share one.
+-- OrderService creates it on first use and moves it past the highest existing TO- number.
+CREATE SEQUENCE IF NOT EXISTS trade_order_seq;
+
+-- Stored responses for POST /create so retried submissions don't create duplicate orders
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+    idempotency_key character varying(300) PRIMARY KEY,
+    request_hash character varying(64) NOT NULL,
+    response jsonb,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    completed_at timestamp with time zone,
+    expires_at timestamp with time zone NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON public.idempotency_keys (expires_at);
+
+-- When the current request took the key; a claim with no response older than the lease can be taken over
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS claimed_at timestamp with time zone NOT NULL DEFAULT NOW();
+
+-- Line items of an order; orders.product_name_full/quantity keep a summary for older reports
+CREATE TABLE IF NOT EXISTS public.order_items (
+    record_id serial PRIMARY KEY,
+    order_record_id integer NOT NULL,
+    line_number integer NOT NULL,
+    sku character varying(100),
+    product_name character varying(255) NOT NULL,
+    quantity integer NOT NULL,
+    unit_price numeric(10,2) NOT NULL,
+    line_total numeric(10,2) NOT NULL,
+    FOREIGN KEY (order_record_id) REFERENCES public.orders (record_id),
+    UNIQUE (order_record_id, line_number)
+);
+
+-- Order lifecycle status (awaiting_payment, paid, expired, cancelled, fulfilled)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status character varying(30) NOT NULL DEFAULT 'awaiting_payment';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status_updated_at timestamp with time zone;
+
+-- Every order status change, written by OrderStatusService
+CREATE TABLE IF NOT EXISTS public.order_status_history (
+    record_id serial PRIMARY KEY,
+    order_record_id integer NOT NULL,
+    from_status character varying(30),
+    to_status character varying(30) NOT NULL,
+    reason text,
+    source character varying(30) NOT NULL,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (order_record_id) REFERENCES public.orders (record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON public.order_status_history (order_record_id);
+
+-- Server-side prices used to issue quotes (edit here, not in the Webflow form)
+CREATE TABLE IF NOT EXISTS public.price_table (
+    sku character varying(100) PRIMARY KEY,
+    product_name character varying(255) NOT NULL,
+    price_nzd numeric(10,2) NOT NULL CHECK (price_nzd >= 0),
+    active boolean NOT NULL DEFAULT true,
+    updated_at timestamp with time zone NOT NULL DEFAULT NOW()
+);
+
+-- Quotes issued by POST /quotes; order_record_id is set when an order uses the quote
+CREATE TABLE IF NOT EXISTS public.quotes (
+    quote_id uuid PRIMARY KEY,
+    items jsonb NOT NULL,
+    total_price numeric(10,2) NOT NULL,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    expires_at timestamp with time zone NOT NULL,
+    order_record_id integer,
+    used_at timestamp with time zone,
+    FOREIGN KEY (order_record_id) REFERENCES public.orders (record_id)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS quote_id uuid;
+
+-- Payment link re-issue: each round of links for an order is one generation.
+-- Re-issued orders keep their trade order; old payments rows are marked superseded
+-- and point at the row that replaced them so the history stays linked.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS link_generation integer NOT NULL DEFAULT 1;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS link_generation integer NOT NULL DEFAULT 1;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS superseded_at timestamp with time zone;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS superseded_by integer REFERENCES public.payments (record_id);
+
+-- New payments rows belong to the order's current link generation
+CREATE OR REPLACE FUNCTION set_payment_link_generation() RETURNS TRIGGER AS $$
+BEGIN
+    SELECT link_generation INTO NEW.link_generation
+    FROM public.orders
+    WHERE record_id = NEW.order_record_id;
+    NEW.link_generation := COALESCE(NEW.link_generation, 1);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_set_payment_link_generation ON public.payments;
+CREATE TRIGGER trg_set_payment_link_generation
+BEFORE INSERT ON public.payments
+FOR EACH ROW
+EXECUTE FUNCTION set_payment_link_generation();
+
+-- Provider webhook deliveries; the unique event ID makes redeliveries no-ops
+CREATE TABLE IF NOT EXISTS public.webhook_events (
+    record_id serial PRIMARY KEY,
+    provider character varying(20) NOT NULL,
+    event_id character varying(255) NOT NULL,
+    event_type character varying(100) NOT NULL,
+    received_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    processed_at timestamp with time zone,
+    payments_record_id integer,
+    status character varying(50),
+    message text,
+    FOREIGN KEY (payments_record_id) REFERENCES public.payments (record_id),
+    UNIQUE (provider, event_id)
+);
+
+-- When the current delivery took the event; a claim with no outcome older than the lease can be taken over
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS claimed_at timestamp with time zone NOT NULL DEFAULT NOW();
+
+-- Canonical payment status (pending, authorised, paid, failed, expired, cancelled, refunded)
+-- stored next to the raw provider status; the mapping lives in paystatus/canonicalStatus.js.
+-- Existing rows: npm run backfill:canonical-status
+ALTER TABLE pay_status ADD COLUMN IF NOT EXISTS canonical_status character varying(20);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS status_canonical character varying(20);
+CREATE INDEX IF NOT EXISTS idx_payments_status_canonical ON public.payments (status_canonical);
+
+-- A check without a canonical status (provider error) keeps the previous one
+CREATE OR REPLACE FUNCTION update_pay_status() RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE public.payments
+    SET status_pay = NEW.status,
+        message_pay = NEW.message,
+        status_canonical = COALESCE(NEW.canonical_status, status_canonical)
+    WHERE record_id = NEW.payments_record_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Refunds issued from the admin dashboard (see OrderRefundService).
+-- status: requested (before the provider call), pending, succeeded, failed
+CREATE TABLE IF NOT EXISTS public.refunds (
+    record_id serial PRIMARY KEY,
+    order_record_id integer NOT NULL,
+    payments_record_id integer NOT NULL,
+    provider character varying(20) NOT NULL,
+    amount numeric(10,2) NOT NULL CHECK (amount > 0),
+    status character varying(20) NOT NULL DEFAULT 'requested',
+    provider_refund_id character varying(255),
+    reason text,
+    message text,
+    source character varying(50) NOT NULL DEFAULT 'admin',
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    updated_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (order_record_id) REFERENCES public.orders (record_id),
+    FOREIGN KEY (payments_record_id) REFERENCES public.payments (record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON public.refunds (order_record_id);
+
+-- What the customer was charged (fees included) and how much of it has been refunded
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_paid numeric(10,2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_refunded numeric(10,2) NOT NULL DEFAULT 0;
+
+-- Processing fee rules, edited on the admin fees page (see FeeRuleService / feeCalculator).
+-- percentage is a fraction (0.027 = 2.7%); method additive = base * percentage + fixed,
+-- gross_up = (base + fixed) / (1 - percentage) - base. min_fee / max_fee clamp the fee.
+-- The newest active rule whose [effective_from, effective_to) covers now applies.
+CREATE TABLE IF NOT EXISTS public.fee_rules (
+    record_id serial PRIMARY KEY,
+    provider character varying(20) NOT NULL,
+    method character varying(20) NOT NULL DEFAULT 'additive' CHECK (method IN ('additive', 'gross_up')),
+    percentage numeric(6,4) NOT NULL DEFAULT 0 CHECK (percentage >= 0 AND percentage < 1),
+    fixed_amount numeric(10,2) NOT NULL DEFAULT 0,
+    min_fee numeric(10,2),
+    max_fee numeric(10,2),
+    effective_from timestamp with time zone NOT NULL DEFAULT NOW(),
+    effective_to timestamp with time zone,
+    active boolean NOT NULL DEFAULT true,
+    description text,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    updated_at timestamp with time zone NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_rules_provider ON public.fee_rules (provider, effective_from);
+
+-- The fees previously hard-coded in StripeService (STRIPE_LOCAL_FEE) and AlipayService (STRIPE_ALIPAY_FEE)
+INSERT INTO fee_rules (provider, method, percentage, fixed_amount, description)
+SELECT 'STRIPE', 'gross_up', 0.027, 0.30, 'Stripe local cards 2.7% + $0.30'
+WHERE NOT EXISTS (SELECT 1 FROM fee_rules WHERE provider = 'STRIPE');
+
+INSERT INTO fee_rules (provider, method, percentage, fixed_amount, description)
+SELECT 'ALIPAY', 'additive', 0.03, 0, 'Alipay 3%'
+WHERE NOT EXISTS (SELECT 1 FROM fee_rules WHERE provider = 'ALIPAY');
+
+-- Fee charged on top of payments.amount; NULL for links created before fees were stored
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS fee_amount numeric(10,2);
+
+-- Every status check is kept in pay_status; attempt is the scheduled check number
+-- (NULL outside the polling schedule) and source what triggered it:
+-- poll, manual, return, webhook, refund, expiry, cancel or reissue
+ALTER TABLE pay_status ADD COLUMN IF NOT EXISTS attempt integer;
+ALTER TABLE pay_status ADD COLUMN IF NOT EXISTS source character varying(20);
+CREATE INDEX IF NOT EXISTS idx_pay_status_payment ON public.pay_status (payments_record_id, date_time);
+
+-- Reconciliation against provider records (see ReconciliationService).
+-- status: running, completed, partial (some providers failed), failed
+CREATE TABLE IF NOT EXISTS public.reconciliation_runs (
+    record_id serial PRIMARY KEY,
+    range_from timestamp with time zone NOT NULL,
+    range_to timestamp with time zone NOT NULL,
+    status character varying(20) NOT NULL DEFAULT 'running',
+    source character varying(20) NOT NULL DEFAULT 'schedule',
+    providers text,
+    matched_count integer,
+    discrepancy_count integer,
+    message text,
+    started_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    finished_at timestamp with time zone
+);
+
+-- type: missing_locally, missing_at_provider, amount_mismatch, status_mismatch
+CREATE TABLE IF NOT EXISTS public.reconciliation_discrepancies (
+    record_id serial PRIMARY KEY,
+    run_record_id integer NOT NULL,
+    provider character varying(20) NOT NULL,
+    type character varying(30) NOT NULL,
+    payments_record_id integer,
+    payid character varying(255),
+    provider_reference character varying(255),
+    trade_order character varying(50),
+    local_amount numeric(10,2),
+    local_fee numeric(10,2),
+    provider_amount numeric(10,2),
+    local_status character varying(20),
+    provider_status text,
+    message text,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (run_record_id) REFERENCES public.reconciliation_runs (record_id) ON DELETE CASCADE,
+    FOREIGN KEY (payments_record_id) REFERENCES public.payments (record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_run ON public.reconciliation_discrepancies (run_record_id);
+
+-- Payment link generation jobs (see PaymentLinkJobService), one per order, provider and link generation.
+-- status: queued, generating, retrying, completed, failed (retries used up), cancelled (order no longer payable)
+CREATE TABLE IF NOT EXISTS public.payment_link_jobs (
+    record_id serial PRIMARY KEY,
+    order_record_id integer NOT NULL,
+    provider character varying(50) NOT NULL,
+    link_generation integer NOT NULL DEFAULT 1,
+    status character varying(20) NOT NULL DEFAULT 'queued',
+    attempts integer NOT NULL DEFAULT 0,
+    last_error text,
+    payments_record_id integer,
+    created_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    updated_at timestamp with time zone NOT NULL DEFAULT NOW(),
+    finished_at timestamp with time zone,
+    UNIQUE (order_record_id, provider, link_generation),
+    FOREIGN KEY (order_record_id) REFERENCES public.orders (record_id),
+    FOREIGN KEY (payments_record_id) REFERENCES public.payments (record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_link_jobs_status ON public.payment_link_jobs (status, updated_at);
+
+-- When a Stripe or Alipay session made by the job expires; every attempt sends the same expiry
+ALTER TABLE payment_link_jobs ADD COLUMN IF NOT EXISTS expires_at timestamp with time zone;
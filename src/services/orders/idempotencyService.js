@@ -0,0 +1,198 @@
+/**
+ * Idempotency Service
+ * ------------------
+ * Purpose: Stops retried order submissions from creating duplicate orders
+ * Role: Stores the response of the first POST /create for each idempotency key
+ *       and hands it back when the same request is replayed
+ *
+ * Key sources:
+ * - Idempotency-Key header sent by the client (preferred)
+ * - Otherwise derived from a SHA-256 hash of the order payload
+ *
+ * A key is claimed while its request runs. A claim that never stored a response (the
+ * process died mid-request) is taken over by a retry once IDEMPOTENCY_LEASE_SECONDS have
+ * passed, so the key isn't stuck answering 409 until it expires. Expired keys are deleted
+ * every IDEMPOTENCY_CLEANUP_MINUTES.
+ *
+ * Environment Variables:
+ * - IDEMPOTENCY_KEY_TTL_MINUTES: How long header keys are remembered (default: 1440)
+ * - IDEMPOTENCY_DERIVED_KEY_TTL_MINUTES: How long payload-derived keys are remembered (default: 10)
+ * - IDEMPOTENCY_LEASE_SECONDS: How long a claim without a response blocks retries (default: 60)
+ * - IDEMPOTENCY_CLEANUP_MINUTES: Minutes between deletions of expired keys (default: 60)
+ */
+
+const crypto = require('crypto');
+const pool = require('../../config/database');
+
+// ⚠️ CONFIGURE: Replay windows
+const KEY_TTL_MINUTES = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MINUTES, 10) || 1440;
+const DERIVED_KEY_TTL_MINUTES = parseInt(process.env.IDEMPOTENCY_DERIVED_KEY_TTL_MINUTES, 10) || 10;
+const LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS, 10) || 60;
+const CLEANUP_MINUTES = parseInt(process.env.IDEMPOTENCY_CLEANUP_MINUTES, 10) || 60;
+const MAX_KEY_LENGTH = 255;
+
+class IdempotencyService {
+    /**
+     * Serialises a value with object keys sorted so equal payloads hash equally
+     * @param {*} value - Any JSON-compatible value
+     * @returns {string} Canonical JSON string
+     */
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Hashes a request payload
+     * @param {Object} payload - Request body
+     * @returns {string} Hex SHA-256 digest
+     */
+    hashPayload(payload) {
+        return crypto.createHash('sha256').update(this.stableStringify(payload || {})).digest('hex');
+    }
+
+    /**
+     * Works out the key, request hash and replay window for a request
+     * @param {string} headerKey - Value of the Idempotency-Key header, if any
+     * @param {Object} payload - Request body
+     * @returns {Object} { key, requestHash, ttlMinutes }
+     */
+    resolveKey(headerKey, payload) {
+        const requestHash = this.hashPayload(payload);
+
+        if (headerKey) {
+            const key = headerKey.trim();
+            if (!key || key.length > MAX_KEY_LENGTH) {
+                const error = new Error(`Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`);
+                error.statusCode = 400;
+                throw error;
+            }
+            return { key: `header:${key}`, requestHash, ttlMinutes: KEY_TTL_MINUTES };
+        }
+
+        return { key: `derived:${requestHash}`, requestHash, ttlMinutes: DERIVED_KEY_TTL_MINUTES };
+    }
+
+    /**
+     * Runs a handler at most once per idempotency key
+     * Replays return the stored response instead of calling the handler again
+     * @param {Object} keyInfo - Result of resolveKey()
+     * @param {Function} handler - Async function producing the response to store
+     * @returns {Object} { response, replayed }
+     */
+    async execute(keyInfo, handler) {
+        const { key, requestHash, ttlMinutes } = keyInfo;
+
+        // Forget keys whose window has passed so they can be used again
+        await pool.query(
+            `DELETE FROM idempotency_keys WHERE idempotency_key = $1 AND expires_at <= NOW()`,
+            [key]
+        );
+
+        // Claim the key - only one concurrent request can win the insert. The same request
+        // takes over a claim whose lease ran out without a response.
+        const claim = await pool.query(
+            `INSERT INTO idempotency_keys (idempotency_key, request_hash, created_at, claimed_at, expires_at)
+             VALUES ($1, $2, NOW(), NOW(), NOW() + make_interval(mins => $3::int))
+             ON CONFLICT (idempotency_key) DO UPDATE
+             SET claimed_at = NOW(), expires_at = EXCLUDED.expires_at
+             WHERE idempotency_keys.response IS NULL
+             AND idempotency_keys.request_hash = EXCLUDED.request_hash
+             AND idempotency_keys.claimed_at < NOW() - make_interval(secs => $4::int)
+             RETURNING claimed_at::text AS claimed_at`,
+            [key, requestHash, ttlMinutes, LEASE_SECONDS]
+        );
+
+        if (claim.rows.length === 0) {
+            return { response: await this.getStoredResponse(key, requestHash), replayed: true };
+        }
+        // Later writes only touch the key while this request still holds it
+        // (compared as text, which keeps the microseconds a JS Date would drop)
+        const claimedAt = claim.rows[0].claimed_at;
+
+        let response;
+        try {
+            response = await handler();
+        } catch (error) {
+            // Release the key so the client can retry a failed request
+            await pool.query(
+                `DELETE FROM idempotency_keys WHERE idempotency_key = $1 AND claimed_at = $2::timestamptz`,
+                [key, claimedAt]
+            ).catch(releaseError => console.error('Failed to release idempotency key:', releaseError.message));
+            throw error;
+        }
+
+        await pool.query(
+            `UPDATE idempotency_keys SET response = $3, completed_at = NOW()
+             WHERE idempotency_key = $1 AND claimed_at = $2::timestamptz`,
+            [key, claimedAt, JSON.stringify(response)]
+        );
+
+        return { response, replayed: false };
+    }
+
+    /**
+     * Loads the response stored for a key that was already claimed
+     * @param {string} key - Idempotency key
+     * @param {string} requestHash - Hash of the current request
+     * @returns {Object} Stored response
+     */
+    async getStoredResponse(key, requestHash) {
+        const result = await pool.query(
+            `SELECT request_hash, response FROM idempotency_keys WHERE idempotency_key = $1`,
+            [key]
+        );
+        const stored = result.rows[0];
+
+        if (!stored) {
+            // Claimed and released between our insert and select - treat as in progress
+            const error = new Error('A request with this Idempotency-Key is already being processed');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        if (stored.request_hash !== requestHash) {
+            const error = new Error('Idempotency-Key was already used with a different request');
+            error.statusCode = 422;
+            throw error;
+        }
+
+        if (!stored.response) {
+            const error = new Error('A request with this Idempotency-Key is already being processed');
+            error.statusCode = 409;
+            throw error;
+        }
+
+        return stored.response;
+    }
+
+    /**
+     * Deletes every key whose replay window has passed
+     * @returns {number} Keys deleted
+     */
+    async deleteExpiredKeys() {
+        const result = await pool.query(`DELETE FROM idempotency_keys WHERE expires_at < NOW()`);
+        if (result.rowCount > 0) {
+            console.log(`Deleted ${result.rowCount} expired idempotency key(s)`);
+        }
+        return result.rowCount;
+    }
+}
+
+const idempotencyService = new IdempotencyService();
+
+// Doesn't keep the process alive on shutdown
+setInterval(() => {
+    idempotencyService.deleteExpiredKeys()
+        .catch(error => console.error('Failed to delete expired idempotency keys:', error.message));
+}, CLEANUP_MINUTES * 60 * 1000).unref();
+
+module.exports = idempotencyService;
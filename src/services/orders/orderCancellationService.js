@@ -0,0 +1,228 @@
+/**
+ * Order Cancellation Service
+ * -------------------------
+ * Purpose: Cancels an order and kills every payment link it still has
+ * Role: Checks every outstanding link's live status, asks each provider to revoke
+ *       its link so an old Stripe session or BTCPay invoice can no longer be paid,
+ *       and only then moves the order to 'cancelled'. Stored statuses can be minutes
+ *       old, so a payment made since the last poll blocks the cancellation.
+ *       The move happens under the order's row lock together with cancelling the link
+ *       jobs that haven't made their link yet; a link made meanwhile is revoked after it.
+ *
+ * Revocation per provider (see PaymentExpiryService.revokePayment):
+ * - STRIPE/ALIPAY: Checkout Session expired
+ * - BTCPAY: Invoice marked Invalid
+ * - BLINK: Quick payment revoked
+ * - POLi: Link marked unusable locally (POLi has no revoke API)
+ *
+ * Every revocation outcome is written to the expiry table.
+ */
+
+const pool = require('../../config/database');
+const orderStatusService = require('./orderStatusService');
+const expiryService = require('../payments/expiry/expiryService');
+const paymentStatusService = require('../payments/paystatus/paymentStatusService');
+const paymentLinkJobService = require('../payments/links/paymentLinkJobService');
+const { removePaymentLinkJobs } = require('../payments/links/paymentLinkQueue');
+const { OrderStatusError, classifyPaymentStatus } = orderStatusService;
+const { CLOSED_OUTCOMES } = expiryService;
+
+// Canonical statuses where money has moved - the order can't be cancelled
+const SETTLED_STATUSES = ['authorised', 'paid', 'refunded'];
+
+class OrderCancellationService {
+    /**
+     * Cancels an order and revokes its outstanding payment links
+     * Calling it again on a cancelled order retries any links still open
+     * @param {number} orderRecordId - orders.record_id
+     * @param {Object} options - { reason, source }
+     * @returns {Object} { trade_order, status, changed, revocations: [{ payment_id, provider, status, message }] }
+     * @throws {OrderStatusError} When the order has already been paid, or a link's payment
+     *   completed or is authorised at its provider
+     * @throws {Error} 503 when a link's live status can't be checked
+     */
+    async cancelOrder(orderRecordId, { reason = 'Cancelled', source = 'admin' } = {}) {
+        const orderResult = await pool.query(
+            `SELECT record_id, trade_order, status FROM orders WHERE record_id = $1`,
+            [orderRecordId]
+        );
+        if (orderResult.rows.length === 0) {
+            const error = new Error('Order not found');
+            error.statusCode = 404;
+            throw error;
+        }
+        const order = orderResult.rows[0];
+
+        const status = order.status || 'awaiting_payment';
+        if (status !== 'cancelled' && !orderStatusService.canTransition(status, 'cancelled')) {
+            throw new OrderStatusError(`Order cannot move from ${status} to cancelled`);
+        }
+
+        const paymentsResult = await pool.query(
+            `SELECT record_id, provider, payid, status_url, status_pay, status_expiry
+             FROM payments
+             WHERE order_record_id = $1`,
+            [orderRecordId]
+        );
+        const payments = paymentsResult.rows;
+
+        const paid = payments.some(payment => classifyPaymentStatus(payment.provider, {
+            status: payment.status_url,
+            payment_status: payment.status_pay
+        }) === 'paid');
+        if (paid) {
+            throw new OrderStatusError(`Order ${order.trade_order} has a completed payment and cannot be cancelled`);
+        }
+
+        const outstanding = payments.filter(payment => this.isOutstanding(payment));
+
+        // Failed or expired links are already dead at their provider
+        const open = [];
+        for (const payment of outstanding) {
+            const liveStatus = await this.liveStatus(payment);
+            if (SETTLED_STATUSES.includes(liveStatus)) {
+                throw new OrderStatusError(
+                    `Order ${order.trade_order} cannot be cancelled: its ${payment.provider} payment is ${liveStatus}`);
+            }
+            if (liveStatus === 'pending') {
+                open.push(payment);
+            }
+        }
+
+        const revocations = [];
+        const completed = [];
+        for (const payment of open) {
+            const result = await expiryService.revokePayment(payment, 'cancelled');
+            revocations.push({
+                payment_id: result.paymentId,
+                provider: result.provider,
+                status: result.status,
+                message: result.message
+            });
+
+            // A link that was already closed may have been paid between the check and the revoke
+            if (result.status === 'already_closed' && SETTLED_STATUSES.includes(await this.liveStatus(payment))) {
+                completed.push(payment);
+            }
+        }
+
+        if (completed.length > 0) {
+            throw new OrderStatusError(
+                `Order ${order.trade_order} has a completed ${completed[0].provider} payment and cannot be cancelled`);
+        }
+
+        const client = await pool.connect();
+        let changed;
+        let cancelledJobs;
+        let lateLinks;
+        try {
+            await client.query('BEGIN');
+            await client.query(`SELECT record_id FROM orders WHERE record_id = $1 FOR UPDATE`, [orderRecordId]);
+
+            cancelledJobs = await paymentLinkJobService.cancelJobs(client, orderRecordId, 'Order is cancelled');
+
+            // Links made since the checks above, e.g. by a job that was already running
+            const late = await client.query(
+                `SELECT record_id, provider, payid, status_url, status_pay, status_expiry
+                 FROM payments
+                 WHERE order_record_id = $1 AND NOT (record_id = ANY($2::int[]))`,
+                [orderRecordId, payments.map(payment => payment.record_id)]
+            );
+            lateLinks = late.rows.filter(payment => this.isOutstanding(payment));
+
+            changed = await orderStatusService.transition(orderRecordId, 'cancelled', { reason, source, client });
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await removePaymentLinkJobs(cancelledJobs);
+
+        // Checked once the lock is released: a check that finds a payment moves the order itself
+        for (const payment of lateLinks) {
+            revocations.push(await this.revokeLateLink(payment, order));
+        }
+
+        const failed = revocations.filter(revocation => revocation.status === 'failed').length;
+        console.log(`Order ${order.trade_order} cancelled: ${revocations.length} link(s) processed, ${failed} failed`);
+
+        return {
+            trade_order: order.trade_order,
+            status: 'cancelled',
+            changed,
+            revocations
+        };
+    }
+
+    /**
+     * Whether a link was issued and has not been revoked yet
+     * @param {Object} payment - payments row
+     * @returns {boolean} True if the link may still be open at its provider
+     * @private
+     */
+    isOutstanding(payment) {
+        return Boolean(payment.payid)
+            && payment.status_url !== 'failed'
+            && !CLOSED_OUTCOMES.includes(payment.status_expiry);
+    }
+
+    /**
+     * Revokes a link made while the order was being cancelled
+     * The order is already cancelled, so problems are reported instead of thrown
+     * @param {Object} payment - payments row
+     * @param {Object} order - { trade_order }
+     * @returns {Object} { payment_id, provider, status, message }
+     * @private
+     */
+    async revokeLateLink(payment, order) {
+        try {
+            const liveStatus = await this.liveStatus(payment);
+            if (liveStatus !== 'pending') {
+                const message = `Link made during the cancellation is ${liveStatus}`;
+                if (SETTLED_STATUSES.includes(liveStatus)) {
+                    console.error(`Order ${order.trade_order} was cancelled but its ${payment.provider} payment ${payment.record_id} is ${liveStatus}`);
+                }
+                return { payment_id: payment.record_id, provider: payment.provider, status: 'not_revoked', message };
+            }
+
+            const result = await expiryService.revokePayment(payment, 'cancelled');
+            return {
+                payment_id: result.paymentId,
+                provider: result.provider,
+                status: result.status,
+                message: result.message
+            };
+        } catch (error) {
+            return { payment_id: payment.record_id, provider: payment.provider, status: 'failed', message: error.message };
+        }
+    }
+
+    /**
+     * Live canonical status of a payment, recorded like any other status check
+     * @param {Object} payment - payments row (record_id, provider)
+     * @returns {string} Canonical status
+     * @throws {Error} 503 when the provider can't be asked
+     * @private
+     */
+    async liveStatus(payment) {
+        let result;
+        try {
+            result = await paymentStatusService.checkPaymentStatus(payment.record_id, 'cancel');
+        } catch (error) {
+            result = { status: 'error', message: error.message };
+        }
+
+        if (result.status === 'error') {
+            const error = new Error(`Could not check the ${payment.provider} payment before cancelling: ${result.message}`);
+            error.statusCode = 503;
+            throw error;
+        }
+        return result.canonical_status;
+    }
+}
+
+module.exports = new OrderCancellationService();
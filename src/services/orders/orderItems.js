@@ -0,0 +1,101 @@
+/**
+ * Order Line Items
+ * ---------------
+ * Purpose: Normalises the line items of an order and works out their totals
+ * Role: Shared by OrderService (storage), payment services (checkout line items)
+ *       and the admin dashboard (display and CSV export)
+ *
+ * Line item shape:
+ * - product_name: Product description shown to the customer
+ * - sku: Optional product code
+ * - quantity: Whole number of units
+ * - price_nzd: Unit price in NZD
+ *
+ * Orders sent without an items array are treated as one line built from
+ * product_name_full, quantity and price_nzd so older forms keep working.
+ */
+
+/**
+ * Converts a dollar amount to whole cents
+ * @param {number|string} amount - Dollar amount
+ * @returns {number} Amount in cents
+ */
+function toCents(amount) {
+    return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Builds the normalised line items for an order
+ * @param {Object} orderData - Validated order payload
+ * @returns {Array} Items with line_number, sku, product_name, quantity, unit_price and line_total
+ */
+function normaliseItems(orderData) {
+    if (Array.isArray(orderData.items) && orderData.items.length > 0) {
+        return orderData.items.map((item, index) => {
+            const quantity = parseInt(item.quantity, 10);
+            const unitCents = toCents(item.price_nzd);
+            return {
+                line_number: index + 1,
+                sku: item.sku || null,
+                product_name: String(item.product_name).trim(),
+                quantity,
+                unit_price: (unitCents / 100).toFixed(2),
+                line_total: ((unitCents * quantity) / 100).toFixed(2)
+            };
+        });
+    }
+
+    if (!orderData.product_name_full) {
+        return [];
+    }
+
+    // Legacy single-product payload
+    const quantity = parseInt(orderData.quantity, 10) || 1;
+    const lineCents = toCents(orderData.total_price);
+    const unitCents = orderData.price_nzd ? toCents(orderData.price_nzd) : Math.round(lineCents / quantity);
+    return [{
+        line_number: 1,
+        sku: null,
+        product_name: String(orderData.product_name_full).trim(),
+        quantity,
+        unit_price: (unitCents / 100).toFixed(2),
+        line_total: (lineCents / 100).toFixed(2)
+    }];
+}
+
+/**
+ * Sums the line totals of normalised items
+ * @param {Array} items - Normalised items
+ * @returns {string} Total formatted with two decimals
+ */
+function itemsTotal(items) {
+    const cents = items.reduce((sum, item) => sum + toCents(item.line_total), 0);
+    return (cents / 100).toFixed(2);
+}
+
+/**
+ * Whether the item lines add up exactly to an amount
+ * @param {Array} items - Normalised items
+ * @param {number|string} amount - Amount to compare with
+ * @returns {boolean} True when the totals match to the cent
+ */
+function itemsMatchTotal(items, amount) {
+    return items.length > 0 && toCents(itemsTotal(items)) === toCents(amount);
+}
+
+/**
+ * One-line description of the items, e.g. "2 x 1oz Gold Bar; 1 x 10g Silver Coin"
+ * @param {Array} items - Normalised items
+ * @returns {string} Summary text
+ */
+function formatItemsSummary(items) {
+    return items.map(item => `${item.quantity} x ${item.product_name}`).join('; ');
+}
+
+module.exports = {
+    toCents,
+    normaliseItems,
+    itemsTotal,
+    itemsMatchTotal,
+    formatItemsSummary
+};
@@ -0,0 +1,483 @@
+/**
+ * Order Refund Service
+ * -------------------
+ * Purpose: Refunds all or part of an order's payment through its provider
+ * Role: Records every refund in the refunds table, keeps orders.amount_refunded
+ *       in step and moves the order to 'partially_refunded' or 'refunded'
+ *
+ * Refunds per provider (see each provider's refund()):
+ * - STRIPE/ALIPAY: Stripe refund against the session's PaymentIntent
+ * - BLINK: Full or partial refund of the quick payment
+ * - BTCPAY: Refund pull payment the customer claims with a Bitcoin address
+ * - POLi: Not supported (POLi has no refund API) - refund in the bank portal
+ *
+ * Refund statuses: requested (before the provider call, or when the call's outcome is
+ * unknown), pending, succeeded, failed. Only a provider's 4xx rejection marks a refund
+ * failed; after a timeout or 5xx the refund may have gone through, so it stays requested.
+ * Every refund that has not failed counts towards the order's refunded total,
+ * so a refund awaiting settlement can't be issued twice.
+ *
+ * Each refund is sent with the idempotency key refund-<refunds.record_id>.
+ * checkOpenRefunds() (run by refundStatusQueue) polls pending refunds until they
+ * settle and sends requested ones again to providers that honour the key.
+ */
+
+const pool = require('../../config/database');
+const orderStatusService = require('./orderStatusService');
+const providerRegistry = require('../payments/providers/providerRegistry');
+const { toCents } = require('./orderItems');
+const { OrderStatusError, classifyPaymentStatus } = orderStatusService;
+
+// Orders that have taken money and can be refunded
+const REFUNDABLE_ORDER_STATUSES = ['paid', 'fulfilled', 'partially_refunded'];
+
+// ⚠️ CONFIGURE: Which open refunds checkOpenRefunds() looks at
+// A requested refund younger than this may still be waiting on its first provider call
+const REQUESTED_GRACE_MINUTES = 5;
+// Stripe keeps idempotency keys for 24 hours; a requested refund older than that is left to staff
+const RESEND_WINDOW_HOURS = 24;
+// Pending refunds (e.g. BTCPay pull payments nobody claimed) stop being checked after this
+const PENDING_CHECK_DAYS = 30;
+
+class OrderRefundService {
+    /**
+     * Refunds an order's payment
+     * @param {number} orderRecordId - orders.record_id
+     * @param {Object} options - { amount, reason, source }
+     *   amount: dollars to refund; omit to refund everything still refundable
+     * @returns {Object} { trade_order, status, amount_paid, amount_refunded, refund }
+     * @throws {Error} 404 unknown order, 400 invalid amount, 409 nothing to refund,
+     *   501 provider without refunds, 502 provider refund failed or its outcome is unknown
+     */
+    async refundOrder(orderRecordId, { amount, reason = null, source = 'admin' } = {}) {
+        const { order, payment, refundId, refundAmount, full } = await this.reserveRefund(orderRecordId, amount, { reason, source });
+        const provider = providerRegistry.get(payment.provider);
+
+        let result;
+        try {
+            result = await provider.refund(payment, refundAmount, {
+                full,
+                reference: order.trade_order,
+                idempotencyKey: `refund-${refundId}`
+            });
+        } catch (error) {
+            const message = refundErrorMessage(error);
+            const refundError = isRejection(error)
+                ? new Error(`${provider.name} refund failed: ${message}`)
+                : new Error(`${provider.name} refund outcome unknown: ${message}. It may have gone through and will be checked again`);
+            refundError.statusCode = isRejection(error) ? error.statusCode || 502 : 502;
+
+            if (isRejection(error)) {
+                await this.updateRefund(refundId, { status: 'failed', message });
+                await this.updateOrderTotals(order, { reason, source });
+            } else {
+                // Still counted as refunded, so the same money can't be refunded again meanwhile
+                await this.updateRefund(refundId, { status: 'requested', message: `Outcome unknown: ${message}` });
+            }
+            throw refundError;
+        }
+
+        await this.updateRefund(refundId, result);
+        const totals = await this.updateOrderTotals(order, {
+            reason: reason || `Refund of ${refundAmount} via ${provider.name}`,
+            source
+        });
+
+        if (totals.status === 'refunded') {
+            await this.recordRefunded(payment.record_id, source);
+        }
+
+        console.log(`Refund ${refundId} of ${refundAmount} for ${order.trade_order} via ${payment.provider}: ${result.status}`);
+
+        return {
+            trade_order: order.trade_order,
+            ...totals,
+            refund: {
+                refund_id: refundId,
+                provider: payment.provider,
+                amount: refundAmount,
+                status: result.status,
+                provider_refund_id: result.refund_id || null,
+                message: result.message
+            }
+        };
+    }
+
+    /**
+     * Brings open refunds up to date: pending ones are looked up at their provider, and
+     * requested ones whose outcome is unknown are sent again with the same idempotency key
+     * to providers that honour it
+     * @returns {Object} { checked, changed, failed }
+     */
+    async checkOpenRefunds() {
+        const result = await pool.query(
+            `SELECT r.record_id, r.order_record_id, r.provider, r.amount, r.status, r.provider_refund_id,
+                    p.record_id AS payment_record_id, p.payid
+             FROM refunds r
+             JOIN payments p ON p.record_id = r.payments_record_id
+             WHERE (r.status = 'pending'
+                    AND r.provider_refund_id IS NOT NULL
+                    AND r.created_at > NOW() - make_interval(days => $1))
+             OR (r.status = 'requested'
+                 AND r.updated_at < NOW() - make_interval(mins => $2)
+                 AND r.created_at > NOW() - make_interval(hours => $3))
+             ORDER BY r.record_id`,
+            [PENDING_CHECK_DAYS, REQUESTED_GRACE_MINUTES, RESEND_WINDOW_HOURS]
+        );
+
+        const summary = { checked: 0, changed: 0, failed: 0 };
+        for (const refund of result.rows) {
+            try {
+                const changed = await this.checkRefund(refund);
+                summary.checked++;
+                if (changed) summary.changed++;
+            } catch (error) {
+                summary.failed++;
+                console.error(`Failed to check ${refund.provider} refund ${refund.record_id}:`, error.message);
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Asks the provider about one open refund and records any change
+     * @param {Object} refund - refunds row with payment_record_id and payid
+     * @returns {boolean} True if the refund's status changed
+     * @private
+     */
+    async checkRefund(refund) {
+        const provider = providerRegistry.get(refund.provider);
+        const payment = { record_id: refund.payment_record_id, provider: refund.provider, payid: refund.payid };
+
+        const orderResult = await pool.query(
+            `SELECT record_id, trade_order, status, amount_paid FROM orders WHERE record_id = $1`,
+            [refund.order_record_id]
+        );
+        const order = orderResult.rows[0];
+
+        let result;
+        if (refund.status === 'pending') {
+            result = await provider.refundStatus(payment, refund.provider_refund_id);
+        } else {
+            if (!provider.idempotentRefunds) {
+                return false;
+            }
+            try {
+                result = await provider.refund(payment, refund.amount, {
+                    full: await this.isFullRefund(refund, order),
+                    reference: order.trade_order,
+                    idempotencyKey: `refund-${refund.record_id}`
+                });
+            } catch (error) {
+                if (!isRejection(error)) {
+                    throw error;
+                }
+                result = { status: 'failed', message: refundErrorMessage(error) };
+            }
+        }
+
+        if (result.status === refund.status) {
+            return false;
+        }
+
+        await this.updateRefund(refund.record_id, result);
+        const totals = await this.updateOrderTotals(order, {
+            reason: `Refund ${refund.record_id} of ${refund.amount} via ${provider.name} ${result.status}`,
+            source: 'refund'
+        });
+        if (totals.status === 'refunded' && order.status !== 'refunded') {
+            await this.recordRefunded(payment.record_id, 'refund check');
+        }
+
+        console.log(`Refund ${refund.record_id} for ${order.trade_order} via ${refund.provider}: ${refund.status} -> ${result.status}`);
+        return true;
+    }
+
+    /**
+     * Whether a refund was for the whole payment, as worked out when it was reserved
+     * @param {Object} refund - refunds row
+     * @param {Object} order - { amount_paid }
+     * @returns {boolean}
+     * @private
+     */
+    async isFullRefund(refund, order) {
+        const earlier = await pool.query(
+            `SELECT COUNT(*) AS count
+             FROM refunds
+             WHERE order_record_id = $1
+             AND record_id < $2
+             AND status <> 'failed'`,
+            [refund.order_record_id, refund.record_id]
+        );
+        return parseInt(earlier.rows[0].count, 10) === 0 && toCents(refund.amount) === toCents(order.amount_paid);
+    }
+
+    /**
+     * Records that a payment now reads as refunded in the dashboard and status endpoint
+     * @param {number} paymentId - payments.record_id
+     * @param {string} source - Who refunded it
+     * @private
+     */
+    async recordRefunded(paymentId, source) {
+        await pool.query(
+            `INSERT INTO pay_status (payments_record_id, date_time, status, canonical_status, message, source)
+             VALUES ($1, NOW(), 'refunded', 'refunded', $2, 'refund')`,
+            [paymentId, `Refunded in full (${source})`]
+        );
+    }
+
+    /**
+     * Checks the request and inserts the refund as 'requested' while the order is locked,
+     * so concurrent refunds can't exceed what was paid
+     * @param {number} orderRecordId - orders.record_id
+     * @param {number|string|undefined} amount - Requested amount in dollars
+     * @param {Object} options - { reason, source }
+     * @returns {Object} { order, payment, refundId, refundAmount, full }
+     */
+    async reserveRefund(orderRecordId, amount, { reason, source }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const orderResult = await client.query(
+                `SELECT record_id, trade_order, status, amount_paid
+                 FROM orders
+                 WHERE record_id = $1
+                 FOR UPDATE`,
+                [orderRecordId]
+            );
+            if (orderResult.rows.length === 0) {
+                const error = new Error('Order not found');
+                error.statusCode = 404;
+                throw error;
+            }
+            const order = orderResult.rows[0];
+
+            if (!REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+                throw new OrderStatusError(`Order ${order.trade_order} is ${order.status || 'awaiting_payment'} and has nothing to refund`);
+            }
+
+            const payment = await this.findPaidPayment(client, orderRecordId);
+            if (!payment) {
+                throw new OrderStatusError(`Order ${order.trade_order} has no completed payment to refund`);
+            }
+
+            const paidCents = order.amount_paid !== null
+                ? toCents(order.amount_paid)
+                : await this.chargedCents(payment);
+            const refundedCents = await this.refundedCents(client, orderRecordId);
+            const refundableCents = paidCents - refundedCents;
+            if (refundableCents <= 0) {
+                throw new OrderStatusError(`Order ${order.trade_order} has already been refunded in full`);
+            }
+
+            const requestedCents = amount === undefined || amount === null || amount === ''
+                ? refundableCents
+                : toCents(amount);
+            if (!Number.isInteger(requestedCents) || requestedCents <= 0) {
+                const error = new Error('Refund amount must be a positive number');
+                error.statusCode = 400;
+                throw error;
+            }
+            if (requestedCents > refundableCents) {
+                const error = new Error(`Refund amount exceeds the refundable ${(refundableCents / 100).toFixed(2)}`);
+                error.statusCode = 400;
+                throw error;
+            }
+
+            const refundAmount = (requestedCents / 100).toFixed(2);
+            const inserted = await client.query(
+                `INSERT INTO refunds (order_record_id, payments_record_id, provider, amount, status, reason, source)
+                 VALUES ($1, $2, $3, $4, 'requested', $5, $6)
+                 RETURNING record_id`,
+                [orderRecordId, payment.record_id, payment.provider, refundAmount, reason, source]
+            );
+
+            // Orders paid before amount_paid was recorded get it now
+            if (order.amount_paid === null) {
+                await client.query(
+                    `UPDATE orders SET amount_paid = $1 WHERE record_id = $2`,
+                    [(paidCents / 100).toFixed(2), orderRecordId]
+                );
+            }
+
+            await client.query('COMMIT');
+
+            return {
+                order: { ...order, amount_paid: (paidCents / 100).toFixed(2) },
+                payment,
+                refundId: inserted.rows[0].record_id,
+                refundAmount,
+                full: refundedCents === 0 && requestedCents === paidCents
+            };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Finds the payments row that paid for an order
+     * @param {Object} client - Database client or pool
+     * @param {number} orderRecordId - orders.record_id
+     * @returns {Object|null} { record_id, provider, payid, amount, fee_amount }
+     */
+    async findPaidPayment(client, orderRecordId) {
+        const result = await client.query(
+            `SELECT record_id, provider, payid, amount, fee_amount, status_url, status_pay, status_canonical
+             FROM payments
+             WHERE order_record_id = $1
+             AND payid IS NOT NULL
+             ORDER BY created_at DESC`,
+            [orderRecordId]
+        );
+
+        return result.rows.find(payment =>
+            ['paid', 'refunded'].includes(payment.status_canonical) ||
+            classifyPaymentStatus(payment.provider, {
+                status: payment.status_url,
+                payment_status: payment.status_pay
+            }) === 'paid'
+        ) || null;
+    }
+
+    /**
+     * What the customer was charged for a payment: its amount plus the fee stored on it,
+     * or the provider's current fee for payments made before fees were stored
+     * @param {Object} payment - { provider, amount, fee_amount }
+     * @returns {number} Cents
+     */
+    async chargedCents(payment) {
+        const fee = payment.fee_amount !== null && payment.fee_amount !== undefined
+            ? payment.fee_amount
+            : await providerRegistry.find(payment.provider)?.feeFor(payment.amount) || 0;
+        return toCents(payment.amount) + toCents(fee);
+    }
+
+    /**
+     * Total of an order's refunds that have not failed
+     * @param {Object} db - Database client or pool
+     * @param {number} orderRecordId - orders.record_id
+     * @returns {number} Cents
+     */
+    async refundedCents(db, orderRecordId) {
+        const result = await db.query(
+            `SELECT COALESCE(SUM(amount), 0) AS total
+             FROM refunds
+             WHERE order_record_id = $1
+             AND status <> 'failed'`,
+            [orderRecordId]
+        );
+        return toCents(result.rows[0].total);
+    }
+
+    /**
+     * Records the provider's answer on a refund
+     * @param {number} refundId - refunds.record_id
+     * @param {Object} result - { status, refund_id, message }
+     */
+    async updateRefund(refundId, { status, refund_id: providerRefundId = null, message = null }) {
+        await pool.query(
+            `UPDATE refunds
+             SET status = $1, provider_refund_id = COALESCE($2, provider_refund_id), message = $3, updated_at = NOW()
+             WHERE record_id = $4`,
+            [status, providerRefundId, message, refundId]
+        );
+    }
+
+    /**
+     * Recalculates orders.amount_refunded and moves the order to the matching refund status
+     * @param {Object} order - { record_id, trade_order, status, amount_paid }
+     * @param {Object} options - { reason, source } for the status history
+     * @returns {Object} { status, amount_paid, amount_refunded }
+     */
+    async updateOrderTotals(order, { reason, source }) {
+        const refundedCents = await this.refundedCents(pool, order.record_id);
+        await pool.query(
+            `UPDATE orders SET amount_refunded = $1 WHERE record_id = $2`,
+            [(refundedCents / 100).toFixed(2), order.record_id]
+        );
+
+        let status = order.status;
+        if (refundedCents > 0) {
+            const target = refundedCents >= toCents(order.amount_paid) ? 'refunded' : 'partially_refunded';
+            if (target !== order.status && orderStatusService.canTransition(order.status, target)) {
+                await orderStatusService.transition(order.record_id, target, { reason, source });
+                status = target;
+            }
+        }
+
+        return {
+            status,
+            amount_paid: order.amount_paid,
+            amount_refunded: (refundedCents / 100).toFixed(2)
+        };
+    }
+
+    /**
+     * How much of an order can still be refunded
+     * @param {Object} order - orders row
+     * @returns {string|null} Dollars, or null when the order can't be refunded
+     */
+    async refundableAmount(order) {
+        if (!REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+            return null;
+        }
+
+        let paidCents = order.amount_paid !== null ? toCents(order.amount_paid) : null;
+        if (paidCents === null) {
+            const payment = await this.findPaidPayment(pool, order.record_id);
+            if (!payment) return null;
+            paidCents = await this.chargedCents(payment);
+        }
+
+        const remainingCents = paidCents - await this.refundedCents(pool, order.record_id);
+        return remainingCents > 0 ? (remainingCents / 100).toFixed(2) : null;
+    }
+
+    /**
+     * Loads the refunds of an order
+     * @param {number} orderRecordId - orders.record_id
+     * @returns {Array} Refund rows, newest first
+     */
+    async getRefunds(orderRecordId) {
+        const result = await pool.query(
+            `SELECT record_id, payments_record_id, provider, amount, status, provider_refund_id,
+                    reason, message, source, created_at, updated_at
+             FROM refunds
+             WHERE order_record_id = $1
+             ORDER BY created_at DESC, record_id DESC`,
+            [orderRecordId]
+        );
+        return result.rows;
+    }
+}
+
+/**
+ * Whether a refund call was definitely refused, so no money moved: the provider answered
+ * 4xx, or the refund was refused before reaching it (e.g. a provider without refunds).
+ * Timeouts, network errors and 5xx leave the outcome unknown.
+ * @param {Error} error - Error thrown by provider.refund()
+ * @returns {boolean}
+ * @private
+ */
+function isRejection(error) {
+    if (!error.response) {
+        return (error.statusCode >= 400 && error.statusCode < 500) || error.statusCode === 501;
+    }
+    // 409: a request with the same idempotency key is still being processed
+    const status = error.response.status;
+    return status >= 400 && status < 500 && status !== 409;
+}
+
+/**
+ * Provider's explanation of a failed refund call
+ * @private
+ */
+function refundErrorMessage(error) {
+    return error.response?.data?.error?.message || error.response?.data?.message || error.message;
+}
+
+module.exports = new OrderRefundService();
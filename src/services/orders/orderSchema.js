@@ -0,0 +1,253 @@
+/**
+ * Order Payload Schema
+ * -------------------
+ * Purpose: Declares every field OrderService.createOrder accepts and validates requests against it
+ * Role: Produces a machine-readable list of field errors the Webflow form can show inline
+ *
+ * Field rules:
+ * - type: 'string' (text, numbers and booleans are accepted and compared as text)
+ *         'number' (numbers or numeric strings)
+ *         'integer' (whole numbers or whole-number strings)
+ *         'array' (list of objects checked against an item schema,
+ *                  or of plain values checked against an itemRule)
+ * - required: field must be present and not blank
+ * - requiredUnless: field is required unless one of the named fields is present
+ * - maxLength: limit matching the size of the DB column the value is stored in
+ * - min: lowest allowed numeric value
+ * - exclusiveMin: value the number must be greater than
+ * - format: 'email', 'date' or 'time'
+ * - items / itemRule / minItems / maxItems: item schema or rule and size limits for arrays
+ *
+ * ⚠️ CONFIGURE: Keep maxLength values in step with the order_items and price_table columns
+ */
+
+// One entry of the items array, stored in the order_items table
+const ORDER_ITEM_SCHEMA = {
+    product_name: { type: 'string', required: true, maxLength: 255 },
+    sku:          { type: 'string', maxLength: 100 },
+    quantity:     { type: 'integer', required: true, min: 1 },
+    price_nzd:    { type: 'number', required: true, min: 0 }
+};
+
+const ORDER_SCHEMA = {
+    first_name_order:  { type: 'string', required: true },
+    last_name_order:   { type: 'string' },
+    email_order:       { type: 'string', required: true, format: 'email' },
+    phone_order:       { type: 'string' },
+    product_name_full: { type: 'string' },
+    total_price:       { type: 'number', requiredUnless: ['items', 'quote'], exclusiveMin: 0 },
+    quantity:          { type: 'integer', min: 0 },
+    price_nzd:         { type: 'number', min: 0 },
+    zoho_id:           { type: 'string' },
+    delivery:          { type: 'string' },
+    pay_in_person:     { type: 'string' },
+    checkbox_order:    { type: 'string' },
+    address:           { type: 'string' },
+    message:           { type: 'string' },
+    date_picker_order: { type: 'string', format: 'date' },
+    time_picker_order: { type: 'string', format: 'time' },
+    items:             { type: 'array', minItems: 1, maxItems: 50, items: ORDER_ITEM_SCHEMA },
+    providers:         { type: 'array', maxItems: 10, itemRule: { type: 'string' } },
+    quote:             { type: 'string' }
+};
+
+// One entry of a POST /quotes request - prices come from the server-side price table
+const QUOTE_ITEM_SCHEMA = {
+    sku:      { type: 'string', required: true, maxLength: 100 },
+    quantity: { type: 'integer', required: true, min: 1 }
+};
+
+const QUOTE_REQUEST_SCHEMA = {
+    items: { type: 'array', required: true, minItems: 1, maxItems: 50, items: QUOTE_ITEM_SCHEMA }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+// Webflow date pickers send YYYY-MM-DD, DD/MM/YYYY or DD-MM-YYYY
+const DATE_PATTERNS = [
+    { pattern: /^(\d{4})-(\d{2})-(\d{2})$/, order: ['year', 'month', 'day'] },
+    { pattern: /^(\d{2})[/-](\d{2})[/-](\d{4})$/, order: ['day', 'month', 'year'] }
+];
+// 24 hour "14:30" or 12 hour "2:30 PM"
+const TIME_PATTERN = /^(([01]?\d|2[0-3]):[0-5]\d|(0?[1-9]|1[0-2]):[0-5]\d\s?[AaPp][Mm])$/;
+
+/**
+ * Validation error carrying per-field details
+ * Routes respond with 400 and the fields array
+ */
+class ValidationError extends Error {
+    constructor(fields, message = 'Invalid order data') {
+        super(message);
+        this.name = 'ValidationError';
+        this.statusCode = 400;
+        this.fields = fields;
+    }
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isValidDate(value) {
+    for (const { pattern, order } of DATE_PATTERNS) {
+        const match = value.match(pattern);
+        if (!match) continue;
+
+        const parts = {};
+        order.forEach((name, index) => { parts[name] = parseInt(match[index + 1], 10); });
+        const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+        return date.getUTCFullYear() === parts.year
+            && date.getUTCMonth() === parts.month - 1
+            && date.getUTCDate() === parts.day;
+    }
+    return false;
+}
+
+/**
+ * Checks every field of an object against a schema
+ * @param {Object} schema - Field rules
+ * @param {Object} data - Object to check
+ * @param {string} prefix - Path prepended to field names (for array items)
+ * @returns {Array} Field errors
+ */
+function validateObject(schema, data, prefix = '') {
+    return Object.entries(schema)
+        .flatMap(([field, rule]) => {
+            const required = rule.required
+                || (rule.requiredUnless && [].concat(rule.requiredUnless).every(other => isBlank(data[other])));
+            return validateField(`${prefix}${field}`, { ...rule, required }, data[field]);
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Checks an array value and each of its items
+ * @returns {Array} Field errors
+ */
+function validateArray(field, rule, value) {
+    if (!Array.isArray(value)) {
+        return [{ field, code: 'type', message: `${field} must be a list` }];
+    }
+    if (rule.minItems && value.length < rule.minItems) {
+        return [{ field, code: 'min_items', message: `${field} must contain at least ${rule.minItems} item(s)` }];
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+        return [{ field, code: 'max_items', message: `${field} must contain at most ${rule.maxItems} items` }];
+    }
+
+    if (rule.itemRule) {
+        return value.flatMap((item, index) => validateField(`${field}[${index}]`, { ...rule.itemRule, required: true }, item))
+            .filter(Boolean);
+    }
+
+    return value.flatMap((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return [{ field: `${field}[${index}]`, code: 'type', message: `${field}[${index}] must be an object` }];
+        }
+        return validateObject(rule.items, item, `${field}[${index}].`);
+    });
+}
+
+/**
+ * Checks one value against its field rule
+ * @returns {Object|Array|null} Field error(s) or null when valid
+ */
+function validateField(field, rule, value) {
+    if (isBlank(value)) {
+        return rule.required
+            ? { field, code: 'required', message: `${field} is required` }
+            : null;
+    }
+
+    if (rule.type === 'array') {
+        return validateArray(field, rule, value);
+    }
+
+    if (rule.type === 'number' || rule.type === 'integer') {
+        const pattern = rule.type === 'integer' ? INTEGER_PATTERN : NUMBER_PATTERN;
+        const text = typeof value === 'number' ? String(value) : value;
+        if ((typeof value !== 'number' && typeof value !== 'string') || !pattern.test(String(text).trim())
+            || !Number.isFinite(Number(text))) {
+            return {
+                field,
+                code: 'type',
+                message: `${field} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`
+            };
+        }
+        if (rule.min !== undefined && Number(text) < rule.min) {
+            return { field, code: 'min', message: `${field} must be at least ${rule.min}` };
+        }
+        if (rule.exclusiveMin !== undefined && Number(text) <= rule.exclusiveMin) {
+            return { field, code: 'min', message: `${field} must be greater than ${rule.exclusiveMin}` };
+        }
+        return null;
+    }
+
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        return { field, code: 'type', message: `${field} must be text` };
+    }
+
+    const text = String(value).trim();
+    if (rule.maxLength && text.length > rule.maxLength) {
+        return { field, code: 'max_length', message: `${field} must be at most ${rule.maxLength} characters` };
+    }
+    if (rule.format === 'email' && !EMAIL_PATTERN.test(text)) {
+        return { field, code: 'format', message: `${field} must be a valid email address` };
+    }
+    if (rule.format === 'date' && !isValidDate(text)) {
+        return { field, code: 'format', message: `${field} must be a date (YYYY-MM-DD or DD/MM/YYYY)` };
+    }
+    if (rule.format === 'time' && !TIME_PATTERN.test(text)) {
+        return { field, code: 'format', message: `${field} must be a time (HH:MM or H:MM AM/PM)` };
+    }
+    return null;
+}
+
+/**
+ * Validates an order payload against ORDER_SCHEMA
+ * Fields not in the schema are ignored
+ * @param {Object} orderData - Request body
+ * @returns {Array} Field errors ({ field, code, message }), empty when valid
+ */
+function validateOrder(orderData) {
+    if (!orderData || typeof orderData !== 'object' || Array.isArray(orderData)) {
+        return [{ field: null, code: 'type', message: 'Order data must be an object' }];
+    }
+
+    return validateObject(ORDER_SCHEMA, orderData);
+}
+
+/**
+ * Validates an order payload and throws a ValidationError listing every problem
+ * @param {Object} orderData - Request body
+ */
+function assertValidOrder(orderData) {
+    const errors = validateOrder(orderData);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+}
+
+/**
+ * Validates a POST /quotes payload and throws a ValidationError listing every problem
+ * @param {Object} quoteRequest - Request body
+ */
+function assertValidQuoteRequest(quoteRequest) {
+    const errors = quoteRequest && typeof quoteRequest === 'object' && !Array.isArray(quoteRequest)
+        ? validateObject(QUOTE_REQUEST_SCHEMA, quoteRequest)
+        : [{ field: null, code: 'type', message: 'Quote request must be an object' }];
+    if (errors.length > 0) {
+        throw new ValidationError(errors, 'Invalid quote request');
+    }
+}
+
+module.exports = {
+    ORDER_SCHEMA,
+    ORDER_ITEM_SCHEMA,
+    QUOTE_REQUEST_SCHEMA,
+    ValidationError,
+    validateOrder,
+    assertValidOrder,
+    assertValidQuoteRequest
+};
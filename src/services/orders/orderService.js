@@ -5,79 +5,175 @@
  * It provides functionality for:
  * - Generating unique trade order numbers
  * - Creating new orders with customer and product details
+ * - Pricing orders from signed server-side quotes
  * - Managing order transactions with database integration
- * - Generating payment links through multiple payment providers
+ * - Queueing payment link generation for the providers the customer asks for
+ *   (one retried job per provider on the payment link queue)
+ * - Adding a link for another provider to an existing order
+ * - Re-issuing fresh payment links for an order whose links expired
  * 
  * Key Requirements:
  * - PostgreSQL database connection
  * - JWT for token generation
- * - POLi payment service integration
- * - Blink payment service integration
- * - BTCPay Server integration for Bitcoin payments
- * - Stripe payment service integration
- * - Alipay payment service integration
+ * - Payment providers from the provider registry (POLi, Blink, BTCPay, Stripe, Alipay)
  * - Environment variables for JWT secret
  */
 
 const pool = require('../../config/database');
 const jwt = require('jsonwebtoken');
-const PoliService = require('../payments/poliService');
-const BlinkService = require('../payments/blinkService');
-const BTCPayService = require('../payments/btcpayService');
-const StripeService = require('../payments/stripeService');
-const AlipayService = require('../payments/alipayService');
+const providerRegistry = require('../payments/providers/providerRegistry');
+const { assertValidOrder, ValidationError } = require('./orderSchema');
+const { toCents, normaliseItems, itemsTotal, itemsMatchTotal, formatItemsSummary } = require('./orderItems');
+const QuoteService = require('./quoteService');
+const OrderStatusService = require('./orderStatusService');
+const paymentLinkJobService = require('../payments/links/paymentLinkJobService');
+const { queuePaymentLinks } = require('../payments/links/paymentLinkQueue');
+const expiryService = require('../payments/expiry/expiryService');
+const paymentStatusService = require('../payments/paystatus/paymentStatusService');
+const { OrderStatusError } = OrderStatusService;
+
+// ⚠️ CONFIGURE: How long a re-issue or an added link waits for the links before answering
+const REISSUE_WAIT_SECONDS = parseInt(process.env.PAYMENT_LINK_WAIT_SECONDS, 10) || 20;
+
+// ⚠️ CONFIGURE: Trade order number format (prefix, zero padding and first number)
+const TRADE_ORDER_PREFIX = process.env.TRADE_ORDER_PREFIX || 'TO-';
+const TRADE_ORDER_PADDING = parseInt(process.env.TRADE_ORDER_PADDING, 10) || 0;
+const TRADE_ORDER_START = parseInt(process.env.TRADE_ORDER_START, 10) || 2317;
+const TRADE_ORDER_SEQUENCE = 'trade_order_seq';
+
+// Canonical statuses where money has moved - the links can't be re-issued
+const SETTLED_STATUSES = ['authorised', 'paid', 'refunded'];
 
 class OrderService {
+    constructor() {
+        // Resolves once the trade order sequence exists and is ahead of existing orders
+        this.sequenceReady = null;
+    }
+
     /**
-     * Generates the next sequential trade order number
-     * Formats: "TO-XXXX" where XXXX is an incrementing number
-     * Default starts at TO-2317 if no previous orders exist
+     * Creates the trade order sequence if needed and moves it past any
+     * trade order numbers already stored in the orders table.
+     * Runs once per process under an advisory lock so several instances
+     * starting together don't race each other.
      */
-    async getNextTradeOrder() {
-        const result = await pool.query("SELECT trade_order FROM orders ORDER BY record_id DESC LIMIT 1");
+    async ensureTradeOrderSequence() {
+        if (!this.sequenceReady) {
+            this.sequenceReady = this.syncTradeOrderSequence().catch(error => {
+                // Allow the next order to try again
+                this.sequenceReady = null;
+                throw error;
+            });
+        }
+        return this.sequenceReady;
+    }
 
-        // ⚠️ CONFIGURE: Change starting number if needed
-        const DEFAULT_START = "TO-2317";
+    async syncTradeOrderSequence() {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [TRADE_ORDER_SEQUENCE]);
+            await client.query(`CREATE SEQUENCE IF NOT EXISTS ${TRADE_ORDER_SEQUENCE}`);
 
-        if (result.rows.length === 0 || !result.rows[0].trade_order || result.rows[0].trade_order.trim() === "") {
-            return DEFAULT_START;
-        }
+            const sequence = await client.query(`SELECT last_value, is_called FROM ${TRADE_ORDER_SEQUENCE}`);
+            const { last_value, is_called } = sequence.rows[0];
+            const lastIssued = is_called ? parseInt(last_value, 10) : parseInt(last_value, 10) - 1;
 
-        const lastTradeOrder = result.rows[0].trade_order.trim();
+            // Highest number already used with the configured prefix
+            const existing = await client.query(
+                `SELECT MAX(CAST(SUBSTRING(BTRIM(trade_order) FROM $1) AS bigint)) AS max_number
+                 FROM orders
+                 WHERE LEFT(BTRIM(trade_order), $2) = $3
+                 AND SUBSTRING(BTRIM(trade_order) FROM $1) ~ '^[0-9]+$'`,
+                [TRADE_ORDER_PREFIX.length + 1, TRADE_ORDER_PREFIX.length, TRADE_ORDER_PREFIX]
+            );
+            const maxExisting = parseInt(existing.rows[0].max_number, 10) || 0;
 
-        if (typeof lastTradeOrder === "string" && lastTradeOrder.startsWith("TO-")) {
-            const lastNumber = parseInt(lastTradeOrder.replace("TO-", ""), 10);
-            return `TO-${lastNumber + 1}`;
+            const floor = Math.max(lastIssued, maxExisting, TRADE_ORDER_START - 1);
+            if (floor > lastIssued) {
+                await client.query('SELECT setval($1, $2, true)', [TRADE_ORDER_SEQUENCE, floor]);
+                console.log(`Trade order sequence moved to ${floor} (next: ${this.formatTradeOrder(floor + 1)})`);
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
+    }
 
-        return DEFAULT_START;
+    /**
+     * Formats a sequence number as a trade order, e.g. 2317 -> "TO-2317"
+     * @param {number} number - Sequence value
+     * @returns {string} Trade order number
+     */
+    formatTradeOrder(number) {
+        return `${TRADE_ORDER_PREFIX}${String(number).padStart(TRADE_ORDER_PADDING, '0')}`;
+    }
+
+    /**
+     * Allocates the next trade order number from the database sequence
+     * Formats: "TO-XXXX" where XXXX is an incrementing number
+     * Default starts at TO-2317 if no previous orders exist
+     * nextval() is atomic, so concurrent orders never share a number
+     * @param {Object} client - Optional database client (e.g. inside a transaction)
+     * @returns {string} Trade order number
+     */
+    async getNextTradeOrder(client = pool) {
+        await this.ensureTradeOrderSequence();
+        const result = await client.query('SELECT nextval($1) AS number', [TRADE_ORDER_SEQUENCE]);
+        return this.formatTradeOrder(result.rows[0].number);
     }
 
     /**
      * Creates a new order in the system
+     * Orders with an items array get one order_items row per line and their
+     * total_price is computed from the lines (a supplied total must match).
+     * With a quote, items and total come from the stored quote instead.
      * @param {Object} orderData - Contains all order details including customer info and product details
      * @returns {Object} Contains generated token and trade order number
+     * @throws {ValidationError} When any field fails the order schema
      */
     async createOrder(orderData) {
         const {
-            first_name_order, email_order, total_price, // Required fields
-            last_name_order, phone_order, product_name_full, quantity, price_nzd,
-            zoho_id, delivery, pay_in_person, checkbox_order, address, message,
-            date_picker_order, time_picker_order
+            first_name_order, email_order, // Required fields
+            last_name_order, phone_order, zoho_id, delivery, pay_in_person,
+            checkbox_order, address, message, date_picker_order, time_picker_order
         } = orderData;
 
-        // Input validation for required fields
-        if (!first_name_order || !email_order || !total_price) {
-            throw new Error("First name, email, and total price are required.");
-        }
+        // Validate every field against the declared schema (throws ValidationError)
+        assertValidOrder(orderData);
 
-        const trade_order = await this.getNextTradeOrder();
+        // Only generate links for the providers the customer asked for (default: all)
+        const providers = this.resolveProviders(orderData.providers);
+
+        if (!orderData.quote && QuoteService.isRequired()) {
+            throw new ValidationError([{
+                field: 'quote',
+                code: 'required',
+                message: 'quote is required - request a price from POST /quotes first'
+            }]);
+        }
 
         // Database transaction handling
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
 
+            // Prices come from the server-side quote when there is one
+            let quote = null;
+            let pricedData = orderData;
+            if (orderData.quote) {
+                quote = await QuoteService.claimQuote(client, orderData.quote);
+                this.assertMatchesQuote(orderData, quote);
+                pricedData = { ...orderData, items: quote.items, total_price: quote.total_price };
+            }
+
+            const { items, total_price, product_name_full, quantity, price_nzd } = this.priceOrder(pricedData);
+
+            const trade_order = await this.getNextTradeOrder(client);
+
             // Generate JWT token for order tracking
             const token = jwt.sign(
                 { trade_order, email_order, timestamp: Date.now() },
@@ -91,25 +187,30 @@ class OrderService {
                     trade_order, first_name_order, last_name_order, email_order, phone_order,
                     product_name_full, total_price, quantity, price_nzd, zoho_id, delivery,
                     pay_in_person, checkbox_order, address, message, token,
-                    date_picker_order, time_picker_order
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
-                RETURNING record_id, order_creation_time`,
+                    date_picker_order, time_picker_order, quote_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+                RETURNING record_id, order_creation_time, link_generation`,
                 [
                     trade_order, first_name_order, last_name_order || null, email_order, phone_order || null,
                     product_name_full || null, total_price, quantity || null, price_nzd || null, zoho_id || null,
                     delivery || null, pay_in_person || null, checkbox_order || null, address || null,
-                    message || null, token, date_picker_order || null, time_picker_order || null
+                    message || null, token, date_picker_order || null, time_picker_order || null,
+                    quote ? quote.quote_id : null
                 ]
             );
 
-            await client.query('COMMIT');
+            await this.insertOrderItems(client, orderResult.rows[0].record_id, items);
 
-            // Prepare order data for payment processing
-            const orderWithId = {
-                ...orderData,
-                record_id: orderResult.rows[0].record_id,
-                trade_order
-            };
+            if (quote) {
+                await QuoteService.markUsed(client, quote.quote_id, orderResult.rows[0].record_id);
+            }
+
+            // Link jobs are committed with the order so a restart can't lose them
+            const linkJobs = await paymentLinkJobService.createJobs(
+                client, orderResult.rows[0].record_id, providers, orderResult.rows[0].link_generation
+            );
+
+            await client.query('COMMIT');
 
             // Format timestamp for New Zealand timezone
             const timestamp = orderResult.rows[0].order_creation_time;
@@ -122,8 +223,11 @@ class OrderService {
                 minute: '2-digit'
             }).replace(/\//g, '-');
 
-            // Asynchronously generate payment links
-            this.generatePaymentLinks(orderWithId);
+            // Payment links are generated in the background; a job that can't be queued
+            // now is queued again by the link queue's periodic recovery
+            queuePaymentLinks(linkJobs, trade_order).catch(error => {
+                console.error(`Failed to queue payment links for order ${trade_order}:`, error.message);
+            });
 
             return { token, trade_order, order_creation_time: formattedDate };
 
@@ -136,76 +240,464 @@ class OrderService {
     }
 
     /**
-     * Generates payment links through multiple payment providers
-     * Runs asynchronously to not block the order creation process
-     * Handles all payment processing in parallel
-     * @param {Object} orderData - Complete order information including record_id
+     * Works out the stored items and order-level totals of a payload
+     * Orders with an items array get their total_price computed from the lines
+     * (a supplied total must match); order-level columns summarise the lines
+     * @param {Object} orderData - Validated order payload
+     * @returns {Object} { items, total_price, product_name_full, quantity, price_nzd }
+     * @throws {ValidationError} When total_price doesn't equal the sum of the items
      */
-    async generatePaymentLinks(orderData) {
+    priceOrder(orderData) {
+        const items = normaliseItems(orderData);
+        let { total_price, product_name_full, quantity, price_nzd } = orderData;
+
+        if (Array.isArray(orderData.items)) {
+            const computedTotal = itemsTotal(items);
+            if (total_price !== undefined && total_price !== null && total_price !== ''
+                && !itemsMatchTotal(items, total_price)) {
+                throw new ValidationError([{
+                    field: 'total_price',
+                    code: 'mismatch',
+                    message: `total_price must equal the sum of the items (${computedTotal})`
+                }]);
+            }
+
+            total_price = computedTotal;
+            product_name_full = formatItemsSummary(items).substring(0, 500);
+            quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+            price_nzd = items.length === 1 ? items[0].unit_price : null;
+        }
+
+        return { items, total_price, product_name_full, quantity, price_nzd };
+    }
+
+    /**
+     * Rejects orders whose client-side items or total differ from the quote
+     * @param {Object} orderData - Validated order payload
+     * @param {Object} quote - Claimed quote row
+     * @throws {ValidationError} Listing each mismatch
+     */
+    assertMatchesQuote(orderData, quote) {
+        const errors = [];
+        const hasTotal = orderData.total_price !== undefined && orderData.total_price !== null
+            && orderData.total_price !== '';
+
+        if (hasTotal && toCents(orderData.total_price) !== toCents(quote.total_price)) {
+            errors.push({
+                field: 'total_price',
+                code: 'quote_mismatch',
+                message: `total_price does not match the quoted total (${quote.total_price})`
+            });
+        }
+
+        if (Array.isArray(orderData.items)) {
+            const quoted = normaliseItems({ items: quote.items });
+            const sent = normaliseItems(orderData);
+            const same = sent.length === quoted.length && sent.every((item, index) =>
+                (!item.sku || item.sku === quoted[index].sku)
+                && item.quantity === quoted[index].quantity
+                && toCents(item.unit_price) === toCents(quoted[index].unit_price));
+            if (!same) {
+                errors.push({ field: 'items', code: 'quote_mismatch', message: 'items do not match the quote' });
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    /**
+     * Stores the line items of an order
+     * @param {Object} client - Database client inside the order transaction
+     * @param {number} orderRecordId - orders.record_id
+     * @param {Array} items - Normalised items
+     */
+    async insertOrderItems(client, orderRecordId, items) {
+        for (const item of items) {
+            await client.query(
+                `INSERT INTO order_items (
+                    order_record_id, line_number, sku, product_name, quantity, unit_price, line_total
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                [
+                    orderRecordId, item.line_number, item.sku, item.product_name,
+                    item.quantity, item.unit_price, item.line_total
+                ]
+            );
+        }
+    }
+
+    /**
+     * Loads the line items of an order
+     * @param {number} orderRecordId - orders.record_id
+     * @returns {Array} Items ordered by line number
+     */
+    async getOrderItems(orderRecordId) {
+        const result = await pool.query(
+            `SELECT line_number, sku, product_name, quantity, unit_price, line_total
+             FROM order_items
+             WHERE order_record_id = $1
+             ORDER BY line_number`,
+            [orderRecordId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Works out which providers to generate links for
+     * @param {Array} requested - Provider codes from the request (case-insensitive), or undefined for all
+     * @returns {Array} Codes of registered providers
+     * @throws {ValidationError} For unknown or unconfigured providers
+     */
+    resolveProviders(requested) {
+        const available = providerRegistry.codes();
+
+        if (requested === undefined || requested === null || requested.length === 0) {
+            return available.filter(code => providerRegistry.get(code).isConfigured());
+        }
+
+        const errors = [];
+        const providers = [];
+        requested.forEach((name, index) => {
+            const code = available.find(key => key.toUpperCase() === String(name).trim().toUpperCase());
+            if (!code) {
+                errors.push({
+                    field: `providers[${index}]`,
+                    code: 'unknown',
+                    message: `Unknown payment provider: ${name} (expected one of ${available.join(', ')})`
+                });
+            } else if (!providerRegistry.get(code).isConfigured()) {
+                errors.push({
+                    field: `providers[${index}]`,
+                    code: 'unavailable',
+                    message: `Payment provider ${code} is not available`
+                });
+            } else if (!providers.includes(code)) {
+                providers.push(code);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+        return providers;
+    }
+
+    /**
+     * Loads an order by its public token together with its line items
+     * @param {string} token - Order token returned by POST /create
+     * @returns {Object} Order row with items, shaped like the createOrder payload
+     */
+    async getOrderByToken(token) {
+        const result = await pool.query(`SELECT * FROM orders WHERE token = $1`, [token]);
+        if (result.rows.length === 0) {
+            const error = new Error('Order not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const order = result.rows[0];
+        return { ...order, items: await this.getOrderItems(order.record_id) };
+    }
+
+    /**
+     * Creates a payment link for one more provider on an existing order
+     * Returns the current link instead if the provider already has a usable one.
+     * The link is made by a job on the payment link queue, recorded under the order's
+     * row lock so concurrent requests share one job; the answer waits up to
+     * PAYMENT_LINK_WAIT_SECONDS for it and reports it as generating after that.
+     * @param {string} token - Order token
+     * @param {string} provider - Provider code (case-insensitive)
+     * @returns {Object} { trade_order, provider, payment_url, expires_at, existing,
+     *   link: 'ready'|'generating' }
+     * @throws {Error} 409 when the order isn't awaiting payment or the provider's link
+     *   expired (the links have to be re-issued), 502 when the link couldn't be made
+     */
+    async addPaymentLink(token, provider) {
+        const [code] = this.resolveProviders([provider]);
+
+        const client = await pool.connect();
+        let order;
+        let job;
+        let queue;
+        try {
+            await client.query('BEGIN');
+
+            const orderResult = await client.query(
+                `SELECT record_id, trade_order, status, link_generation FROM orders WHERE token = $1 FOR UPDATE`,
+                [token]
+            );
+            if (orderResult.rows.length === 0) {
+                const error = new Error('Order not found');
+                error.statusCode = 404;
+                throw error;
+            }
+            order = orderResult.rows[0];
+
+            if ((order.status || 'awaiting_payment') !== 'awaiting_payment') {
+                const error = new Error(`Order ${order.trade_order} is ${order.status} and cannot take new payment links`);
+                error.statusCode = 409;
+                throw error;
+            }
+
+            // A failed attempt leaves a row without a payid; status checks overwrite status_url
+            const current = await client.query(
+                `SELECT payment_url, expires_at, (expires_at IS NULL OR expires_at > NOW()) AS usable
+                 FROM payments
+                 WHERE order_record_id = $1
+                 AND provider = $2
+                 AND superseded_at IS NULL
+                 AND payid IS NOT NULL
+                 ORDER BY created_at DESC
+                 LIMIT 1`,
+                [order.record_id, code]
+            );
+            if (current.rows.length > 0) {
+                if (!current.rows[0].usable) {
+                    const error = new Error(`The ${code} payment link of order ${order.trade_order} has expired; re-issue the payment links for a new one`);
+                    error.statusCode = 409;
+                    throw error;
+                }
+
+                await client.query('COMMIT');
+                return {
+                    trade_order: order.trade_order,
+                    provider: code,
+                    payment_url: current.rows[0].payment_url,
+                    expires_at: current.rows[0].expires_at,
+                    existing: true,
+                    link: 'ready'
+                };
+            }
+
+            ({ job, queue } = await paymentLinkJobService.addJob(client, order.record_id, code, order.link_generation));
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (queue) {
+            console.log(`Adding ${code} payment link to order ${order.trade_order}`);
+            await queuePaymentLinks([job], order.trade_order);
+        }
+        const [finished] = await paymentLinkJobService.waitForJobs([job.record_id], REISSUE_WAIT_SECONDS * 1000);
+
+        if (['failed', 'cancelled'].includes(finished.status)) {
+            const error = new Error(`The ${code} payment link could not be created: ${finished.last_error || finished.status}`);
+            error.statusCode = 502;
+            throw error;
+        }
+
+        const created = finished.payments_record_id
+            ? await pool.query(
+                `SELECT payment_url, expires_at FROM payments WHERE record_id = $1`,
+                [finished.payments_record_id]
+            )
+            : { rows: [] };
+
+        return {
+            trade_order: order.trade_order,
+            provider: code,
+            payment_url: created.rows[0]?.payment_url || null,
+            expires_at: created.rows[0]?.expires_at || null,
+            existing: !queue,
+            link: paymentLinkJobService.linkStates([finished])[code]
+        };
+    }
+
+    /**
+     * Generates a fresh set of payment links for an existing order
+     * The order keeps its trade order and token; its current payments rows are
+     * marked superseded and linked to the rows that replace them, and the ones
+     * that could still be paid are revoked at their provider. Stored statuses can
+     * be minutes old, so each of those links' live status is checked first and a
+     * payment made since the last poll blocks the re-issue. An expired
+     * order moves back to awaiting_payment.
+     * The new links are generated on the payment link queue; the answer waits up to
+     * PAYMENT_LINK_WAIT_SECONDS for them and reports any still generating or failed.
+     * @param {number} orderRecordId - orders.record_id
+     * @param {Object} options - { providers, reason, source, requireDeadLinks }
+     *   providers: provider codes (default: those used by the previous links)
+     *   requireDeadLinks: refuse while a previous link could still be paid (customer re-issues)
+     * @returns {Object} { trade_order, token, link_generation, payments: { PROVIDER: { payment_url, expires_at } },
+     *   links: { PROVIDER: 'ready'|'generating'|'failed'|'cancelled' } }
+     * @throws {Error} 409 when the order is paid, cancelled or fulfilled, a link's payment went
+     *   through, or it still has live links and requireDeadLinks is set
+     * @throws {Error} 503 when a link's live status can't be checked
+     */
+    async reissuePaymentLinks(orderRecordId, { providers, reason = 'Payment links re-issued', source = 'customer', requireDeadLinks = false } = {}) {
+        const requested = providers && providers.length > 0 ? this.resolveProviders(providers) : null;
+
+        // Checked before the order is locked: a check that finds a payment moves the order to paid
+        for (const payment of await this.getRevocableLinks(orderRecordId)) {
+            const liveStatus = await this.liveStatus(payment);
+            if (SETTLED_STATUSES.includes(liveStatus)) {
+                throw new OrderStatusError(
+                    `Payment links cannot be re-issued: the ${payment.provider} payment is ${liveStatus}`);
+            }
+        }
+
+        const client = await pool.connect();
+        let order;
+        let linkJobs;
+        let supersededRows;
+        try {
+            await client.query('BEGIN');
+
+            const orderResult = await client.query(
+                `SELECT * FROM orders WHERE record_id = $1 FOR UPDATE`,
+                [orderRecordId]
+            );
+            if (orderResult.rows.length === 0) {
+                const error = new Error('Order not found');
+                error.statusCode = 404;
+                throw error;
+            }
+            order = orderResult.rows[0];
+
+            const status = order.status || 'awaiting_payment';
+            if (!['awaiting_payment', 'expired'].includes(status)) {
+                const error = new Error(`Order ${order.trade_order} is ${status} and its payment links cannot be re-issued`);
+                error.statusCode = 409;
+                throw error;
+            }
+
+            if (requireDeadLinks && await OrderStatusService.hasLivePayments(orderRecordId, { client })) {
+                const error = new Error(`Order ${order.trade_order} still has payment links that can be paid`);
+                error.statusCode = 409;
+                throw error;
+            }
+
+            const superseded = await client.query(
+                `UPDATE payments SET superseded_at = NOW()
+                 WHERE order_record_id = $1 AND superseded_at IS NULL
+                 RETURNING record_id, provider, payid, status_url, status_canonical, status_expiry`,
+                [orderRecordId]
+            );
+            supersededRows = superseded.rows;
+
+            // A payment recorded since the live checks (e.g. by a webhook)
+            const settled = supersededRows.find(row => SETTLED_STATUSES.includes(row.status_canonical));
+            if (settled) {
+                throw new OrderStatusError(
+                    `Order ${order.trade_order} cannot be re-issued: its ${settled.provider} payment is ${settled.status_canonical}`);
+            }
+            const previousProviders = [...new Set(supersededRows.map(row => row.provider))];
+
+            const generation = await client.query(
+                `UPDATE orders SET link_generation = link_generation + 1
+                 WHERE record_id = $1
+                 RETURNING link_generation`,
+                [orderRecordId]
+            );
+            order.link_generation = generation.rows[0].link_generation;
+
+            if (status === 'expired') {
+                await OrderStatusService.transition(orderRecordId, 'awaiting_payment', { reason, source, client });
+            }
+
+            // Reuse the providers of the previous links that are still configured
+            const codes = requested || previousProviders.filter(code =>
+                providerRegistry.find(code)?.isConfigured());
+            linkJobs = await paymentLinkJobService.createJobs(
+                client, orderRecordId, codes.length > 0 ? codes : this.resolveProviders(), order.link_generation
+            );
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        // Old links stay payable at their provider until they are revoked
+        for (const payment of supersededRows.filter(row => this.isRevocable(row))) {
+            await expiryService.revokePayment(payment, 'superseded');
+        }
+
+        console.log(`Re-issuing payment links for order ${order.trade_order} (generation ${order.link_generation})`);
+        await queuePaymentLinks(linkJobs, order.trade_order);
+        const finishedJobs = await paymentLinkJobService.waitForJobs(
+            linkJobs.map(job => job.record_id), REISSUE_WAIT_SECONDS * 1000
+        );
+
+        // A failed attempt leaves a row without a payid; status checks overwrite status_url
+        const links = await pool.query(
+            `SELECT provider, payment_url, expires_at
+             FROM payments
+             WHERE order_record_id = $1 AND link_generation = $2
+             AND superseded_at IS NULL AND payid IS NOT NULL`,
+            [orderRecordId, order.link_generation]
+        );
+        const payments = {};
+        links.rows.forEach(row => {
+            payments[row.provider] = { payment_url: row.payment_url, expires_at: row.expires_at };
+        });
+
+        return {
+            trade_order: order.trade_order,
+            token: order.token,
+            link_generation: order.link_generation,
+            payments,
+            links: paymentLinkJobService.linkStates(finishedJobs)
+        };
+    }
+
+    /**
+     * Current links of an order that may still be payable (see isRevocable)
+     * @private
+     * @param {number} orderRecordId - orders.record_id
+     * @returns {Array} payments rows
+     */
+    async getRevocableLinks(orderRecordId) {
+        const result = await pool.query(
+            `SELECT record_id, provider, payid, status_url, status_canonical, status_expiry
+             FROM payments
+             WHERE order_record_id = $1 AND superseded_at IS NULL`,
+            [orderRecordId]
+        );
+        return result.rows.filter(row => this.isRevocable(row));
+    }
+
+    /**
+     * Live canonical status of a payment, recorded like any other status check
+     * @private
+     * @param {Object} payment - payments row (record_id, provider)
+     * @returns {string} Canonical status
+     * @throws {Error} 503 when the provider can't be asked
+     */
+    async liveStatus(payment) {
+        let result;
         try {
-            console.log('\n=== Starting Payment Processing ===');
-            console.log('Processing order:', orderData.trade_order);
-            
-            await Promise.all([
-                // POLi payment processing
-                (async () => {
-                    try {
-                        await PoliService.generatePaymentLink(orderData);
-                    } catch (error) {
-                        console.error('POLi processing failed:', error.message);
-                    }
-                })(),
-                // Blink payment processing
-                (async () => {
-                    try {
-                        await BlinkService.generatePaymentLink(orderData);
-                    } catch (error) {
-                        console.error('Blink processing failed:', error.message);
-                    }
-                })(),
-                // BTCPay processing
-                (async () => {
-                    try {
-                        if (process.env.BTCPAY_API_KEY && process.env.BTCPAY_STORE_ID) {
-                            await BTCPayService.generatePaymentLink(orderData);
-                        } else {
-                            console.log('BTCPay configuration not found, skipping Bitcoin payment processing');
-                        }
-                    } catch (error) {
-                        console.error('BTCPay processing failed:', error.message);
-                    }
-                })(),
-                // Stripe payment processing
-                (async () => {
-                    try {
-                        if (process.env.STRIPE_SECRET_KEY) {
-                            await StripeService.generatePaymentLink(orderData);
-                        } else {
-                            console.log('Stripe configuration not found, skipping Stripe payment processing');
-                        }
-                    } catch (error) {
-                        console.error('Stripe processing failed:', error.message);
-                    }
-                })(),
-                // Alipay processing
-                (async () => {
-                    try {
-                        if (process.env.STRIPE_ALIPAY_FEE) {
-                            await AlipayService.generatePaymentLink(orderData);
-                        } else {
-                            console.log('Alipay configuration not found, skipping Alipay payment processing');
-                        }
-                    } catch (error) {
-                        console.error('Alipay processing failed:', error.message);
-                    }
-                })()
-            ]);
-
-            console.log('=== Payment Processing Complete ===\n');
+            result = await paymentStatusService.checkPaymentStatus(payment.record_id, 'reissue');
         } catch (error) {
-            console.error('Payment link generation failed:', error);
-            // Don't throw - this is background processing
+            result = { status: 'error', message: error.message };
+        }
+
+        if (result.status === 'error') {
+            const error = new Error(`Could not check the ${payment.provider} payment before re-issuing: ${result.message}`);
+            error.statusCode = 503;
+            throw error;
         }
+        return result.canonical_status;
+    }
+
+    /**
+     * Whether a superseded link may still be payable and should be revoked:
+     * it was issued, hasn't been revoked and its last known status is still pending
+     * (status_url is 'success' until the first status check)
+     * @private
+     */
+    isRevocable(payment) {
+        return Boolean(payment.payid)
+            && payment.status_url !== 'failed'
+            && !expiryService.CLOSED_OUTCOMES.includes(payment.status_expiry)
+            && OrderStatusService.paymentOutcome(payment.status_canonical) === 'pending';
     }
 }
 
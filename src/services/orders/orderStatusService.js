@@ -0,0 +1,304 @@
+/**
+ * Order Status Service
+ * -------------------
+ * Purpose: Owns the order lifecycle state machine
+ * Role: Moves orders.status forward from payment events and admin actions,
+ *       only through allowed transitions, recording every change in order_status_history
+ *
+ * Statuses:
+ * - awaiting_payment: Order created, payment links issued
+ * - paid: A payment for the order has completed
+ * - expired: Every payment link died without a payment
+ * - cancelled: Order cancelled by staff
+ * - fulfilled: Goods handed over / shipped
+ * - partially_refunded: Part of the payment was refunded (see OrderRefundService)
+ * - refunded: The whole payment was refunded
+ */
+
+const pool = require('../../config/database');
+const providerRegistry = require('../payments/providers/providerRegistry');
+const paymentLinkJobService = require('../payments/links/paymentLinkJobService');
+const { toCanonicalStatus } = require('../payments/paystatus/canonicalStatus');
+
+const ORDER_STATUSES = ['awaiting_payment', 'paid', 'expired', 'cancelled', 'fulfilled', 'partially_refunded', 'refunded'];
+
+// Allowed moves from each status. A payment that lands after the links
+// expired still counts, so expired -> paid is allowed. Re-issuing links
+// moves an expired order back to awaiting_payment. Refunds can follow
+// payment or fulfilment (returned goods).
+const TRANSITIONS = {
+    awaiting_payment: ['paid', 'expired', 'cancelled'],
+    expired: ['paid', 'awaiting_payment', 'cancelled'],
+    paid: ['fulfilled', 'partially_refunded', 'refunded'],
+    cancelled: [],
+    fulfilled: ['partially_refunded', 'refunded'],
+    partially_refunded: ['fulfilled', 'refunded'],
+    refunded: []
+};
+
+// Statuses only OrderRefundService may set, because they must match real refunds
+const REFUND_STATUSES = ['partially_refunded', 'refunded'];
+
+// What each canonical payment status means for the order. A refund doesn't
+// undo the sale for the state machine; authorised payments are still in flight.
+const PAYMENT_OUTCOMES = {
+    pending: 'pending',
+    authorised: 'pending',
+    paid: 'paid',
+    refunded: 'paid',
+    failed: 'failed',
+    cancelled: 'failed',
+    expired: 'expired'
+};
+
+/**
+ * Classifies a provider status check result for the order state machine
+ * @param {string} provider - Payment provider code
+ * @param {Object} statusResult - Result of a provider checkStatus()
+ * @returns {string} 'paid', 'expired', 'failed' or 'pending'
+ */
+function classifyPaymentStatus(provider, statusResult) {
+    return paymentOutcome(toCanonicalStatus(provider, statusResult));
+}
+
+/**
+ * Order state machine outcome of a stored canonical payment status
+ * @param {string|null} canonicalStatus - payments.status_canonical
+ * @returns {string} 'paid', 'expired', 'failed' or 'pending'
+ */
+function paymentOutcome(canonicalStatus) {
+    return PAYMENT_OUTCOMES[canonicalStatus] || 'pending';
+}
+
+/**
+ * Error raised for a transition the state machine does not allow
+ */
+class OrderStatusError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrderStatusError';
+        this.statusCode = 409;
+    }
+}
+
+class OrderStatusService {
+    constructor() {
+        this.statuses = ORDER_STATUSES;
+        this.transitions = TRANSITIONS;
+        this.refundStatuses = REFUND_STATUSES;
+    }
+
+    /**
+     * Whether an order may move between two statuses
+     * @param {string} from - Current status
+     * @param {string} to - Requested status
+     * @returns {boolean} True when allowed
+     */
+    canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Moves an order to a new status and records the change
+     * @param {number} orderRecordId - orders.record_id
+     * @param {string} toStatus - Requested status
+     * @param {Object} options - { reason, source, client }
+     *   client: run inside an existing transaction instead of opening one
+     * @returns {boolean} True if the status changed, false if already in that status
+     * @throws {OrderStatusError} When the transition is not allowed
+     */
+    async transition(orderRecordId, toStatus, { reason = null, source = 'system', client = null } = {}) {
+        if (!ORDER_STATUSES.includes(toStatus)) {
+            throw new OrderStatusError(`Unknown order status: ${toStatus}`);
+        }
+
+        const db = client || await pool.connect();
+        try {
+            if (!client) await db.query('BEGIN');
+
+            const current = await db.query(
+                `SELECT status FROM orders WHERE record_id = $1 FOR UPDATE`,
+                [orderRecordId]
+            );
+            if (current.rows.length === 0) {
+                throw new Error(`Order not found: ${orderRecordId}`);
+            }
+
+            const fromStatus = current.rows[0].status || 'awaiting_payment';
+            if (fromStatus === toStatus) {
+                if (!client) await db.query('COMMIT');
+                return false;
+            }
+            if (!this.canTransition(fromStatus, toStatus)) {
+                throw new OrderStatusError(`Order cannot move from ${fromStatus} to ${toStatus}`);
+            }
+
+            await db.query(
+                `UPDATE orders SET status = $1, status_updated_at = NOW() WHERE record_id = $2`,
+                [toStatus, orderRecordId]
+            );
+            await db.query(
+                `INSERT INTO order_status_history (order_record_id, from_status, to_status, reason, source, created_at)
+                 VALUES ($1, $2, $3, $4, $5, NOW())`,
+                [orderRecordId, fromStatus, toStatus, reason, source]
+            );
+
+            if (!client) await db.query('COMMIT');
+            console.log(`Order ${orderRecordId} status: ${fromStatus} -> ${toStatus} (${source}${reason ? `: ${reason}` : ''})`);
+            return true;
+        } catch (error) {
+            if (!client) await db.query('ROLLBACK');
+            throw error;
+        } finally {
+            if (!client) db.release();
+        }
+    }
+
+    /**
+     * Moves the order forward after a payment status check
+     * - paid: order becomes paid
+     * - expired/failed: order becomes expired once none of its links can still be paid
+     * Disallowed moves (e.g. a late expiry on a paid order) are ignored
+     * @param {number} paymentId - payments.record_id
+     * @param {string} provider - Payment provider code
+     * @param {Object} statusResult - Result of a provider checkStatus()
+     * @returns {string|null} New order status, or null if unchanged
+     */
+    async applyPaymentStatus(paymentId, provider, statusResult) {
+        const outcome = classifyPaymentStatus(provider, statusResult);
+        if (outcome === 'pending') {
+            return null;
+        }
+
+        const payment = await pool.query(
+            `SELECT p.order_record_id, o.status
+             FROM payments p
+             JOIN orders o ON o.record_id = p.order_record_id
+             WHERE p.record_id = $1`,
+            [paymentId]
+        );
+        if (payment.rows.length === 0) {
+            return null;
+        }
+
+        const { order_record_id: orderRecordId, status } = payment.rows[0];
+        const reason = `${provider} payment ${paymentId}: ${statusResult.payment_status || statusResult.status}`;
+
+        if (outcome === 'paid') {
+            if (!this.canTransition(status || 'awaiting_payment', 'paid')) {
+                return null;
+            }
+            // One transaction, so an order is never paid without the amount refunds work from
+            const client = await pool.connect();
+            try {
+                await client.query('BEGIN');
+                await this.transition(orderRecordId, 'paid', { reason, source: 'payment', client });
+                await this.recordAmountPaid(orderRecordId, paymentId, provider, { client });
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw error;
+            } finally {
+                client.release();
+            }
+            return 'paid';
+        }
+
+        if (status && status !== 'awaiting_payment') {
+            return null;
+        }
+        if (await this.hasLivePayments(orderRecordId)) {
+            return null;
+        }
+        await this.transition(orderRecordId, 'expired', { reason, source: 'payment' });
+        return 'expired';
+    }
+
+    /**
+     * Stores what the customer was charged for the paying link (fees included)
+     * @param {number} orderRecordId - orders.record_id
+     * @param {number} paymentId - payments.record_id of the paid link
+     * @param {string} provider - Payment provider code
+     * @param {Object} options - { client }: run inside an existing transaction
+     */
+    async recordAmountPaid(orderRecordId, paymentId, provider, { client = null } = {}) {
+        const db = client || pool;
+        const payment = await db.query(
+            `SELECT amount, fee_amount FROM payments WHERE record_id = $1`,
+            [paymentId]
+        );
+        const amount = parseFloat(payment.rows[0]?.amount || 0);
+        // Links created before fees were stored fall back to the provider's current fee
+        const storedFee = payment.rows[0]?.fee_amount;
+        const fee = storedFee !== null && storedFee !== undefined
+            ? parseFloat(storedFee)
+            : await providerRegistry.find(provider)?.feeFor(amount) || 0;
+
+        await db.query(
+            `UPDATE orders SET amount_paid = $1 WHERE record_id = $2`,
+            [(amount + fee).toFixed(2), orderRecordId]
+        );
+    }
+
+    /**
+     * Whether any payment link of an order could still be paid
+     * A link is dead once it failed to generate (no payid), its expiry passed, it was
+     * superseded by a re-issue, or its stored canonical status (payments.status_canonical,
+     * written by every status check) is expired or failed.
+     * A link still being generated for the current link generation counts as live,
+     * and so does an order with no current links yet.
+     * @param {number} orderRecordId - orders.record_id
+     * @param {Object} options - { client }: run inside an existing transaction
+     * @returns {boolean} True if at least one link is still usable
+     */
+    async hasLivePayments(orderRecordId, { client = null } = {}) {
+        const db = client || pool;
+        if (await paymentLinkJobService.hasActiveJobs(orderRecordId, { client })) {
+            return true;
+        }
+
+        const result = await db.query(
+            `SELECT payid, status_canonical, expires_at
+             FROM payments
+             WHERE order_record_id = $1
+             AND superseded_at IS NULL`,
+            [orderRecordId]
+        );
+
+        if (result.rows.length === 0) {
+            return true;
+        }
+
+        return result.rows.some(payment => {
+            if (!payment.payid) return false; // failed to generate
+            if (payment.expires_at && new Date(payment.expires_at) <= new Date()) return false;
+            const outcome = paymentOutcome(payment.status_canonical);
+            return outcome === 'pending' || outcome === 'paid';
+        });
+    }
+
+    /**
+     * Loads the status change history of an order
+     * @param {number} orderRecordId - orders.record_id
+     * @returns {Array} History rows, oldest first
+     */
+    async getHistory(orderRecordId) {
+        const result = await pool.query(
+            `SELECT from_status, to_status, reason, source, created_at
+             FROM order_status_history
+             WHERE order_record_id = $1
+             ORDER BY created_at, record_id`,
+            [orderRecordId]
+        );
+        return result.rows;
+    }
+}
+
+const orderStatusService = new OrderStatusService();
+
+module.exports = orderStatusService;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.REFUND_STATUSES = REFUND_STATUSES;
+module.exports.OrderStatusError = OrderStatusError;
+module.exports.classifyPaymentStatus = classifyPaymentStatus;
+module.exports.paymentOutcome = paymentOutcome;
@@ -0,0 +1,169 @@
+/**
+ * Quote Service
+ * ------------
+ * Purpose: Prices orders on the server instead of trusting the browser's total_price
+ * Role: Issues signed, short-lived quotes from the price_table and checks them
+ *       when POST /create turns a quote into an order
+ *
+ * Flow:
+ * 1. POST /quotes with [{ sku, quantity }] -> prices looked up in price_table
+ * 2. Quote stored in the quotes table and returned as a signed JWT
+ * 3. POST /create sends the signed quote; OrderService verifies it, takes the
+ *    items and total from the stored quote and marks the quote as used
+ *
+ * Environment Variables:
+ * - QUOTE_SECRET: Signing secret for quotes (falls back to JWT_SECRET)
+ * - QUOTE_TTL_SECONDS: How long a quote stays valid (default: 300)
+ * - QUOTES_REQUIRED: Set to 'false' to accept orders without a quote (default: required)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../../config/database');
+const { assertValidQuoteRequest, ValidationError } = require('./orderSchema');
+const { toCents } = require('./orderItems');
+
+// ⚠️ CONFIGURE: Quote lifetime
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS, 10) || 300;
+
+class QuoteService {
+    constructor() {
+        this.secret = process.env.QUOTE_SECRET || process.env.JWT_SECRET || "default_secret";
+    }
+
+    /**
+     * Whether POST /create must carry a quote
+     * @returns {boolean} True unless QUOTES_REQUIRED=false
+     */
+    isRequired() {
+        return process.env.QUOTES_REQUIRED !== 'false';
+    }
+
+    /**
+     * Prices the requested products and stores a quote
+     * @param {Object} quoteRequest - { items: [{ sku, quantity }] }
+     * @returns {Object} { quote_id, quote, items, total_price, expires_at }
+     * @throws {ValidationError} For malformed requests and unknown or inactive SKUs
+     */
+    async createQuote(quoteRequest) {
+        assertValidQuoteRequest(quoteRequest);
+
+        const skus = [...new Set(quoteRequest.items.map(item => String(item.sku).trim()))];
+        const prices = await pool.query(
+            `SELECT sku, product_name, price_nzd
+             FROM price_table
+             WHERE sku = ANY($1) AND active = true`,
+            [skus]
+        );
+        const priceBySku = new Map(prices.rows.map(row => [row.sku, row]));
+
+        const errors = [];
+        const items = quoteRequest.items.map((item, index) => {
+            const sku = String(item.sku).trim();
+            const price = priceBySku.get(sku);
+            if (!price) {
+                errors.push({ field: `items[${index}].sku`, code: 'unknown', message: `Unknown product: ${sku}` });
+                return null;
+            }
+            return {
+                sku,
+                product_name: price.product_name,
+                quantity: parseInt(item.quantity, 10),
+                price_nzd: parseFloat(price.price_nzd).toFixed(2)
+            };
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors, 'Invalid quote request');
+        }
+
+        const totalCents = items.reduce((sum, item) => sum + toCents(item.price_nzd) * item.quantity, 0);
+        const totalPrice = (totalCents / 100).toFixed(2);
+        const quoteId = crypto.randomUUID();
+
+        const result = await pool.query(
+            `INSERT INTO quotes (quote_id, items, total_price, created_at, expires_at)
+             VALUES ($1, $2, $3, NOW(), NOW() + make_interval(secs => $4::int))
+             RETURNING expires_at`,
+            [quoteId, JSON.stringify(items), totalPrice, QUOTE_TTL_SECONDS]
+        );
+
+        const quote = jwt.sign(
+            { quote_id: quoteId, total_price: totalPrice },
+            this.secret,
+            { expiresIn: QUOTE_TTL_SECONDS }
+        );
+
+        console.log(`Issued quote ${quoteId} for $${totalPrice} (${items.length} item(s))`);
+
+        return {
+            quote_id: quoteId,
+            quote,
+            items,
+            total_price: totalPrice,
+            expires_at: result.rows[0].expires_at
+        };
+    }
+
+    /**
+     * Verifies a signed quote and claims it for an order
+     * Must run inside the order transaction so the claim rolls back with a failed order
+     * @param {Object} client - Database client inside the order transaction
+     * @param {string} signedQuote - Quote JWT from POST /quotes
+     * @returns {Object} Quote row (quote_id, items, total_price)
+     * @throws {ValidationError} When the quote is invalid, expired or already used
+     */
+    async claimQuote(client, signedQuote) {
+        let payload;
+        try {
+            payload = jwt.verify(signedQuote, this.secret);
+        } catch (error) {
+            const expired = error.name === 'TokenExpiredError';
+            throw new ValidationError([{
+                field: 'quote',
+                code: expired ? 'expired' : 'invalid',
+                message: expired ? 'Quote has expired, please request a new price' : 'Quote is not valid'
+            }]);
+        }
+
+        const result = await client.query(
+            `SELECT quote_id, items, total_price, expires_at, order_record_id
+             FROM quotes
+             WHERE quote_id = $1
+             FOR UPDATE`,
+            [payload.quote_id]
+        );
+        const quote = result.rows[0];
+
+        if (!quote || toCents(quote.total_price) !== toCents(payload.total_price)) {
+            throw new ValidationError([{ field: 'quote', code: 'invalid', message: 'Quote is not valid' }]);
+        }
+        if (quote.order_record_id) {
+            throw new ValidationError([{ field: 'quote', code: 'used', message: 'Quote has already been used' }]);
+        }
+        if (new Date(quote.expires_at) <= new Date()) {
+            throw new ValidationError([{
+                field: 'quote',
+                code: 'expired',
+                message: 'Quote has expired, please request a new price'
+            }]);
+        }
+
+        return quote;
+    }
+
+    /**
+     * Links a claimed quote to the order created from it
+     * @param {Object} client - Database client inside the order transaction
+     * @param {string} quoteId - Quote ID
+     * @param {number} orderRecordId - orders.record_id
+     */
+    async markUsed(client, quoteId, orderRecordId) {
+        await client.query(
+            `UPDATE quotes SET order_record_id = $2, used_at = NOW() WHERE quote_id = $1`,
+            [quoteId, orderRecordId]
+        );
+    }
+}
+
+module.exports = new QuoteService();
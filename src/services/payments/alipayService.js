@@ -5,37 +5,37 @@
  * 
  * Features:
  * - Creates Alipay-only payment links using Stripe Checkout
- * - Implements 3% processing fee for Alipay transactions
+ * - Adds the ALIPAY fee rule from fee_rules (seeded as 3%)
  * - Restricts payment method to Alipay only
  * - Supports CNY currency for Alipay transactions
+ * - Same session metadata and idempotency keys as card checkout
  * 
  * Environment Variables:
- * - STRIPE_SECRET_KEY: Stripe API secret key
- * - STRIPE_BASE_URL: Base URL for Stripe API
- * - STRIPE_ALIPAY_FEE: Alipay processing fee (e.g., 0.03 for 3%)
+ * - STRIPE_SECRET_KEY: Stripe API secret key (read by the Stripe client)
  * - STRIPE_SUCCESS_URL: Success redirect URL
  * - STRIPE_CANCEL_URL: Cancel redirect URL
+ *   (both replaced by the /return routes when RETURN_BASE_URL is set)
  */
 
-const axios = require('axios');
 const pool = require('../../config/database');
+const stripeClient = require('./clients/stripeClient');
 const { schedulePaymentStatusChecks } = require('./paystatus/paymentStatusQueue');
+const expiryService = require('./expiry/expiryService');
+const ReturnService = require('./returnService');
+const StripeService = require('./stripeService');
+const feeRuleService = require('./fees/feeRuleService');
+const { toCents } = require('../orders/orderItems');
 
 class AlipayService {
     constructor() {
-        this.secretKey = process.env.STRIPE_SECRET_KEY;
-        this.baseUrl = process.env.STRIPE_BASE_URL;
-        this.feePercentage = parseFloat(process.env.STRIPE_ALIPAY_FEE) || 0.03;
         this.successUrl = process.env.STRIPE_SUCCESS_URL;
         this.cancelUrl = process.env.STRIPE_CANCEL_URL;
 
         // Validate configuration
         const requiredEnvVars = [
             'STRIPE_SECRET_KEY',
-            'STRIPE_BASE_URL',
             'STRIPE_SUCCESS_URL',
-            'STRIPE_CANCEL_URL',
-            'STRIPE_ALIPAY_FEE'
+            'STRIPE_CANCEL_URL'
         ];
 
         const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -44,16 +44,6 @@ class AlipayService {
         }
     }
 
-    /**
-     * Calculates total amount including Alipay processing fee
-     * @param {number} baseAmount - Original amount before fees
-     * @returns {number} Total amount including fees
-     */
-    calculateTotalWithFees(baseAmount) {
-        const amount = parseFloat(baseAmount);
-        return amount * (1 + this.feePercentage);
-    }
-
     /**
      * Generates an Alipay-only payment link via Stripe
      * @param {Object} orderData - Order information including amount and reference
@@ -65,80 +55,77 @@ class AlipayService {
             console.log('Generating Alipay payment link for order:', orderData.trade_order);
 
             // Calculate total amount including Alipay fee
-            const baseAmount = parseFloat(orderData.total_price);
-            const totalWithFees = this.calculateTotalWithFees(baseAmount);
-            const amountInCents = Math.round(totalWithFees * 100);
+            const { base, fee, total, rule_id } = await feeRuleService.quote('ALIPAY', orderData.total_price);
+            const amountInCents = toCents(total);
 
             console.log('Alipay payment calculation:', {
-                baseAmount,
-                feePercentage: this.feePercentage,
-                totalWithFees,
+                base,
+                fee,
+                feeRule: rule_id,
                 amountInCents
             });
 
+            const { idempotencyKey, expiresAt } = await StripeService.linkRequest(orderData, 'ALIPAY');
+
             const payload = {
                 mode: 'payment',
-                success_url: this.successUrl,
-                cancel_url: this.cancelUrl,
+                // Send the customer back through the middleware so the payment is confirmed on return
+                success_url: ReturnService.buildReturnUrl('ALIPAY', { session_id: '{CHECKOUT_SESSION_ID}' })
+                    || this.successUrl,
+                cancel_url: ReturnService.buildReturnUrl('ALIPAY', { trade_order: orderData.trade_order, cancelled: 1 })
+                    || this.cancelUrl,
                 payment_method_types: ['alipay'],
                 currency: 'nzd',
 
-                line_items: [{
-                    price_data: {
-                        currency: 'nzd',
-                        product_data: {
-                            name: orderData.product_name_full || 'Gold Purchase',
-                            description: `Order: ${orderData.trade_order} (Includes Alipay fee)`
-                        },
-                        unit_amount: amountInCents
-                    },
-                    quantity: 1
-                }],
+                // Same per-item layout as card checkout
+                line_items: StripeService.buildLineItems(orderData, amountInCents, 'Includes Alipay fee'),
 
                 customer_email: orderData.email_order || undefined,
                 client_reference_id: orderData.trade_order,
-                expires_at: Math.floor(Date.now() / 1000) + (30 * 60)
+                metadata: StripeService.sessionMetadata(orderData),
+                expires_at: Math.floor(expiresAt.getTime() / 1000)
             };
 
-            const response = await axios.post(
-                `${this.baseUrl}/v1/checkout/sessions`,
-                payload,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.secretKey}`,
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
-                }
-            );
+            const session = await stripeClient.post('/v1/checkout/sessions', payload, { idempotencyKey });
 
-            console.log('Alipay Checkout Session created:', response.data.id);
+            console.log('Alipay Checkout Session created:', session.id);
 
-            if (response.data && response.data.url) {
+            if (session && session.url) {
                 // Store payment record
                 const insertResult = await pool.query(
                     `INSERT INTO payments (
-                        order_record_id, provider, status_url, amount, 
+                        order_record_id, provider, status_url, amount, fee_amount,
                         payment_url, payid, expires_at
-                    ) VALUES ($1, $2, $3, $4, $5, $6, NOW() + interval '30 minutes')
-                    RETURNING record_id`,
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    RETURNING record_id, expires_at`,
                     [
                         orderData.record_id,
                         'ALIPAY',
                         'success',
                         orderData.total_price,
-                        response.data.url,
-                        response.data.id
+                        fee,
+                        session.url,
+                        session.id,
+                        expiresAt
                     ]
                 );
 
-                // Schedule status checks at 1min and 3min after creation (for testing)
+                // Start polling the session's status
                 schedulePaymentStatusChecks({
                     record_id: insertResult.rows[0].record_id,
                     provider: 'ALIPAY',
-                    payid: response.data.id
+                    payid: session.id
                 });
 
-                return response.data.url;
+                // Expire the session when the link expires
+                expiryService.scheduleExpiry({
+                    record_id: insertResult.rows[0].record_id,
+                    provider: 'ALIPAY',
+                    payid: session.id,
+                    expires_at: insertResult.rows[0].expires_at
+                });
+
+                return session.url;
             } else {
                 throw new Error('Invalid response from Stripe for Alipay');
             }
@@ -147,24 +134,12 @@ class AlipayService {
             console.error('\n=== Alipay API Error ===');
             console.error('Error details:', {
                 message: error.message,
-                response: error.response?.data,
+                type: error.type,
+                code: error.code,
+                requestId: error.requestId,
                 order: orderData.trade_order
             });
 
-            // Store failed payment record
-            await pool.query(
-                `INSERT INTO payments (
-                    order_record_id, provider, status_url, amount, message_url
-                ) VALUES ($1, $2, $3, $4, $5)`,
-                [
-                    orderData.record_id,
-                    'ALIPAY',
-                    'failed',
-                    orderData.total_price,
-                    error.response?.data?.error?.message || error.message
-                ]
-            );
-
             throw error;
         }
     }
@@ -5,6 +5,10 @@
 const axios = require('axios');
 const pool = require('../../config/database');
 const { schedulePaymentStatusChecks } = require('./paystatus/paymentStatusQueue');
+const expiryService = require('./expiry/expiryService');
+const { formatItemsSummary } = require('../orders/orderItems');
+const ReturnService = require('./returnService');
+const feeRuleService = require('./fees/feeRuleService');
 
 class BTCPayService {
     constructor() {
@@ -29,19 +33,27 @@ class BTCPayService {
                 ? parseFloat(orderData.total_price).toFixed(2)
                 : orderData.total_price.toFixed(2);
 
+            // Invoice the order total plus the BTCPAY fee rule (if any)
+            const { fee, total } = await feeRuleService.quote('BTCPAY', formattedAmount);
+
             const payload = {
                 metadata: {
                     orderId: orderData.trade_order,
                     buyerName: orderData.first_name_order,
                     buyerEmail: orderData.email_order,
-                    itemDesc: orderData.product_name_full || 'Gold Purchase'
+                    itemDesc: (orderData.items?.length ? formatItemsSummary(orderData.items) : orderData.product_name_full)
+                        || 'Gold Purchase',
+                    // Individual lines for the BTCPay invoice receipt
+                    posData: orderData.items?.length ? { items: orderData.items } : undefined
                 },
-                amount: formattedAmount,
+                amount: total,
                 currency: "NZD",
                 checkout: {
                     speedPolicy: "MediumSpeed",
                     paymentMethods: ["BTC"],
-                    redirectURL: process.env.BTCPAY_REDIRECT_URL,
+                    // BTCPay fills in {InvoiceId} when redirecting
+                    redirectURL: ReturnService.buildReturnUrl('BTCPAY', { invoice_id: '{InvoiceId}' })
+                        || process.env.BTCPAY_REDIRECT_URL,
                     defaultLanguage: "en"
                 }
             };
@@ -66,30 +78,40 @@ class BTCPayService {
             console.log('BTCPay API Response:', response.data);
 
             if (response.data && response.data.checkoutLink) {
-                // Store payment record
+                // Store payment record; the invoice expires at BTCPay's expirationTime (unix seconds)
                 const insertResult = await pool.query(
                     `INSERT INTO payments (
-                        order_record_id, provider, status_url, amount, 
-                        payment_url, payid
-                    ) VALUES ($1, $2, $3, $4, $5, $6)
-                    RETURNING record_id`,
+                        order_record_id, provider, status_url, amount, fee_amount,
+                        payment_url, payid, expires_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8))
+                    RETURNING record_id, expires_at`,
                     [
                         orderData.record_id,
                         'BTCPAY',
                         'success',
                         formattedAmount,
+                        fee,
                         response.data.checkoutLink,
-                        response.data.id
+                        response.data.id,
+                        response.data.expirationTime || null
                     ]
                 );
 
-                // Schedule status checks at 1min and 3min after creation (for testing)
+                // Start polling the invoice's status
                 schedulePaymentStatusChecks({
                     record_id: insertResult.rows[0].record_id,
                     provider: 'BTCPAY',
                     payid: response.data.id
                 });
 
+                // Invalidate the invoice when it expires
+                expiryService.scheduleExpiry({
+                    record_id: insertResult.rows[0].record_id,
+                    provider: 'BTCPAY',
+                    payid: response.data.id,
+                    expires_at: insertResult.rows[0].expires_at
+                });
+
                 return response.data.checkoutLink;
             } else {
                 throw new Error('Invalid response from BTCPay Server');
@@ -104,20 +126,6 @@ class BTCPayService {
                 config: error.config
             });
 
-            // Store failed payment record
-            await pool.query(
-                `INSERT INTO payments (
-                    order_record_id, provider, status_url, amount, message_url
-                ) VALUES ($1, $2, $3, $4, $5)`,
-                [
-                    orderData.record_id,
-                    'BTCPAY',
-                    'failed',
-                    orderData.total_price,
-                    error.response?.data?.message || error.message
-                ]
-            );
-
             throw error;
         }
     }
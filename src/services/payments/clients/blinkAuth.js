@@ -0,0 +1,262 @@
+/**
+ * Blink OAuth Token Manager
+ * ------------------------
+ * Purpose: The one source of Blink access tokens (OAuth2 client credentials)
+ * Role: Used for every Blink API call - link creation, status checks, revocation,
+ *       refunds and reconciliation
+ *
+ * Features:
+ * - Caches the token in Redis until shortly before it expires, so every process and
+ *   restart shares it; falls back to an in-memory cache when Redis is unavailable
+ * - One fetch at a time: concurrent callers in a process share the pending request,
+ *   and a Redis lock makes other processes wait for the token instead of fetching their own
+ * - Refreshes BLINK_TOKEN_REFRESH_SECONDS before expiry
+ * - withToken() retries a call once with a new token when Blink answers 401
+ *
+ * Environment Variables:
+ * - BLINK_CLIENT_ID: OAuth2 client ID
+ * - BLINK_CLIENT_SECRET: OAuth2 client secret
+ * - BLINK_AUTH_URL: Authentication endpoint (e.g., https://sandbox.debit.blinkpay.co.nz/oauth2/token)
+ * - BLINK_TOKEN_REFRESH_SECONDS: How long before expiry a token is replaced (default 60)
+ * - REDIS_URL: Redis connection string (shared with the Bull queues)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const Redis = require('ioredis');
+
+// ⚠️ CONFIGURE: Token refresh and lock timing
+const REFRESH_MARGIN_MS = (parseInt(process.env.BLINK_TOKEN_REFRESH_SECONDS, 10) || 60) * 1000;
+const LOCK_TTL_MS = 15000;
+const LOCK_POLL_MS = 250;
+
+const TOKEN_KEY = 'blink:oauth:token';
+const LOCK_KEY = 'blink:oauth:lock';
+
+// Deletes the lock only if this process still holds it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+class BlinkAuth {
+    constructor() {
+        this.clientId = process.env.BLINK_CLIENT_ID;
+        this.clientSecret = process.env.BLINK_CLIENT_SECRET;
+        this.authUrl = process.env.BLINK_AUTH_URL;
+
+        // { accessToken, expiresAt } - also the only cache when Redis is down
+        this.cached = null;
+        // Token request in flight in this process
+        this.pending = null;
+
+        this.redis = new Redis(process.env.REDIS_URL, {
+            lazyConnect: true,
+            maxRetriesPerRequest: 1
+        });
+        this.redis.on('error', (error) => {
+            console.error('Blink token cache Redis error:', error.message);
+        });
+    }
+
+    /**
+     * Returns a valid access token, fetching one only when no process has a fresh one
+     * @returns {string} Access token
+     */
+    async getToken() {
+        if (this.isFresh(this.cached)) {
+            return this.cached.accessToken;
+        }
+
+        // Callers that arrive while a token is being fetched wait for the same one
+        if (!this.pending) {
+            this.pending = this.loadToken().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Drops a token Blink rejected, so the next getToken() fetches a new one
+     * @param {string} token - The rejected token
+     */
+    async invalidate(token) {
+        if (this.cached && this.cached.accessToken === token) {
+            this.cached = null;
+        }
+
+        try {
+            const stored = await this.readCache();
+            if (stored && stored.accessToken === token) {
+                await this.redis.del(TOKEN_KEY);
+            }
+        } catch (error) {
+            console.error('Failed to clear cached Blink token:', error.message);
+        }
+    }
+
+    /**
+     * Runs a Blink API call with a token, retrying once with a new token on 401
+     * @param {Function} call - async (token) => result
+     * @returns {*} The call's result
+     */
+    async withToken(call) {
+        const token = await this.getToken();
+        try {
+            return await call(token);
+        } catch (error) {
+            if (error.response?.status !== 401) {
+                throw error;
+            }
+
+            console.warn('Blink rejected the access token (401), retrying with a new token');
+            await this.invalidate(token);
+            return call(await this.getToken());
+        }
+    }
+
+    /**
+     * Closes the Redis connection (on shutdown)
+     */
+    async close() {
+        if (this.redis.status !== 'end' && this.redis.status !== 'wait') {
+            await this.redis.quit();
+        }
+    }
+
+    /**
+     * Reads the shared token, or fetches a new one under the Redis lock
+     * @private
+     */
+    async loadToken() {
+        let lockId = null;
+
+        try {
+            const stored = await this.readCache();
+            if (this.isFresh(stored)) {
+                this.cached = stored;
+                return stored.accessToken;
+            }
+
+            lockId = crypto.randomUUID();
+            const locked = await this.redis.set(LOCK_KEY, lockId, 'PX', LOCK_TTL_MS, 'NX');
+            if (!locked) {
+                lockId = null;
+                const shared = await this.waitForToken();
+                if (shared) {
+                    this.cached = shared;
+                    return shared.accessToken;
+                }
+                console.warn('Timed out waiting for another process to fetch a Blink token, fetching one');
+            }
+        } catch (error) {
+            console.error('Blink token cache unavailable, using this process only:', error.message);
+        }
+
+        try {
+            const token = await this.fetchToken();
+            this.cached = token;
+            await this.writeCache(token);
+            return token.accessToken;
+        } finally {
+            if (lockId) {
+                await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, LOCK_KEY, lockId).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Polls the cache while another process holds the lock
+     * @private
+     * @returns {Object|null} The token it fetched, or null when the lock expires first
+     */
+    async waitForToken() {
+        const deadline = Date.now() + LOCK_TTL_MS;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, LOCK_POLL_MS));
+            const stored = await this.readCache();
+            if (this.isFresh(stored)) {
+                return stored;
+            }
+            if (!(await this.redis.exists(LOCK_KEY))) {
+                // Released without a token - the other process's fetch failed
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Requests a new token from Blink
+     * @private
+     * @returns {Object} { accessToken, expiresAt }
+     */
+    async fetchToken() {
+        try {
+            console.log('Requesting Blink access token...');
+
+            const response = await axios.post(
+                this.authUrl,
+                {
+                    client_id: this.clientId,
+                    client_secret: this.clientSecret,
+                    grant_type: 'client_credentials',
+                    audience: 'https://api.blinkdebit.co.nz'
+                },
+                {
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 10000
+                }
+            );
+
+            console.log('Successfully obtained Blink access token');
+            return {
+                accessToken: response.data.access_token,
+                expiresAt: Date.now() + (response.data.expires_in * 1000)
+            };
+        } catch (error) {
+            console.error('Failed to get Blink access token:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Object|null} Cached { accessToken, expiresAt }
+     */
+    async readCache() {
+        const value = await this.redis.get(TOKEN_KEY);
+        return value ? JSON.parse(value) : null;
+    }
+
+    /**
+     * Stores the token until it is due for refresh
+     * @private
+     */
+    async writeCache(token) {
+        const ttl = token.expiresAt - Date.now() - REFRESH_MARGIN_MS;
+        if (ttl <= 0) {
+            return;
+        }
+
+        try {
+            await this.redis.set(TOKEN_KEY, JSON.stringify(token), 'PX', ttl);
+        } catch (error) {
+            console.error('Failed to cache Blink token in Redis:', error.message);
+        }
+    }
+
+    /**
+     * Whether a token can still be used without refreshing
+     * @private
+     */
+    isFresh(token) {
+        return Boolean(token && token.accessToken && Date.now() < token.expiresAt - REFRESH_MARGIN_MS);
+    }
+}
+
+module.exports = new BlinkAuth();
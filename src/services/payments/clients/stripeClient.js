@@ -0,0 +1,225 @@
+/**
+ * Stripe API Client
+ * ----------------
+ * Purpose: The one place the middleware talks to the Stripe API
+ * Role: Used for card (STRIPE) and ALIPAY Checkout Sessions - creation, status checks,
+ *       expiry, refunds and reconciliation
+ *
+ * Features:
+ * - Encodes nested params in Stripe's bracket format (line_items[0][price_data][currency]=nzd)
+ * - Sends an Idempotency-Key on every POST (generated when the caller has none),
+ *   so a retried request never creates a second object
+ * - Retries network errors, 409 lock conflicts, 429 and 5xx with exponential backoff,
+ *   honouring Stripe-Should-Retry and Retry-After
+ * - Turns Stripe error bodies into StripeError
+ *
+ * Environment Variables:
+ * - STRIPE_SECRET_KEY: Stripe API secret key
+ * - STRIPE_BASE_URL: Base URL for Stripe API (default https://api.stripe.com)
+ * - STRIPE_MAX_RETRIES: Retries after the first attempt (default 2)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+// ⚠️ CONFIGURE: Retry policy
+const MAX_RETRIES = parseInt(process.env.STRIPE_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.STRIPE_MAX_RETRIES, 10) : 2;
+const INITIAL_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 5000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * A failed Stripe request
+ * statusCode is what our API answers (502 - upstream failure); httpStatus is Stripe's
+ */
+class StripeError extends Error {
+    constructor(message, { httpStatus = null, type = null, code = null, param = null, requestId = null, response = null } = {}) {
+        super(message);
+        this.name = 'StripeError';
+        this.statusCode = 502;
+        this.httpStatus = httpStatus;
+        this.type = type;
+        this.code = code;
+        this.param = param;
+        this.requestId = requestId;
+        // Raw axios response, for logging
+        this.response = response;
+    }
+}
+
+/**
+ * Encodes params in Stripe's form format
+ * Nested objects become a[b]=..., arrays a[0]=...; undefined and null values are left out
+ * @param {Object} params - Request params
+ * @param {string} prefix - Key of the enclosing object (used in recursion)
+ * @returns {Array} [key, value] pairs
+ */
+function flattenParams(params, prefix = '') {
+    const pairs = [];
+
+    Object.entries(params).forEach(([key, value]) => {
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => {
+                if (item !== null && typeof item === 'object') {
+                    pairs.push(...flattenParams(item, `${name}[${index}]`));
+                } else if (item !== undefined && item !== null) {
+                    pairs.push([`${name}[${index}]`, String(item)]);
+                }
+            });
+        } else if (value instanceof Date) {
+            pairs.push([name, String(Math.floor(value.getTime() / 1000))]);
+        } else if (typeof value === 'object') {
+            pairs.push(...flattenParams(value, name));
+        } else {
+            pairs.push([name, String(value)]);
+        }
+    });
+
+    return pairs;
+}
+
+/**
+ * Encodes params as an application/x-www-form-urlencoded string
+ * @param {Object} params - Request params
+ * @returns {string} Encoded params
+ */
+function encodeParams(params = {}) {
+    return new URLSearchParams(flattenParams(params)).toString();
+}
+
+class StripeClient {
+    constructor() {
+        this.baseUrl = (process.env.STRIPE_BASE_URL || 'https://api.stripe.com').replace(/\/$/, '');
+        this.secretKey = process.env.STRIPE_SECRET_KEY;
+    }
+
+    /**
+     * GET request
+     * @param {string} path - API path, e.g. '/v1/checkout/sessions/cs_123'
+     * @param {Object} params - Query params (bracket-encoded like POST bodies)
+     * @returns {Object} Response body
+     */
+    get(path, params = {}) {
+        return this.request('GET', path, { params });
+    }
+
+    /**
+     * POST request
+     * @param {string} path - API path
+     * @param {Object} params - Body params
+     * @param {Object} options - { idempotencyKey }
+     * @returns {Object} Response body
+     */
+    post(path, params = {}, { idempotencyKey } = {}) {
+        return this.request('POST', path, {
+            params,
+            idempotencyKey: idempotencyKey || crypto.randomUUID()
+        });
+    }
+
+    /**
+     * Sends a request, retrying what Stripe says is safe to retry
+     * @param {string} method - 'GET' or 'POST'
+     * @param {string} path - API path
+     * @param {Object} options - { params, idempotencyKey }
+     * @returns {Object} Response body
+     * @throws {StripeError} When Stripe rejects the request or retries run out
+     */
+    async request(method, path, { params = {}, idempotencyKey } = {}) {
+        if (!this.secretKey) {
+            throw new StripeError('STRIPE_SECRET_KEY is not set');
+        }
+
+        const encoded = encodeParams(params);
+        const headers = {
+            'Authorization': `Bearer ${this.secretKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        };
+        if (idempotencyKey) {
+            headers['Idempotency-Key'] = idempotencyKey;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios.request({
+                    method,
+                    url: method === 'GET' && encoded
+                        ? `${this.baseUrl}${path}?${encoded}`
+                        : `${this.baseUrl}${path}`,
+                    data: method === 'GET' ? undefined : encoded,
+                    headers,
+                    timeout: REQUEST_TIMEOUT_MS
+                });
+                return response.data;
+            } catch (error) {
+                if (attempt < MAX_RETRIES && this.shouldRetry(error)) {
+                    const delay = this.retryDelay(error, attempt);
+                    console.warn(`Stripe ${method} ${path} failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+                throw this.toStripeError(error, method, path);
+            }
+        }
+    }
+
+    /**
+     * Whether a failed request may be sent again
+     * @private
+     */
+    shouldRetry(error) {
+        if (!error.response) {
+            // Network error or timeout - the idempotency key makes a repeat safe
+            return true;
+        }
+
+        const shouldRetryHeader = error.response.headers?.['stripe-should-retry'];
+        if (shouldRetryHeader === 'true') return true;
+        if (shouldRetryHeader === 'false') return false;
+
+        const status = error.response.status;
+        return status === 409 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Backoff before the next attempt, or Stripe's Retry-After when it sends one
+     * @private
+     */
+    retryDelay(error, attempt) {
+        const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+        if (!isNaN(retryAfter) && retryAfter > 0) {
+            return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+        }
+
+        const backoff = Math.min(INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt), MAX_RETRY_DELAY_MS);
+        // Jitter so parallel requests don't retry in lockstep
+        return Math.round(backoff * (0.5 + Math.random() / 2));
+    }
+
+    /**
+     * Wraps an axios error in a StripeError
+     * @private
+     */
+    toStripeError(error, method, path) {
+        const stripeError = error.response?.data?.error;
+        const message = stripeError?.message
+            || (error.response ? `Stripe ${method} ${path} failed with HTTP ${error.response.status}` : error.message);
+
+        return new StripeError(message, {
+            httpStatus: error.response?.status || null,
+            type: stripeError?.type || null,
+            code: stripeError?.code || error.code || null,
+            param: stripeError?.param || null,
+            requestId: error.response?.headers?.['request-id'] || null,
+            response: error.response || null
+        });
+    }
+}
+
+module.exports = new StripeClient();
+module.exports.StripeError = StripeError;
+module.exports.encodeParams = encodeParams;
@@ -1,3 +1,11 @@
+/**
+ * Payment Expiry Queue
+ * -------------------
+ * Purpose: Holds one delayed job per payment link, due at the link's expires_at
+ * Role: Jobs are added and processed by PaymentExpiryService; a failed revocation
+ *       is retried with exponential backoff
+ */
+
 const Queue = require('bull');
 
 const expiryQueue = new Queue('payment-expiry', process.env.REDIS_URL, {
@@ -6,17 +14,19 @@ const expiryQueue = new Queue('payment-expiry', process.env.REDIS_URL, {
         backoff: {
             type: 'exponential',
             delay: 1000 // 1 second initial delay
-        }
+        },
+        removeOnComplete: true,
+        removeOnFail: 100 // Keep the last 100 failed jobs for inspection
     }
 });
 
 // Log events for monitoring
-expiryQueue.on('completed', job => {
-    console.log(`Payment expiry job completed: ${job.id} for ${job.data.provider} payment ${job.data.payid}`);
+expiryQueue.on('completed', (job, result) => {
+    console.log(`Payment expiry job completed: ${job.id} for ${job.data.provider} payment ${job.data.payid}: ${result?.status}`);
 });
 
 expiryQueue.on('failed', (job, error) => {
-    console.error(`Payment expiry job failed: ${job.id} for ${job.data.provider} payment ${job.data.payid}`, error);
+    console.error(`Payment expiry job failed: ${job.id} for ${job.data.provider} payment ${job.data.payid}`, error.message);
 });
 
 module.exports = expiryQueue;
\ No newline at end of file
@@ -1,222 +1,241 @@
-/*
-----------------------------------------------
-commented out service. empty service below to not start the expiry checker 
----------------------------------------------------
+/**
+ * Payment Expiry Service
+ * ---------------------
+ * Purpose: Closes payment links when they expire or their order is cancelled
+ * Role: Every new link queues an expiry job for its expires_at; the job checks the
+ *       payment's live status first and revokes the link at its provider only while
+ *       it is still pending, so a payment made since the last poll is never revoked
+ *
+ * Revocation per provider (see each provider's revoke()):
+ * - STRIPE/ALIPAY: Checkout Session expired
+ * - BTCPAY: Invoice marked Invalid (cancellations only - at expiry BTCPay expires its
+ *   own invoices, so the outcome is only recorded)
+ * - BLINK: Quick payment revoked
+ * - POLi: Link marked unusable locally (POLi has no revoke API)
+ *
+ * Every outcome is written to the expiry table; trg_update_expiry_status copies
+ * it to payments.status_expiry.
+ */
 
-const pool = require('../../config/database');
+const pool = require('../../../config/database');
 const expiryQueue = require('./expiryQueue');
-const blinkExpiry = require('./providers/blinkExpiry');
-const blinkService = require('../payments/blinkService'); // Changed to use instance
+// The registry loads provider modules on first lookup, so the payment services
+// can require this service to schedule expiry
+const providerRegistry = require('../providers/providerRegistry');
+const providerHealth = require('../health/providerHealth');
+const paymentStatusService = require('../paystatus/paymentStatusService');
+
+// Canonical statuses where money has moved - the link must not be revoked
+const SETTLED_STATUSES = ['authorised', 'paid', 'refunded'];
+// expiry outcomes after which the link is closed (e.g. revoked when the order was cancelled)
+const CLOSED_OUTCOMES = ['revoked', 'already_closed', 'marked_unusable', 'expired_by_provider'];
+// Providers that expire their own links at expires_at; the expiry job only records it
+const SELF_EXPIRING_PROVIDERS = ['BTCPAY'];
 
 class PaymentExpiryService {
     constructor() {
         this.setupQueueProcessor();
     }
 
-    setupQueueProcessor() {
-        expiryQueue.process(async (job) => {
-            const { payid, provider } = job.data;
-            console.log(`Processing expiry for ${provider} payment ${payid}`);
-            
-            try {
-                await this.processExpiry(payid, provider);
-                return { success: true, payid, provider };
-            } catch (error) {
-                // Check if error is due to payment already being expired or invalid
-                if (error.response?.status === 404 || error.response?.status === 410) {
-                    console.log(`Payment ${payid} already expired or invalid`);
-                    await this.updatePaymentStatus(payid, 'expired', 'Payment already expired');
-                    return { success: true, payid, provider, status: 'already_expired' };
-                }
-
-                console.error(`Expiry processing failed for ${payid}:`, error);
-                throw error;
-            }
-        });
-    }
+    /**
+     * Revokes one payment link at its provider and records the outcome in the expiry table
+     * (e.g. Stripe sessions expired, BTCPay invoices invalidated, Blink quick payments
+     * revoked, POLi links marked unusable - see each provider's revoke())
+     * Successful revocations also set payments.status_url to the reason so the
+     * link is no longer offered to the customer
+     * @param {Object} payment - payments row (record_id, provider, payid)
+     * @param {string} reason - Why the link is revoked, e.g. 'cancelled' or 'expired'
+     * @returns {Object} { paymentId, provider, status, message }
+     */
+    async revokePayment(payment, reason) {
+        const { record_id: paymentId, provider, payid } = payment;
+        let result;
 
-    async updatePaymentStatus(payid, status, message) {
-        const client = await pool.connect();
         try {
-            await client.query(
-                `UPDATE payments 
-                 SET status = $1, 
-                     error_message = $2
-                 WHERE payid = $3`,
-                [status, message, payid]
-            );
-        } finally {
-            client.release();
+            result = await providerRegistry.get(provider).revoke({ record_id: paymentId, provider, payid });
+        } catch (error) {
+            const message = error.response?.data?.error?.message
+                || error.response?.data?.message
+                || error.response?.data?.detail
+                || error.message;
+            result = { status: 'failed', message: `${reason}: ${message}` };
         }
-    }
 
-    async processExpiry(payid, provider) {
-        const client = await pool.connect();
-        
-        try {
-            await client.query('BEGIN');
+        await this.recordExpiry(paymentId, result.status, result.status === 'failed'
+            ? result.message
+            : `${reason}: ${result.message}`);
 
-            // Get payment details
-            const { rows } = await client.query(
-                'SELECT * FROM payments WHERE payid = $1 AND provider = $2',
-                [payid, provider]
+        if (result.status !== 'failed') {
+            await pool.query(
+                `UPDATE payments SET status_url = $1 WHERE record_id = $2 AND status_url = 'success'`,
+                [reason, paymentId]
             );
+        }
 
-            if (!rows.length) {
-                throw new Error(`Payment ${payid} not found`);
-            }
+        console.log(`Revocation of ${provider} payment ${paymentId} (${reason}): ${result.status}`);
+        return { paymentId, provider, ...result };
+    }
 
-            const payment = rows[0];
-
-            // Only process if payment is still active
-            if (payment.status === 'success') {
-                // Handle provider-specific revocation
-                switch (provider) {
-                    case 'BLINK':
-                        const token = await blinkService.ensureValidToken();
-                        await blinkExpiry.revokePayment(payid, token);
-                        break;
-                    default:
-                        throw new Error(`Unsupported payment provider: ${provider}`);
-                }
-
-                // Update payment status
-                await client.query(
-                    `UPDATE payments 
-                     SET status = 'expired', 
-                         error_message = 'Payment link expired'
-                     WHERE payid = $1`,
-                    [payid]
-                );
-
-                console.log(`Successfully expired ${provider} payment ${payid}`);
-            } else {
-                console.log(`Payment ${payid} already in ${payment.status} status, skipping expiry`);
+    /**
+     * Writes an expiry outcome; trg_update_expiry_status copies it to payments.status_expiry
+     * @param {number} paymentId - payments.record_id
+     * @param {string} status - Outcome, e.g. revoked, already_closed, marked_unusable, failed
+     * @param {string} message - Details
+     */
+    async recordExpiry(paymentId, status, message) {
+        await pool.query(
+            `INSERT INTO expiry (payments_record_id, date_time, status, message)
+             VALUES ($1, NOW(), $2, $3)`,
+            [paymentId, status, message]
+        );
+    }
+
+    setupQueueProcessor() {
+        expiryQueue.process(async (job) => {
+            const { paymentId, provider, payid } = job.data;
+            console.log(`Processing expiry for ${provider} payment ${payid} (record ${paymentId})`);
+
+            const result = await this.processExpiry(paymentId);
+            if (result.status === 'failed') {
+                // Recorded already; throwing lets Bull retry the revocation
+                throw new Error(result.message);
             }
+            return result;
+        });
+    }
 
-            await client.query('COMMIT');
-        } catch (error) {
-            await client.query('ROLLBACK');
-            throw error;
-        } finally {
-            client.release();
+    /**
+     * Queues the expiry job for a new payment link
+     * Doesn't wait for the queue and never throws: the link exists at its provider either
+     * way, so a queue problem must not fail the link's creation
+     * @param {Object} payment - { record_id, provider, payid, expires_at }
+     */
+    scheduleExpiry(payment) {
+        if (!payment || !payment.record_id || !payment.payid || !payment.expires_at) {
+            console.log('Cannot schedule expiry for payment - missing required data:', payment);
+            return;
         }
-    }
 
-    async scheduleExpiry(payid, provider) {
-        // Set expiry slightly shorter than Blink's expiry to ensure we revoke first
-        const expiryMinutes = (parseInt(process.env.BLINK_PAYMENT_EXPIRY_MINUTES) || 30) - 2;
-        
-        console.log(`Scheduling expiry for ${provider} payment ${payid} in ${expiryMinutes} minutes`);
-        
-        // Schedule job
-        await expiryQueue.add(
-            { payid, provider },
-            { 
-                delay: expiryMinutes * 60 * 1000,
-                jobId: `${provider}-${payid}`,
-                attempts: 3,
-                backoff: {
-                    type: 'exponential',
-                    delay: 1000
-                }
+        const delay = Math.max(new Date(payment.expires_at).getTime() - Date.now(), 0);
+
+        expiryQueue.add(
+            {
+                paymentId: payment.record_id,
+                provider: payment.provider,
+                payid: payment.payid
+            },
+            {
+                delay,
+                jobId: `expiry-${payment.record_id}`
             }
-        );
-
-        console.log(`Expiry scheduled for ${provider} payment ${payid}`);
+        ).then(() => {
+            console.log(`Expiry scheduled for ${payment.provider} payment ${payment.payid} in ${Math.round(delay / 60000)} minutes`);
+        }).catch(error => {
+            console.error(`Failed to schedule expiry for ${payment.provider} payment ${payment.payid}:`, error);
+        });
     }
-}
-
-module.exports = new PaymentExpiryService();
 
+    /**
+     * Expires one payment link
+     * Links that were never created or are already closed are left alone. The stored
+     * status can be minutes old, so the provider is asked for the live status (logged
+     * like any other check) and the link is only revoked while that is still pending;
+     * links whose payment went through are recorded as skipped
+     * @param {number} paymentId - payments.record_id
+     * @returns {Object} { paymentId, provider, status, message }
+     */
+    async processExpiry(paymentId) {
+        const { rows } = await pool.query(
+            `SELECT record_id, provider, payid, status_url, status_canonical, status_expiry
+             FROM payments
+             WHERE record_id = $1`,
+            [paymentId]
+        );
 
-*/
+        if (rows.length === 0) {
+            console.log(`Payment ${paymentId} not found, nothing to expire`);
+            return { paymentId, status: 'not_found', message: 'Payment not found' };
+        }
 
+        const payment = rows[0];
 
-const pool = require('../../../config/database');
-const blinkExpiry = require('./providers/blinkExpiry');
-const blinkService = require('../blinkService'); // Changed to use instance
+        // status_url holds the provider's latest raw status once the payment has been polled
+        if (!payment.payid || payment.status_url === 'failed' || CLOSED_OUTCOMES.includes(payment.status_expiry)) {
+            const state = payment.status_expiry || payment.status_url;
+            console.log(`Payment ${paymentId} link is already ${state}, skipping expiry`);
+            return { paymentId, provider: payment.provider, status: 'not_active', message: `Link ${state}` };
+        }
 
-class PaymentExpiryService {
-    constructor() {
-        this.setupQueueProcessor();
-    }
+        if (SETTLED_STATUSES.includes(payment.status_canonical)) {
+            return this.skipSettled(payment, payment.status_canonical);
+        }
 
-    setupQueueProcessor() {
-        // No processing setup required as we are disabling the expiry queue
-    }
+        const liveStatus = await this.checkLiveStatus(payment);
+        if (liveStatus === null) {
+            const message = 'expired: live status check failed, link left open until the retry';
+            await this.recordExpiry(paymentId, 'failed', message);
+            return { paymentId, provider: payment.provider, status: 'failed', message };
+        }
 
-    async updatePaymentStatus(payid, status, message) {
-        const client = await pool.connect();
-        try {
-            await client.query(
-                `UPDATE payments 
-                 SET status = $1, 
-                     error_message = $2
-                 WHERE payid = $3`,
-                [status, message, payid]
-            );
-        } finally {
-            client.release();
+        if (SETTLED_STATUSES.includes(liveStatus)) {
+            return this.skipSettled(payment, liveStatus);
         }
-    }
 
-    async processExpiry(payid, provider) {
-        const client = await pool.connect();
-        
-        try {
-            await client.query('BEGIN');
+        if (liveStatus !== 'pending') {
+            const message = `expired: payment already ${liveStatus} at ${payment.provider}`;
+            await this.recordExpiry(paymentId, 'already_closed', message);
+            console.log(`Payment ${paymentId} is ${liveStatus}, nothing to revoke`);
+            return { paymentId, provider: payment.provider, status: 'already_closed', message };
+        }
 
-            // Get payment details
-            const { rows } = await client.query(
-                'SELECT * FROM payments WHERE payid = $1 AND provider = $2',
-                [payid, provider]
-            );
+        if (SELF_EXPIRING_PROVIDERS.includes(payment.provider)) {
+            const message = `expired: ${payment.provider} expires the link itself`;
+            await this.recordExpiry(paymentId, 'expired_by_provider', message);
+            console.log(`Payment ${paymentId} left to ${payment.provider} to expire`);
+            return { paymentId, provider: payment.provider, status: 'expired_by_provider', message };
+        }
 
-            if (!rows.length) {
-                throw new Error(`Payment ${payid} not found`);
-            }
+        return this.revokePayment(payment, 'expired');
+    }
 
-            const payment = rows[0];
-
-            // Only process if payment is still active
-            if (payment.status === 'success') {
-                // Handle provider-specific revocation
-                switch (provider) {
-                    case 'BLINK':
-                        const token = await blinkService.ensureValidToken();
-                        await blinkExpiry.revokePayment(payid, token);
-                        break;
-                    default:
-                        throw new Error(`Unsupported payment provider: ${provider}`);
-                }
-
-                // Update payment status
-                await client.query(
-                    `UPDATE payments 
-                     SET status = 'expired', 
-                         error_message = 'Payment link expired'
-                     WHERE payid = $1`,
-                    [payid]
-                );
-
-                console.log(`Successfully expired ${provider} payment ${payid}`);
-            } else {
-                console.log(`Payment ${payid} already in ${payment.status} status, skipping expiry`);
+    /**
+     * Asks the provider for the payment's live status and records the check
+     * @param {Object} payment - payments row (record_id, provider, payid)
+     * @returns {string|null} Canonical status, or null when the check failed
+     * @private
+     */
+    async checkLiveStatus(payment) {
+        try {
+            const provider = providerRegistry.get(payment.provider);
+            const statusResult = await providerHealth.checkStatus(provider, payment.payid);
+            await paymentStatusService.logStatusCheck(payment.record_id, statusResult, statusResult.message,
+                payment.provider, { source: 'expiry' });
+
+            if (statusResult.status === 'error') {
+                console.error(`Live status check for payment ${payment.record_id} failed: ${statusResult.message}`);
+                return null;
             }
 
-            await client.query('COMMIT');
+            // Moves the order to paid when the payment went through since the last poll
+            await paymentStatusService.applyOrderStatus(payment.record_id, payment.provider, statusResult);
+            return provider.canonicalStatus(statusResult);
         } catch (error) {
-            await client.query('ROLLBACK');
-            throw error;
-        } finally {
-            client.release();
+            console.error(`Live status check for payment ${payment.record_id} failed: ${error.message}`);
+            return null;
         }
     }
 
-    async scheduleExpiry(payid, provider) {
-        // This method is intentionally left blank to disable expiry scheduling
+    /**
+     * Records that a paid or authorised payment's link was left open
+     * @private
+     */
+    async skipSettled(payment, status) {
+        const message = `expired: payment ${status}, link left open`;
+        await this.recordExpiry(payment.record_id, 'skipped', message);
+        console.log(`Payment ${payment.record_id} is ${status}, skipping expiry`);
+        return { paymentId: payment.record_id, provider: payment.provider, status: 'skipped', message };
     }
 }
 
-module.exports = new PaymentExpiryService();
\ No newline at end of file
+module.exports = new PaymentExpiryService();
+module.exports.CLOSED_OUTCOMES = CLOSED_OUTCOMES;
\ No newline at end of file
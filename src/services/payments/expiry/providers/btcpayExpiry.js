@@ -0,0 +1,55 @@
+const axios = require('axios');
+
+/**
+ * BTCPay Server invoice expiry
+ * Marks invoices Invalid through the Greenfield API so they stop accepting payments
+ */
+class BTCPayExpiryProvider {
+    constructor() {
+        // Remove trailing slash if present in API URL
+        this.baseUrl = process.env.BTCPAY_API_URL?.replace(/\/$/, '');
+        this.apiKey = process.env.BTCPAY_API_KEY;
+        this.storeId = process.env.BTCPAY_STORE_ID;
+    }
+
+    /**
+     * Invalidates an invoice
+     * @param {string} invoiceId - BTCPay invoice ID (payments.payid)
+     * @returns {Object} { status, message }
+     */
+    async invalidateInvoice(invoiceId) {
+        try {
+            console.log(`Invalidating BTCPay invoice: ${invoiceId}`);
+
+            if (!this.baseUrl || !this.apiKey || !this.storeId) {
+                throw new Error('BTCPay configuration is incomplete');
+            }
+
+            await axios.post(
+                `${this.baseUrl}/api/v1/stores/${this.storeId}/invoices/${invoiceId}/status`,
+                { status: 'Invalid' },
+                {
+                    headers: {
+                        'Authorization': `token ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            console.log(`Successfully invalidated BTCPay invoice: ${invoiceId}`);
+            return { status: 'revoked', message: 'Invoice marked Invalid' };
+        } catch (error) {
+            // Settled or already invalid invoices can't change state
+            if (error.response?.status === 400 || error.response?.status === 422) {
+                const message = error.response?.data?.message || 'Invoice state cannot be changed';
+                console.log(`BTCPay invoice ${invoiceId} not invalidated: ${message}`);
+                return { status: 'already_closed', message };
+            }
+
+            console.error(`Failed to invalidate BTCPay invoice ${invoiceId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = new BTCPayExpiryProvider();
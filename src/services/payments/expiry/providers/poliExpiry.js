@@ -0,0 +1,22 @@
+/**
+ * POLi link expiry
+ * POLi Links have no revoke call we use, so links are only marked unusable locally:
+ * the payment row stops being offered by /api/payment-status and the link's own
+ * LinkExpiry (30 minutes) closes it at POLi.
+ */
+class PoliExpiryProvider {
+    /**
+     * Marks a POLi link as unusable
+     * @param {string} payid - POLi link token (payments.payid)
+     * @returns {Object} { status, message }
+     */
+    async markUnusable(payid) {
+        console.log(`Marking POLi link ${payid} as unusable`);
+        return {
+            status: 'marked_unusable',
+            message: 'POLi link withdrawn locally; it closes at POLi when its LinkExpiry passes'
+        };
+    }
+}
+
+module.exports = new PoliExpiryProvider();
@@ -0,0 +1,36 @@
+const stripeClient = require('../../clients/stripeClient');
+
+/**
+ * Stripe Checkout Session expiry
+ * Used for both card (STRIPE) and ALIPAY sessions, which are Stripe Checkout Sessions
+ */
+class StripeExpiryProvider {
+    /**
+     * Expires an open Checkout Session so it can no longer be paid
+     * @param {string} sessionId - Checkout Session ID (payments.payid)
+     * @returns {Object} { status, message }
+     */
+    async expireSession(sessionId) {
+        try {
+            console.log(`Expiring Stripe Checkout Session: ${sessionId}`);
+
+            await stripeClient.post(`/v1/checkout/sessions/${sessionId}/expire`, {}, {
+                idempotencyKey: `expire:${sessionId}`
+            });
+
+            console.log(`Successfully expired Stripe Checkout Session: ${sessionId}`);
+            return { status: 'revoked', message: 'Checkout Session expired' };
+        } catch (error) {
+            // Stripe rejects expiring a session that is no longer open
+            if (error.httpStatus === 400 && /status/i.test(error.message)) {
+                console.log(`Stripe Checkout Session ${sessionId} is not open: ${error.message}`);
+                return { status: 'already_closed', message: error.message };
+            }
+
+            console.error(`Failed to expire Stripe Checkout Session ${sessionId}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = new StripeExpiryProvider();
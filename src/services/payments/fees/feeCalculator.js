@@ -0,0 +1,99 @@
+/**
+ * Fee Calculator
+ * -------------
+ * Purpose: The one place a processing fee is worked out from a fee rule
+ * Role: Every provider charges base amount + fee through calculateFee, with
+ *       the rule coming from the fee_rules table (see FeeRuleService)
+ *
+ * Methods:
+ * - additive: fee = base * percentage + fixed
+ * - gross_up: total = (base + fixed) / (1 - percentage), so that after the provider
+ *   takes percentage + fixed from the total we still receive the base amount
+ *
+ * min_fee / max_fee clamp the fee after it is calculated. All maths is in cents.
+ * This module has no dependencies so it can be tested on its own.
+ */
+
+const FEE_METHODS = ['additive', 'gross_up'];
+
+function toCents(amount) {
+    return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Calculates the fee a rule adds to a base amount
+ * @param {Object|null} rule - { percentage, fixed_amount, method, min_fee, max_fee }; null means no fee
+ * @param {number|string} baseAmount - Order total before fees, in dollars
+ * @returns {Object} { base, fee, total } as 2-decimal strings
+ */
+function calculateFee(rule, baseAmount) {
+    const baseCents = toCents(baseAmount);
+    let feeCents = 0;
+
+    if (rule) {
+        const percentage = parseFloat(rule.percentage) || 0;
+        const fixedCents = toCents(rule.fixed_amount || 0);
+
+        if (rule.method === 'gross_up') {
+            feeCents = Math.round((baseCents + fixedCents) / (1 - percentage)) - baseCents;
+        } else {
+            feeCents = Math.round(baseCents * percentage) + fixedCents;
+        }
+
+        if (rule.min_fee !== null && rule.min_fee !== undefined) {
+            feeCents = Math.max(feeCents, toCents(rule.min_fee));
+        }
+        if (rule.max_fee !== null && rule.max_fee !== undefined) {
+            feeCents = Math.min(feeCents, toCents(rule.max_fee));
+        }
+    }
+
+    return {
+        base: (baseCents / 100).toFixed(2),
+        fee: (feeCents / 100).toFixed(2),
+        total: ((baseCents + feeCents) / 100).toFixed(2)
+    };
+}
+
+/**
+ * Checks a fee rule's numbers
+ * @param {Object} rule - Fee rule fields
+ * @returns {Array} Error messages; empty when the rule is valid
+ */
+function validateFeeRule(rule) {
+    const errors = [];
+    const isNumber = value => value !== '' && value !== null && value !== undefined && !isNaN(parseFloat(value)) && isFinite(value);
+    const optional = value => value === '' || value === null || value === undefined;
+
+    if (!FEE_METHODS.includes(rule.method)) {
+        errors.push(`method must be one of ${FEE_METHODS.join(', ')}`);
+    }
+    if (!optional(rule.percentage) && (!isNumber(rule.percentage) || rule.percentage < 0 || rule.percentage >= 1)) {
+        errors.push('percentage must be a fraction between 0 and 1 (e.g. 0.027 for 2.7%)');
+    }
+    ['fixed_amount', 'min_fee', 'max_fee'].forEach(field => {
+        if (!optional(rule[field]) && (!isNumber(rule[field]) || rule[field] < 0)) {
+            errors.push(`${field} must be a positive amount`);
+        }
+    });
+    if (isNumber(rule.min_fee) && isNumber(rule.max_fee) && parseFloat(rule.min_fee) > parseFloat(rule.max_fee)) {
+        errors.push('min_fee cannot be more than max_fee');
+    }
+    if (rule.effective_from && isNaN(new Date(rule.effective_from))) {
+        errors.push('effective_from must be a date');
+    }
+    if (rule.effective_to && isNaN(new Date(rule.effective_to))) {
+        errors.push('effective_to must be a date');
+    }
+    if (rule.effective_from && rule.effective_to && new Date(rule.effective_to) <= new Date(rule.effective_from)) {
+        errors.push('effective_to must be after effective_from');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    FEE_METHODS,
+    calculateFee,
+    validateFeeRule
+};
@@ -0,0 +1,172 @@
+/**
+ * Fee Rule Service
+ * ---------------
+ * Purpose: Reads and edits the processing fee rules in the fee_rules table
+ * Role: Finds the rule in force for a provider and prices an amount with it
+ *       through the shared fee calculator; backs the admin fees page
+ *
+ * A rule is in force when it is active and now falls within
+ * [effective_from, effective_to). When several match, the one that started
+ * most recently wins, so a future price change can be entered ahead of time.
+ * A provider without a rule in force charges no fee.
+ */
+
+const pool = require('../../../config/database');
+const { calculateFee, validateFeeRule } = require('./feeCalculator');
+
+// Columns an admin can set on a rule
+const EDITABLE_FIELDS = ['provider', 'method', 'percentage', 'fixed_amount', 'min_fee', 'max_fee',
+    'effective_from', 'effective_to', 'active', 'description'];
+
+class FeeRuleService {
+    /**
+     * Finds the rule in force for a provider
+     * @param {string} provider - Provider code
+     * @param {Date} at - Point in time (default now)
+     * @returns {Object|null} fee_rules row
+     */
+    async getActiveRule(provider, at = new Date()) {
+        const result = await pool.query(
+            `SELECT *
+             FROM fee_rules
+             WHERE provider = $1
+             AND active = true
+             AND effective_from <= $2
+             AND (effective_to IS NULL OR effective_to > $2)
+             ORDER BY effective_from DESC, record_id DESC
+             LIMIT 1`,
+            [provider, at]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Prices a base amount for a provider
+     * @param {string} provider - Provider code
+     * @param {number|string} baseAmount - Order total before fees
+     * @returns {Object} { base, fee, total, rule_id }
+     */
+    async quote(provider, baseAmount) {
+        const rule = await this.getActiveRule(provider);
+        return {
+            ...calculateFee(rule, baseAmount),
+            rule_id: rule ? rule.record_id : null
+        };
+    }
+
+    /**
+     * Every rule, current ones first
+     * @returns {Array} fee_rules rows
+     */
+    async listRules() {
+        const result = await pool.query(
+            `SELECT *
+             FROM fee_rules
+             ORDER BY provider, active DESC, effective_from DESC, record_id DESC`
+        );
+        return result.rows;
+    }
+
+    /**
+     * Creates a rule
+     * @param {Object} data - Rule fields
+     * @returns {Object} Created row
+     * @throws {Error} 400 for invalid fields
+     */
+    async createRule(data) {
+        const rule = this.normalise(data);
+        if (!rule.provider) {
+            throw this.validationError(['provider is required']);
+        }
+        this.validate(rule);
+
+        const result = await pool.query(
+            `INSERT INTO fee_rules (provider, method, percentage, fixed_amount, min_fee, max_fee,
+                                    effective_from, effective_to, active, description)
+             VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()), $8, $9, $10)
+             RETURNING *`,
+            [rule.provider, rule.method, rule.percentage || 0, rule.fixed_amount || 0, rule.min_fee ?? null, rule.max_fee ?? null,
+                rule.effective_from || null, rule.effective_to || null, rule.active !== false, rule.description || null]
+        );
+        console.log(`Fee rule ${result.rows[0].record_id} created for ${rule.provider}`);
+        return result.rows[0];
+    }
+
+    /**
+     * Updates a rule
+     * @param {number} ruleId - fee_rules.record_id
+     * @param {Object} data - Fields to change
+     * @returns {Object} Updated row
+     * @throws {Error} 404 unknown rule, 400 invalid fields
+     */
+    async updateRule(ruleId, data) {
+        const existing = await pool.query(`SELECT * FROM fee_rules WHERE record_id = $1`, [ruleId]);
+        if (existing.rows.length === 0) {
+            const error = new Error('Fee rule not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const changes = this.normalise(data);
+        const rule = { ...existing.rows[0], ...changes };
+        this.validate(rule);
+
+        const fields = Object.keys(changes);
+        if (fields.length === 0) {
+            return existing.rows[0];
+        }
+
+        const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+        const result = await pool.query(
+            `UPDATE fee_rules
+             SET ${assignments.join(', ')}, updated_at = NOW()
+             WHERE record_id = $${fields.length + 1}
+             RETURNING *`,
+            [...fields.map(field => changes[field]), ruleId]
+        );
+        console.log(`Fee rule ${ruleId} updated: ${fields.join(', ')}`);
+        return result.rows[0];
+    }
+
+    /**
+     * Keeps only editable fields and turns blank form values into NULL
+     * @private
+     */
+    normalise(data = {}) {
+        const rule = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (data[field] === undefined) return;
+            let value = data[field];
+            if (value === '') value = null;
+            if (field === 'active') value = value === true || value === 'true' || value === 'on';
+            // Blank percentage / fixed amount mean none; a blank start date means "keep it"
+            if (value === null && (field === 'percentage' || field === 'fixed_amount')) value = 0;
+            if (value === null && field === 'effective_from') return;
+            rule[field] = value;
+        });
+        return rule;
+    }
+
+    /**
+     * Throws a 400 error when the rule is invalid
+     * @private
+     */
+    validate(rule) {
+        const errors = validateFeeRule(rule);
+        if (errors.length > 0) {
+            throw this.validationError(errors);
+        }
+    }
+
+    /**
+     * Error for invalid rule fields
+     * @private
+     */
+    validationError(errors) {
+        const error = new Error(`Invalid fee rule: ${errors.join(', ')}`);
+        error.statusCode = 400;
+        return error;
+    }
+}
+
+module.exports = new FeeRuleService();
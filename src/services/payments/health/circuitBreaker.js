@@ -0,0 +1,197 @@
+/**
+ * Circuit Breaker
+ * --------------
+ * Purpose: Stops calling a dependency that keeps failing or answering slowly
+ * Role: One breaker per payment provider (see providerHealth.js)
+ *
+ * States:
+ * - closed: Calls go through; the outcome and latency of recent calls are tracked
+ * - open: Too many recent calls failed or were slow - calls are refused with a
+ *   CircuitOpenError until openMs has passed
+ * - half_open: One trial call goes through; success closes the breaker, failure opens it again
+ *
+ * The state lives in this process only.
+ */
+
+/**
+ * A call refused because the breaker is open
+ * statusCode 503 so API routes answer "temporarily unavailable"
+ */
+class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        super(`${name} is temporarily unavailable`);
+        this.name = 'CircuitOpenError';
+        this.statusCode = 503;
+        this.retryAt = retryAt;
+    }
+}
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - Label used in errors and logs
+     * @param {Object} options
+     *   windowSize: Recent calls tracked
+     *   windowMs: Calls older than this are forgotten
+     *   minCalls: Calls needed in the window before the breaker can open
+     *   failureRate: Share of failed or slow calls (0-1) that opens the breaker
+     *   slowCallMs: A call taking longer than this counts against the breaker
+     *   openMs: How long the breaker stays open before a trial call
+     */
+    constructor(name, { windowSize = 20, windowMs = 60000, minCalls = 5, failureRate = 0.5, slowCallMs = 10000, openMs = 30000 } = {}) {
+        this.name = name;
+        this.options = { windowSize, windowMs, minCalls, failureRate, slowCallMs, openMs };
+
+        this.state = 'closed';
+        // { ok, slow, durationMs, at }
+        this.calls = [];
+        this.openedAt = null;
+        this.trialRunning = false;
+        this.lastError = null;
+        this.lastErrorAt = null;
+    }
+
+    /**
+     * Runs a call through the breaker
+     * @param {Function} call - async () => result
+     * @param {Function} failureOf - (error, result) => why the dependency failed, or null
+     *   when it didn't (e.g. a thrown validation error, or a result that reports an outage)
+     * @returns {*} The call's result
+     * @throws {CircuitOpenError} While the breaker is open
+     */
+    async run(call, failureOf = (error) => (error ? error.message : null)) {
+        this.beforeCall();
+
+        const started = Date.now();
+        let result;
+        try {
+            result = await call();
+        } catch (error) {
+            this.afterCall(Date.now() - started, failureOf(error, undefined));
+            throw error;
+        }
+        this.afterCall(Date.now() - started, failureOf(null, result));
+        return result;
+    }
+
+    /**
+     * Whether a call would be let through now
+     * @returns {boolean}
+     */
+    isAvailable() {
+        if (this.state === 'closed') {
+            return true;
+        }
+        return this.state === 'open' ? this.retryAt() <= Date.now() : !this.trialRunning;
+    }
+
+    /**
+     * State and recent figures, for /health
+     * @returns {Object} { state, calls, failure_rate, avg_latency_ms, last_error, last_error_at, retry_at }
+     */
+    report() {
+        this.forgetOldCalls();
+        const failed = this.calls.filter(call => !call.ok || call.slow).length;
+        const totalMs = this.calls.reduce((sum, call) => sum + call.durationMs, 0);
+
+        return {
+            state: this.state === 'open' && this.retryAt() <= Date.now() ? 'half_open' : this.state,
+            calls: this.calls.length,
+            failure_rate: this.calls.length ? Math.round((failed / this.calls.length) * 100) / 100 : 0,
+            avg_latency_ms: this.calls.length ? Math.round(totalMs / this.calls.length) : null,
+            last_error: this.lastError,
+            last_error_at: this.lastErrorAt ? new Date(this.lastErrorAt).toISOString() : null,
+            retry_at: this.state === 'open' ? new Date(this.retryAt()).toISOString() : null
+        };
+    }
+
+    /**
+     * Refuses the call while open; lets one trial call through once the open period has passed
+     * @private
+     */
+    beforeCall() {
+        if (this.state === 'open') {
+            if (this.retryAt() > Date.now()) {
+                throw new CircuitOpenError(this.name, new Date(this.retryAt()));
+            }
+            this.state = 'half_open';
+            this.trialRunning = false;
+            console.log(`Circuit breaker ${this.name}: half-open, trying one call`);
+        }
+
+        if (this.state === 'half_open') {
+            if (this.trialRunning) {
+                throw new CircuitOpenError(this.name, new Date(Date.now() + this.options.openMs));
+            }
+            this.trialRunning = true;
+        }
+    }
+
+    /**
+     * Records a call's outcome and moves the breaker between states
+     * @private
+     * @param {number} durationMs - How long the call took
+     * @param {string|null} errorMessage - Why the call failed, null on success
+     */
+    afterCall(durationMs, errorMessage) {
+        const slow = durationMs > this.options.slowCallMs;
+        if (errorMessage) {
+            this.lastError = errorMessage;
+            this.lastErrorAt = Date.now();
+        } else if (slow) {
+            this.lastError = `Slow response (${durationMs}ms)`;
+            this.lastErrorAt = Date.now();
+        }
+
+        if (this.state === 'half_open') {
+            this.trialRunning = false;
+            if (errorMessage || slow) {
+                this.open();
+            } else {
+                this.state = 'closed';
+                this.calls = [];
+                console.log(`Circuit breaker ${this.name}: closed`);
+            }
+            return;
+        }
+
+        this.calls.push({ ok: !errorMessage, slow, durationMs, at: Date.now() });
+        if (this.calls.length > this.options.windowSize) {
+            this.calls.shift();
+        }
+        this.forgetOldCalls();
+
+        const failed = this.calls.filter(call => !call.ok || call.slow).length;
+        if (this.state === 'closed' && this.calls.length >= this.options.minCalls
+            && failed / this.calls.length >= this.options.failureRate) {
+            this.open();
+        }
+    }
+
+    /**
+     * @private
+     */
+    open() {
+        this.state = 'open';
+        this.openedAt = Date.now();
+        this.calls = [];
+        console.warn(`Circuit breaker ${this.name}: open for ${this.options.openMs / 1000}s (last error: ${this.lastError})`);
+    }
+
+    /**
+     * @private
+     */
+    retryAt() {
+        return this.openedAt + this.options.openMs;
+    }
+
+    /**
+     * @private
+     */
+    forgetOldCalls() {
+        const cutoff = Date.now() - this.options.windowMs;
+        this.calls = this.calls.filter(call => call.at >= cutoff);
+    }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
@@ -0,0 +1,118 @@
+/**
+ * Provider Health
+ * --------------
+ * Purpose: A circuit breaker per payment provider around link generation and status checks
+ * Role: Order and status code call createLink()/checkStatus() through here, so a provider
+ *       that is down or slow is skipped instead of every order and poll waiting on its
+ *       timeouts; /health and the public status response report each provider's state
+ *
+ * What counts against a provider: network errors and timeouts, HTTP 429 and 5xx answers,
+ * status checks that come back as 'error', and calls slower than PROVIDER_BREAKER_SLOW_MS.
+ * Rejections of our own request (other 4xx) don't.
+ *
+ * Environment Variables:
+ * - PROVIDER_BREAKER_FAILURE_RATE: Share of failed or slow calls that opens a breaker (default 0.5)
+ * - PROVIDER_BREAKER_MIN_CALLS: Calls in the window before a breaker can open (default 5)
+ * - PROVIDER_BREAKER_WINDOW_SECONDS: How long calls are remembered (default 60)
+ * - PROVIDER_BREAKER_SLOW_MS: Latency that counts as a failure (default 10000)
+ * - PROVIDER_BREAKER_OPEN_SECONDS: How long calls are skipped before a trial call (default 30)
+ */
+
+const CircuitBreaker = require('./circuitBreaker');
+
+// ⚠️ CONFIGURE: Breaker thresholds (shared by every provider)
+const BREAKER_OPTIONS = {
+    windowSize: 20,
+    windowMs: (parseInt(process.env.PROVIDER_BREAKER_WINDOW_SECONDS, 10) || 60) * 1000,
+    minCalls: parseInt(process.env.PROVIDER_BREAKER_MIN_CALLS, 10) || 5,
+    failureRate: parseFloat(process.env.PROVIDER_BREAKER_FAILURE_RATE) || 0.5,
+    slowCallMs: parseInt(process.env.PROVIDER_BREAKER_SLOW_MS, 10) || 10000,
+    openMs: (parseInt(process.env.PROVIDER_BREAKER_OPEN_SECONDS, 10) || 30) * 1000
+};
+
+/**
+ * Why a thrown error means the provider failed, or null when it rejected our request
+ * @param {Error} error - Error thrown by the provider call
+ * @returns {string|null} Failure message
+ */
+function providerFault(error) {
+    const httpStatus = error.httpStatus || error.response?.status;
+    if (httpStatus && httpStatus < 500 && httpStatus !== 429) {
+        return null;
+    }
+    return error.response?.data?.error?.message || error.response?.data?.message || error.message;
+}
+
+class ProviderHealth {
+    constructor() {
+        this.breakers = new Map();
+    }
+
+    /**
+     * Creates a payment link through the provider's breaker
+     * @param {PaymentProvider} provider - Provider from the registry
+     * @param {Object} orderData - Order with line items
+     * @returns {string} Payment URL
+     * @throws {CircuitOpenError} While the provider's breaker is open
+     */
+    createLink(provider, orderData) {
+        return this.breakerFor(provider.code).run(
+            () => provider.createLink(orderData),
+            (error) => (error ? providerFault(error) : null)
+        );
+    }
+
+    /**
+     * Checks a payment's status through the provider's breaker
+     * @param {PaymentProvider} provider - Provider from the registry
+     * @param {string} payid - Provider payment ID
+     * @returns {Object} checkStatus() result
+     * @throws {CircuitOpenError} While the provider's breaker is open
+     */
+    checkStatus(provider, payid) {
+        return this.breakerFor(provider.code).run(
+            () => provider.checkStatus(payid),
+            (error, result) => {
+                if (error) {
+                    return providerFault(error);
+                }
+                return result?.status === 'error' ? (result.message || 'Status check failed') : null;
+            }
+        );
+    }
+
+    /**
+     * Whether calls to a provider are currently let through
+     * @param {string} code - Provider code
+     * @returns {boolean}
+     */
+    isAvailable(code) {
+        const breaker = this.breakers.get(code);
+        return !breaker || breaker.isAvailable();
+    }
+
+    /**
+     * Breaker state of each provider, for /health
+     * @param {Array} codes - Provider codes to include
+     * @returns {Object} { PROVIDER: { state, calls, failure_rate, avg_latency_ms, last_error, last_error_at, retry_at } }
+     */
+    report(codes) {
+        const report = {};
+        codes.forEach(code => {
+            report[code] = this.breakerFor(code).report();
+        });
+        return report;
+    }
+
+    /**
+     * @private
+     */
+    breakerFor(code) {
+        if (!this.breakers.has(code)) {
+            this.breakers.set(code, new CircuitBreaker(code, BREAKER_OPTIONS));
+        }
+        return this.breakers.get(code);
+    }
+}
+
+module.exports = new ProviderHealth();
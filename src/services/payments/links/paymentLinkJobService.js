@@ -0,0 +1,496 @@
+/**
+ * Payment Link Job Service
+ * -----------------------
+ * Purpose: Tracks and runs the generation of an order's payment links
+ * Role: Every link an order needs is a payment_link_jobs row, written in the same
+ *       transaction as the order (or re-issue), and a Bull job on the payment link
+ *       queue; the queue calls generateLink() and retries it with backoff
+ *
+ * Job statuses:
+ * - queued: Waiting for its first attempt
+ * - generating: An attempt is running
+ * - retrying: The last attempt failed, another is scheduled
+ * - completed: The link exists (payments_record_id)
+ * - failed: Every attempt failed (dead letter) - an admin can retry it
+ * - cancelled: The order stopped taking payments, or its links were re-issued, before the link was made
+ *   (a link made while the order was being cancelled is revoked)
+ *
+ * Failed attempts are recorded on the job only; a job that runs out of attempts
+ * leaves one payments row with status_url 'failed' carrying the last error.
+ */
+
+const pool = require('../../../config/database');
+const providerRegistry = require('../providers/providerRegistry');
+const providerHealth = require('../health/providerHealth');
+
+const ACTIVE_STATUSES = ['queued', 'generating', 'retrying'];
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// ⚠️ CONFIGURE: Expiry of the Stripe and Alipay sessions a job makes, set when the job is created.
+// Stripe won't accept a session that expires within 30 minutes, so the extra minutes cover the
+// queue's retries; an attempt made later (e.g. an admin retry) gets a fresh expiry.
+const LINK_EXPIRY_MINUTES = 35;
+const MIN_EXPIRY_MINUTES = 31;
+
+class PaymentLinkJobService {
+    constructor() {
+        this.statuses = [...ACTIVE_STATUSES, ...FINAL_STATUSES];
+    }
+
+    /**
+     * Records the link jobs for an order
+     * Run inside the order (or re-issue) transaction so the jobs survive a restart
+     * @param {Object} client - Database client inside the transaction
+     * @param {number} orderRecordId - orders.record_id
+     * @param {Array} providers - Provider codes
+     * @param {number} linkGeneration - orders.link_generation the links belong to
+     * @returns {Array} payment_link_jobs rows
+     */
+    async createJobs(client, orderRecordId, providers, linkGeneration) {
+        const jobs = [];
+        for (const provider of providers) {
+            const result = await client.query(
+                `INSERT INTO payment_link_jobs (order_record_id, provider, link_generation, expires_at)
+                 VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+                 ON CONFLICT (order_record_id, provider, link_generation)
+                 DO UPDATE SET updated_at = NOW()
+                 RETURNING *`,
+                [orderRecordId, provider, linkGeneration, LINK_EXPIRY_MINUTES]
+            );
+            jobs.push(result.rows[0]);
+        }
+        return jobs;
+    }
+
+    /**
+     * Records the link job for one more provider of an order's current link generation
+     * Run inside a transaction holding the order's row lock, so concurrent requests share
+     * one job. A failed or cancelled job for the provider starts again with a fresh set of
+     * attempts; any other job the provider already has is returned as it is.
+     * @param {Object} client - Database client inside the transaction
+     * @param {number} orderRecordId - orders.record_id
+     * @param {string} provider - Provider code
+     * @param {number} linkGeneration - orders.link_generation the link belongs to
+     * @returns {Object} { job, queue }: payment_link_jobs row and whether it needs queueing
+     */
+    async addJob(client, orderRecordId, provider, linkGeneration) {
+        const result = await client.query(
+            `INSERT INTO payment_link_jobs (order_record_id, provider, link_generation, expires_at)
+             VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+             ON CONFLICT (order_record_id, provider, link_generation)
+             DO UPDATE SET status = 'queued', attempts = 0, finished_at = NULL, updated_at = NOW()
+             WHERE payment_link_jobs.status IN ('failed', 'cancelled')
+             RETURNING *`,
+            [orderRecordId, provider, linkGeneration, LINK_EXPIRY_MINUTES]
+        );
+        if (result.rows.length > 0) {
+            return { job: result.rows[0], queue: true };
+        }
+
+        const existing = await client.query(
+            `SELECT * FROM payment_link_jobs
+             WHERE order_record_id = $1 AND provider = $2 AND link_generation = $3`,
+            [orderRecordId, provider, linkGeneration]
+        );
+        return { job: existing.rows[0], queue: false };
+    }
+
+    /**
+     * Cancels the jobs of an order whose links haven't been made yet
+     * Run inside the transaction that holds the order's row lock; an attempt that is
+     * already calling its provider revokes its link when it finishes (see generateLink)
+     * @param {Object} client - Database client inside the transaction
+     * @param {number} orderRecordId - orders.record_id
+     * @param {string} reason - Stored as the job's last_error
+     * @returns {Array} record_id of each cancelled job
+     */
+    async cancelJobs(client, orderRecordId, reason) {
+        const result = await client.query(
+            `UPDATE payment_link_jobs
+             SET status = 'cancelled', last_error = $2, updated_at = NOW(), finished_at = NOW()
+             WHERE order_record_id = $1 AND status = ANY($3::text[])
+             RETURNING record_id`,
+            [orderRecordId, reason, ACTIVE_STATUSES]
+        );
+        return result.rows.map(row => row.record_id);
+    }
+
+    /**
+     * Makes the payment link of one job
+     * An attempt that finds the link already made (e.g. the process stopped before the
+     * job was marked completed) completes without calling the provider again.
+     * A link made after the order stopped taking payments (e.g. it was cancelled while
+     * the provider was called) is revoked and the job cancelled.
+     * @param {number} jobId - payment_link_jobs.record_id
+     * @returns {Object} { jobId, provider, status, payments_record_id }
+     * @throws {Error} When the provider fails - the queue retries the job
+     */
+    async generateLink(jobId) {
+        const jobResult = await pool.query(
+            `SELECT j.*, o.status AS order_status, o.link_generation AS order_link_generation
+             FROM payment_link_jobs j
+             JOIN orders o ON o.record_id = j.order_record_id
+             WHERE j.record_id = $1`,
+            [jobId]
+        );
+        if (jobResult.rows.length === 0) {
+            throw new Error(`Payment link job ${jobId} not found`);
+        }
+        const job = jobResult.rows[0];
+
+        if (FINAL_STATUSES.includes(job.status)) {
+            return { jobId, provider: job.provider, status: job.status, payments_record_id: job.payments_record_id };
+        }
+
+        const orderStatus = job.order_status || 'awaiting_payment';
+        if (orderStatus !== 'awaiting_payment' || job.order_link_generation !== job.link_generation) {
+            const reason = orderStatus !== 'awaiting_payment'
+                ? `Order is ${orderStatus}`
+                : 'Payment links were re-issued';
+            await this.finish(jobId, 'cancelled', { error: reason });
+            console.log(`Payment link job ${jobId} (${job.provider}) cancelled: ${reason}`);
+            return { jobId, provider: job.provider, status: 'cancelled' };
+        }
+
+        const existing = await this.findLink(job);
+        if (existing) {
+            await this.finish(jobId, 'completed', { paymentId: existing });
+            await this.linkSuperseded(job, existing);
+            return { jobId, provider: job.provider, status: 'completed', payments_record_id: existing };
+        }
+
+        const started = await pool.query(
+            `UPDATE payment_link_jobs
+             SET status = 'generating', attempts = attempts + 1, updated_at = NOW(),
+                 expires_at = CASE
+                     WHEN expires_at IS NULL OR expires_at < NOW() + make_interval(mins => $3)
+                     THEN NOW() + make_interval(mins => $2)
+                     ELSE expires_at
+                 END
+             WHERE record_id = $1
+             RETURNING expires_at`,
+            [jobId, LINK_EXPIRY_MINUTES, MIN_EXPIRY_MINUTES]
+        );
+
+        // The job goes with the order so Stripe and Alipay can make the same request on every attempt
+        const orderData = {
+            ...await this.loadOrder(job.order_record_id),
+            link_job: { record_id: job.record_id, expires_at: started.rows[0].expires_at }
+        };
+        await providerHealth.createLink(providerRegistry.get(job.provider), orderData);
+
+        const paymentId = await this.findLink(job);
+
+        const cancelReason = await this.cancelReason(jobId);
+        if (cancelReason) {
+            await this.finish(jobId, 'cancelled', { paymentId, error: cancelReason });
+            await this.revokeLink(paymentId);
+            console.log(`Payment link job ${jobId} (${job.provider}) cancelled after the link was made: ${cancelReason}`);
+            return { jobId, provider: job.provider, status: 'cancelled', payments_record_id: paymentId };
+        }
+
+        await this.finish(jobId, 'completed', { paymentId });
+        await this.linkSuperseded(job, paymentId);
+        console.log(`Payment link job ${jobId}: ${job.provider} link created for order ${orderData.trade_order}`);
+        return { jobId, provider: job.provider, status: 'completed', payments_record_id: paymentId };
+    }
+
+    /**
+     * Records a failed attempt
+     * The last one also leaves a failed payments row for the job's order and provider
+     * @param {number} jobId - payment_link_jobs.record_id
+     * @param {Error} error - What went wrong
+     * @param {boolean} final - True when no attempts are left (dead letter)
+     */
+    async recordFailure(jobId, error, final) {
+        const message = error.response?.data?.error?.message
+            || error.response?.data?.message
+            || error.response?.data?.ErrorMessage // POLi
+            || error.response?.data?.detail // Blink
+            || error.message;
+
+        if (final) {
+            await this.finish(jobId, 'failed', { error: message });
+            await pool.query(
+                `INSERT INTO payments (order_record_id, provider, status_url, amount, message_url)
+                 SELECT j.order_record_id, j.provider, 'failed', o.total_price, $2
+                 FROM payment_link_jobs j
+                 JOIN orders o ON o.record_id = j.order_record_id
+                 WHERE j.record_id = $1`,
+                [jobId, message]
+            );
+        } else {
+            await pool.query(
+                `UPDATE payment_link_jobs
+                 SET status = 'retrying', last_error = $2, updated_at = NOW()
+                 WHERE record_id = $1`,
+                [jobId, message]
+            );
+        }
+    }
+
+    /**
+     * Puts a failed job back in the queue's hands
+     * @param {number} jobId - payment_link_jobs.record_id
+     * @returns {Object} payment_link_jobs row
+     * @throws {Error} 404 for unknown jobs, 409 unless the job failed
+     */
+    async resetJob(jobId) {
+        const result = await pool.query(
+            `UPDATE payment_link_jobs
+             SET status = 'queued', attempts = 0, finished_at = NULL, updated_at = NOW()
+             WHERE record_id = $1 AND status = 'failed'
+             RETURNING *`,
+            [jobId]
+        );
+        if (result.rows.length > 0) {
+            return result.rows[0];
+        }
+
+        const current = await pool.query(`SELECT status FROM payment_link_jobs WHERE record_id = $1`, [jobId]);
+        const error = new Error(current.rows.length === 0
+            ? 'Payment link job not found'
+            : `Payment link job ${jobId} is ${current.rows[0].status}; only failed jobs can be retried`);
+        error.statusCode = current.rows.length === 0 ? 404 : 409;
+        throw error;
+    }
+
+    /**
+     * Waits until the given jobs have finished or the timeout passes
+     * @param {Array} jobIds - payment_link_jobs.record_id values
+     * @param {number} timeoutMs - Longest wait
+     * @returns {Array} payment_link_jobs rows as last seen
+     */
+    async waitForJobs(jobIds, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            const result = await pool.query(
+                `SELECT * FROM payment_link_jobs WHERE record_id = ANY($1::int[])`,
+                [jobIds]
+            );
+            const pending = result.rows.filter(job => ACTIVE_STATUSES.includes(job.status));
+            if (pending.length === 0 || Date.now() >= deadline) {
+                return result.rows;
+            }
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    }
+
+    /**
+     * Public state of each job's link: ready, generating, failed or cancelled
+     * @param {Array} jobs - payment_link_jobs rows
+     * @returns {Object} { PROVIDER: state }
+     */
+    linkStates(jobs) {
+        const states = {};
+        jobs.forEach(job => {
+            states[job.provider] = job.status === 'completed'
+                ? 'ready'
+                : ACTIVE_STATUSES.includes(job.status) ? 'generating' : job.status;
+        });
+        return states;
+    }
+
+    /**
+     * Jobs of an order, newest link generation first
+     * @param {number} orderRecordId - orders.record_id
+     * @returns {Array} payment_link_jobs rows
+     */
+    async getJobsForOrder(orderRecordId) {
+        const result = await pool.query(
+            `SELECT * FROM payment_link_jobs
+             WHERE order_record_id = $1
+             ORDER BY link_generation DESC, provider`,
+            [orderRecordId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Jobs of the order's current link generation
+     * @param {string} token - Order token
+     * @returns {Array} payment_link_jobs rows
+     */
+    async getCurrentJobsByToken(token) {
+        const result = await pool.query(
+            `SELECT j.*
+             FROM payment_link_jobs j
+             JOIN orders o ON o.record_id = j.order_record_id AND o.link_generation = j.link_generation
+             WHERE o.token = $1`,
+            [token]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Jobs for the admin page
+     * @param {Object} filters - { status } ('' for every status)
+     * @param {number} limit - Most jobs returned
+     * @returns {Array} payment_link_jobs rows with trade_order
+     */
+    async listJobs({ status = '' } = {}, limit = 200) {
+        const params = [limit];
+        let where = '';
+        if (status) {
+            params.push(status);
+            where = 'WHERE j.status = $2';
+        }
+
+        const result = await pool.query(
+            `SELECT j.*, o.trade_order
+             FROM payment_link_jobs j
+             JOIN orders o ON o.record_id = j.order_record_id
+             ${where}
+             ORDER BY j.updated_at DESC
+             LIMIT $1`,
+            params
+        );
+        return result.rows;
+    }
+
+    /**
+     * Whether an order's current links are still being made
+     * @param {number} orderRecordId - orders.record_id
+     * @param {Object} options - { client }: run inside an existing transaction
+     * @returns {boolean} True if a job of the order's link generation is queued, generating or retrying
+     */
+    async hasActiveJobs(orderRecordId, { client = null } = {}) {
+        const result = await (client || pool).query(
+            `SELECT 1
+             FROM payment_link_jobs j
+             JOIN orders o ON o.record_id = j.order_record_id
+             WHERE j.order_record_id = $1
+             AND j.link_generation = o.link_generation
+             AND j.status = ANY($2::text[])
+             LIMIT 1`,
+            [orderRecordId, ACTIVE_STATUSES]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Jobs that haven't finished, e.g. because the process stopped
+     * @returns {Array} payment_link_jobs rows
+     */
+    async getUnfinishedJobs() {
+        const result = await pool.query(
+            `SELECT * FROM payment_link_jobs WHERE status = ANY($1::text[]) ORDER BY record_id`,
+            [ACTIVE_STATUSES]
+        );
+        return result.rows;
+    }
+
+    /**
+     * The link a job made, if any: a usable payments row for the job's order,
+     * provider and link generation
+     * @private
+     * @returns {number|null} payments.record_id
+     */
+    async findLink(job) {
+        const result = await pool.query(
+            `SELECT record_id FROM payments
+             WHERE order_record_id = $1 AND provider = $2 AND link_generation = $3
+             AND payid IS NOT NULL AND payment_url IS NOT NULL
+             ORDER BY created_at DESC
+             LIMIT 1`,
+            [job.order_record_id, job.provider, job.link_generation]
+        );
+        return result.rows[0]?.record_id || null;
+    }
+
+    /**
+     * Points the rows a re-issue superseded at the new link for the same provider
+     * @private
+     */
+    async linkSuperseded(job, paymentId) {
+        if (!paymentId) {
+            return;
+        }
+        await pool.query(
+            `UPDATE payments
+             SET superseded_by = $4
+             WHERE order_record_id = $1
+             AND provider = $2
+             AND link_generation < $3
+             AND superseded_at IS NOT NULL
+             AND superseded_by IS NULL`,
+            [job.order_record_id, job.provider, job.link_generation, paymentId]
+        );
+    }
+
+    /**
+     * Why a job's link is no longer wanted: the job was cancelled or its order
+     * stopped taking payments while the link was being made
+     * @private
+     * @returns {string|null} Reason, or null when the link is still wanted
+     */
+    async cancelReason(jobId) {
+        const result = await pool.query(
+            `SELECT j.status, o.status AS order_status
+             FROM payment_link_jobs j
+             JOIN orders o ON o.record_id = j.order_record_id
+             WHERE j.record_id = $1`,
+            [jobId]
+        );
+        const { status, order_status: orderStatus } = result.rows[0];
+        if ((orderStatus || 'awaiting_payment') !== 'awaiting_payment') {
+            return `Order is ${orderStatus}`;
+        }
+        return status === 'cancelled' ? 'Job was cancelled' : null;
+    }
+
+    /**
+     * Revokes a link that was made for an order no longer taking payments
+     * @private
+     */
+    async revokeLink(paymentId) {
+        if (!paymentId) {
+            return;
+        }
+        // Required on use: the expiry service's dependencies load the order status
+        // service, which requires this one
+        const expiryService = require('../expiry/expiryService');
+        const result = await pool.query(
+            `SELECT record_id, provider, payid FROM payments WHERE record_id = $1`,
+            [paymentId]
+        );
+        await expiryService.revokePayment(result.rows[0], 'cancelled');
+    }
+
+    /**
+     * Order row with line items, shaped like the createOrder payload
+     * @private
+     */
+    async loadOrder(orderRecordId) {
+        const [orderResult, itemsResult] = await Promise.all([
+            pool.query(`SELECT * FROM orders WHERE record_id = $1`, [orderRecordId]),
+            pool.query(
+                `SELECT line_number, sku, product_name, quantity, unit_price, line_total
+                 FROM order_items
+                 WHERE order_record_id = $1
+                 ORDER BY line_number`,
+                [orderRecordId]
+            )
+        ]);
+        return { ...orderResult.rows[0], items: itemsResult.rows };
+    }
+
+    /**
+     * Moves a job to a final status
+     * @private
+     */
+    async finish(jobId, status, { paymentId = null, error = null } = {}) {
+        await pool.query(
+            `UPDATE payment_link_jobs
+             SET status = $2,
+                 payments_record_id = COALESCE($3, payments_record_id),
+                 last_error = COALESCE($4, last_error),
+                 updated_at = NOW(),
+                 finished_at = NOW()
+             WHERE record_id = $1`,
+            [jobId, status, paymentId, error]
+        );
+    }
+}
+
+module.exports = new PaymentLinkJobService();
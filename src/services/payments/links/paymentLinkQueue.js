@@ -0,0 +1,152 @@
+/**
+ * Payment Link Queue
+ * -----------------
+ * Purpose: Generates payment links in the background, one Bull job per order and provider
+ * Role: A failed attempt is retried with exponential backoff; once the attempts run out
+ *       the job stays failed (dead letter) until an admin retries it. Jobs left unfinished
+ *       by a restart, or never queued because Redis was down when the order was made,
+ *       are queued again when the process starts and every PAYMENT_LINK_RECOVERY_SECONDS.
+ *
+ * Environment Variables:
+ * - PAYMENT_LINK_MAX_ATTEMPTS: Attempts per link before it is marked failed (default 5)
+ * - PAYMENT_LINK_BACKOFF_SECONDS: Wait before the first retry, doubling after each (default 10)
+ * - PAYMENT_LINK_RECOVERY_SECONDS: Seconds between checks for unqueued jobs (default 60)
+ */
+
+const Queue = require('bull');
+const paymentLinkJobService = require('./paymentLinkJobService');
+
+// ⚠️ CONFIGURE: Retry policy
+const MAX_ATTEMPTS = parseInt(process.env.PAYMENT_LINK_MAX_ATTEMPTS, 10) || 5;
+const BACKOFF_SECONDS = parseInt(process.env.PAYMENT_LINK_BACKOFF_SECONDS, 10) || 10;
+const RECOVERY_SECONDS = parseInt(process.env.PAYMENT_LINK_RECOVERY_SECONDS, 10) || 60;
+
+const paymentLinkQueue = new Queue('payment-link-generation', process.env.REDIS_URL, {
+    defaultJobOptions: {
+        attempts: MAX_ATTEMPTS,
+        backoff: {
+            type: 'exponential',
+            delay: BACKOFF_SECONDS * 1000
+        },
+        removeOnComplete: true,
+        removeOnFail: 200 // Dead letters stay visible in Bull as well as payment_link_jobs
+    }
+});
+
+paymentLinkQueue.process(async (job) => {
+    const { jobId, provider, tradeOrder } = job.data;
+    console.log(`Generating ${provider} payment link for order ${tradeOrder} (job ${jobId}, attempt ${job.attemptsMade + 1}/${job.opts.attempts})`);
+
+    try {
+        return await paymentLinkJobService.generateLink(jobId);
+    } catch (error) {
+        const final = job.attemptsMade + 1 >= job.opts.attempts;
+        await paymentLinkJobService.recordFailure(jobId, error, final);
+        throw error;
+    }
+});
+
+/**
+ * Bull job ID of a payment_link_jobs row, so a row is never queued twice
+ * @param {number} jobId - payment_link_jobs.record_id
+ * @returns {string} Bull job ID
+ */
+function bullJobId(jobId) {
+    return `payment-link-${jobId}`;
+}
+
+/**
+ * Adds one payment_link_jobs row to the queue
+ * A finished Bull job (e.g. a dead letter) holds the row's job ID until it is removed;
+ * one that is waiting, delayed or running is left alone, so the row is never queued twice
+ * @param {Object} job - payment_link_jobs row
+ * @param {string} tradeOrder - Trade order, for the logs
+ */
+async function addToQueue(job, tradeOrder) {
+    const previous = await paymentLinkQueue.getJob(bullJobId(job.record_id));
+    if (previous && (await previous.isFailed() || await previous.isCompleted())) {
+        await previous.remove();
+    }
+
+    await paymentLinkQueue.add(
+        { jobId: job.record_id, provider: job.provider, tradeOrder },
+        { jobId: bullJobId(job.record_id) }
+    );
+}
+
+/**
+ * Queues payment_link_jobs rows
+ * @param {Array} jobs - payment_link_jobs rows
+ * @param {string} tradeOrder - Trade order, for the logs
+ */
+async function queuePaymentLinks(jobs, tradeOrder) {
+    for (const job of jobs) {
+        await addToQueue(job, tradeOrder);
+    }
+    console.log(`Queued ${jobs.length} payment link job(s) for order ${tradeOrder}: ${jobs.map(job => job.provider).join(', ')}`);
+}
+
+/**
+ * Queues a failed job again with a fresh set of attempts
+ * @param {number} jobId - payment_link_jobs.record_id
+ * @returns {Object} payment_link_jobs row
+ */
+async function retryPaymentLinkJob(jobId) {
+    const job = await paymentLinkJobService.resetJob(jobId);
+    await addToQueue(job, `record ${job.order_record_id}`);
+    console.log(`Payment link job ${jobId} (${job.provider}) queued again`);
+    return job;
+}
+
+/**
+ * Takes cancelled jobs out of the queue
+ * A job that is running can't be removed; its link is revoked when it finishes
+ * @param {Array} jobIds - payment_link_jobs.record_id values
+ */
+async function removePaymentLinkJobs(jobIds) {
+    for (const jobId of jobIds) {
+        try {
+            const job = await paymentLinkQueue.getJob(bullJobId(jobId));
+            if (job) {
+                await job.remove();
+            }
+        } catch (error) {
+            console.error(`Could not remove payment link job ${jobId} from the queue: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Queues unfinished jobs Bull doesn't hold, e.g. after a restart or a failed
+ * queuePaymentLinks(); jobs Bull still holds keep their place, and a failed Bull
+ * job left by an attempt that couldn't mark its row failed is replaced
+ */
+async function recoverUnfinishedJobs() {
+    try {
+        const jobs = await paymentLinkJobService.getUnfinishedJobs();
+        for (const job of jobs) {
+            await addToQueue(job, `record ${job.order_record_id}`);
+        }
+        if (jobs.length > 0) {
+            console.log(`Checked ${jobs.length} unfinished payment link job(s) are queued`);
+        }
+    } catch (error) {
+        console.error('Failed to recover unfinished payment link jobs:', error.message);
+    }
+}
+
+paymentLinkQueue.on('failed', (job, error) => {
+    const final = job.attemptsMade >= job.opts.attempts;
+    console.error(`Payment link job ${job.data.jobId} (${job.data.provider}) attempt ${job.attemptsMade} failed${final ? ' - giving up' : ''}:`, error.message);
+});
+
+recoverUnfinishedJobs();
+// Doesn't keep the process alive on shutdown
+setInterval(recoverUnfinishedJobs, RECOVERY_SECONDS * 1000).unref();
+
+module.exports = {
+    paymentLinkQueue,
+    queuePaymentLinks,
+    retryPaymentLinkJob,
+    removePaymentLinkJobs
+};
@@ -5,10 +5,15 @@
  * Role: Provides business logic for payment status
  * 
  * Key Functions:
- * - Check payment status by token
+ * - Check payment status by token (including the order's lifecycle status
+ *   and whether each provider's link is ready, generating or failed, or the
+ *   provider is temporarily unavailable)
+ * - Build the public order summary shown on the confirmation page
  * 
  * Dependencies:
  * - Database pool for queries
+ * - Provider registry for each provider's fee
+ * - Provider health for providers whose circuit breaker is open
  * 
  * Supported Payment Methods:
  * - POLi Payments
@@ -19,11 +24,20 @@
  */
 
 const pool = require('../../config/database');
+const providerRegistry = require('./providers/providerRegistry');
+const { paymentOutcome } = require('../orders/orderStatusService');
+const { toCanonicalStatus } = require('./paystatus/canonicalStatus');
+const paymentLinkJobService = require('./links/paymentLinkJobService');
+const providerHealth = require('./health/providerHealth');
 
 class PaymentService {
     /**
      * Gets payment status and available payment URLs by token
-     * Includes all available payment methods for the order
+     * Includes all available payment methods for the order, and a links entry with
+     * each provider's link state (ready, generating, failed, cancelled) once the
+     * order's links are generated by the payment link queue. A provider whose circuit
+     * breaker is open is reported as temporarily unavailable: its payment entry has
+     * available: false, and a link still being generated for it is 'unavailable'.
      * @param {string} token - Order token
      * @returns {Object} Payment status and available payment URLs
      */
@@ -37,24 +51,66 @@ class PaymentService {
                 p.created_at,
                 p.message_url,
                 p.provider,
-                p.expires_at
+                p.amount,
+                p.fee_amount,
+                p.expires_at,
+                p.status_pay,
+                p.status_canonical
             FROM payments p
             JOIN orders o ON o.record_id = p.order_record_id
             WHERE o.token = $1
             AND p.status_url = 'success'
+            AND p.superseded_at IS NULL
             AND (p.expires_at IS NULL OR p.expires_at > NOW())
             ORDER BY p.created_at DESC
         `;
 
         try {
-            const result = await pool.query(query, [token]);
+            const [result, orderResult, linkJobs] = await Promise.all([
+                pool.query(query, [token]),
+                pool.query(`SELECT status FROM orders WHERE token = $1`, [token]),
+                paymentLinkJobService.getCurrentJobsByToken(token)
+            ]);
             console.log('Payment status results:', result.rows);
 
+            // Lifecycle status of the order itself (awaiting_payment, paid, ...)
+            const orderStatus = orderResult.rows[0]?.status || null;
+
+            // Per-provider link state; error details stay on the admin pages
+            const links = linkJobs.length ? this._linkStates(linkJobs) : undefined;
+
             // If no payment records found
             if (!result.rows.length) {
+                const states = Object.values(links || {});
+                if (states.includes('generating')) {
+                    return {
+                        status: 'pending',
+                        order_status: orderStatus,
+                        message: 'Payment links are being generated',
+                        links
+                    };
+                }
+                if (states.includes('unavailable')) {
+                    return {
+                        status: 'pending',
+                        order_status: orderStatus,
+                        message: 'Payment methods are temporarily unavailable',
+                        links
+                    };
+                }
+                if (states.length && states.every(state => state === 'failed' || state === 'cancelled')) {
+                    return {
+                        status: 'failed',
+                        order_status: orderStatus,
+                        message: 'Payment links could not be generated',
+                        links
+                    };
+                }
                 return { 
                     status: 'pending',
-                    message: 'Payment processing' 
+                    order_status: orderStatus,
+                    message: 'Payment processing',
+                    links
                 };
             }
 
@@ -67,14 +123,19 @@ class PaymentService {
                     paymentUrls[row.provider] = {
                         payment_url: row.payment_url,
                         provider: row.provider,
-                        expires_at: row.expires_at
+                        expires_at: row.expires_at,
+                        payment_status: this._canonicalStatus(row),
+                        ...this._charge(row),
+                        ...this._availability(row.provider)
                     };
                 }
             });
 
             return {
                 status: 'success',
+                order_status: orderStatus,
                 payments: paymentUrls,
+                links,
                 checked_at: new Date().toISOString()
             };
 
@@ -84,6 +145,170 @@ class PaymentService {
         }
     }
 
+    /**
+     * Builds a PII-free summary of an order for the confirmation page
+     * Contains what was ordered, the total each provider charges (fees included),
+     * when each current link expires and where payment stands.
+     * Customer name, email, phone and address are never included.
+     * @param {string} token - Order token
+     * @returns {Object} Order summary
+     * @throws {Error} 404 when the token is unknown
+     */
+    async getOrderSummaryByToken(token) {
+        const orderResult = await pool.query(
+            `SELECT record_id, trade_order, order_creation_time, total_price, status
+             FROM orders
+             WHERE token = $1`,
+            [token]
+        );
+        if (orderResult.rows.length === 0) {
+            const error = new Error('Order not found');
+            error.statusCode = 404;
+            throw error;
+        }
+        const order = orderResult.rows[0];
+
+        // Current links only - rows superseded by a re-issue are history, and a failed
+        // attempt leaves a row without a payid. status_url can't be used: status checks
+        // overwrite it with the provider's raw status.
+        const [itemsResult, paymentsResult] = await Promise.all([
+            pool.query(
+                `SELECT line_number, sku, product_name, quantity, unit_price, line_total
+                 FROM order_items
+                 WHERE order_record_id = $1
+                 ORDER BY line_number`,
+                [order.record_id]
+            ),
+            pool.query(
+                `SELECT provider, amount, fee_amount, payment_url, status_canonical, expires_at, created_at
+                 FROM payments
+                 WHERE order_record_id = $1
+                 AND superseded_at IS NULL
+                 AND payid IS NOT NULL
+                 ORDER BY created_at DESC`,
+                [order.record_id]
+            )
+        ]);
+
+        const baseTotal = parseFloat(order.total_price);
+        const payments = {};
+        for (const row of paymentsResult.rows) {
+            if (payments[row.provider]) continue; // newest link per provider
+
+            // The fee charged on the link; older links fall back to the provider's current fee
+            const fee = row.fee_amount !== null
+                ? parseFloat(row.fee_amount)
+                : await providerRegistry.find(row.provider)?.feeFor(baseTotal) || 0;
+            const total = baseTotal + fee;
+            const expired = row.expires_at ? this._isExpired(row.expires_at) : false;
+            // A link that hasn't been checked yet is pending
+            const paymentStatus = row.status_canonical || 'pending';
+            const outcome = paymentOutcome(row.status_canonical);
+
+            payments[row.provider] = {
+                total: total.toFixed(2),
+                fee: fee.toFixed(2),
+                payment_url: expired || outcome !== 'pending' ? null : row.payment_url,
+                expires_at: row.expires_at ? this._formatExpiryTime(row.expires_at) : null,
+                expired,
+                payment_status: paymentStatus,
+                outcome
+            };
+        }
+
+        return {
+            trade_order: order.trade_order,
+            order_status: order.status,
+            payment_outcome: this._paymentOutcome(order.status, Object.values(payments)),
+            created_at: order.order_creation_time,
+            items: itemsResult.rows.map(item => ({
+                product_name: item.product_name,
+                sku: item.sku,
+                quantity: item.quantity,
+                unit_price: item.unit_price,
+                line_total: item.line_total
+            })),
+            base_total: baseTotal.toFixed(2),
+            currency: 'NZD',
+            payments,
+            checked_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Canonical status of a payments row
+     * Rows checked before canonical statuses were stored are mapped from the raw value
+     * @private
+     * @param {Object} row - payments row with provider, status_pay and status_canonical
+     * @returns {string} Canonical payment status
+     */
+    _canonicalStatus(row) {
+        return row.status_canonical || toCanonicalStatus(row.provider, { payment_status: row.status_pay });
+    }
+
+    /**
+     * What a payment link charges: order amount, stored fee and their total
+     * Links created before fees were stored have no fee_amount, so fee and total are null
+     * @private
+     * @param {Object} row - payments row with amount and fee_amount
+     * @returns {Object} { amount, fee_amount, total }
+     */
+    _charge(row) {
+        const amount = parseFloat(row.amount);
+        const hasFee = row.fee_amount !== null && row.fee_amount !== undefined;
+        return {
+            amount: isNaN(amount) ? null : amount.toFixed(2),
+            fee_amount: hasFee ? parseFloat(row.fee_amount).toFixed(2) : null,
+            total: hasFee && !isNaN(amount) ? (amount + parseFloat(row.fee_amount)).toFixed(2) : null
+        };
+    }
+
+    /**
+     * Whether a provider is taking calls (its circuit breaker isn't open)
+     * @private
+     * @param {string} provider - Provider code
+     * @returns {Object} { available } plus a message when it isn't
+     */
+    _availability(provider) {
+        return providerHealth.isAvailable(provider)
+            ? { available: true }
+            : { available: false, message: 'Temporarily unavailable' };
+    }
+
+    /**
+     * Public link state of each job; a link still being generated for a provider
+     * whose circuit breaker is open is 'unavailable'
+     * @private
+     * @param {Array} jobs - payment_link_jobs rows of the current link generation
+     * @returns {Object} { PROVIDER: state }
+     */
+    _linkStates(jobs) {
+        const states = paymentLinkJobService.linkStates(jobs);
+        Object.keys(states).forEach(provider => {
+            if (states[provider] === 'generating' && !providerHealth.isAvailable(provider)) {
+                states[provider] = 'unavailable';
+            }
+        });
+        return states;
+    }
+
+    /**
+     * Works out the customer-facing payment outcome of an order
+     * @private
+     * @param {string} orderStatus - orders.status
+     * @param {Array} links - Summaries of the current links
+     * @returns {string} 'paid', 'refunded', 'partially_refunded', 'cancelled', 'expired',
+     *   'awaiting_payment' or 'processing'
+     */
+    _paymentOutcome(orderStatus, links) {
+        if (orderStatus === 'paid' || orderStatus === 'fulfilled') return 'paid';
+        if (['refunded', 'partially_refunded', 'cancelled', 'expired'].includes(orderStatus)) return orderStatus;
+        if (links.some(link => link.outcome === 'paid')) return 'paid';
+        if (links.length === 0) return 'processing';
+        if (links.every(link => link.expired || link.outcome !== 'pending')) return 'expired';
+        return 'awaiting_payment';
+    }
+
     /**
      * Utility method to format expiry timestamp
      * @private
@@ -0,0 +1,120 @@
+/**
+ * Canonical Payment Status
+ * -----------------------
+ * Purpose: Maps the raw statuses each provider reports onto one shared set
+ * Role: Status checks and webhooks store the canonical value next to the raw one
+ *       (pay_status.canonical_status, payments.status_canonical); order status,
+ *       admin filters, CSV export and the public status endpoint read it
+ *
+ * Canonical statuses:
+ * - pending: Link issued, nothing paid yet (also unknown statuses and failed checks)
+ * - authorised: Customer approved the payment, funds not settled yet
+ * - paid: Funds received
+ * - failed: Payment rejected or invalid
+ * - expired: Link or session timed out
+ * - cancelled: Customer, bank or staff withdrew the payment
+ * - refunded: Money returned after payment
+ *
+ * This module has no dependencies so the tables can be tested on their own.
+ * A new provider adds its raw statuses to STATUS_MAPS under its provider code.
+ */
+
+const CANONICAL_STATUSES = ['pending', 'authorised', 'paid', 'failed', 'expired', 'cancelled', 'refunded'];
+
+// Statuses a payment does not move on from by itself, so polling can stop
+const TERMINAL_STATUSES = ['paid', 'failed', 'expired', 'cancelled', 'refunded'];
+
+// When a result carries several raw statuses (Blink consent + payment, Stripe
+// payment + session) the first canonical status in this list that matches wins
+const PRECEDENCE = ['refunded', 'paid', 'failed', 'cancelled', 'expired', 'authorised', 'pending'];
+
+// Raw provider statuses for each canonical status, keyed by payments.provider
+const STRIPE_STATUSES = {
+    pending: ['unpaid', 'open'],
+    // Checkout completed but the payment method settles later
+    authorised: ['complete'],
+    paid: ['paid', 'no_payment_required'],
+    failed: ['failed'],
+    expired: ['expired'],
+    cancelled: [],
+    refunded: ['refunded']
+};
+
+const STATUS_MAPS = {
+    POLi: {
+        pending: ['Activated', 'Initiated', 'FinancialInstitutionSelected', 'EULAAccepted', 'InProcess', 'Unknown'],
+        authorised: ['ReceiptUnverified'],
+        paid: ['Completed', 'Paid'],
+        failed: ['Failed'],
+        expired: ['Expired', 'TimedOut'],
+        cancelled: ['Cancelled', 'Deleted'],
+        refunded: []
+    },
+    BLINK: {
+        // Consent statuses (AwaitingAuthorisation, Authorised, Consumed, ...) and
+        // payment statuses (Pending, AcceptedSettlement...) share one table
+        pending: ['AwaitingAuthorisation', 'Pending'],
+        authorised: ['Authorised', 'Consumed', 'AcceptedSettlementInProcess'],
+        paid: ['AcceptedSettlementCompleted'],
+        failed: ['Rejected', 'failed'],
+        expired: ['expired', 'GatewayTimeout'],
+        cancelled: ['Revoked'],
+        refunded: []
+    },
+    BTCPAY: {
+        pending: ['New'],
+        authorised: ['Processing'],
+        paid: ['Settled'],
+        failed: ['Invalid'],
+        expired: ['Expired'],
+        cancelled: [],
+        refunded: []
+    },
+    STRIPE: STRIPE_STATUSES,
+    // Alipay payments are Stripe Checkout sessions
+    ALIPAY: STRIPE_STATUSES
+};
+
+/**
+ * Maps a provider status check result to its canonical status
+ * Looks at every status the provider returned (payment, consent/url and session status)
+ * @param {string} provider - Payment provider code
+ * @param {Object} statusResult - { status, payment_status?, session_status? }
+ * @returns {string} One of CANONICAL_STATUSES ('pending' for unknown providers or statuses)
+ */
+function toCanonicalStatus(provider, statusResult = {}) {
+    const table = STATUS_MAPS[provider];
+    if (!table) return 'pending';
+
+    const values = [statusResult.payment_status, statusResult.status, statusResult.session_status]
+        .filter(Boolean);
+
+    return PRECEDENCE.find(canonical => values.some(value => table[canonical].includes(value))) || 'pending';
+}
+
+/**
+ * Whether a value is a canonical status
+ * @param {string} status - Value to check
+ * @returns {boolean} True for members of CANONICAL_STATUSES
+ */
+function isCanonicalStatus(status) {
+    return CANONICAL_STATUSES.includes(status);
+}
+
+/**
+ * Whether a canonical status is final
+ * @param {string} status - Canonical status
+ * @returns {boolean} True for members of TERMINAL_STATUSES
+ */
+function isTerminalStatus(status) {
+    return TERMINAL_STATUSES.includes(status);
+}
+
+module.exports = {
+    CANONICAL_STATUSES,
+    TERMINAL_STATUSES,
+    STATUS_MAPS,
+    toCanonicalStatus,
+    isCanonicalStatus,
+    isTerminalStatus
+};
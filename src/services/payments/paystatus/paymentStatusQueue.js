@@ -4,19 +4,23 @@
  * Purpose: Manages scheduled jobs for payment status checks
  * 
  * Functions:
- * - Schedule status checks at 1min and 32min after each payment (for testing)
- * - Process jobs for different payment providers
- * - Handle job failures and retries
+ * - Schedule the first status check when a payment link is created
+ * - Process jobs for different payment providers; each job queues the next check
+ *   only while the payment is not in a terminal status (see config/statusPolling.js
+ *   for the per-provider backoff schedule and limits)
+ * - Handle job failures and retries (polling carries on after a provider outage)
+ * - Skip checks while the provider's circuit breaker is open (see health/providerHealth.js)
  */
 
 const Queue = require('bull');
-// Import the providers directly to avoid circular dependency
-const poliPaymentStatus = require('./providers/poliPaymentStatus');
-const stripePaymentStatus = require('./providers/stripePaymentStatus');
-const alipayPaymentStatus = require('./providers/alipayPaymentStatus');
-const btcpayPaymentStatus = require('./providers/btcpayPaymentStatus');
-const blinkPaymentStatus = require('./providers/blinkPaymentStatus');
+// The registry loads provider modules on first lookup, so requiring it here
+// doesn't pull in the payment services that require this queue
+const providerRegistry = require('../providers/providerRegistry');
 const pool = require('../../../config/database');
+const orderStatusService = require('../../orders/orderStatusService');
+const { toCanonicalStatus, isTerminalStatus } = require('./canonicalStatus');
+const { getPollingPolicy, nextCheckDelay } = require('../../../config/statusPolling');
+const providerHealth = require('../health/providerHealth');
 
 // Create the payment status check queue
 const paymentStatusQueue = new Queue('payment-status-checks', process.env.REDIS_URL, {
@@ -35,7 +39,9 @@ const paymentStatusQueue = new Queue('payment-status-checks', process.env.REDIS_
 paymentStatusQueue.process(async (job) => {
     console.log(`Processing payment status check job: ${job.id}`, job.data);
     
-    const { paymentId, payid, provider, checkTime } = job.data;
+    // Jobs queued before adaptive polling carry checkTime instead of attempt and aren't followed up
+    const { paymentId, payid, provider, attempt, checkTime } = job.data;
+    const checkLabel = attempt ? `check ${attempt}` : `${checkTime} check`;
     
     // Validate required parameters to prevent errors
     if (!paymentId || !payid) {
@@ -43,36 +49,32 @@ paymentStatusQueue.process(async (job) => {
         throw new Error('Missing required payment data (paymentId or payid)');
     }
     
-    try {
-        // Use provider directly to avoid circular dependency
-        let statusResult;
-        
-        if (provider === 'POLi') {
-            // Check payment status using the POLi provider
-            statusResult = await poliPaymentStatus.checkStatus(payid);
-        } 
-        else if (provider === 'STRIPE') {
-            // Check payment status using the Stripe provider
-            statusResult = await stripePaymentStatus.checkStatus(payid);
-        }
-        else if (provider === 'ALIPAY') {
-            // Check payment status using the Alipay provider
-            statusResult = await alipayPaymentStatus.checkStatus(payid);
-        }
-        else if (provider === 'BTCPAY') {
-            // Check payment status using the BTCPay provider
-            statusResult = await btcpayPaymentStatus.checkStatus(payid);
-        }
-        else if (provider === 'BLINK') {
-            // Check payment status using the Blink provider
-            statusResult = await blinkPaymentStatus.checkStatus(payid);
-        }
-        else {
-            throw new Error(`Unsupported provider: ${provider}`);
+    // A webhook or return page may already have settled the payment
+    const storedStatus = await getStoredStatus(paymentId);
+    if (isTerminalStatus(storedStatus)) {
+        console.log(`Skipping ${checkLabel} for ${provider} payment ${payid}: already ${storedStatus}`);
+        return { paymentId, payid, provider, canonical_status: storedStatus, skipped: true };
+    }
+    
+    // While the provider's circuit breaker is open this check is skipped, not failed
+    if (!providerHealth.isAvailable(provider)) {
+        console.log(`Skipping ${checkLabel} for ${provider} payment ${payid}: ${provider} is temporarily unavailable`);
+        if (attempt) {
+            await scheduleStatusCheck(job.data, attempt + 1);
         }
+        return { paymentId, payid, provider, skipped: true };
+    }
+    
+    try {
+        // Check payment status with the registered provider (throws for unknown providers)
+        const providerImplementation = providerRegistry.get(provider);
+        const statusResult = await providerHealth.checkStatus(providerImplementation, payid);
         
         // Log the status check to database
-        await logStatusCheck(paymentId, statusResult, statusResult.message);
+        await logStatusCheck(paymentId, statusResult, statusResult.message, provider, { attempt, source: 'poll' });
+
+        // Move the order to paid/expired when this result settles it
+        await applyOrderStatus(paymentId, provider, statusResult);
         
         const result = {
             paymentId,
@@ -80,10 +82,18 @@ paymentStatusQueue.process(async (job) => {
             provider,
             status: statusResult.status,
             payment_status: statusResult.payment_status || statusResult.status,
+            canonical_status: providerImplementation.canonicalStatus(statusResult),
             message: statusResult.message
         };
         
-        console.log(`Completed ${checkTime} status check for ${provider} payment ${payid}`);
+        console.log(`Completed ${checkLabel} for ${provider} payment ${payid}: ${result.canonical_status}`);
+        
+        if (isTerminalStatus(result.canonical_status)) {
+            console.log(`Stopped polling ${provider} payment ${payid}: ${result.canonical_status}`);
+        } else if (attempt) {
+            await scheduleStatusCheck(job.data, attempt + 1);
+        }
+        
         return result;
     } catch (error) {
         console.error(`Error processing payment status check for ${provider} payment ${payid}:`, error);
@@ -93,7 +103,9 @@ paymentStatusQueue.process(async (job) => {
             await logStatusCheck(
                 paymentId, 
                 { status: 'error', payment_status: 'error' }, 
-                error.message
+                error.message,
+                provider,
+                { attempt, source: 'poll' }
             );
         } catch (logError) {
             console.error(`Failed to log status check error: ${logError.message}`);
@@ -106,8 +118,9 @@ paymentStatusQueue.process(async (job) => {
 /**
  * Helper function to log a status check to the database
  * Defined directly in this file to avoid circular dependencies
+ * @param {Object} details - { attempt, source } shown with the check on the admin order page
  */
-async function logStatusCheck(paymentId, statusResult, message) {
+async function logStatusCheck(paymentId, statusResult, message, provider, { attempt = null, source = 'poll' } = {}) {
     try {
         // For providers that return both status types (dual-status):
         // - payment_status goes to pay_status.status
@@ -115,15 +128,17 @@ async function logStatusCheck(paymentId, statusResult, message) {
         // For single-status providers, use the same value for both
         
         const paymentStatus = statusResult.payment_status || statusResult.status;
+        // A failed check says nothing about the payment, so it keeps the last canonical status
+        const canonicalStatus = statusResult.status === 'error' ? null : toCanonicalStatus(provider, statusResult);
         
-        // Insert into pay_status table
+        // Insert into pay_status table (the trigger copies both values onto payments)
         const query = `
-            INSERT INTO pay_status (payments_record_id, date_time, status, message)
-            VALUES ($1, NOW(), $2, $3)
+            INSERT INTO pay_status (payments_record_id, date_time, status, canonical_status, message, attempt, source)
+            VALUES ($1, NOW(), $2, $3, $4, $5, $6)
         `;
         
-        await pool.query(query, [paymentId, paymentStatus, message]);
-        console.log(`Logged status check for payment ${paymentId}: ${paymentStatus}`);
+        await pool.query(query, [paymentId, paymentStatus, canonicalStatus, message, attempt || null, source]);
+        console.log(`Logged status check for payment ${paymentId}: ${paymentStatus} (${canonicalStatus || 'unchanged'})`);
         
         // Update the main payment record status
         if (statusResult.status) {
@@ -139,8 +154,35 @@ async function logStatusCheck(paymentId, statusResult, message) {
     }
 }
 
+/**
+ * Canonical status last stored for a payment
+ * @param {number} paymentId - Payment record ID
+ * @returns {string|null} payments.status_canonical
+ */
+async function getStoredStatus(paymentId) {
+    const result = await pool.query(
+        `SELECT status_canonical FROM payments WHERE record_id = $1`,
+        [paymentId]
+    );
+    return result.rows[0]?.status_canonical || null;
+}
+
+/**
+ * Helper function to move the order forward from a status check result
+ * Failures are logged only - the status check itself has already been recorded
+ */
+async function applyOrderStatus(paymentId, provider, statusResult) {
+    try {
+        await orderStatusService.applyPaymentStatus(paymentId, provider, statusResult);
+    } catch (error) {
+        console.error(`Failed to update order status for payment ${paymentId}: ${error.message}`);
+    }
+}
+
 /**
  * Schedule status checks for a specific payment
+ * Queues the first check; every check queues the next one until the payment
+ * reaches a terminal status or its provider's polling policy runs out
  * @param {Object} payment - Payment object with id, payid and provider
  */
 function schedulePaymentStatusChecks(payment) {
@@ -151,35 +193,48 @@ function schedulePaymentStatusChecks(payment) {
     
     console.log(`Scheduling status checks for ${payment.provider} payment ${payment.payid}`);
     
-    // Schedule first check at 1 minute after creation (for testing)
-    paymentStatusQueue.add(
+    scheduleStatusCheck(
         {
             paymentId: payment.record_id,
             payid: payment.payid,
             provider: payment.provider,
-            checkTime: '1min'
+            startedAt: Date.now()
         },
-        {
-            delay: 1 * 60 * 1000, // 1 minute (for testing)
-            jobId: `${payment.provider}-${payment.payid}-1min`
-        }
-    );
+        1
+    ).catch(error => {
+        console.error(`Failed to schedule status checks for ${payment.provider} payment ${payment.payid}:`, error);
+    });
+}
+
+/**
+ * Queues check number `attempt` for a payment if its polling policy allows another one
+ * @param {Object} data - Job data: paymentId, payid, provider, startedAt (ms)
+ * @param {number} attempt - Check number, starting at 1
+ * @returns {boolean} True if a check was queued
+ */
+async function scheduleStatusCheck(data, attempt) {
+    const delay = nextCheckDelay(getPollingPolicy(data.provider), attempt, data.startedAt);
+    if (delay === null) {
+        console.log(`Stopped polling ${data.provider} payment ${data.payid}: polling policy allows no check ${attempt}`);
+        return false;
+    }
     
-    // Schedule second check at 32 minutes after creation (for testing)
-    paymentStatusQueue.add(
+    await paymentStatusQueue.add(
         {
-            paymentId: payment.record_id,
-            payid: payment.payid,
-            provider: payment.provider,
-            checkTime: '32min'
+            paymentId: data.paymentId,
+            payid: data.payid,
+            provider: data.provider,
+            startedAt: data.startedAt,
+            attempt
         },
         {
-            delay: 32 * 60 * 1000, // 32 minutes (for testing)
-            jobId: `${payment.provider}-${payment.payid}-32min`
+            delay,
+            jobId: `${data.provider}-${data.payid}-${attempt}`
         }
     );
     
-    console.log(`Scheduled status checks for ${payment.provider} payment ${payment.payid} at +1min and +32min (testing)`);
+    console.log(`Scheduled status check ${attempt} for ${data.provider} payment ${data.payid} in ${Math.round(delay / 1000)}s`);
+    return true;
 }
 
 // Event listeners for monitoring the queue
@@ -198,6 +253,13 @@ paymentStatusQueue.on('failed', (job, error) => {
         payid: job.data.payid,
         error: error.message
     });
+    
+    // Out of retries: carry on with the next scheduled check rather than stop polling
+    if (job.data.attempt && job.attemptsMade >= job.opts.attempts) {
+        scheduleStatusCheck(job.data, job.data.attempt + 1).catch(scheduleError => {
+            console.error(`Failed to schedule the next status check for job ${job.id}:`, scheduleError);
+        });
+    }
 });
 
 // Clean up any existing repeatable jobs from previous implementations
@@ -10,31 +10,21 @@
  */
 
 const pool = require('../../../config/database');
-const poliPaymentStatus = require('./providers/poliPaymentStatus');
-const stripePaymentStatus = require('./providers/stripePaymentStatus');
-const alipayPaymentStatus = require('./providers/alipayPaymentStatus');
-const btcpayPaymentStatus = require('./providers/btcpayPaymentStatus');
-const blinkPaymentStatus = require('./providers/blinkPaymentStatus');
+const orderStatusService = require('../../orders/orderStatusService');
+const providerRegistry = require('../providers/providerRegistry');
+const providerHealth = require('../health/providerHealth');
+const { toCanonicalStatus } = require('./canonicalStatus');
 
 class PaymentStatusService {
-    constructor() {
-        // Map of payment providers to their status checking implementations
-        this.providers = {
-            'POLi': poliPaymentStatus,
-            'STRIPE': stripePaymentStatus,
-            'ALIPAY': alipayPaymentStatus,
-            'BTCPAY': btcpayPaymentStatus,
-            'BLINK': blinkPaymentStatus
-        };
-    }
-    
+
     /**
      * Check status for a specific payment
-     * Used by the API endpoint
+     * Used by the API endpoint and the return pages
      * @param {number} paymentId - Payment record ID
+     * @param {string} source - What triggered the check ('manual', 'return'), shown on the admin order page
      * @returns {Object} Status check result
      */
-    async checkPaymentStatus(paymentId) {
+    async checkPaymentStatus(paymentId, source = 'manual') {
         try {
             // Get payment details
             const query = `
@@ -54,16 +44,19 @@ class PaymentStatusService {
             }
             
             // Get the appropriate provider implementation
-            const providerImplementation = this.providers[payment.provider];
+            const providerImplementation = providerRegistry.find(payment.provider);
             if (!providerImplementation) {
                 throw new Error(`No implementation for provider: ${payment.provider}`);
             }
             
             // Check the payment status
-            const statusResult = await providerImplementation.checkStatus(payment.payid);
+            const statusResult = await providerHealth.checkStatus(providerImplementation, payment.payid);
             
             // Log the status check result
-            await this.logStatusCheck(payment.record_id, statusResult, statusResult.message);
+            await this.logStatusCheck(payment.record_id, statusResult, statusResult.message, payment.provider, { source });
+            
+            // Move the order to paid/expired when this result settles it
+            const orderStatus = await this.applyOrderStatus(payment.record_id, payment.provider, statusResult);
             
             return {
                 paymentId: payment.record_id,
@@ -71,7 +64,9 @@ class PaymentStatusService {
                 provider: payment.provider,
                 status: statusResult.status,
                 payment_status: statusResult.payment_status || statusResult.status,
-                message: statusResult.message
+                canonical_status: providerImplementation.canonicalStatus(statusResult),
+                message: statusResult.message,
+                order_status: orderStatus
             };
         } catch (error) {
             console.error(`Error checking payment status for ID ${paymentId}:`, error);
@@ -79,13 +74,32 @@ class PaymentStatusService {
         }
     }
     
+    /**
+     * Move the order forward (paid/expired) from a status check result
+     * Failures are logged only - the status check itself has already been recorded
+     * @param {number} paymentId - Payment record ID
+     * @param {string} provider - Payment provider code
+     * @param {Object} statusResult - Status result from provider
+     * @returns {string|null} New order status, or null if unchanged
+     */
+    async applyOrderStatus(paymentId, provider, statusResult) {
+        try {
+            return await orderStatusService.applyPaymentStatus(paymentId, provider, statusResult);
+        } catch (error) {
+            console.error(`Failed to update order status for payment ${paymentId}: ${error.message}`);
+            return null;
+        }
+    }
+    
     /**
      * Log a payment status check attempt to the pay_status table
      * @param {number} paymentId - Payment record ID
      * @param {Object} statusResult - Status result from provider
      * @param {string} message - Status message or error
+     * @param {string} provider - Payment provider code, for the canonical status
+     * @param {Object} details - { attempt, source }: scheduled check number and what triggered the check
      */
-    async logStatusCheck(paymentId, statusResult, message) {
+    async logStatusCheck(paymentId, statusResult, message, provider, { attempt = null, source = 'manual' } = {}) {
         try {
             // For providers that return both status types (dual-status):
             // - payment_status goes to pay_status.status
@@ -93,15 +107,17 @@ class PaymentStatusService {
             // For single-status providers, use the same value for both
             
             const paymentStatus = statusResult.payment_status || statusResult.status;
+            // A failed check says nothing about the payment, so it keeps the last canonical status
+            const canonicalStatus = statusResult.status === 'error' ? null : toCanonicalStatus(provider, statusResult);
             
-            // Insert into pay_status table
+            // Insert into pay_status table (the trigger copies both values onto payments)
             const query = `
-                INSERT INTO pay_status (payments_record_id, date_time, status, message)
-                VALUES ($1, NOW(), $2, $3)
+                INSERT INTO pay_status (payments_record_id, date_time, status, canonical_status, message, attempt, source)
+                VALUES ($1, NOW(), $2, $3, $4, $5, $6)
             `;
             
-            await pool.query(query, [paymentId, paymentStatus, message]);
-            console.log(`Logged status check for payment ${paymentId}: ${paymentStatus}`);
+            await pool.query(query, [paymentId, paymentStatus, canonicalStatus, message, attempt, source]);
+            console.log(`Logged status check for payment ${paymentId}: ${paymentStatus} (${canonicalStatus || 'unchanged'})`);
             
             // Update the main payment record status
             if (statusResult.status) {
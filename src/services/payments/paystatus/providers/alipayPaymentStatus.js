@@ -9,14 +9,9 @@
  * - Return raw API responses without any normalization
  */
 
-const axios = require('axios');
+const stripeClient = require('../../clients/stripeClient');
 
 class AlipayPaymentStatus {
-    constructor() {
-        this.baseUrl = process.env.STRIPE_BASE_URL || 'https://api.stripe.com';
-        this.secretKey = process.env.STRIPE_SECRET_KEY;
-    }
-
     /**
      * Check the status of an Alipay payment
      * @param {string} sessionId - The Checkout Session ID to check
@@ -27,21 +22,13 @@ class AlipayPaymentStatus {
             console.log(`Checking Alipay payment status for session: ${sessionId}`);
             
             // Make API request to Stripe (which powers Alipay payments)
-            const response = await axios.get(
-                `${this.baseUrl}/v1/checkout/sessions/${sessionId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.secretKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+            const session = await stripeClient.get(`/v1/checkout/sessions/${sessionId}`);
             
-            console.log(`Alipay status response for ${sessionId}:`, response.data);
+            console.log(`Alipay status response for ${sessionId}:`, session);
             
             // Check if payment method types include alipay
-            const isAlipayPayment = response.data.payment_method_types &&
-                                   response.data.payment_method_types.includes('alipay');
+            const isAlipayPayment = session.payment_method_types &&
+                                   session.payment_method_types.includes('alipay');
             
             if (!isAlipayPayment) {
                 console.warn(`Session ${sessionId} does not appear to be an Alipay payment`);
@@ -49,20 +36,23 @@ class AlipayPaymentStatus {
             
             return {
                 // Raw status from API
-                status: response.data.payment_status || 'unknown',
-                originalStatus: `${response.data.status}/${response.data.payment_status}`,
-                message: `Alipay status check successful: ${response.data.payment_status}`
+                status: session.payment_status || 'unknown',
+                // Checkout Session state (open/complete/expired)
+                session_status: session.status,
+                originalStatus: `${session.status}/${session.payment_status}`,
+                message: `Alipay status check successful: ${session.payment_status}`
             };
         } catch (error) {
             console.error(`Alipay status check error for ${sessionId}:`, {
                 message: error.message,
-                response: error.response?.data || error.response?.statusText
+                httpStatus: error.httpStatus,
+                code: error.code
             });
             
             return {
                 status: 'error',
-                originalStatus: error.response?.status || 'unknown',
-                message: error.response?.data?.error?.message || error.message
+                originalStatus: error.httpStatus || 'unknown',
+                message: error.message
             };
         }
     }
@@ -4,71 +4,18 @@
  * Purpose: Handles Blink-specific payment status checking
  * 
  * Functions:
- * - Connect to Blink API with proper authentication
+ * - Connect to Blink API with a token from the shared Blink token manager
  * - Query payment status using the stored quick_payment_id
  * - Return raw API responses without any normalization
  * - Maps payment status to pay_status.status and consent status to payments.status_url
  */
 
 const axios = require('axios');
+const blinkAuth = require('../../clients/blinkAuth');
 
 class BlinkPaymentStatus {
     constructor() {
         this.baseUrl = process.env.BLINK_API_BASE_URL;
-        this.clientId = process.env.BLINK_CLIENT_ID;
-        this.clientSecret = process.env.BLINK_CLIENT_SECRET;
-        this.authUrl = process.env.BLINK_AUTH_URL;
-        
-        // Token management
-        this.accessToken = null;
-        this.tokenExpiry = null;
-    }
-
-    /**
-     * Get an access token for Blink API
-     * @returns {string} Access token
-     */
-    async getAccessToken() {
-        try {
-            console.log('Requesting Blink access token for status check...');
-            
-            const payload = {
-                client_id: this.clientId,
-                client_secret: this.clientSecret,
-                grant_type: 'client_credentials',
-                audience: 'https://api.blinkdebit.co.nz'
-            };
-
-            const response = await axios.post(
-                this.authUrl,
-                payload,
-                {
-                    headers: {
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            this.accessToken = response.data.access_token;
-            this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
-            
-            console.log('Successfully obtained Blink access token for status check');
-            return this.accessToken;
-        } catch (error) {
-            console.error('Failed to get Blink access token:', error.response?.data || error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Ensure we have a valid token
-     * @returns {string} Valid access token
-     */
-    async ensureValidToken() {
-        if (!this.accessToken || !this.tokenExpiry || Date.now() >= this.tokenExpiry - 60000) {
-            await this.getAccessToken();
-        }
-        return this.accessToken;
     }
 
     /**
@@ -80,11 +27,8 @@ class BlinkPaymentStatus {
         try {
             console.log(`Checking Blink payment status for quick_payment_id: ${quickPaymentId}`);
             
-            // Ensure we have a valid token
-            const token = await this.ensureValidToken();
-            
             // Make API request to Blink
-            const response = await axios.get(
+            const response = await blinkAuth.withToken(token => axios.get(
                 `${this.baseUrl}/quick-payments/${quickPaymentId}`,
                 {
                     headers: {
@@ -93,7 +37,7 @@ class BlinkPaymentStatus {
                         'Accept': 'application/json'
                     }
                 }
-            );
+            ));
             
             console.log(`Blink status response for ${quickPaymentId}:`, response.data);
             
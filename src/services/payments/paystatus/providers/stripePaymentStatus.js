@@ -10,14 +10,9 @@
  * - Handle Stripe-specific error conditions
  */
 
-const axios = require('axios');
+const stripeClient = require('../../clients/stripeClient');
 
 class StripePaymentStatus {
-    constructor() {
-        this.baseUrl = process.env.STRIPE_BASE_URL || 'https://api.stripe.com';
-        this.secretKey = process.env.STRIPE_SECRET_KEY;
-    }
-
     /**
      * Check the status of a Stripe payment
      * @param {string} sessionId - The Checkout Session ID to check
@@ -28,33 +23,28 @@ class StripePaymentStatus {
             console.log(`Checking Stripe payment status for session: ${sessionId}`);
             
             // Make API request to Stripe
-            const response = await axios.get(
-                `${this.baseUrl}/v1/checkout/sessions/${sessionId}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.secretKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+            const session = await stripeClient.get(`/v1/checkout/sessions/${sessionId}`);
             
-            console.log(`Stripe status response for ${sessionId}:`, response.data);
+            console.log(`Stripe status response for ${sessionId}:`, session);
             
             return {
-                status: response.data.payment_status || 'unknown',
-                originalStatus: `${response.data.status}/${response.data.payment_status}`,
-                message: `Stripe status check successful: ${response.data.payment_status}`
+                status: session.payment_status || 'unknown',
+                // Checkout Session state (open/complete/expired)
+                session_status: session.status,
+                originalStatus: `${session.status}/${session.payment_status}`,
+                message: `Stripe status check successful: ${session.payment_status}`
             };
         } catch (error) {
             console.error(`Stripe status check error for ${sessionId}:`, {
                 message: error.message,
-                response: error.response?.data || error.response?.statusText
+                httpStatus: error.httpStatus,
+                code: error.code
             });
             
             return {
                 status: 'error',
-                originalStatus: error.response?.status || 'unknown',
-                message: error.response?.data?.error?.message || error.message
+                originalStatus: error.httpStatus || 'unknown',
+                message: error.message
             };
         }
     }
@@ -16,7 +16,7 @@
  * Flow:
  * 1. Receives order data
  * 2. Generates expiry timestamp in NZ timezone
- * 3. Creates POLi API payload
+ * 3. Creates POLi API payload (order total plus any POLi fee rule)
  * 4. Makes API request to generate payment link
  * 5. Extracts payment token from URL
  * 6. Stores payment record with token in database
@@ -31,6 +31,8 @@
 const axios = require('axios');
 const pool = require('../../config/database');
 const { schedulePaymentStatusChecks } = require('./paystatus/paymentStatusQueue');
+const expiryService = require('./expiry/expiryService');
+const feeRuleService = require('./fees/feeRuleService');
 
 class PoliService {
     /**
@@ -61,10 +63,13 @@ class PoliService {
 
             console.log('POLi Generated Expiry Time:', formattedExpiry);
 
+            // Charge the order total plus the POLi fee rule (if any)
+            const { fee, total } = await feeRuleService.quote('POLi', orderData.total_price);
+
             // Construct payload for POLi API
             const payload = {
                 LinkType: "0",
-                Amount: orderData.total_price.toString(),
+                Amount: total,
                 MerchantReference: orderData.trade_order,
                 LinkExpiry: formattedExpiry
             };
@@ -94,23 +99,30 @@ class PoliService {
 
             console.log('Extracted POLi token (payid):', payid);
 
-            // Store successful payment record in database with payid
+            // Store successful payment record in database with payid; it expires with the LinkExpiry
             const result = await pool.query(
-                `INSERT INTO payments (order_record_id, provider, status_url, amount, payment_url, payid) 
-                 VALUES ($1, $2, $3, $4, $5, $6)
+                `INSERT INTO payments (order_record_id, provider, status_url, amount, fee_amount, payment_url, payid, expires_at) 
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
                  RETURNING record_id`,
-                [orderData.record_id, 'POLi', 'success', orderData.total_price, paymentUrl, payid]
+                [orderData.record_id, 'POLi', 'success', orderData.total_price, fee, paymentUrl, payid, futureDate]
             );
             
             const paymentRecordId = result.rows[0]?.record_id;
 
-            // Schedule status checks at 1min and 3min after creation (for testing)
+            // Start polling the transaction's status and withdraw the link when it expires
             if (payid && paymentRecordId) {
                 schedulePaymentStatusChecks({
                     record_id: paymentRecordId,
                     provider: 'POLi',
                     payid: payid
                 });
+
+                expiryService.scheduleExpiry({
+                    record_id: paymentRecordId,
+                    provider: 'POLi',
+                    payid: payid,
+                    expires_at: futureDate
+                });
             }
 
             return paymentUrl;
@@ -123,13 +135,6 @@ class PoliService {
                 order: orderData.trade_order
             });
             
-            // Store failed payment record in database
-            await pool.query(
-                `INSERT INTO payments (order_record_id, provider, status_url, amount, message_url) 
-                 VALUES ($1, $2, $3, $4, $5)`,
-                [orderData.record_id, 'POLi', 'failed', orderData.total_price, 
-                 error.response?.data?.ErrorMessage || error.message]
-            );
             throw error;
         }
     }
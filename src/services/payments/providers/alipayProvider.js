@@ -0,0 +1,56 @@
+/**
+ * Alipay Provider
+ * --------------
+ * Purpose: Registers Alipay (through Stripe Checkout) with the provider registry
+ * Role: Wraps AlipayService (sessions), alipayPaymentStatus (checks),
+ *       stripeExpiry, stripeRefund and stripeTransactions (Alipay sessions are Stripe sessions)
+ */
+
+const PaymentProvider = require('./paymentProvider');
+const AlipayService = require('../alipayService');
+const alipayPaymentStatus = require('../paystatus/providers/alipayPaymentStatus');
+const stripeExpiry = require('../expiry/providers/stripeExpiry');
+const stripeRefund = require('../refunds/providers/stripeRefund');
+const stripeTransactions = require('../reconciliation/providers/stripeTransactions');
+const { toCents } = require('../../orders/orderItems');
+
+class AlipayProvider extends PaymentProvider {
+    constructor() {
+        super({
+            code: 'ALIPAY',
+            name: 'Alipay',
+            idempotentRefunds: true
+        });
+    }
+
+    isConfigured() {
+        return Boolean(process.env.STRIPE_SECRET_KEY);
+    }
+
+    createLink(orderData) {
+        return AlipayService.generatePaymentLink(orderData);
+    }
+
+    checkStatus(payid) {
+        return alipayPaymentStatus.checkStatus(payid);
+    }
+
+    revoke(payment) {
+        return stripeExpiry.expireSession(payment.payid);
+    }
+
+    refund(payment, amount, { reference, idempotencyKey } = {}) {
+        return stripeRefund.refundSession(payment.payid, toCents(amount), { reference, idempotencyKey });
+    }
+
+    refundStatus(payment, refundId) {
+        return stripeRefund.getRefund(refundId);
+    }
+
+    async listTransactions(from, to) {
+        const sessions = await stripeTransactions.listSessions(from, to);
+        return sessions.filter(session => session.payment_method_types.includes('alipay'));
+    }
+}
+
+module.exports = new AlipayProvider();
@@ -0,0 +1,69 @@
+/**
+ * Blink Provider
+ * -------------
+ * Purpose: Registers Blink Debit quick payments with the provider registry
+ * Role: Wraps BlinkService (links), blinkPaymentStatus (checks),
+ *       blinkExpiry (revocation), blinkRefund (refunds) and blinkTransactions (reconciliation);
+ *       tokens come from blinkAuth, which retries each call once on a 401
+ */
+
+const PaymentProvider = require('./paymentProvider');
+const BlinkService = require('../blinkService');
+const blinkAuth = require('../clients/blinkAuth');
+const blinkPaymentStatus = require('../paystatus/providers/blinkPaymentStatus');
+const blinkExpiry = require('../expiry/providers/blinkExpiry');
+const blinkRefund = require('../refunds/providers/blinkRefund');
+const blinkTransactions = require('../reconciliation/providers/blinkTransactions');
+
+class BlinkProvider extends PaymentProvider {
+    constructor() {
+        super({
+            code: 'BLINK',
+            name: 'Blink',
+            idempotentRefunds: true
+        });
+        this.service = null;
+    }
+
+    isConfigured() {
+        return BlinkService.REQUIRED_ENV_VARS.every(name => Boolean(process.env[name]));
+    }
+
+    async createLink(orderData) {
+        if (!this.service) {
+            this.service = new BlinkService();
+        }
+        return this.service.generatePaymentLink(orderData);
+    }
+
+    checkStatus(payid) {
+        return blinkPaymentStatus.checkStatus(payid);
+    }
+
+    async revoke(payment) {
+        try {
+            await blinkAuth.withToken(token => blinkExpiry.revokePayment(payment.payid, token));
+            return { status: 'revoked', message: 'Quick payment revoked' };
+        } catch (error) {
+            if (error.response?.status === 404 || error.response?.status === 410) {
+                return { status: 'already_closed', message: 'Quick payment already expired or removed' };
+            }
+            throw error;
+        }
+    }
+
+    refund(payment, amount, details = {}) {
+        return blinkAuth.withToken(token => blinkRefund.refundPayment(payment.payid, amount, { ...details, token }));
+    }
+
+    refundStatus(payment, refundId) {
+        return blinkAuth.withToken(token => blinkRefund.getRefund(refundId, token));
+    }
+
+    // Blink can't list quick payments, so reconciliation looks each one up
+    getTransaction(payid) {
+        return blinkAuth.withToken(token => blinkTransactions.getQuickPayment(payid, token));
+    }
+}
+
+module.exports = new BlinkProvider();
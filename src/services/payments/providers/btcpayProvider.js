@@ -0,0 +1,54 @@
+/**
+ * BTCPay Provider
+ * --------------
+ * Purpose: Registers BTCPay Server (Bitcoin) invoices with the provider registry
+ * Role: Wraps BTCPayService (invoices), btcpayPaymentStatus (checks),
+ *       btcpayExpiry (invalidation), btcpayRefund (refund pull payments) and
+ *       btcpayTransactions (reconciliation)
+ */
+
+const PaymentProvider = require('./paymentProvider');
+const BTCPayService = require('../btcpayService');
+const btcpayPaymentStatus = require('../paystatus/providers/btcpayPaymentStatus');
+const btcpayExpiry = require('../expiry/providers/btcpayExpiry');
+const btcpayRefund = require('../refunds/providers/btcpayRefund');
+const btcpayTransactions = require('../reconciliation/providers/btcpayTransactions');
+
+class BTCPayProvider extends PaymentProvider {
+    constructor() {
+        super({
+            code: 'BTCPAY',
+            name: 'BTCPay'
+        });
+    }
+
+    isConfigured() {
+        return Boolean(process.env.BTCPAY_API_KEY && process.env.BTCPAY_STORE_ID);
+    }
+
+    createLink(orderData) {
+        return BTCPayService.generatePaymentLink(orderData);
+    }
+
+    checkStatus(payid) {
+        return btcpayPaymentStatus.checkStatus(payid);
+    }
+
+    revoke(payment) {
+        return btcpayExpiry.invalidateInvoice(payment.payid);
+    }
+
+    refund(payment, amount, details) {
+        return btcpayRefund.refundInvoice(payment.payid, amount, details);
+    }
+
+    refundStatus(payment, refundId) {
+        return btcpayRefund.getRefund(refundId);
+    }
+
+    listTransactions(from, to) {
+        return btcpayTransactions.listInvoices(from, to);
+    }
+}
+
+module.exports = new BTCPayProvider();
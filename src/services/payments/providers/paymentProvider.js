@@ -0,0 +1,112 @@
+/**
+ * Payment Provider Interface
+ * -------------------------
+ * Purpose: The one interface every payment provider implements
+ * Role: Order, status, expiry and fee code call providers only through these
+ *       methods, looked up by code in the provider registry
+ *
+ * A provider module in this directory exports a singleton of a PaymentProvider
+ * subclass and is picked up by providerRegistry automatically.
+ *
+ * Members:
+ * - code: Value stored in payments.provider (e.g. 'STRIPE')
+ * - name: Label shown in the admin dashboard
+ * - reconcileByReference: listTransactions() only returns payments a customer started,
+ *   identified by trade order instead of payid (see reconciliationService)
+ * - idempotentRefunds: refund() with the same idempotencyKey returns the first refund instead of
+ *   making another, so a refund whose outcome is unknown can safely be sent again
+ * - statuses: Raw provider statuses for each canonical status (from paystatus/canonicalStatus)
+ * - isConfigured(): Whether the environment has what the provider needs
+ * - createLink(orderData): Creates the payment link and payments row, returns the URL
+ *   (a failed attempt throws and leaves no row - the link job records it)
+ * - checkStatus(payid): Queries the provider, returns { status, payment_status?, message, ... }
+ * - canonicalStatus(statusResult): Maps a checkStatus() result to the canonical status
+ * - revoke(payment): Kills a link, returns { status: 'revoked'|'already_closed'|'marked_unusable', message }
+ * - refund(payment, amount, { full, reference, idempotencyKey }): Refunds money (amount in dollars,
+ *   e.g. '12.50'), returns { status: 'pending'|'succeeded'|'failed', refund_id, message }
+ * - refundStatus(payment, refundId): Current status of a refund made by refund(),
+ *   returns { status: 'pending'|'succeeded'|'failed', message }
+ * - feeFor(baseAmount): Processing fee added on top of the order total, from the fee_rules table
+ * - listTransactions(from, to): Provider-side transactions created in [from, to) for reconciliation,
+ *   as [{ payid, provider_reference?, reference, amount, currency, status, payment_status?, created_at }];
+ *   payid is null when the provider only knows our reference (trade order)
+ * - getTransaction(payid): One provider-side transaction in the same shape, or null when the
+ *   provider has no record of it; for providers that can't list transactions
+ */
+
+const { STATUS_MAPS, toCanonicalStatus } = require('../paystatus/canonicalStatus');
+const feeRuleService = require('../fees/feeRuleService');
+
+class PaymentProvider {
+    constructor({ code, name, reconcileByReference = false, idempotentRefunds = false }) {
+        this.code = code;
+        this.name = name || code;
+        this.reconcileByReference = reconcileByReference;
+        this.idempotentRefunds = idempotentRefunds;
+        this.statuses = STATUS_MAPS[code] || {};
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Canonical status of a checkStatus() result
+     * @param {Object} statusResult - Result of checkStatus()
+     * @returns {string} Canonical payment status
+     */
+    canonicalStatus(statusResult) {
+        return toCanonicalStatus(this.code, statusResult);
+    }
+
+    async createLink(orderData) {
+        throw this.unsupported('creating payment links');
+    }
+
+    async checkStatus(payid) {
+        throw this.unsupported('status checks');
+    }
+
+    async revoke(payment) {
+        throw this.unsupported('revoking payment links');
+    }
+
+    async refund(payment, amount, details) {
+        throw this.unsupported('refunds');
+    }
+
+    async refundStatus(payment, refundId) {
+        throw this.unsupported('refund status checks');
+    }
+
+    async listTransactions(from, to) {
+        throw this.unsupported('listing transactions');
+    }
+
+    async getTransaction(payid) {
+        throw this.unsupported('transaction lookups');
+    }
+
+    /**
+     * Processing fee charged on top of an order total by the provider's fee rule in force
+     * @param {number|string} baseAmount - Order total before fees
+     * @returns {number} Fee amount in dollars
+     */
+    async feeFor(baseAmount) {
+        const { fee } = await feeRuleService.quote(this.code, baseAmount);
+        return parseFloat(fee);
+    }
+
+    /**
+     * Error for an operation the provider does not offer
+     * @param {string} operation - Description of the operation
+     * @returns {Error} Error with statusCode 501
+     */
+    unsupported(operation) {
+        const error = new Error(`${this.name} does not support ${operation}`);
+        error.statusCode = 501;
+        return error;
+    }
+}
+
+module.exports = PaymentProvider;
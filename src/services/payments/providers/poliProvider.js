@@ -0,0 +1,43 @@
+/**
+ * POLi Provider
+ * ------------
+ * Purpose: Registers POLi bank payments with the provider registry
+ * Role: Wraps PoliService (links), poliPaymentStatus (checks), poliExpiry (revocation)
+ *       and poliTransactions (reconciliation)
+ */
+
+const PaymentProvider = require('./paymentProvider');
+const PoliService = require('../poliService');
+const poliPaymentStatus = require('../paystatus/providers/poliPaymentStatus');
+const poliExpiry = require('../expiry/providers/poliExpiry');
+const poliTransactions = require('../reconciliation/providers/poliTransactions');
+
+class PoliProvider extends PaymentProvider {
+    constructor() {
+        super({
+            code: 'POLi',
+            name: 'POLi',
+            reconcileByReference: true
+        });
+    }
+
+    createLink(orderData) {
+        return PoliService.generatePaymentLink(orderData);
+    }
+
+    checkStatus(payid) {
+        return poliPaymentStatus.checkStatus(payid);
+    }
+
+    // POLi Links have no revoke API - the link is only withdrawn on our side
+    revoke(payment) {
+        return poliExpiry.markUnusable(payment.payid);
+    }
+
+    // POLi transactions carry our trade order, not the POLi Link token
+    listTransactions(from, to) {
+        return poliTransactions.listTransactions(from, to);
+    }
+}
+
+module.exports = new PoliProvider();
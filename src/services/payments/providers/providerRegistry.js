@@ -0,0 +1,125 @@
+/**
+ * Payment Provider Registry
+ * ------------------------
+ * Purpose: Single lookup point for payment providers by code
+ * Role: Discovers every provider module in this directory; order creation,
+ *       status checks, expiry/revocation and fee display dispatch through it
+ *
+ * Adding a provider: create <name>Provider.js here exporting a singleton of a
+ * PaymentProvider subclass, and list its raw statuses in paystatus/canonicalStatus.js.
+ *
+ * Provider modules are loaded on first lookup rather than at require time, because
+ * the payment services they wrap depend on the status queue, which uses this registry.
+ * A module that fails to load is left out so the other providers keep working, and
+ * is reported by failures() - /health lists it as unavailable and fails the check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PaymentProvider = require('./paymentProvider');
+
+// Files in this directory that are not providers
+const NON_PROVIDER_FILES = ['paymentProvider.js', 'providerRegistry.js'];
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = null;
+        // Provider modules that couldn't be registered: file -> reason
+        this.loadFailures = new Map();
+    }
+
+    /**
+     * Loads every provider module in this directory (once)
+     * @returns {Map} Providers keyed by code
+     */
+    load() {
+        if (this.providers) {
+            return this.providers;
+        }
+
+        const providers = new Map();
+        fs.readdirSync(__dirname)
+            .filter(file => file.endsWith('.js') && !NON_PROVIDER_FILES.includes(file))
+            .sort()
+            .forEach(file => {
+                // One provider that fails to load (e.g. a bug in its module) mustn't take the others down
+                let provider;
+                try {
+                    provider = require(path.join(__dirname, file));
+                } catch (error) {
+                    this.recordFailure(file, `failed to load (${error.message})`);
+                    return;
+                }
+                if (!(provider instanceof PaymentProvider)) {
+                    this.recordFailure(file, 'not a PaymentProvider');
+                    return;
+                }
+                if (providers.has(provider.code)) {
+                    throw new Error(`Duplicate payment provider code ${provider.code} in ${file}`);
+                }
+                providers.set(provider.code, provider);
+            });
+
+        this.providers = providers;
+        console.log(`Payment providers registered: ${[...providers.keys()].join(', ')}`);
+        return providers;
+    }
+
+    /**
+     * Provider modules left out of the registry and why, for /health
+     * @returns {Object} { file: reason }
+     */
+    failures() {
+        this.load();
+        return Object.fromEntries(this.loadFailures);
+    }
+
+    /**
+     * @private
+     */
+    recordFailure(file, reason) {
+        this.loadFailures.set(file, reason);
+        console.error(`Payment provider ${file} is unavailable: ${reason}`);
+    }
+
+    /**
+     * Looks up a provider
+     * @param {string} code - Provider code as stored in payments.provider
+     * @returns {PaymentProvider} Provider
+     * @throws {Error} For unknown codes
+     */
+    get(code) {
+        const provider = this.find(code);
+        if (!provider) {
+            throw new Error(`Unsupported payment provider: ${code}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Looks up a provider without throwing
+     * @param {string} code - Provider code
+     * @returns {PaymentProvider|null} Provider, or null if unknown
+     */
+    find(code) {
+        return this.load().get(code) || null;
+    }
+
+    /**
+     * Every registered provider
+     * @returns {Array} Providers sorted by module name
+     */
+    all() {
+        return [...this.load().values()];
+    }
+
+    /**
+     * Codes of every registered provider
+     * @returns {Array} Provider codes
+     */
+    codes() {
+        return [...this.load().keys()];
+    }
+}
+
+module.exports = new ProviderRegistry();
@@ -0,0 +1,58 @@
+/**
+ * Stripe Provider
+ * --------------
+ * Purpose: Registers Stripe Checkout card payments with the provider registry
+ * Role: Wraps StripeService (sessions), stripePaymentStatus (checks),
+ *       stripeExpiry (session expiry), stripeRefund (refunds) and
+ *       stripeTransactions (reconciliation)
+ */
+
+const PaymentProvider = require('./paymentProvider');
+const StripeService = require('../stripeService');
+const stripePaymentStatus = require('../paystatus/providers/stripePaymentStatus');
+const stripeExpiry = require('../expiry/providers/stripeExpiry');
+const stripeRefund = require('../refunds/providers/stripeRefund');
+const stripeTransactions = require('../reconciliation/providers/stripeTransactions');
+const { toCents } = require('../../orders/orderItems');
+
+class StripeProvider extends PaymentProvider {
+    constructor() {
+        super({
+            code: 'STRIPE',
+            name: 'Stripe',
+            idempotentRefunds: true
+        });
+    }
+
+    isConfigured() {
+        return Boolean(process.env.STRIPE_SECRET_KEY);
+    }
+
+    createLink(orderData) {
+        return StripeService.generatePaymentLink(orderData);
+    }
+
+    checkStatus(payid) {
+        return stripePaymentStatus.checkStatus(payid);
+    }
+
+    revoke(payment) {
+        return stripeExpiry.expireSession(payment.payid);
+    }
+
+    refund(payment, amount, { reference, idempotencyKey } = {}) {
+        return stripeRefund.refundSession(payment.payid, toCents(amount), { reference, idempotencyKey });
+    }
+
+    refundStatus(payment, refundId) {
+        return stripeRefund.getRefund(refundId);
+    }
+
+    // Alipay sessions share the Stripe account and are reconciled under ALIPAY
+    async listTransactions(from, to) {
+        const sessions = await stripeTransactions.listSessions(from, to);
+        return sessions.filter(session => !session.payment_method_types.includes('alipay'));
+    }
+}
+
+module.exports = new StripeProvider();
@@ -0,0 +1,54 @@
+const axios = require('axios');
+
+/**
+ * Blink Debit transactions for reconciliation
+ * Blink has no endpoint that lists quick payments, so each of our quick payments
+ * is looked up on its own. Quick payments Blink has no record of come back as null.
+ */
+class BlinkTransactions {
+    constructor() {
+        this.baseUrl = process.env.BLINK_API_BASE_URL;
+    }
+
+    /**
+     * Looks up one quick payment
+     * @param {string} quickPaymentId - Quick payment ID (payments.payid)
+     * @param {string} token - Blink access token
+     * @returns {Object|null} { payid, reference, amount, currency, status, payment_status, created_at }
+     */
+    async getQuickPayment(quickPaymentId, token) {
+        try {
+            const response = await axios.get(
+                `${this.baseUrl}/quick-payments/${quickPaymentId}`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Accept': 'application/json'
+                    },
+                    timeout: 10000
+                }
+            );
+
+            const consent = response.data.consent || {};
+            const amount = consent.detail?.amount;
+            return {
+                payid: response.data.quick_payment_id || quickPaymentId,
+                reference: consent.detail?.pcr?.reference || null,
+                amount: amount?.total ? parseFloat(amount.total).toFixed(2) : null,
+                currency: amount?.currency || null,
+                // Same pair of statuses as blinkPaymentStatus.checkStatus
+                status: consent.status,
+                payment_status: consent.payments?.[0]?.status,
+                created_at: consent.creation_timestamp ? new Date(consent.creation_timestamp) : null
+            };
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            console.error(`Failed to look up Blink quick payment ${quickPaymentId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = new BlinkTransactions();
@@ -0,0 +1,70 @@
+const axios = require('axios');
+
+/**
+ * BTCPay Server transactions for reconciliation
+ * Lists the store's invoices created in a date range through the Greenfield API.
+ */
+
+// Invoices per page
+const PAGE_SIZE = 100;
+
+class BTCPayTransactions {
+    constructor() {
+        // Remove trailing slash if present in API URL
+        this.baseUrl = process.env.BTCPAY_API_URL?.replace(/\/$/, '');
+        this.apiKey = process.env.BTCPAY_API_KEY;
+        this.storeId = process.env.BTCPAY_STORE_ID;
+    }
+
+    /**
+     * Lists invoices created in [from, to)
+     * @param {Date} from - Start of the range
+     * @param {Date} to - End of the range (exclusive)
+     * @returns {Array} [{ payid, reference, amount, currency, status, created_at }]
+     */
+    async listInvoices(from, to) {
+        if (!this.baseUrl || !this.apiKey || !this.storeId) {
+            throw new Error('BTCPay configuration is incomplete');
+        }
+
+        const invoices = [];
+        try {
+            for (let skip = 0; ; skip += PAGE_SIZE) {
+                const response = await axios.get(
+                    `${this.baseUrl}/api/v1/stores/${this.storeId}/invoices`,
+                    {
+                        params: {
+                            startDate: Math.floor(from.getTime() / 1000),
+                            endDate: Math.floor(to.getTime() / 1000),
+                            skip,
+                            take: PAGE_SIZE
+                        },
+                        headers: { 'Authorization': `token ${this.apiKey}` }
+                    }
+                );
+
+                invoices.push(...response.data);
+                if (response.data.length < PAGE_SIZE) break;
+            }
+
+            console.log(`Listed ${invoices.length} BTCPay invoices from ${from.toISOString()} to ${to.toISOString()}`);
+        } catch (error) {
+            console.error('Failed to list BTCPay invoices:', error.response?.data || error.message);
+            throw error;
+        }
+
+        // endDate is inclusive in BTCPay, so drop anything created exactly at `to`
+        return invoices
+            .filter(invoice => invoice.createdTime * 1000 < to.getTime())
+            .map(invoice => ({
+                payid: invoice.id,
+                reference: invoice.metadata?.orderId || null,
+                amount: parseFloat(invoice.amount).toFixed(2),
+                currency: invoice.currency,
+                status: invoice.status,
+                created_at: new Date(invoice.createdTime * 1000)
+            }));
+    }
+}
+
+module.exports = new BTCPayTransactions();
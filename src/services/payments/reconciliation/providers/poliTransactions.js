@@ -0,0 +1,75 @@
+const axios = require('axios');
+
+/**
+ * POLi transactions for reconciliation
+ * Lists transactions day by day through GetDailyTransactions. A POLi transaction
+ * only exists once a customer starts paying, and it carries our MerchantReference
+ * (the trade order) rather than the POLi Link token we store as payid.
+ */
+
+// Every transaction status, so failed and abandoned attempts show up too
+const STATUS_CODES = ['Initiated', 'FinancialInstitutionSelected', 'EULAAccepted', 'InProcess', 'Unknown',
+    'ReceiptUnverified', 'Completed', 'Failed', 'Cancelled', 'TimedOut'];
+
+class PoliTransactions {
+    constructor() {
+        // ⚠️ CONFIGURE: Production is https://poliapi.apac.paywithpoli.com/api/Transaction/GetDailyTransactions
+        this.baseUrl = process.env.POLI_API_TRANSACTIONS_URL || 'https://poliapi.uat3.paywithpoli.com/api/Transaction/GetDailyTransactions';
+        this.authCode = process.env.POLI_AUTH_CODE;
+    }
+
+    /**
+     * Lists transactions on the NZ days covering [from, to)
+     * @param {Date} from - Start of the range
+     * @param {Date} to - End of the range (exclusive)
+     * @returns {Array} [{ payid: null, provider_reference, reference, amount, currency, status, created_at }]
+     */
+    async listTransactions(from, to) {
+        const transactions = [];
+
+        try {
+            for (const date of this.nzDates(from, to)) {
+                const response = await axios.get(this.baseUrl, {
+                    params: { date, statuscodes: STATUS_CODES.join(',') },
+                    headers: {
+                        'Authorization': `Basic ${this.authCode}`,
+                        'Content-Type': 'application/json'
+                    }
+                });
+                transactions.push(...(response.data || []));
+            }
+
+            console.log(`Listed ${transactions.length} POLi transactions from ${from.toISOString()} to ${to.toISOString()}`);
+        } catch (error) {
+            console.error('Failed to list POLi transactions:', error.response?.data || error.message);
+            throw error;
+        }
+
+        return transactions.map(transaction => ({
+            payid: null,
+            provider_reference: transaction.TransactionRefNo,
+            reference: transaction.MerchantReference || null,
+            amount: transaction.PaymentAmount !== undefined ? parseFloat(transaction.PaymentAmount).toFixed(2) : null,
+            currency: transaction.CurrencyCode || null,
+            status: transaction.TransactionStatusCode,
+            created_at: transaction.EstablishedDateTime ? new Date(transaction.EstablishedDateTime) : null
+        }));
+    }
+
+    /**
+     * NZ calendar dates (YYYY-MM-DD) touched by [from, to)
+     * @private
+     */
+    nzDates(from, to) {
+        const format = date => date.toLocaleDateString('en-CA', { timeZone: 'Pacific/Auckland' });
+        const dates = [];
+        for (let time = from.getTime(); time < to.getTime(); time += 24 * 60 * 60 * 1000) {
+            dates.push(format(new Date(time)));
+        }
+        const last = format(new Date(to.getTime() - 1));
+        if (!dates.includes(last)) dates.push(last);
+        return dates;
+    }
+}
+
+module.exports = new PoliTransactions();
@@ -0,0 +1,63 @@
+const stripeClient = require('../../clients/stripeClient');
+
+/**
+ * Stripe transactions for reconciliation
+ * Lists the Checkout Sessions created in a date range. Card (STRIPE) and ALIPAY
+ * payments are both Checkout Sessions; payment_method_types tells them apart.
+ */
+
+// Sessions per page (Stripe's maximum)
+const PAGE_SIZE = 100;
+
+class StripeTransactions {
+    /**
+     * Lists Checkout Sessions created in [from, to)
+     * @param {Date} from - Start of the range
+     * @param {Date} to - End of the range (exclusive)
+     * @returns {Array} [{ payid, reference, amount, currency, status, payment_status, created_at, payment_method_types }]
+     */
+    async listSessions(from, to) {
+        const sessions = [];
+        let startingAfter = null;
+
+        try {
+            do {
+                const params = {
+                    limit: PAGE_SIZE,
+                    created: {
+                        gte: Math.floor(from.getTime() / 1000),
+                        lt: Math.floor(to.getTime() / 1000)
+                    }
+                };
+                if (startingAfter) {
+                    params.starting_after = startingAfter;
+                }
+
+                const page = await stripeClient.get('/v1/checkout/sessions', params);
+
+                sessions.push(...page.data);
+                startingAfter = page.has_more && page.data.length > 0
+                    ? page.data[page.data.length - 1].id
+                    : null;
+            } while (startingAfter);
+
+            console.log(`Listed ${sessions.length} Stripe Checkout Sessions from ${from.toISOString()} to ${to.toISOString()}`);
+        } catch (error) {
+            console.error('Failed to list Stripe Checkout Sessions:', error.message);
+            throw error;
+        }
+
+        return sessions.map(session => ({
+            payid: session.id,
+            reference: session.client_reference_id || null,
+            amount: session.amount_total !== null ? (session.amount_total / 100).toFixed(2) : null,
+            currency: session.currency ? session.currency.toUpperCase() : null,
+            status: session.status,
+            payment_status: session.payment_status,
+            created_at: new Date(session.created * 1000),
+            payment_method_types: session.payment_method_types || []
+        }));
+    }
+}
+
+module.exports = new StripeTransactions();
@@ -0,0 +1,117 @@
+/**
+ * Reconciliation Queue
+ * -------------------
+ * Purpose: Runs payment reconciliation every night and on demand
+ * Role: A repeatable Bull job reconciles the last RECONCILIATION_WINDOW_HOURS of
+ *       payments; the admin dashboard queues one-off runs for any date range
+ *
+ * Environment Variables:
+ * - RECONCILIATION_CRON: When the nightly run starts (default '0 3 * * *'; 'off' disables it)
+ * - RECONCILIATION_TZ: Time zone of the cron expression (default Pacific/Auckland)
+ * - RECONCILIATION_WINDOW_HOURS: Hours of payments each nightly run covers (default 24)
+ */
+
+const Queue = require('bull');
+const reconciliationService = require('./reconciliationService');
+
+// ⚠️ CONFIGURE: Nightly schedule and the period it covers
+const RECONCILIATION_CRON = process.env.RECONCILIATION_CRON || '0 3 * * *';
+const RECONCILIATION_TZ = process.env.RECONCILIATION_TZ || 'Pacific/Auckland';
+const WINDOW_HOURS = parseInt(process.env.RECONCILIATION_WINDOW_HOURS, 10) || 24;
+// Payments from the last hour may still be settling, so the window ends an hour ago
+const SETTLING_HOURS = 1;
+
+const reconciliationQueue = new Queue('payment-reconciliation', process.env.REDIS_URL, {
+    defaultJobOptions: {
+        // A run records its own failures; retrying would only add duplicate runs
+        attempts: 1,
+        removeOnComplete: 50,
+        removeOnFail: 50
+    }
+});
+
+reconciliationQueue.process(async (job) => {
+    const { from, to } = job.data.from && job.data.to
+        ? { from: new Date(job.data.from), to: new Date(job.data.to) }
+        : defaultRange();
+
+    const run = await reconciliationService.runReconciliation({
+        from,
+        to,
+        source: job.data.source || 'schedule'
+    });
+
+    return {
+        runId: run.record_id,
+        status: run.status,
+        discrepancies: run.discrepancy_count
+    };
+});
+
+/**
+ * Range covered by the nightly run: the WINDOW_HOURS ending SETTLING_HOURS ago
+ * @returns {Object} { from, to }
+ */
+function defaultRange() {
+    const to = new Date(Date.now() - SETTLING_HOURS * 60 * 60 * 1000);
+    const from = new Date(to.getTime() - WINDOW_HOURS * 60 * 60 * 1000);
+    return { from, to };
+}
+
+/**
+ * Queues a one-off reconciliation run
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range (exclusive)
+ * @param {string} source - Who asked for it
+ * @returns {Object} Bull job
+ */
+function queueReconciliation(from, to, source = 'admin') {
+    return reconciliationQueue.add({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        source
+    });
+}
+
+/**
+ * Registers the nightly repeatable job, replacing one with an older schedule
+ */
+async function scheduleNightlyReconciliation() {
+    try {
+        const repeatableJobs = await reconciliationQueue.getRepeatableJobs();
+        for (const job of repeatableJobs) {
+            if (job.cron !== RECONCILIATION_CRON || job.tz !== RECONCILIATION_TZ || RECONCILIATION_CRON === 'off') {
+                await reconciliationQueue.removeRepeatableByKey(job.key);
+                console.log(`Removed old reconciliation schedule: ${job.key}`);
+            }
+        }
+
+        if (RECONCILIATION_CRON === 'off') {
+            console.log('Nightly reconciliation disabled (RECONCILIATION_CRON=off)');
+            return;
+        }
+
+        await reconciliationQueue.add(
+            { source: 'schedule' },
+            { repeat: { cron: RECONCILIATION_CRON, tz: RECONCILIATION_TZ } }
+        );
+        console.log(`Nightly reconciliation scheduled: ${RECONCILIATION_CRON} (${RECONCILIATION_TZ})`);
+    } catch (error) {
+        console.error('Failed to schedule nightly reconciliation:', error);
+    }
+}
+
+reconciliationQueue.on('completed', (job, result) => {
+    console.log(`Reconciliation job ${job.id} completed:`, result);
+});
+
+reconciliationQueue.on('failed', (job, error) => {
+    console.error(`Reconciliation job ${job.id} failed:`, error.message);
+});
+
+scheduleNightlyReconciliation();
+
+module.exports = {
+    reconciliationQueue,
+    queueReconciliation
+};
@@ -0,0 +1,388 @@
+/**
+ * Reconciliation Service
+ * ---------------------
+ * Purpose: Checks the payments table against what each provider actually processed
+ * Role: Runs from the nightly reconciliation job (or on demand from the admin page),
+ *       records every run in reconciliation_runs and whatever doesn't match in
+ *       reconciliation_discrepancies
+ *
+ * Discrepancy types:
+ * - missing_locally: The provider has a transaction we have no payments row for
+ * - missing_at_provider: We have a payments row the provider has no record of
+ * - amount_mismatch: The provider amount differs from payments.amount + fee_amount
+ * - status_mismatch: The provider status maps to a different canonical status than ours
+ *
+ * Transactions are matched to payments.payid. Providers flagged reconcileByReference
+ * (POLi) are matched by trade order instead, and providers that can't list transactions
+ * (Blink) are looked up one payment at a time, so they never report missing_locally.
+ * Those two only report missing_at_provider for payments we recorded as having taken
+ * money, since unused links don't exist (or no longer exist) on their side.
+ */
+
+const pool = require('../../../config/database');
+const providerRegistry = require('../providers/providerRegistry');
+const { toCanonicalStatus } = require('../paystatus/canonicalStatus');
+const { toCents } = require('../../orders/orderItems');
+
+const DISCREPANCY_TYPES = ['missing_locally', 'missing_at_provider', 'amount_mismatch', 'status_mismatch'];
+
+// Local statuses meaning the customer paid, so the provider must have the payment
+const MONEY_TAKEN_STATUSES = ['authorised', 'paid', 'refunded'];
+
+// When a customer made several attempts for one trade order, the attempt that got
+// furthest (first in this list) is the one compared
+const ATTEMPT_RANK = ['refunded', 'paid', 'authorised', 'pending', 'failed', 'cancelled', 'expired'];
+
+class ReconciliationService {
+    constructor() {
+        this.discrepancyTypes = DISCREPANCY_TYPES;
+    }
+
+    /**
+     * Reconciles every configured provider for a date range
+     * @param {Object} options - { from, to, source }
+     *   from/to: payments and provider transactions created in [from, to)
+     *   source: 'schedule' or 'admin'
+     * @returns {Object} reconciliation_runs row
+     */
+    async runReconciliation({ from, to, source = 'schedule' }) {
+        const runResult = await pool.query(
+            `INSERT INTO reconciliation_runs (range_from, range_to, status, source)
+             VALUES ($1, $2, 'running', $3)
+             RETURNING record_id`,
+            [from, to, source]
+        );
+        const runId = runResult.rows[0].record_id;
+        console.log(`Reconciliation run ${runId} started for ${from.toISOString()} - ${to.toISOString()}`);
+
+        let matched = 0;
+        let discrepancies = 0;
+        const reconciled = [];
+        const problems = [];
+
+        for (const provider of providerRegistry.all()) {
+            if (!provider.isConfigured()) {
+                continue;
+            }
+
+            try {
+                const result = await this.reconcileProvider(runId, provider, from, to);
+                if (result.skipped) {
+                    problems.push(`${provider.code}: ${result.skipped}`);
+                    continue;
+                }
+                matched += result.matched;
+                discrepancies += result.discrepancies;
+                reconciled.push(provider.code);
+            } catch (error) {
+                console.error(`Reconciliation run ${runId}: ${provider.code} failed:`, error.message);
+                problems.push(`${provider.code} failed: ${error.message}`);
+            }
+        }
+
+        const status = problems.some(problem => problem.includes(' failed: '))
+            ? (reconciled.length > 0 ? 'partial' : 'failed')
+            : 'completed';
+
+        const finished = await pool.query(
+            `UPDATE reconciliation_runs
+             SET status = $1, finished_at = NOW(), providers = $2, matched_count = $3,
+                 discrepancy_count = $4, message = $5
+             WHERE record_id = $6
+             RETURNING *`,
+            [status, reconciled.join(', '), matched, discrepancies, problems.join('; ') || null, runId]
+        );
+
+        console.log(`Reconciliation run ${runId} ${status}: ${matched} matched, ${discrepancies} discrepancies`);
+        return finished.rows[0];
+    }
+
+    /**
+     * Reconciles one provider
+     * @param {number} runId - reconciliation_runs.record_id
+     * @param {PaymentProvider} provider - Registered provider
+     * @param {Date} from - Start of the range
+     * @param {Date} to - End of the range (exclusive)
+     * @returns {Object} { matched, discrepancies } or { skipped } when the provider can't be reconciled
+     */
+    async reconcileProvider(runId, provider, from, to) {
+        const localResult = await pool.query(
+            `SELECT p.record_id, p.payid, p.provider, p.amount, p.fee_amount, p.status_canonical, p.status_pay,
+                    p.created_at, o.trade_order
+             FROM payments p
+             JOIN orders o ON o.record_id = p.order_record_id
+             WHERE p.provider = $1
+             AND p.payid IS NOT NULL
+             AND p.created_at >= $2
+             AND p.created_at < $3
+             ORDER BY p.created_at DESC`,
+            [provider.code, from, to]
+        );
+        const localPayments = localResult.rows;
+
+        let pairs;
+        let unmatchedLocal;
+        let strict;
+        try {
+            let transactions = await provider.listTransactions(from, to);
+            if (provider.reconcileByReference) {
+                transactions = this.furthestAttempts(provider, transactions);
+            }
+            ({ pairs, unmatchedLocal } = await this.matchTransactions(provider, transactions, localPayments));
+            strict = !provider.reconcileByReference;
+        } catch (error) {
+            if (error.statusCode !== 501) throw error;
+
+            // No listing API - look up each of our payments instead
+            try {
+                ({ pairs, unmatchedLocal } = await this.lookUpTransactions(provider, localPayments));
+            } catch (lookupError) {
+                if (lookupError.statusCode !== 501) throw lookupError;
+                return { skipped: 'no way to list or look up transactions' };
+            }
+            strict = false;
+        }
+
+        const found = [];
+        for (const { local, transaction } of pairs) {
+            if (!local) {
+                found.push(this.discrepancy(provider, 'missing_locally', null, transaction,
+                    `${provider.name} transaction has no payments row`));
+                continue;
+            }
+            found.push(...await this.compare(provider, local, transaction));
+        }
+
+        unmatchedLocal
+            .filter(local => strict || MONEY_TAKEN_STATUSES.includes(this.localStatus(local)))
+            .forEach(local => {
+                found.push(this.discrepancy(provider, 'missing_at_provider', local, null,
+                    `${provider.name} has no record of this payment`));
+            });
+
+        await this.saveDiscrepancies(runId, found);
+
+        const matched = pairs.filter(pair => pair.local).length;
+        console.log(`Reconciled ${provider.code}: ${matched} matched, ${found.length} discrepancies`);
+        return { matched, discrepancies: found.length };
+    }
+
+    /**
+     * Pairs provider transactions with payments rows
+     * Transactions just outside the local range (created around midnight) are looked up by payid
+     * @returns {Object} { pairs: [{ local, transaction }], unmatchedLocal }
+     */
+    async matchTransactions(provider, transactions, localPayments) {
+        const unmatched = new Map(localPayments.map(payment => [payment.record_id, payment]));
+        const pairs = [];
+
+        for (const transaction of transactions) {
+            let local;
+            if (transaction.payid) {
+                local = localPayments.find(payment => payment.payid === transaction.payid)
+                    || await this.findPayment(provider.code, 'p.payid', transaction.payid);
+            } else if (transaction.reference) {
+                // A reissued order has several links; prefer one not matched yet
+                local = localPayments.find(payment => payment.trade_order === transaction.reference && unmatched.has(payment.record_id))
+                    || localPayments.find(payment => payment.trade_order === transaction.reference)
+                    || await this.findPayment(provider.code, 'o.trade_order', transaction.reference);
+            }
+
+            if (local) unmatched.delete(local.record_id);
+            pairs.push({ local: local || null, transaction });
+        }
+
+        return { pairs, unmatchedLocal: [...unmatched.values()] };
+    }
+
+    /**
+     * Keeps one transaction per trade order: the attempt that got furthest
+     * @private
+     */
+    furthestAttempts(provider, transactions) {
+        const rank = transaction => ATTEMPT_RANK.indexOf(provider.canonicalStatus(transaction));
+        const byReference = new Map();
+        const unreferenced = [];
+
+        transactions.forEach(transaction => {
+            if (!transaction.reference) {
+                unreferenced.push(transaction);
+                return;
+            }
+            const current = byReference.get(transaction.reference);
+            if (!current || rank(transaction) < rank(current)) {
+                byReference.set(transaction.reference, transaction);
+            }
+        });
+
+        return [...byReference.values(), ...unreferenced];
+    }
+
+    /**
+     * Looks up each payments row at the provider
+     * @returns {Object} { pairs: [{ local, transaction }], unmatchedLocal }
+     */
+    async lookUpTransactions(provider, localPayments) {
+        const pairs = [];
+        const unmatchedLocal = [];
+
+        for (const local of localPayments) {
+            const transaction = await provider.getTransaction(local.payid);
+            if (transaction) {
+                pairs.push({ local, transaction });
+            } else {
+                unmatchedLocal.push(local);
+            }
+        }
+
+        return { pairs, unmatchedLocal };
+    }
+
+    /**
+     * Newest payments row of a provider by payid or trade order
+     * @private
+     */
+    async findPayment(providerCode, column, value) {
+        const result = await pool.query(
+            `SELECT p.record_id, p.payid, p.provider, p.amount, p.fee_amount, p.status_canonical, p.status_pay,
+                    p.created_at, o.trade_order
+             FROM payments p
+             JOIN orders o ON o.record_id = p.order_record_id
+             WHERE p.provider = $1
+             AND ${column} = $2
+             ORDER BY p.created_at DESC
+             LIMIT 1`,
+            [providerCode, value]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Amount and status differences between a payments row and its provider transaction
+     * @returns {Array} Discrepancies
+     */
+    async compare(provider, local, transaction) {
+        const found = [];
+
+        if (transaction.amount !== null && transaction.amount !== undefined) {
+            const fee = local.fee_amount !== null
+                ? local.fee_amount
+                : await provider.feeFor(local.amount);
+            const chargedCents = toCents(local.amount) + toCents(fee);
+            if (toCents(transaction.amount) !== chargedCents) {
+                found.push(this.discrepancy(provider, 'amount_mismatch', local, transaction,
+                    `Charged ${(chargedCents / 100).toFixed(2)} locally, ${transaction.amount} at ${provider.name}`));
+            }
+        }
+
+        const localStatus = this.localStatus(local);
+        const providerStatus = provider.canonicalStatus(transaction);
+        // Providers keep reporting a refunded payment as paid
+        const refundedHere = localStatus === 'refunded' && providerStatus === 'paid';
+        if (localStatus !== providerStatus && !refundedHere) {
+            found.push(this.discrepancy(provider, 'status_mismatch', local, transaction,
+                `${localStatus} locally, ${providerStatus} at ${provider.name}`));
+        }
+
+        return found;
+    }
+
+    /**
+     * Canonical status we hold for a payments row
+     * @private
+     */
+    localStatus(local) {
+        return local.status_canonical || toCanonicalStatus(local.provider, { payment_status: local.status_pay });
+    }
+
+    /**
+     * Builds a discrepancy row
+     * @private
+     */
+    discrepancy(provider, type, local, transaction, message) {
+        const rawStatus = transaction
+            ? [transaction.payment_status, transaction.status].filter(Boolean).join(' / ')
+            : null;
+        return {
+            provider: provider.code,
+            type,
+            payments_record_id: local ? local.record_id : null,
+            payid: local ? local.payid : transaction.payid,
+            provider_reference: transaction ? transaction.provider_reference || transaction.payid : null,
+            trade_order: local ? local.trade_order : transaction.reference,
+            local_amount: local ? local.amount : null,
+            local_fee: local ? local.fee_amount : null,
+            provider_amount: transaction ? transaction.amount : null,
+            local_status: local ? this.localStatus(local) : null,
+            provider_status: transaction ? `${provider.canonicalStatus(transaction)} (${rawStatus})` : null,
+            message
+        };
+    }
+
+    /**
+     * Stores a provider's discrepancies for a run
+     * @private
+     */
+    async saveDiscrepancies(runId, discrepancies) {
+        for (const item of discrepancies) {
+            await pool.query(
+                `INSERT INTO reconciliation_discrepancies (
+                    run_record_id, provider, type, payments_record_id, payid, provider_reference, trade_order,
+                    local_amount, local_fee, provider_amount, local_status, provider_status, message
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+                [runId, item.provider, item.type, item.payments_record_id, item.payid, item.provider_reference,
+                    item.trade_order, item.local_amount, item.local_fee, item.provider_amount, item.local_status,
+                    item.provider_status, item.message]
+            );
+        }
+    }
+
+    /**
+     * Most recent runs
+     * @param {number} limit - Number of runs
+     * @returns {Array} reconciliation_runs rows, newest first
+     */
+    async listRuns(limit = 30) {
+        const result = await pool.query(
+            `SELECT * FROM reconciliation_runs ORDER BY started_at DESC, record_id DESC LIMIT $1`,
+            [limit]
+        );
+        return result.rows;
+    }
+
+    /**
+     * One run
+     * @param {number} runId - reconciliation_runs.record_id
+     * @returns {Object|null} reconciliation_runs row
+     */
+    async getRun(runId) {
+        const result = await pool.query(`SELECT * FROM reconciliation_runs WHERE record_id = $1`, [runId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Discrepancies of a run
+     * @param {number} runId - reconciliation_runs.record_id
+     * @param {Object} filters - { type, provider }
+     * @returns {Array} reconciliation_discrepancies rows
+     */
+    async getDiscrepancies(runId, { type = '', provider = '' } = {}) {
+        const params = [runId];
+        let query = `SELECT * FROM reconciliation_discrepancies WHERE run_record_id = $1`;
+
+        if (type) {
+            params.push(type);
+            query += ` AND type = $${params.length}`;
+        }
+        if (provider) {
+            params.push(provider);
+            query += ` AND provider = $${params.length}`;
+        }
+
+        query += ` ORDER BY provider, type, record_id`;
+        const result = await pool.query(query, params);
+        return result.rows;
+    }
+}
+
+module.exports = new ReconciliationService();
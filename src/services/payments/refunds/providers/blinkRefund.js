@@ -0,0 +1,105 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Blink Debit refunds
+ * Refunds a quick payment back to the payer's account through POST /refunds.
+ * Blink settles refunds asynchronously, so a created refund is recorded as pending.
+ */
+
+// Blink refund status -> refunds.status
+const REFUND_STATUS = {
+    Completed: 'succeeded',
+    Processing: 'pending',
+    Failed: 'failed'
+};
+class BlinkRefundProvider {
+    constructor() {
+        this.baseUrl = process.env.BLINK_API_BASE_URL;
+        this.redirectUrl = process.env.BLINK_REDIRECT_URL;
+    }
+
+    /**
+     * Requests a full or partial refund of a quick payment
+     * @param {string} quickPaymentId - Quick payment ID (payments.payid)
+     * @param {string} amount - Amount to refund in dollars, e.g. '12.50'
+     * @param {Object} details - { full, reference, idempotencyKey, token }
+     *   full: refund the whole payment; reference: shown on the payer's statement;
+     *   idempotencyKey: the same key returns the same refund
+     * @returns {Object} { status, refund_id, message }
+     */
+    async refundPayment(quickPaymentId, amount, { full = false, reference = '', idempotencyKey, token }) {
+        const pcrValue = reference.substring(0, 12).replace(/[^a-zA-Z0-9- &#?:_\/,.']/g, '');
+        const detail = {
+            type: full ? 'full_refund' : 'partial_refund',
+            consent_id: quickPaymentId,
+            consent_redirect: this.redirectUrl,
+            pcr: {
+                particulars: pcrValue || 'Refund',
+                code: 'Refund',
+                reference: pcrValue
+            }
+        };
+        if (!full) {
+            detail.amount = { total: amount, currency: 'NZD' };
+        }
+
+        try {
+            console.log(`Requesting Blink ${detail.type} of ${amount} for quick payment ${quickPaymentId}`);
+
+            const response = await axios.post(
+                `${this.baseUrl}/refunds`,
+                detail,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json',
+                        'request-id': crypto.randomUUID(),
+                        'x-correlation-id': crypto.randomUUID(),
+                        'idempotency-key': idempotencyKey || crypto.randomUUID()
+                    },
+                    timeout: 10000
+                }
+            );
+
+            console.log(`Blink refund ${response.data.refund_id} created for quick payment ${quickPaymentId}`);
+            return {
+                status: 'pending',
+                refund_id: response.data.refund_id,
+                message: `Blink ${detail.type} requested`
+            };
+        } catch (error) {
+            console.error(`Failed to refund Blink quick payment ${quickPaymentId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Current status of a refund
+     * @param {string} refundId - Blink refund ID (refunds.provider_refund_id)
+     * @param {string} token - Access token
+     * @returns {Object} { status, message }
+     */
+    async getRefund(refundId, token) {
+        const response = await axios.get(
+            `${this.baseUrl}/refunds/${refundId}`,
+            {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Accept': 'application/json',
+                    'request-id': crypto.randomUUID(),
+                    'x-correlation-id': crypto.randomUUID()
+                },
+                timeout: 10000
+            }
+        );
+
+        return {
+            status: REFUND_STATUS[response.data.status] || 'pending',
+            message: `Blink refund ${response.data.status}`
+        };
+    }
+}
+
+module.exports = new BlinkRefundProvider();
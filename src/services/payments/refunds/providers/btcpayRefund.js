@@ -0,0 +1,106 @@
+const axios = require('axios');
+
+/**
+ * BTCPay Server refunds
+ * Creates a refund pull payment for an invoice through the Greenfield API.
+ * The customer claims it by entering a Bitcoin address on the pull payment page,
+ * so the refund stays pending until they do.
+ * The refund endpoint takes no idempotency key, so the key is written into the pull
+ * payment's description, where a duplicate can be matched to our refund.
+ */
+
+// ⚠️ CONFIGURE: Payment method the refund is paid out in
+const REFUND_PAYMENT_METHOD = process.env.BTCPAY_REFUND_PAYMENT_METHOD || 'BTC';
+
+class BTCPayRefundProvider {
+    constructor() {
+        // Remove trailing slash if present in API URL
+        this.baseUrl = process.env.BTCPAY_API_URL?.replace(/\/$/, '');
+        this.apiKey = process.env.BTCPAY_API_KEY;
+        this.storeId = process.env.BTCPAY_STORE_ID;
+    }
+
+    /**
+     * Creates a refund for an invoice
+     * A full refund returns the invoice's fiat value at today's rate; a partial
+     * refund returns a custom NZD amount
+     * @param {string} invoiceId - BTCPay invoice ID (payments.payid)
+     * @param {string} amount - Amount to refund in NZD, e.g. '12.50'
+     * @param {Object} details - { full, reference, idempotencyKey }
+     * @returns {Object} { status, refund_id, message } - message carries the claim link
+     */
+    async refundInvoice(invoiceId, amount, { full = false, reference = '', idempotencyKey } = {}) {
+        if (!this.baseUrl || !this.apiKey || !this.storeId) {
+            throw new Error('BTCPay configuration is incomplete');
+        }
+
+        const payload = {
+            name: `Refund ${reference}`.trim(),
+            description: idempotencyKey ? `Refund of ${amount} NZD (${idempotencyKey})` : `Refund of ${amount} NZD`,
+            paymentMethod: REFUND_PAYMENT_METHOD,
+            refundVariant: full ? 'Fiat' : 'Custom'
+        };
+        if (!full) {
+            payload.customAmount = amount;
+            payload.customCurrency = 'NZD';
+        }
+
+        try {
+            console.log(`Creating BTCPay ${payload.refundVariant} refund of ${amount} NZD for invoice ${invoiceId}`);
+
+            const response = await axios.post(
+                `${this.baseUrl}/api/v1/stores/${this.storeId}/invoices/${invoiceId}/refund`,
+                payload,
+                {
+                    headers: {
+                        'Authorization': `token ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            console.log(`BTCPay refund pull payment ${response.data.id} created for invoice ${invoiceId}`);
+            return {
+                status: 'pending',
+                refund_id: response.data.id,
+                message: `Awaiting customer claim: ${response.data.viewLink}`
+            };
+        } catch (error) {
+            console.error(`Failed to refund BTCPay invoice ${invoiceId}:`, error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Current status of a refund pull payment
+     * Succeeded once a payout has completed; failed when the pull payment was archived
+     * without one, so the customer can no longer claim it
+     * @param {string} pullPaymentId - Pull payment ID (refunds.provider_refund_id)
+     * @returns {Object} { status, message }
+     */
+    async getRefund(pullPaymentId) {
+        if (!this.baseUrl || !this.apiKey) {
+            throw new Error('BTCPay configuration is incomplete');
+        }
+
+        const headers = { 'Authorization': `token ${this.apiKey}` };
+        const payouts = await axios.get(`${this.baseUrl}/api/v1/pull-payments/${pullPaymentId}/payouts`, { headers });
+        const completed = payouts.data.find(payout => payout.state === 'Completed');
+        if (completed) {
+            return { status: 'succeeded', message: `Paid out to the customer (payout ${completed.id})` };
+        }
+
+        const pullPayment = await axios.get(`${this.baseUrl}/api/v1/pull-payments/${pullPaymentId}`, { headers });
+        if (pullPayment.data.archived) {
+            return { status: 'failed', message: 'Pull payment archived before the customer claimed it' };
+        }
+        return {
+            status: 'pending',
+            message: payouts.data.length > 0
+                ? `Payout ${payouts.data[0].state}: ${pullPayment.data.viewLink}`
+                : `Awaiting customer claim: ${pullPayment.data.viewLink}`
+        };
+    }
+}
+
+module.exports = new BTCPayRefundProvider();
@@ -0,0 +1,73 @@
+const stripeClient = require('../../clients/stripeClient');
+
+/**
+ * Stripe refunds
+ * Used for both card (STRIPE) and ALIPAY payments, which are Stripe Checkout Sessions.
+ * The refund is made against the session's PaymentIntent.
+ */
+
+// Stripe refund status -> refunds.status
+const REFUND_STATUS = {
+    succeeded: 'succeeded',
+    pending: 'pending',
+    requires_action: 'pending',
+    failed: 'failed',
+    canceled: 'failed'
+};
+
+class StripeRefundProvider {
+    /**
+     * Refunds part or all of a paid Checkout Session
+     * @param {string} sessionId - Checkout Session ID (payments.payid)
+     * @param {number} amountCents - Amount to refund in cents
+     * @param {Object} details - { reference, idempotencyKey }
+     *   reference: stored in the refund metadata; idempotencyKey: the same key returns the same refund
+     * @returns {Object} { status, refund_id, message }
+     */
+    async refundSession(sessionId, amountCents, { reference, idempotencyKey } = {}) {
+        try {
+            const session = await stripeClient.get(`/v1/checkout/sessions/${sessionId}`);
+            const paymentIntent = session.payment_intent;
+            if (!paymentIntent) {
+                const error = new Error(`Checkout Session ${sessionId} has no payment to refund`);
+                error.statusCode = 409;
+                throw error;
+            }
+
+            console.log(`Refunding ${amountCents} cents of Stripe PaymentIntent ${paymentIntent} (session ${sessionId})`);
+
+            const refund = await stripeClient.post('/v1/refunds', {
+                payment_intent: paymentIntent,
+                amount: amountCents,
+                metadata: { reference: reference || '' }
+            }, { idempotencyKey });
+
+            console.log(`Stripe refund ${refund.id} for session ${sessionId}: ${refund.status}`);
+            return {
+                status: REFUND_STATUS[refund.status] || 'pending',
+                refund_id: refund.id,
+                message: `Stripe refund ${refund.status}`
+            };
+        } catch (error) {
+            console.error(`Failed to refund Stripe session ${sessionId}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Current status of a refund
+     * @param {string} refundId - Stripe refund ID (refunds.provider_refund_id)
+     * @returns {Object} { status, message }
+     */
+    async getRefund(refundId) {
+        const refund = await stripeClient.get(`/v1/refunds/${refundId}`);
+        return {
+            status: REFUND_STATUS[refund.status] || 'pending',
+            message: refund.failure_reason
+                ? `Stripe refund ${refund.status}: ${refund.failure_reason}`
+                : `Stripe refund ${refund.status}`
+        };
+    }
+}
+
+module.exports = new StripeRefundProvider();
@@ -0,0 +1,70 @@
+/**
+ * Refund Status Queue
+ * ------------------
+ * Purpose: Keeps open refunds up to date
+ * Role: A repeatable Bull job runs OrderRefundService.checkOpenRefunds(), which polls
+ *       pending refunds (Blink refunds settling, BTCPay pull payments awaiting a claim)
+ *       and resends refunds whose first call had an unknown outcome
+ *
+ * Environment Variables:
+ * - REFUND_STATUS_CHECK_MINUTES: Minutes between runs (default 15; 'off' disables them)
+ */
+
+const Queue = require('bull');
+const orderRefundService = require('../../orders/orderRefundService');
+
+// ⚠️ CONFIGURE: How often open refunds are checked
+const CHECK_SETTING = process.env.REFUND_STATUS_CHECK_MINUTES || '15';
+const CHECK_EVERY_MS = (parseInt(CHECK_SETTING, 10) || 15) * 60 * 1000;
+
+const refundStatusQueue = new Queue('refund-status-checks', process.env.REDIS_URL, {
+    defaultJobOptions: {
+        // The next run picks up whatever this one missed
+        attempts: 1,
+        removeOnComplete: 20,
+        removeOnFail: 50
+    }
+});
+
+refundStatusQueue.process(() => orderRefundService.checkOpenRefunds());
+
+/**
+ * Registers the repeatable job, replacing one with an older interval
+ */
+async function scheduleRefundStatusChecks() {
+    try {
+        const repeatableJobs = await refundStatusQueue.getRepeatableJobs();
+        for (const job of repeatableJobs) {
+            if (Number(job.every) !== CHECK_EVERY_MS || CHECK_SETTING === 'off') {
+                await refundStatusQueue.removeRepeatableByKey(job.key);
+                console.log(`Removed old refund status schedule: ${job.key}`);
+            }
+        }
+
+        if (CHECK_SETTING === 'off') {
+            console.log('Refund status checks disabled (REFUND_STATUS_CHECK_MINUTES=off)');
+            return;
+        }
+
+        await refundStatusQueue.add({}, { repeat: { every: CHECK_EVERY_MS } });
+        console.log(`Refund status checks scheduled every ${CHECK_EVERY_MS / 60000} minutes`);
+    } catch (error) {
+        console.error('Failed to schedule refund status checks:', error);
+    }
+}
+
+refundStatusQueue.on('completed', (job, result) => {
+    if (result.checked > 0 || result.failed > 0) {
+        console.log(`Refund status job ${job.id} completed:`, result);
+    }
+});
+
+refundStatusQueue.on('failed', (job, error) => {
+    console.error(`Refund status job ${job.id} failed:`, error.message);
+});
+
+scheduleRefundStatusChecks();
+
+module.exports = {
+    refundStatusQueue
+};
@@ -0,0 +1,167 @@
+/**
+ * Payment Return Service
+ * ---------------------
+ * Purpose: Confirms a payment the moment the customer is sent back from a provider
+ * Role: Builds the middleware-owned return URLs given to each provider, and on
+ *       return runs PaymentStatusService.checkPaymentStatus (which records the
+ *       result) before picking the success, pending or failure page on our site
+ *
+ * Return routes (see src/routes/public/returns.js):
+ * - /return/stripe?session_id=...    Stripe Checkout ({CHECKOUT_SESSION_ID})
+ * - /return/alipay?session_id=...    Alipay via Stripe Checkout
+ * - /return/blink?cid=...            Blink quick payment ID
+ * - /return/btcpay?invoice_id=...    BTCPay invoice ({InvoiceId})
+ * Cancel links carry the trade order instead (?trade_order=...&cancelled=1)
+ *
+ * Environment Variables:
+ * - RETURN_BASE_URL: Public base URL of this middleware; when unset providers
+ *   keep sending customers straight to the static pages (STRIPE_SUCCESS_URL etc.)
+ * - RETURN_SUCCESS_URL: Page for completed payments (default: STRIPE_SUCCESS_URL)
+ * - RETURN_PENDING_URL: Page for payments still in progress (default: success page)
+ * - RETURN_FAILURE_URL: Page for failed, expired or cancelled payments (default: STRIPE_CANCEL_URL)
+ */
+
+const pool = require('../../config/database');
+const paymentStatusService = require('./paystatus/paymentStatusService');
+const { classifyPaymentStatus } = require('../orders/orderStatusService');
+
+// Route segment for each provider code
+const RETURN_PATHS = {
+    STRIPE: 'stripe',
+    ALIPAY: 'alipay',
+    BLINK: 'blink',
+    BTCPAY: 'btcpay'
+};
+
+class ReturnService {
+    /**
+     * Whether providers should send customers back through the middleware
+     * @returns {boolean} True when RETURN_BASE_URL is set
+     */
+    isEnabled() {
+        return Boolean(process.env.RETURN_BASE_URL);
+    }
+
+    /**
+     * Builds the return URL handed to a provider
+     * Placeholder values such as {CHECKOUT_SESSION_ID} are left unencoded for the provider to fill in
+     * @param {string} provider - Provider code
+     * @param {Object} params - Query parameters
+     * @returns {string|null} Return URL, or null when return routes are disabled
+     */
+    buildReturnUrl(provider, params = {}) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        const base = process.env.RETURN_BASE_URL.replace(/\/$/, '');
+        const query = Object.entries(params)
+            .map(([key, value]) => {
+                const text = String(value);
+                return `${key}=${/^\{[A-Za-z_]+\}$/.test(text) ? text : encodeURIComponent(text)}`;
+            })
+            .join('&');
+        return `${base}/return/${RETURN_PATHS[provider]}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Finds the payments row a customer returned from
+     * @param {string} provider - Provider code
+     * @param {Object} lookup - { payid } or { tradeOrder } (latest current link of the order)
+     * @returns {Object|null} { record_id, provider, trade_order }
+     */
+    async findPayment(provider, { payid, tradeOrder }) {
+        if (payid) {
+            const result = await pool.query(
+                `SELECT p.record_id, p.provider, o.trade_order
+                 FROM payments p
+                 JOIN orders o ON o.record_id = p.order_record_id
+                 WHERE p.payid = $1 AND p.provider = $2
+                 ORDER BY p.created_at DESC
+                 LIMIT 1`,
+                [payid, provider]
+            );
+            return result.rows[0] || null;
+        }
+
+        if (tradeOrder) {
+            const result = await pool.query(
+                `SELECT p.record_id, p.provider, o.trade_order
+                 FROM payments p
+                 JOIN orders o ON o.record_id = p.order_record_id
+                 WHERE o.trade_order = $1 AND p.provider = $2
+                 AND p.payid IS NOT NULL AND p.superseded_at IS NULL
+                 ORDER BY p.created_at DESC
+                 LIMIT 1`,
+                [tradeOrder, provider]
+            );
+            return result.rows[0] || null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks the payment a customer returned from and works out where to send them
+     * Never throws - an unknown payment or a failed check lands on the pending page
+     * @param {string} provider - Provider code
+     * @param {Object} lookup - { payid, tradeOrder, cancelled }
+     * @returns {Object} { outcome, tradeOrder, redirectUrl }
+     */
+    async handleReturn(provider, { payid, tradeOrder, cancelled = false }) {
+        let outcome = 'pending';
+        let payment = null;
+
+        try {
+            payment = await this.findPayment(provider, { payid, tradeOrder });
+            if (!payment) {
+                console.warn(`${provider} return: no payment found for ${payid || tradeOrder || 'empty request'}`);
+            } else {
+                const result = await paymentStatusService.checkPaymentStatus(payment.record_id, 'return');
+                outcome = classifyPaymentStatus(provider, result);
+                console.log(`${provider} return for ${payment.trade_order}: ${result.payment_status} (${outcome})`);
+            }
+        } catch (error) {
+            console.error(`${provider} return check failed for ${payid || tradeOrder}:`, error.message);
+        }
+
+        // A customer who cancelled out of checkout hasn't paid, even if the session is still open
+        if (cancelled && outcome === 'pending') {
+            outcome = 'failed';
+        }
+
+        const resolvedTradeOrder = payment?.trade_order || tradeOrder || null;
+        return {
+            outcome,
+            tradeOrder: resolvedTradeOrder,
+            redirectUrl: this.resultPageUrl(outcome, provider, resolvedTradeOrder)
+        };
+    }
+
+    /**
+     * Page on our site for a payment outcome, with the trade order attached
+     * @param {string} outcome - 'paid', 'pending', 'failed' or 'expired'
+     * @param {string} provider - Provider code
+     * @param {string|null} tradeOrder - Trade order number
+     * @returns {string} Redirect URL
+     */
+    resultPageUrl(outcome, provider, tradeOrder) {
+        const successUrl = process.env.RETURN_SUCCESS_URL || process.env.STRIPE_SUCCESS_URL;
+        const pages = {
+            paid: successUrl,
+            pending: process.env.RETURN_PENDING_URL || successUrl,
+            failed: process.env.RETURN_FAILURE_URL || process.env.STRIPE_CANCEL_URL,
+            expired: process.env.RETURN_FAILURE_URL || process.env.STRIPE_CANCEL_URL
+        };
+
+        const url = new URL(pages[outcome] || pages.pending);
+        if (tradeOrder) {
+            url.searchParams.set('trade_order', tradeOrder);
+        }
+        url.searchParams.set('provider', provider);
+        url.searchParams.set('status', outcome);
+        return url.toString();
+    }
+}
+
+module.exports = new ReturnService();
@@ -6,35 +6,39 @@
  * Features:
  * - Creates one-time payment links using Stripe Checkout
  * - Supports single payments without inventory management
- * - 30-minute expiry on payment links
- * - Calculates fees (2.7% + $0.30)
+ * - Payment links expire when their link job says (see PaymentLinkJobService),
+ *   or after SESSION_MINUTES for links added outside a job
+ * - Adds the STRIPE fee rule from fee_rules (seeded as 2.7% + $0.30, grossed up)
  * - New Zealand specific restrictions
+ * - Sessions carry trade_order and record_id metadata and are created with an
+ *   idempotency key per link job (or per order, provider and link outside a job)
  * 
  * Required Environment Variables:
- * - STRIPE_SECRET_KEY: Stripe API secret key
- * - STRIPE_BASE_URL: Base URL for Stripe API
- * - STRIPE_LOCAL_FEE: Local fee percentage (e.g., 0.027 for 2.7%)
+ * - STRIPE_SECRET_KEY: Stripe API secret key (read by the Stripe client)
  * - STRIPE_SUCCESS_URL: Success redirect URL
  * - STRIPE_CANCEL_URL: Cancel redirect URL
+ *   (both replaced by the /return routes when RETURN_BASE_URL is set)
  */
 
-const axios = require('axios');
 const pool = require('../../config/database');
+const stripeClient = require('./clients/stripeClient');
 const { schedulePaymentStatusChecks } = require('./paystatus/paymentStatusQueue');
+const expiryService = require('./expiry/expiryService');
+const ReturnService = require('./returnService');
+const feeRuleService = require('./fees/feeRuleService');
+const { toCents, formatItemsSummary } = require('../orders/orderItems');
+
+// Lifetime of a session made outside a link job (Stripe's minimum is 30 minutes)
+const SESSION_MINUTES = 30;
 
 class StripeService {
     constructor() {
-        this.secretKey = process.env.STRIPE_SECRET_KEY;
-        this.baseUrl = process.env.STRIPE_BASE_URL;
-        this.feePercentage = parseFloat(process.env.STRIPE_LOCAL_FEE) || 0.027;
-        this.fixedFee = 0.30; // Fixed fee in dollars
         this.successUrl = process.env.STRIPE_SUCCESS_URL;
         this.cancelUrl = process.env.STRIPE_CANCEL_URL;
 
         // Validate configuration
         const requiredEnvVars = [
             'STRIPE_SECRET_KEY',
-            'STRIPE_BASE_URL',
             'STRIPE_SUCCESS_URL',
             'STRIPE_CANCEL_URL'
         ];
@@ -46,14 +50,121 @@ class StripeService {
     }
 
     /**
-     * Calculates total amount including Stripe fees
-     * Formula: (base amount + 0.30) / (1 - 0.027)
-     * @param {number} baseAmount - Original amount before fees
-     * @returns {number} Total amount including fees
+     * Builds Checkout line items - one per order item plus a processing fee line
+     * Falls back to a single line when the items don't add up to the order total
+     * @param {Object} orderData - Order information including items and total_price
+     * @param {number} amountInCents - Total to charge including fees
+     * @param {string} feeDescription - Suffix describing the included fee
+     * @returns {Array} Stripe line_items
      */
-    calculateTotalWithFees(baseAmount) {
-        const amount = parseFloat(baseAmount);
-        return (amount + this.fixedFee) / (1 - this.feePercentage);
+    buildLineItems(orderData, amountInCents, feeDescription) {
+        const items = orderData.items || [];
+        const itemsCents = items.reduce((sum, item) => sum + toCents(item.unit_price) * item.quantity, 0);
+        const feeCents = amountInCents - itemsCents;
+
+        if (items.length === 0 || itemsCents !== toCents(orderData.total_price) || feeCents < 0) {
+            return [{
+                price_data: {
+                    currency: 'nzd',
+                    product_data: {
+                        name: (items.length ? formatItemsSummary(items) : orderData.product_name_full) || 'Gold Purchase',
+                        description: `Order: ${orderData.trade_order} (${feeDescription})`
+                    },
+                    unit_amount: amountInCents
+                },
+                quantity: 1
+            }];
+        }
+
+        const lineItems = items.map(item => ({
+            price_data: {
+                currency: 'nzd',
+                product_data: {
+                    name: item.product_name,
+                    description: `Order: ${orderData.trade_order}`
+                },
+                unit_amount: toCents(item.unit_price)
+            },
+            quantity: item.quantity
+        }));
+
+        if (feeCents > 0) {
+            lineItems.push({
+                price_data: {
+                    currency: 'nzd',
+                    product_data: {
+                        name: 'Processing fee',
+                        description: `Order: ${orderData.trade_order}`
+                    },
+                    unit_amount: feeCents
+                },
+                quantity: 1
+            });
+        }
+
+        return lineItems;
+    }
+
+    /**
+     * Idempotency key and expiry for creating an order's Checkout Session
+     * A session made by a link job takes both from the job (orderData.link_job), so every
+     * attempt sends the same request and Stripe returns the session it already made
+     * @param {Object} orderData - Order information including record_id, trade_order and link_job
+     * @param {string} provider - 'STRIPE' or 'ALIPAY'
+     * @returns {Object} { idempotencyKey, expiresAt (Date) }
+     */
+    async linkRequest(orderData, provider) {
+        if (orderData.link_job) {
+            const expiresAt = new Date(orderData.link_job.expires_at);
+            return {
+                idempotencyKey: `${orderData.trade_order}:${provider}:job-${orderData.link_job.record_id}:${Math.floor(expiresAt.getTime() / 1000)}`,
+                expiresAt
+            };
+        }
+
+        return {
+            idempotencyKey: await this.linkIdempotencyKey(orderData, provider),
+            expiresAt: new Date(Date.now() + SESSION_MINUTES * 60 * 1000)
+        };
+    }
+
+    /**
+     * Idempotency key for a session made outside a link job (an admin adding a link)
+     * Repeating a request for the same link reuses the key, so Stripe returns the session
+     * it already made; a reissued link (new link_generation) or a further link gets a new key.
+     * Only sessions that were made count: a failed attempt leaves a row without a payid.
+     * @param {Object} orderData - Order information including record_id and trade_order
+     * @param {string} provider - 'STRIPE' or 'ALIPAY'
+     * @returns {string} Idempotency key
+     */
+    async linkIdempotencyKey(orderData, provider) {
+        const result = await pool.query(
+            `SELECT o.link_generation, COUNT(p.record_id) AS link_count
+            FROM orders o
+            LEFT JOIN payments p ON p.order_record_id = o.record_id
+                AND p.provider = $2
+                AND p.link_generation = o.link_generation
+                AND p.payid IS NOT NULL
+            WHERE o.record_id = $1
+            GROUP BY o.link_generation`,
+            [orderData.record_id, provider]
+        );
+
+        const generation = result.rows[0]?.link_generation || 1;
+        const linkNumber = parseInt(result.rows[0]?.link_count || 0, 10) + 1;
+        return `${orderData.trade_order}:${provider}:${generation}:${linkNumber}`;
+    }
+
+    /**
+     * Checkout Session metadata linking the session back to our order
+     * @param {Object} orderData - Order information
+     * @returns {Object} Stripe metadata
+     */
+    sessionMetadata(orderData) {
+        return {
+            trade_order: orderData.trade_order,
+            record_id: orderData.record_id
+        };
     }
 
     /**
@@ -67,24 +178,27 @@ class StripeService {
             console.log('Generating Stripe payment link for order:', orderData.trade_order);
 
             // Calculate total amount including fees
-            const baseAmount = parseFloat(orderData.total_price);
-            const totalWithFees = this.calculateTotalWithFees(baseAmount);
+            const { base, fee, total, rule_id } = await feeRuleService.quote('STRIPE', orderData.total_price);
             
             // Convert to cents for Stripe
-            const amountInCents = Math.round(totalWithFees * 100);
+            const amountInCents = toCents(total);
 
             console.log('Payment calculation:', {
-                baseAmount,
-                feePercentage: this.feePercentage,
-                fixedFee: this.fixedFee,
-                totalWithFees,
+                base,
+                fee,
+                feeRule: rule_id,
                 amountInCents
             });
 
+            const { idempotencyKey, expiresAt } = await this.linkRequest(orderData, 'STRIPE');
+
             const payload = {
                 mode: 'payment',
-                success_url: this.successUrl,
-                cancel_url: this.cancelUrl,
+                // Send the customer back through the middleware so the payment is confirmed on return
+                success_url: ReturnService.buildReturnUrl('STRIPE', { session_id: '{CHECKOUT_SESSION_ID}' })
+                    || this.successUrl,
+                cancel_url: ReturnService.buildReturnUrl('STRIPE', { trade_order: orderData.trade_order, cancelled: 1 })
+                    || this.cancelUrl,
                 currency: 'nzd',
                 payment_method_types: ['card'],
                 
@@ -93,62 +207,54 @@ class StripeService {
                     allowed_countries: ['NZ']
                 },
 
-                line_items: [{
-                    price_data: {
-                        currency: 'nzd',
-                        product_data: {
-                            name: orderData.product_name_full || 'Gold Purchase',
-                            description: `Order: ${orderData.trade_order} (Includes processing fee)`
-                        },
-                        unit_amount: amountInCents
-                    },
-                    quantity: 1
-                }],
+                line_items: this.buildLineItems(orderData, amountInCents, 'Includes processing fee'),
 
                 customer_email: orderData.email_order || undefined,
                 client_reference_id: orderData.trade_order,
-                expires_at: Math.floor(Date.now() / 1000) + (30 * 60)
+                metadata: this.sessionMetadata(orderData),
+                expires_at: Math.floor(expiresAt.getTime() / 1000)
             };
 
-            const response = await axios.post(
-                `${this.baseUrl}/v1/checkout/sessions`,
-                payload,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.secretKey}`,
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
-                }
-            );
-
-            console.log('Stripe Checkout Session created:', response.data.id);
-
-            if (response.data && response.data.url) {
-                // Store payment record with original amount (not including fees)
+            const session = await stripeClient.post('/v1/checkout/sessions', payload, { idempotencyKey });
+
+            console.log('Stripe Checkout Session created:', session.id);
+
+            if (session && session.url) {
+                // Store payment record with original amount and the fee charged on top
                 const insertResult = await pool.query(
                     `INSERT INTO payments (
-                        order_record_id, provider, status_url, amount, 
+                        order_record_id, provider, status_url, amount, fee_amount,
                         payment_url, payid, expires_at
-                    ) VALUES ($1, $2, $3, $4, $5, $6, NOW() + interval '30 minutes')
-                    RETURNING record_id`,
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    RETURNING record_id, expires_at`,
                     [
                         orderData.record_id,
                         'STRIPE',
                         'success',
                         orderData.total_price, // Store original amount
-                        response.data.url,
-                        response.data.id
+                        fee,
+                        session.url,
+                        session.id,
+                        expiresAt
                     ]
                 );
                 
-                // Schedule status checks at 1min and 3min after creation (for testing)
+                // Start polling the session's status
                 schedulePaymentStatusChecks({
                     record_id: insertResult.rows[0].record_id,
                     provider: 'STRIPE',
-                    payid: response.data.id
+                    payid: session.id
                 });
 
-                return response.data.url;
+                // Expire the session when the link expires
+                expiryService.scheduleExpiry({
+                    record_id: insertResult.rows[0].record_id,
+                    provider: 'STRIPE',
+                    payid: session.id,
+                    expires_at: insertResult.rows[0].expires_at
+                });
+
+                return session.url;
             } else {
                 throw new Error('Invalid response from Stripe');
             }
@@ -157,24 +263,12 @@ class StripeService {
             console.error('\n=== Stripe API Error ===');
             console.error('Error details:', {
                 message: error.message,
-                response: error.response?.data,
+                type: error.type,
+                code: error.code,
+                requestId: error.requestId,
                 order: orderData.trade_order
             });
 
-            // Store failed payment record
-            await pool.query(
-                `INSERT INTO payments (
-                    order_record_id, provider, status_url, amount, message_url
-                ) VALUES ($1, $2, $3, $4, $5)`,
-                [
-                    orderData.record_id,
-                    'STRIPE',
-                    'failed',
-                    orderData.total_price,
-                    error.response?.data?.error?.message || error.message
-                ]
-            );
-
             throw error;
         }
     }
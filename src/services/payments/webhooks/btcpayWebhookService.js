@@ -0,0 +1,199 @@
+/**
+ * BTCPay Webhook Service
+ * ---------------------
+ * Purpose: Applies BTCPay Server invoice events as they happen
+ * Role: Validates the BTCPay-Sig header and writes invoice statuses through the
+ *       same pay_status logging path as the scheduled status checks, so invoices
+ *       settling after the last poll still reach Settled
+ *
+ * Handled events -> invoice status recorded:
+ * - InvoiceReceivedPayment -> New (payment seen, not yet enough or unconfirmed)
+ * - InvoiceProcessing -> Processing
+ * - InvoiceSettled -> Settled
+ * - InvoiceExpired -> Expired
+ * - InvoiceInvalid -> Invalid
+ * Redeliveries share an originalDeliveryId and are applied once. Events that
+ * arrive out of order never move an invoice back to an earlier status; a payment
+ * made after expiry still moves an Expired invoice on to Processing and Settled.
+ *
+ * Environment Variables:
+ * - BTCPAY_WEBHOOK_SECRET: Secret shared with the BTCPay webhook
+ * - BTCPAY_WEBHOOK_URL: Public URL of POST /webhooks/btcpay (used when registering)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const pool = require('../../../config/database');
+const paymentStatusService = require('../paystatus/paymentStatusService');
+const webhookEventService = require('./webhookEventService');
+const { WebhookSignatureError } = webhookEventService;
+
+const EVENT_INVOICE_STATUS = {
+    InvoiceReceivedPayment: 'New',
+    InvoiceProcessing: 'Processing',
+    InvoiceSettled: 'Settled',
+    InvoiceExpired: 'Expired',
+    InvoiceInvalid: 'Invalid'
+};
+
+// Order of invoice statuses; a payment may still arrive after expiry, so Processing and
+// Settled outrank Expired, and an admin may settle an invalid invoice
+const STATUS_RANK = {
+    New: 0,
+    Expired: 1,
+    Processing: 2,
+    Invalid: 3,
+    Settled: 3
+};
+
+class BTCPayWebhookService {
+    constructor() {
+        this.baseUrl = process.env.BTCPAY_API_URL?.replace(/\/$/, '');
+        this.apiKey = process.env.BTCPAY_API_KEY;
+        this.storeId = process.env.BTCPAY_STORE_ID;
+        this.secret = process.env.BTCPAY_WEBHOOK_SECRET;
+
+        if (!this.secret) {
+            console.warn('Missing BTCPay webhook configuration: BTCPAY_WEBHOOK_SECRET');
+        }
+    }
+
+    /**
+     * Validates a BTCPay-Sig header against the raw request body
+     * Header format: sha256=<hex hmac of the body>
+     * @param {Buffer} rawBody - Unparsed request body
+     * @param {string} header - BTCPay-Sig header
+     * @returns {Object} Parsed event
+     * @throws {WebhookSignatureError} When the header is missing or doesn't match
+     */
+    constructEvent(rawBody, header) {
+        if (!this.secret) {
+            throw new Error('BTCPAY_WEBHOOK_SECRET is not configured');
+        }
+        if (!header || !header.startsWith('sha256=')) {
+            throw new WebhookSignatureError('Missing or malformed BTCPay-Sig header');
+        }
+        if (!Buffer.isBuffer(rawBody) || rawBody.length === 0) {
+            throw new WebhookSignatureError('Missing webhook body');
+        }
+
+        const expected = crypto.createHmac('sha256', this.secret).update(rawBody).digest();
+        const given = Buffer.from(header.slice('sha256='.length), 'hex');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new WebhookSignatureError('BTCPay-Sig does not match');
+        }
+
+        try {
+            return JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            throw new WebhookSignatureError('Webhook body is not valid JSON');
+        }
+    }
+
+    /**
+     * Applies a validated event once per original delivery
+     * @param {Object} event - Validated BTCPay event
+     * @returns {Object} { duplicate, outcome }
+     */
+    async handleEvent(event) {
+        if (!EVENT_INVOICE_STATUS[event.type]) {
+            console.log(`Ignoring BTCPay webhook event ${event.deliveryId} (${event.type})`);
+            return { duplicate: false, outcome: { status: 'ignored' } };
+        }
+        if (this.storeId && event.storeId && event.storeId !== this.storeId) {
+            console.warn(`Ignoring BTCPay webhook for another store: ${event.storeId}`);
+            return { duplicate: false, outcome: { status: 'ignored' } };
+        }
+
+        const eventId = event.originalDeliveryId || event.deliveryId;
+        return webhookEventService.process('BTCPAY', eventId, event.type, () => this.applyInvoiceEvent(event));
+    }
+
+    /**
+     * Records an invoice event against its payments row and moves the order forward
+     * @param {Object} event - Validated BTCPay event
+     * @returns {Object} { paymentId, status, message }
+     */
+    async applyInvoiceEvent(event) {
+        const paymentResult = await pool.query(
+            `SELECT record_id, status_url
+             FROM payments
+             WHERE payid = $1 AND provider = 'BTCPAY'
+             ORDER BY created_at DESC
+             LIMIT 1`,
+            [event.invoiceId]
+        );
+        if (paymentResult.rows.length === 0) {
+            console.warn(`BTCPay webhook ${event.deliveryId}: no payment found for invoice ${event.invoiceId}`);
+            return { status: 'unmatched', message: `No payment for invoice ${event.invoiceId}` };
+        }
+
+        const { record_id: paymentId, status_url: currentStatus } = paymentResult.rows[0];
+        const invoiceStatus = EVENT_INVOICE_STATUS[event.type];
+
+        if (STATUS_RANK[currentStatus] !== undefined && STATUS_RANK[currentStatus] > STATUS_RANK[invoiceStatus]) {
+            console.log(`BTCPay webhook ${event.deliveryId}: payment ${paymentId} already ${currentStatus}, not moving back to ${invoiceStatus}`);
+            return { paymentId, status: 'stale', message: `${event.type} after ${currentStatus}` };
+        }
+
+        const details = [
+            event.manuallyMarked ? 'manually marked' : null,
+            event.overPaid ? 'overpaid' : null,
+            event.partiallyPaid ? 'partially paid' : null,
+            event.afterExpiration ? 'after expiration' : null
+        ].filter(Boolean);
+        const statusResult = {
+            status: invoiceStatus,
+            message: `BTCPay webhook ${event.type}${details.length > 0 ? ` (${details.join(', ')})` : ''}`
+        };
+
+        await paymentStatusService.logStatusCheck(paymentId, statusResult, statusResult.message, 'BTCPAY', { source: 'webhook' });
+        await paymentStatusService.applyOrderStatus(paymentId, 'BTCPAY', statusResult);
+
+        console.log(`BTCPay webhook ${event.deliveryId} applied to payment ${paymentId}: ${invoiceStatus}`);
+        return { paymentId, status: invoiceStatus, message: statusResult.message };
+    }
+
+    /**
+     * Registers (or finds) the store webhook through the Greenfield API
+     * An existing webhook with the same URL is reused rather than duplicated.
+     * Without BTCPAY_WEBHOOK_SECRET, BTCPay generates a secret and returns it once.
+     * @param {string} url - Public URL of POST /webhooks/btcpay
+     * @returns {Object} { id, url, secret, created }
+     */
+    async registerWebhook(url = process.env.BTCPAY_WEBHOOK_URL) {
+        if (!this.baseUrl || !this.apiKey || !this.storeId) {
+            throw new Error('BTCPay configuration is incomplete');
+        }
+        if (!url) {
+            throw new Error('BTCPAY_WEBHOOK_URL is not configured');
+        }
+
+        const endpoint = `${this.baseUrl}/api/v1/stores/${this.storeId}/webhooks`;
+        const headers = {
+            'Authorization': `token ${this.apiKey}`,
+            'Content-Type': 'application/json'
+        };
+
+        const existing = await axios.get(endpoint, { headers });
+        const match = existing.data.find(webhook => webhook.url === url);
+        if (match) {
+            return { id: match.id, url, secret: null, created: false };
+        }
+
+        const response = await axios.post(endpoint, {
+            url,
+            enabled: true,
+            automaticRedelivery: true,
+            secret: this.secret || undefined,
+            authorizedEvents: {
+                everything: false,
+                specificEvents: Object.keys(EVENT_INVOICE_STATUS)
+            }
+        }, { headers });
+
+        return { id: response.data.id, url, secret: response.data.secret, created: true };
+    }
+}
+
+module.exports = new BTCPayWebhookService();
@@ -0,0 +1,149 @@
+/**
+ * Stripe Webhook Service
+ * ---------------------
+ * Purpose: Applies Stripe Checkout events as soon as Stripe sends them
+ * Role: Verifies the Stripe-Signature header and writes session results through
+ *       the same pay_status logging path as the scheduled status checks
+ *
+ * Handled events (Stripe and Alipay sessions share one Stripe account):
+ * - checkout.session.completed
+ * - checkout.session.async_payment_succeeded
+ * - checkout.session.async_payment_failed
+ * - checkout.session.expired
+ * Other event types are acknowledged and ignored.
+ *
+ * Environment Variables:
+ * - STRIPE_WEBHOOK_SECRET: Signing secret of the webhook endpoint (whsec_...)
+ * - STRIPE_WEBHOOK_TOLERANCE_SECONDS: Maximum age of a signed event (default: 300)
+ */
+
+const crypto = require('crypto');
+const pool = require('../../../config/database');
+const paymentStatusService = require('../paystatus/paymentStatusService');
+const webhookEventService = require('./webhookEventService');
+const { WebhookSignatureError } = webhookEventService;
+
+// ⚠️ CONFIGURE: Replay window for signed events
+const TOLERANCE_SECONDS = parseInt(process.env.STRIPE_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+// Payment status recorded in pay_status for each handled event
+// completed keeps the session's own payment_status (async methods complete as 'unpaid')
+const EVENT_PAYMENT_STATUS = {
+    'checkout.session.completed': null,
+    'checkout.session.async_payment_succeeded': 'paid',
+    'checkout.session.async_payment_failed': 'failed',
+    'checkout.session.expired': 'expired'
+};
+
+class StripeWebhookService {
+    constructor() {
+        this.secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+        if (!this.secret) {
+            console.warn('Missing Stripe webhook configuration: STRIPE_WEBHOOK_SECRET');
+        }
+    }
+
+    /**
+     * Verifies a Stripe-Signature header against the raw request body
+     * Header format: t=<timestamp>,v1=<hex hmac>[,v1=...]
+     * Signed payload: "<timestamp>.<raw body>" with HMAC-SHA256
+     * @param {Buffer} rawBody - Unparsed request body
+     * @param {string} header - Stripe-Signature header
+     * @returns {Object} Parsed event
+     * @throws {WebhookSignatureError} When the header is missing, stale or doesn't match
+     */
+    constructEvent(rawBody, header) {
+        if (!this.secret) {
+            throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+        }
+        if (!header) {
+            throw new WebhookSignatureError('Missing Stripe-Signature header');
+        }
+        if (!Buffer.isBuffer(rawBody) || rawBody.length === 0) {
+            throw new WebhookSignatureError('Missing webhook body');
+        }
+
+        const parts = header.split(',').map(part => part.trim().split('='));
+        const timestamp = parts.find(([key]) => key === 't')?.[1];
+        const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+        if (!timestamp || signatures.length === 0) {
+            throw new WebhookSignatureError('Malformed Stripe-Signature header');
+        }
+
+        const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+        if (!Number.isFinite(age) || age > TOLERANCE_SECONDS) {
+            throw new WebhookSignatureError('Stripe-Signature timestamp outside the tolerance window');
+        }
+
+        const expected = crypto.createHmac('sha256', this.secret)
+            .update(`${timestamp}.`)
+            .update(rawBody)
+            .digest();
+        const matches = signatures.some(signature => {
+            const given = Buffer.from(signature, 'hex');
+            return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        });
+        if (!matches) {
+            throw new WebhookSignatureError('Stripe-Signature does not match');
+        }
+
+        try {
+            return JSON.parse(rawBody.toString('utf8'));
+        } catch (error) {
+            throw new WebhookSignatureError('Webhook body is not valid JSON');
+        }
+    }
+
+    /**
+     * Applies a verified event once, skipping redeliveries of the same event ID
+     * @param {Object} event - Verified Stripe event
+     * @returns {Object} { duplicate, outcome }
+     */
+    async handleEvent(event) {
+        if (!Object.prototype.hasOwnProperty.call(EVENT_PAYMENT_STATUS, event.type)) {
+            console.log(`Ignoring Stripe webhook event ${event.id} (${event.type})`);
+            return { duplicate: false, outcome: { status: 'ignored' } };
+        }
+
+        return webhookEventService.process('STRIPE', event.id, event.type, () => this.applySessionEvent(event));
+    }
+
+    /**
+     * Records a Checkout Session event against its payments row and moves the order forward
+     * @param {Object} event - Verified Stripe event
+     * @returns {Object} { paymentId, status, message }
+     */
+    async applySessionEvent(event) {
+        const session = event.data.object;
+
+        const paymentResult = await pool.query(
+            `SELECT record_id, provider
+             FROM payments
+             WHERE payid = $1 AND provider IN ('STRIPE', 'ALIPAY')
+             ORDER BY created_at DESC
+             LIMIT 1`,
+            [session.id]
+        );
+        if (paymentResult.rows.length === 0) {
+            console.warn(`Stripe webhook ${event.id}: no payment found for session ${session.id}`);
+            return { status: 'unmatched', message: `No payment for session ${session.id}` };
+        }
+
+        const { record_id: paymentId, provider } = paymentResult.rows[0];
+        const statusResult = {
+            status: session.payment_status || 'unknown',
+            payment_status: EVENT_PAYMENT_STATUS[event.type] || session.payment_status,
+            session_status: session.status,
+            message: `Stripe webhook ${event.type}: ${session.status}/${session.payment_status}`
+        };
+
+        await paymentStatusService.logStatusCheck(paymentId, statusResult, statusResult.message, provider, { source: 'webhook' });
+        await paymentStatusService.applyOrderStatus(paymentId, provider, statusResult);
+
+        console.log(`Stripe webhook ${event.id} applied to ${provider} payment ${paymentId}: ${statusResult.payment_status}`);
+        return { paymentId, status: statusResult.payment_status, message: statusResult.message };
+    }
+}
+
+module.exports = new StripeWebhookService();
@@ -0,0 +1,136 @@
+/**
+ * Webhook Event Service
+ * --------------------
+ * Purpose: Records provider webhook deliveries so each event is applied once
+ * Role: Shared by the provider webhook handlers - claims an event ID before
+ *       processing and stores the outcome in the webhook_events table
+ *
+ * Providers retry deliveries until they get a 2xx, and may send the same event
+ * more than once. A processed event is skipped on redelivery; a claim whose
+ * processing failed is released so the provider's retry runs it again. A redelivery
+ * that finds the event still being processed is answered with a 409 so the provider
+ * tries again, and takes the claim over once WEBHOOK_LEASE_SECONDS have passed
+ * without an outcome (the process died mid-event).
+ *
+ * Environment Variables:
+ * - WEBHOOK_LEASE_SECONDS: How long a claim without an outcome blocks redeliveries (default: 60)
+ */
+
+const pool = require('../../../config/database');
+
+// ⚠️ CONFIGURE: Longest time an event's processing may take before a redelivery takes it over
+const LEASE_SECONDS = parseInt(process.env.WEBHOOK_LEASE_SECONDS, 10) || 60;
+
+/**
+ * Error for a delivery that fails signature checks - answered with 400
+ */
+class WebhookSignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookSignatureError';
+        this.statusCode = 400;
+    }
+}
+
+class WebhookEventService {
+    /**
+     * Claims an event for processing
+     * A claim with no outcome whose lease ran out is taken over
+     * @param {string} provider - Provider code, e.g. 'STRIPE'
+     * @param {string} eventId - Provider event ID
+     * @param {string} eventType - Provider event type
+     * @returns {string|null} Claim time (as text, keeping its microseconds) if this delivery
+     *   should be processed, null for a duplicate
+     * @throws {Error} 409 while an earlier delivery of the event is still being processed
+     */
+    async claim(provider, eventId, eventType) {
+        const result = await pool.query(
+            `INSERT INTO webhook_events (provider, event_id, event_type, received_at, claimed_at)
+             VALUES ($1, $2, $3, NOW(), NOW())
+             ON CONFLICT (provider, event_id) DO UPDATE
+             SET claimed_at = NOW()
+             WHERE webhook_events.processed_at IS NULL
+             AND webhook_events.claimed_at < NOW() - make_interval(secs => $4::int)
+             RETURNING claimed_at::text AS claimed_at`,
+            [provider, eventId, eventType, LEASE_SECONDS]
+        );
+        if (result.rows.length > 0) {
+            return result.rows[0].claimed_at;
+        }
+
+        const existing = await pool.query(
+            `SELECT processed_at FROM webhook_events WHERE provider = $1 AND event_id = $2`,
+            [provider, eventId]
+        );
+        if (existing.rows[0]?.processed_at) {
+            return null;
+        }
+
+        // Acknowledging it would stop the provider's retries if that delivery never finishes
+        const error = new Error(`${provider} webhook event ${eventId} is still being processed`);
+        error.statusCode = 409;
+        throw error;
+    }
+
+    /**
+     * Stores the outcome of a processed event
+     * @param {string} provider - Provider code
+     * @param {string} eventId - Provider event ID
+     * @param {string} claimedAt - Claim time returned by claim()
+     * @param {Object} outcome - { paymentId, status, message }
+     */
+    async complete(provider, eventId, claimedAt, { paymentId = null, status, message = null }) {
+        await pool.query(
+            `UPDATE webhook_events
+             SET processed_at = NOW(), payments_record_id = $4, status = $5, message = $6
+             WHERE provider = $1 AND event_id = $2 AND claimed_at = $3::timestamptz`,
+            [provider, eventId, claimedAt, paymentId, status, message]
+        );
+    }
+
+    /**
+     * Releases a claim after processing failed so a redelivery is processed again
+     * Only the delivery still holding the claim releases it
+     * @param {string} provider - Provider code
+     * @param {string} eventId - Provider event ID
+     * @param {string} claimedAt - Claim time returned by claim()
+     */
+    async release(provider, eventId, claimedAt) {
+        await pool.query(
+            `DELETE FROM webhook_events
+             WHERE provider = $1 AND event_id = $2 AND processed_at IS NULL AND claimed_at = $3::timestamptz`,
+            [provider, eventId, claimedAt]
+        );
+    }
+
+    /**
+     * Claims, processes and records an event
+     * @param {string} provider - Provider code
+     * @param {string} eventId - Provider event ID
+     * @param {string} eventType - Provider event type
+     * @param {Function} handler - Async function returning { paymentId, status, message }
+     * @returns {Object} { duplicate, outcome }
+     * @throws {Error} 409 while an earlier delivery of the event is still being processed
+     */
+    async process(provider, eventId, eventType, handler) {
+        const claimedAt = await this.claim(provider, eventId, eventType);
+        if (!claimedAt) {
+            console.log(`Skipping duplicate ${provider} webhook event ${eventId} (${eventType})`);
+            return { duplicate: true, outcome: null };
+        }
+
+        try {
+            const outcome = await handler();
+            await this.complete(provider, eventId, claimedAt, outcome);
+            return { duplicate: false, outcome };
+        } catch (error) {
+            await this.release(provider, eventId, claimedAt).catch(releaseError => {
+                console.error(`Failed to release ${provider} webhook event ${eventId}: ${releaseError.message}`);
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = new WebhookEventService();
+module.exports.WebhookSignatureError = WebhookSignatureError;
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CANONICAL_STATUSES,
+    TERMINAL_STATUSES,
+    STATUS_MAPS,
+    toCanonicalStatus,
+    isCanonicalStatus,
+    isTerminalStatus
+} = require('../src/services/payments/paystatus/canonicalStatus');
+
+test('every provider map lists each canonical status', () => {
+    for (const [provider, table] of Object.entries(STATUS_MAPS)) {
+        assert.deepEqual(Object.keys(table).sort(), [...CANONICAL_STATUSES].sort(), provider);
+    }
+});
+
+test('every raw status maps to its canonical status', () => {
+    for (const [provider, table] of Object.entries(STATUS_MAPS)) {
+        for (const [canonical, rawStatuses] of Object.entries(table)) {
+            for (const raw of rawStatuses) {
+                assert.equal(toCanonicalStatus(provider, { status: raw }), canonical, `${provider} ${raw}`);
+                assert.equal(toCanonicalStatus(provider, { payment_status: raw }), canonical, `${provider} ${raw}`);
+            }
+        }
+    }
+});
+
+test('Stripe: session and payment statuses', () => {
+    assert.equal(toCanonicalStatus('STRIPE', { status: 'open', payment_status: 'unpaid' }), 'pending');
+    assert.equal(toCanonicalStatus('STRIPE', { status: 'complete', payment_status: 'unpaid' }), 'authorised');
+    assert.equal(toCanonicalStatus('STRIPE', { status: 'complete', payment_status: 'paid' }), 'paid');
+    assert.equal(toCanonicalStatus('STRIPE', { status: 'expired', payment_status: 'unpaid' }), 'expired');
+    assert.equal(toCanonicalStatus('STRIPE', { payment_status: 'unpaid', session_status: 'expired' }), 'expired');
+});
+
+test('Alipay uses the Stripe map', () => {
+    assert.equal(STATUS_MAPS.ALIPAY, STATUS_MAPS.STRIPE);
+    assert.equal(toCanonicalStatus('ALIPAY', { status: 'complete', payment_status: 'paid' }), 'paid');
+});
+
+test('Blink: consent and payment statuses', () => {
+    assert.equal(toCanonicalStatus('BLINK', { status: 'AwaitingAuthorisation' }), 'pending');
+    assert.equal(toCanonicalStatus('BLINK', { status: 'Consumed', payment_status: 'AcceptedSettlementInProcess' }), 'authorised');
+    assert.equal(toCanonicalStatus('BLINK', { status: 'Consumed', payment_status: 'AcceptedSettlementCompleted' }), 'paid');
+    assert.equal(toCanonicalStatus('BLINK', { status: 'Revoked' }), 'cancelled');
+    assert.equal(toCanonicalStatus('BLINK', { status: 'GatewayTimeout' }), 'expired');
+});
+
+test('BTCPay and POLi statuses', () => {
+    assert.equal(toCanonicalStatus('BTCPAY', { status: 'Processing' }), 'authorised');
+    assert.equal(toCanonicalStatus('BTCPAY', { status: 'Settled' }), 'paid');
+    assert.equal(toCanonicalStatus('POLi', { status: 'ReceiptUnverified' }), 'authorised');
+    assert.equal(toCanonicalStatus('POLi', { status: 'TimedOut' }), 'expired');
+});
+
+test('the highest-precedence status wins', () => {
+    assert.equal(toCanonicalStatus('STRIPE', { status: 'expired', payment_status: 'paid' }), 'paid');
+    assert.equal(toCanonicalStatus('STRIPE', { status: 'paid', payment_status: 'refunded' }), 'refunded');
+    assert.equal(toCanonicalStatus('BLINK', { status: 'Revoked', payment_status: 'Rejected' }), 'failed');
+});
+
+test('unknown providers, statuses and empty results are pending', () => {
+    assert.equal(toCanonicalStatus('NOPE', { status: 'paid' }), 'pending');
+    assert.equal(toCanonicalStatus('STRIPE', { status: 'something_new' }), 'pending');
+    assert.equal(toCanonicalStatus('STRIPE', {}), 'pending');
+    assert.equal(toCanonicalStatus('STRIPE'), 'pending');
+});
+
+test('isCanonicalStatus', () => {
+    for (const status of CANONICAL_STATUSES) {
+        assert.equal(isCanonicalStatus(status), true, status);
+    }
+    assert.equal(isCanonicalStatus('Settled'), false);
+    assert.equal(isCanonicalStatus(null), false);
+});
+
+test('isTerminalStatus', () => {
+    for (const status of ['paid', 'failed', 'expired', 'cancelled', 'refunded']) {
+        assert.equal(isTerminalStatus(status), true, status);
+    }
+    for (const status of ['pending', 'authorised', null, undefined, 'Settled']) {
+        assert.equal(isTerminalStatus(status), false, String(status));
+    }
+    assert.ok(TERMINAL_STATUSES.every(isCanonicalStatus));
+});
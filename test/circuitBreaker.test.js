@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreaker = require('../src/services/payments/health/circuitBreaker');
+const { CircuitOpenError } = CircuitBreaker;
+
+const ok = () => Promise.resolve('ok');
+const fail = () => Promise.reject(new Error('down'));
+
+/**
+ * Runs fn with Date.now() returning the value of clock.now
+ */
+async function withClock(fn) {
+    const realNow = Date.now;
+    const clock = { now: realNow() };
+    Date.now = () => clock.now;
+    try {
+        await fn(clock);
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test.beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('a closed breaker passes results and errors through', async () => {
+    const breaker = new CircuitBreaker('test');
+    assert.equal(await breaker.run(ok), 'ok');
+    await assert.rejects(breaker.run(fail), /down/);
+    assert.equal(breaker.state, 'closed');
+});
+
+test('opens once enough recent calls have failed', async () => {
+    const breaker = new CircuitBreaker('test', { minCalls: 4, failureRate: 0.5 });
+    await breaker.run(ok);
+    await breaker.run(ok);
+    await assert.rejects(breaker.run(fail));
+    assert.equal(breaker.state, 'closed');
+    await assert.rejects(breaker.run(fail));
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.isAvailable(), false);
+
+    await assert.rejects(breaker.run(ok), error => {
+        assert.ok(error instanceof CircuitOpenError);
+        assert.equal(error.statusCode, 503);
+        return true;
+    });
+});
+
+test('does not open before minCalls', async () => {
+    const breaker = new CircuitBreaker('test', { minCalls: 5 });
+    for (let i = 0; i < 4; i++) {
+        await assert.rejects(breaker.run(fail));
+    }
+    assert.equal(breaker.state, 'closed');
+});
+
+test('failureOf decides what counts as a failure', async () => {
+    const breaker = new CircuitBreaker('test', { minCalls: 2 });
+    const ignoreErrors = () => null;
+    await assert.rejects(breaker.run(fail, ignoreErrors));
+    await assert.rejects(breaker.run(fail, ignoreErrors));
+    assert.equal(breaker.state, 'closed');
+
+    const errorResult = (error, result) => (result && result.status === 'error' ? 'error result' : null);
+    await breaker.run(() => Promise.resolve({ status: 'error' }), errorResult);
+    await breaker.run(() => Promise.resolve({ status: 'error' }), errorResult);
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.report().last_error, 'error result');
+});
+
+test('slow calls count against the breaker', async () => {
+    await withClock(async clock => {
+        const breaker = new CircuitBreaker('test', { minCalls: 2, slowCallMs: 1000 });
+        const slow = () => {
+            clock.now += 2000;
+            return Promise.resolve('late');
+        };
+        assert.equal(await breaker.run(slow), 'late');
+        await breaker.run(slow);
+        assert.equal(breaker.state, 'open');
+        assert.match(breaker.report().last_error, /Slow response/);
+    });
+});
+
+test('half-open: one trial call, success closes the breaker', async () => {
+    await withClock(async clock => {
+        const breaker = new CircuitBreaker('test', { minCalls: 1, openMs: 30000 });
+        await assert.rejects(breaker.run(fail));
+        assert.equal(breaker.state, 'open');
+
+        clock.now += 30000;
+        assert.equal(breaker.isAvailable(), true);
+        assert.equal(breaker.report().state, 'half_open');
+
+        let release;
+        const trial = breaker.run(() => new Promise(resolve => { release = resolve; }));
+        assert.equal(breaker.isAvailable(), false);
+        await assert.rejects(breaker.run(ok), CircuitOpenError);
+
+        release('ok');
+        assert.equal(await trial, 'ok');
+        assert.equal(breaker.state, 'closed');
+    });
+});
+
+test('half-open: a failed trial opens the breaker again', async () => {
+    await withClock(async clock => {
+        const breaker = new CircuitBreaker('test', { minCalls: 1, openMs: 30000 });
+        await assert.rejects(breaker.run(fail));
+        clock.now += 30000;
+        await assert.rejects(breaker.run(fail), /down/);
+        assert.equal(breaker.state, 'open');
+        assert.equal(breaker.report().retry_at, new Date(clock.now + 30000).toISOString());
+    });
+});
+
+test('calls older than windowMs are forgotten', async () => {
+    await withClock(async clock => {
+        const breaker = new CircuitBreaker('test', { minCalls: 2, windowMs: 60000 });
+        await assert.rejects(breaker.run(fail));
+        clock.now += 61000;
+        await assert.rejects(breaker.run(fail));
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.report().calls, 1);
+    });
+});
+
+test('report summarises recent calls', async () => {
+    const breaker = new CircuitBreaker('test', { minCalls: 10 });
+    await breaker.run(ok);
+    await assert.rejects(breaker.run(fail));
+    const report = breaker.report();
+    assert.equal(report.state, 'closed');
+    assert.equal(report.calls, 2);
+    assert.equal(report.failure_rate, 0.5);
+    assert.equal(report.last_error, 'down');
+    assert.equal(report.retry_at, null);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateFee, validateFeeRule } = require('../src/services/payments/fees/feeCalculator');
+
+test('no rule means no fee', () => {
+    assert.deepEqual(calculateFee(null, '100'), { base: '100.00', fee: '0.00', total: '100.00' });
+});
+
+test('additive: base * percentage + fixed', () => {
+    const rule = { method: 'additive', percentage: '0.03', fixed_amount: '0.30' };
+    assert.deepEqual(calculateFee(rule, 100), { base: '100.00', fee: '3.30', total: '103.30' });
+});
+
+test('gross_up: we still receive the base after the provider takes its cut', () => {
+    const rule = { method: 'gross_up', percentage: '0.027', fixed_amount: '0.30' };
+    const { base, fee, total } = calculateFee(rule, '100.00');
+    assert.equal(base, '100.00');
+    assert.equal(fee, '3.08');
+    assert.equal(total, '103.08');
+    // The provider keeps 2.7% + 0.30 of the total
+    const received = parseFloat(total) - (parseFloat(total) * 0.027 + 0.30);
+    assert.ok(Math.abs(received - 100) < 0.01);
+});
+
+test('fees are rounded to the cent', () => {
+    const rule = { method: 'additive', percentage: '0.027', fixed_amount: 0 };
+    assert.equal(calculateFee(rule, '10.55').fee, '0.28');
+});
+
+test('min_fee and max_fee clamp the fee', () => {
+    const rule = { method: 'additive', percentage: '0.01', fixed_amount: 0, min_fee: '0.50', max_fee: '5.00' };
+    assert.equal(calculateFee(rule, '10').fee, '0.50');
+    assert.equal(calculateFee(rule, '100').fee, '1.00');
+    assert.equal(calculateFee(rule, '1000').fee, '5.00');
+});
+
+test('null min_fee and max_fee are ignored', () => {
+    const rule = { method: 'additive', percentage: '0.01', fixed_amount: 0, min_fee: null, max_fee: null };
+    assert.equal(calculateFee(rule, '10').fee, '0.10');
+});
+
+test('validateFeeRule accepts a valid rule', () => {
+    assert.deepEqual(validateFeeRule({
+        method: 'gross_up',
+        percentage: '0.027',
+        fixed_amount: '0.30',
+        min_fee: '',
+        max_fee: '10',
+        effective_from: '2026-01-01',
+        effective_to: '2026-02-01'
+    }), []);
+});
+
+test('validateFeeRule reports each problem', () => {
+    const errors = validateFeeRule({
+        method: 'flat',
+        percentage: '1.5',
+        fixed_amount: '-1',
+        min_fee: '5',
+        max_fee: '2',
+        effective_from: '2026-02-01',
+        effective_to: '2026-01-01'
+    });
+    assert.equal(errors.length, 5);
+    assert.match(errors.join('\n'), /method must be one of additive, gross_up/);
+    assert.match(errors.join('\n'), /percentage must be a fraction/);
+    assert.match(errors.join('\n'), /fixed_amount must be a positive amount/);
+    assert.match(errors.join('\n'), /min_fee cannot be more than max_fee/);
+    assert.match(errors.join('\n'), /effective_to must be after effective_from/);
+});
+
+test('validateFeeRule rejects dates it cannot read', () => {
+    const errors = validateFeeRule({ method: 'additive', effective_from: 'soon', effective_to: 'later' });
+    assert.ok(errors.includes('effective_from must be a date'));
+    assert.ok(errors.includes('effective_to must be a date'));
+});
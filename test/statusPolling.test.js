@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_POLICIES, getPollingPolicy, nextCheckDelay } = require('../src/config/statusPolling');
+
+const MINUTE = 60 * 1000;
+const policy = { intervals: [1, 2, 5], maxAgeMinutes: 30, maxAttempts: 6 };
+
+test('check n is due at the sum of the first n intervals', () => {
+    const startedAt = 1000000;
+    assert.equal(nextCheckDelay(policy, 1, startedAt, startedAt), 1 * MINUTE);
+    assert.equal(nextCheckDelay(policy, 2, startedAt, startedAt), 3 * MINUTE);
+    assert.equal(nextCheckDelay(policy, 3, startedAt, startedAt), 8 * MINUTE);
+});
+
+test('the last interval repeats', () => {
+    const startedAt = 1000000;
+    assert.equal(nextCheckDelay(policy, 4, startedAt, startedAt), 13 * MINUTE);
+    assert.equal(nextCheckDelay(policy, 5, startedAt, startedAt), 18 * MINUTE);
+});
+
+test('the delay counts from startedAt, not from now', () => {
+    const startedAt = 1000000;
+    assert.equal(nextCheckDelay(policy, 2, startedAt, startedAt + 2 * MINUTE), 1 * MINUTE);
+    // An overdue check runs straight away
+    assert.equal(nextCheckDelay(policy, 2, startedAt, startedAt + 10 * MINUTE), 0);
+});
+
+test('no check beyond maxAttempts or maxAgeMinutes', () => {
+    assert.equal(nextCheckDelay(policy, 7, 0, 0), null);
+    assert.equal(nextCheckDelay({ ...policy, maxAgeMinutes: 10 }, 4, 0, 0), null);
+    assert.equal(nextCheckDelay({ ...policy, maxAgeMinutes: 13 }, 4, 0, 0), 13 * MINUTE);
+});
+
+test('providers without a policy get the default one', () => {
+    assert.deepEqual(getPollingPolicy('UNKNOWN'), DEFAULT_POLICIES.DEFAULT);
+    assert.deepEqual(getPollingPolicy('BTCPAY'), { ...DEFAULT_POLICIES.DEFAULT, ...DEFAULT_POLICIES.BTCPAY });
+});
+
+test('the default schedules stop polling in time', () => {
+    for (const [provider, providerPolicy] of Object.entries(DEFAULT_POLICIES)) {
+        const policyFor = getPollingPolicy(provider);
+        assert.equal(nextCheckDelay(policyFor, policyFor.maxAttempts + 1, 0, 0), null, provider);
+        assert.ok(providerPolicy.intervals.every(minutes => minutes > 0), provider);
+    }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeParams } = require('../src/services/payments/clients/stripeClient');
+
+// Brackets are percent-encoded and spaces become '+' on the wire
+const decode = encoded => decodeURIComponent(encoded.replace(/\+/g, ' '));
+
+test('flat params are form encoded', () => {
+    assert.equal(encodeParams({ mode: 'payment', amount: 1000 }), 'mode=payment&amount=1000');
+    assert.equal(encodeParams({}), '');
+    assert.equal(encodeParams(), '');
+});
+
+test('nested objects use bracket keys', () => {
+    assert.equal(
+        decode(encodeParams({ metadata: { trade_order: 'TO-1', record_id: 7 } })),
+        'metadata[trade_order]=TO-1&metadata[record_id]=7'
+    );
+});
+
+test('arrays are indexed', () => {
+    assert.equal(
+        decode(encodeParams({ payment_method_types: ['card', 'alipay'] })),
+        'payment_method_types[0]=card&payment_method_types[1]=alipay'
+    );
+});
+
+test('arrays of objects nest', () => {
+    const encoded = decode(encodeParams({
+        line_items: [{ quantity: 2, price_data: { currency: 'nzd', unit_amount: 500, product_data: { name: 'Gold bar' } } }]
+    }));
+    assert.equal(encoded, [
+        'line_items[0][quantity]=2',
+        'line_items[0][price_data][currency]=nzd',
+        'line_items[0][price_data][unit_amount]=500',
+        'line_items[0][price_data][product_data][name]=Gold bar'
+    ].join('&'));
+});
+
+test('undefined and null values are left out', () => {
+    assert.equal(encodeParams({ customer_email: undefined, client_reference_id: null, mode: 'payment' }), 'mode=payment');
+    assert.equal(decode(encodeParams({ metadata: { a: null, b: 'x' } })), 'metadata[b]=x');
+});
+
+test('values are URL encoded', () => {
+    assert.equal(
+        encodeParams({ success_url: 'https://example.com/return?session_id={CHECKOUT_SESSION_ID}&a=b' }),
+        'success_url=https%3A%2F%2Fexample.com%2Freturn%3Fsession_id%3D%7BCHECKOUT_SESSION_ID%7D%26a%3Db'
+    );
+});
+
+test('dates are sent as Unix timestamps', () => {
+    assert.equal(encodeParams({ expires_at: new Date('2026-01-01T00:30:00Z') }), 'expires_at=1767227400');
+});
+
+test('booleans are sent as strings', () => {
+    assert.equal(decode(encodeParams({ shipping_address_collection: { enabled: false } })), 'shipping_address_collection[enabled]=false');
+});